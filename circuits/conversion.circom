@@ -0,0 +1,177 @@
+pragma circom 2.1.6;
+
+include "circomlib/circuits/poseidon.circom";
+include "circomlib/circuits/comparators.circom";
+
+/*
+ * GhostBeacon conversion circuit
+ *
+ * Proves that the prover knows a userSecret and conversionId such that
+ *   leaf                = Poseidon(clickHash, Poseidon(userSecret), clickTime, nextClickTime)
+ *   conversionHash      = Poseidon(conversionId, conversionTime)
+ *   nullifier           = Poseidon(clickHash, userSecret)
+ *   pseudonym           = Poseidon(userSecret, campaignId)
+ *   conversionNullifier = Poseidon(conversionHash, userSecret)
+ * and that leaf is a member of the campaign's click tree. The attribution weight
+ * (1..MAX_WEIGHT) and the publisher to be paid are public inputs, so neither can be
+ * changed without a new proof.
+ *
+ * The pseudonym is the same for every conversion a user proves in one campaign and
+ * unrelated across campaigns, so fraud checks can score repeat converters without
+ * linking them to an address or to their conversions elsewhere.
+ *
+ * The conversion nullifier is the conversion's identity for attribution: the gateway
+ * caps the weight all clicks of one conversion share under it. It depends on the user's
+ * secret, so no one else can use up a user's conversion.
+ *
+ * Click times come from the click tree: each leaf carries its click's time and the time of
+ * the same user's next click in the campaign (0 for the user's latest click). The click
+ * happened no later than the conversion, and lastClick is 1 when no other click of the
+ * user's falls between them, so the gateway can check last-click and time-decay weights.
+ * The conversion time is hashed into conversionHash, so every click of one conversion is
+ * proven against the same time.
+ *
+ * The click tree hashes sorted pairs, like contracts/libraries/MerkleProof.sol,
+ * with Poseidon in place of keccak256. Proofs shorter than `levels` are padded
+ * with zero siblings, which leave the running hash unchanged.
+ *
+ * Public signals, in verifier order:
+ *   [nullifier, pseudonym, conversionNullifier, lastClick, clickHash, conversionHash, root,
+ *    weight, campaignId, publisher, clickTime, conversionTime]
+ */
+
+// Hashes one level of a sorted-pair Merkle path
+template SortedPairLevel() {
+    signal input node;
+    signal input sibling;
+    signal input siblingFirst; // 1 when the sibling sorts before the node
+    signal output parent;
+
+    siblingFirst * (1 - siblingFirst) === 0;
+
+    signal left <== node + siblingFirst * (sibling - node);
+    signal right <== sibling + siblingFirst * (node - sibling);
+
+    component hasher = Poseidon(2);
+    hasher.inputs[0] <== left;
+    hasher.inputs[1] <== right;
+
+    // A zero sibling marks padding past the top of a shorter proof
+    component isPadding = IsZero();
+    isPadding.in <== sibling;
+
+    parent <== hasher.out + isPadding.out * (node - hasher.out);
+}
+
+template ConversionProof(levels) {
+    // Mirrors BillingModule.MAX_WEIGHT
+    var MAX_WEIGHT = 100;
+
+    // Public inputs, matching ConversionVerifier's publicInputs layout
+    signal input clickHash;
+    signal input conversionHash;
+    signal input root;
+    signal input weight;
+    signal input campaignId;
+    signal input publisher; // Address the conversion is paid to, as a field element
+    signal input clickTime;
+    signal input conversionTime;
+
+    // Private inputs
+    signal input userSecret;
+    signal input conversionId;
+    signal input nextClickTime; // The user's next click in the campaign, or 0
+    signal input siblings[levels];
+    signal input siblingFirst[levels];
+
+    signal output nullifier;
+    signal output pseudonym;
+    signal output conversionNullifier;
+    signal output lastClick;
+
+    component nullifierHasher = Poseidon(2);
+    nullifierHasher.inputs[0] <== clickHash;
+    nullifierHasher.inputs[1] <== userSecret;
+    nullifier <== nullifierHasher.out;
+
+    component pseudonymHasher = Poseidon(2);
+    pseudonymHasher.inputs[0] <== userSecret;
+    pseudonymHasher.inputs[1] <== campaignId;
+    pseudonym <== pseudonymHasher.out;
+
+    component conversionNullifierHasher = Poseidon(2);
+    conversionNullifierHasher.inputs[0] <== conversionHash;
+    conversionNullifierHasher.inputs[1] <== userSecret;
+    conversionNullifier <== conversionNullifierHasher.out;
+
+    component conversionHasher = Poseidon(2);
+    conversionHasher.inputs[0] <== conversionId;
+    conversionHasher.inputs[1] <== conversionTime;
+    conversionHash === conversionHasher.out;
+
+    component commitmentHasher = Poseidon(1);
+    commitmentHasher.inputs[0] <== userSecret;
+
+    component leafHasher = Poseidon(4);
+    leafHasher.inputs[0] <== clickHash;
+    leafHasher.inputs[1] <== commitmentHasher.out;
+    leafHasher.inputs[2] <== clickTime;
+    leafHasher.inputs[3] <== nextClickTime;
+
+    component path[levels];
+    signal nodes[levels + 1];
+    nodes[0] <== leafHasher.out;
+
+    for (var i = 0; i < levels; i++) {
+        path[i] = SortedPairLevel();
+        path[i].node <== nodes[i];
+        path[i].sibling <== siblings[i];
+        path[i].siblingFirst <== siblingFirst[i];
+        nodes[i + 1] <== path[i].parent;
+    }
+
+    root === nodes[levels];
+
+    // Bind publisher to the proof; it is otherwise unconstrained
+    signal publisherSquared <== publisher * publisher;
+
+    // 1 <= weight <= MAX_WEIGHT
+    component weightBits = Num2Bits(7);
+    weightBits.in <== weight;
+
+    component weightInRange = LessEqThan(7);
+    weightInRange.in[0] <== weight;
+    weightInRange.in[1] <== MAX_WEIGHT;
+    weightInRange.out === 1;
+
+    component weightIsZero = IsZero();
+    weightIsZero.in <== weight;
+    weightIsZero.out === 0;
+
+    // Timestamps are 64-bit, so the comparisons below cannot wrap
+    component clickTimeBits = Num2Bits(64);
+    clickTimeBits.in <== clickTime;
+    component nextClickTimeBits = Num2Bits(64);
+    nextClickTimeBits.in <== nextClickTime;
+    component conversionTimeBits = Num2Bits(64);
+    conversionTimeBits.in <== conversionTime;
+
+    // clickTime <= conversionTime
+    component clickedBefore = LessEqThan(64);
+    clickedBefore.in[0] <== clickTime;
+    clickedBefore.in[1] <== conversionTime;
+    clickedBefore.out === 1;
+
+    // The user's next click, if any, came after the conversion
+    component isLatest = IsZero();
+    isLatest.in <== nextClickTime;
+
+    component nextAfter = LessThan(64);
+    nextAfter.in[0] <== conversionTime;
+    nextAfter.in[1] <== nextClickTime;
+
+    // At most one of them holds: nextAfter needs a non-zero nextClickTime
+    lastClick <== isLatest.out + nextAfter.out;
+}
+
+component main {public [clickHash, conversionHash, root, weight, campaignId, publisher, clickTime, conversionTime]} = ConversionProof(20);
@@ -2,58 +2,104 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
 import "../interfaces/IAnalyticsAggregator.sol";
 
 /**
  * @title AnalyticsAggregator
  * @notice Aggregates campaign metrics with optional differential privacy
+ * @dev With DP enabled, a campaign's metrics are the sum of its epoch releases: totals of
+ * each EPOCH_DURATION, noised off-chain by the curator with a Laplace or Gaussian mechanism
+ * calibrated to the release's epsilon. The curator commits to the noise before the epoch
+ * ends, each epoch is released once, and releases stop when the campaign's epsilon budget
+ * is used up, so repeated queries only ever see the same noisy totals.
+ *
+ * The guarantee is event-level: the unit of privacy is one conversion. A user with k
+ * conversions in an epoch (at most the fraud detector's maxConversionsPerWindow per rate
+ * window) is protected as by k times the release's epsilon. It covers these query functions
+ * only; the gateway, registry and billing events publish exact per-campaign totals.
  */
 contract AnalyticsAggregator is IAnalyticsAggregator, Ownable {
+    struct EpochTotals {
+        uint256 conversions;
+        uint256 spent; // Clipped to the campaign's maxAmount per conversion
+        uint256 weight; // Clipped to MAX_WEIGHT per conversion
+    }
+
     mapping(uint256 => CampaignMetrics) private _metrics;
     mapping(uint256 => bool) private _dpEnabled;
+    mapping(address => bool) private _authorizedCallers;
+
+    mapping(uint256 => mapping(uint256 => EpochTotals)) private _epochTotals;
+    mapping(uint256 => mapping(uint256 => EpochRelease)) private _releases;
+    mapping(uint256 => CampaignMetrics) private _releasedMetrics;
+    mapping(uint256 => PrivacyBudget) private _privacyBudgets;
+
+    // Off-chain service that noises and releases epochs (scripts/lib/privacy.js)
+    address public curator;
 
-    uint256 public constant DP_NOISE_FACTOR = 5; // Noise percentage for DP
+    uint256 public constant EPOCH_DURATION = 1 days;
+    uint256 public constant EPSILON_PRECISION = 1e6; // Epsilon of 1
+    uint256 public constant MAX_WEIGHT = 100;
 
     event CampaignPerformance(uint256 indexed campaignId, uint256 conversionRate, uint256 avgCost);
+    event CallerAuthorized(address indexed caller);
+    event CallerRevoked(address indexed caller);
+    event CuratorUpdated(address indexed curator);
+
+    modifier onlyAuthorizedCaller() {
+        require(_authorizedCallers[msg.sender] || msg.sender == owner(), "Not authorized");
+        _;
+    }
+
+    modifier onlyOwnerOrCurator() {
+        require(msg.sender == owner() || msg.sender == curator, "Not curator");
+        _;
+    }
 
     constructor() Ownable(msg.sender) {}
 
     /**
      * @notice Records a conversion for analytics
-     * @dev Updates total conversions, spent amount, and timestamp atomically
+     * @dev Updates total conversions, spent amount, weight, and timestamp atomically
      * @param campaignId Campaign ID
      * @param amount Amount spent on conversion
+     * @param weight Attribution weight the amount was billed for
      */
     function recordConversion(
         uint256 campaignId,
-        uint256 amount
-    ) external override onlyOwner {
+        uint256 amount,
+        uint256 weight
+    ) external override onlyAuthorizedCaller {
         CampaignMetrics storage metrics = _metrics[campaignId];
         
         metrics.totalConversions += 1;
         metrics.totalSpent += amount;
+        metrics.totalWeight += weight;
         metrics.lastConversionTime = block.timestamp;
 
-        emit MetricsUpdated(campaignId, metrics.totalConversions, metrics.totalSpent);
+        EpochTotals storage totals = _epochTotals[campaignId][currentEpoch()];
+        totals.conversions += 1;
+        totals.spent += Math.min(amount, _privacyBudgets[campaignId].maxAmount);
+        totals.weight += Math.min(weight, MAX_WEIGHT);
+
+        // Running totals would give away what the epoch releases hide
+        if (!_dpEnabled[campaignId]) {
+            emit MetricsUpdated(campaignId, metrics.totalConversions, metrics.totalSpent);
+        }
     }
 
     /**
      * @notice Gets campaign metrics
+     * @dev With DP enabled, the sum of the released epochs; lastConversionTime is then the
+     * end of the last released epoch
      * @param campaignId Campaign ID
      * @return CampaignMetrics struct
      */
     function getMetrics(
         uint256 campaignId
     ) external view override returns (CampaignMetrics memory) {
-        CampaignMetrics memory metrics = _metrics[campaignId];
-        
-        // Apply differential privacy noise if enabled
-        if (_dpEnabled[campaignId]) {
-            metrics.totalConversions = _applyDPNoise(metrics.totalConversions);
-            metrics.totalSpent = _applyDPNoise(metrics.totalSpent);
-        }
-        
-        return metrics;
+        return _publicMetrics(campaignId);
     }
 
     /**
@@ -64,13 +110,7 @@ contract AnalyticsAggregator is IAnalyticsAggregator, Ownable {
     function getTotalConversions(
         uint256 campaignId
     ) external view override returns (uint256) {
-        uint256 conversions = _metrics[campaignId].totalConversions;
-        
-        if (_dpEnabled[campaignId]) {
-            conversions = _applyDPNoise(conversions);
-        }
-        
-        return conversions;
+        return _publicMetrics(campaignId).totalConversions;
     }
 
     /**
@@ -79,28 +119,203 @@ contract AnalyticsAggregator is IAnalyticsAggregator, Ownable {
      * @return uint256 Total spent
      */
     function getTotalSpent(uint256 campaignId) external view returns (uint256) {
-        uint256 spent = _metrics[campaignId].totalSpent;
-        
-        if (_dpEnabled[campaignId]) {
-            spent = _applyDPNoise(spent);
-        }
-        
-        return spent;
+        return _publicMetrics(campaignId).totalSpent;
     }
 
     /**
      * @notice Enables differential privacy for a campaign
+     * @dev One-way: disabling it would make the query functions answer with exact totals
      * @param campaignId Campaign ID
-     * @param enabled Whether to enable DP
+     * @param enabled Whether to enable DP; false only for campaigns that never enabled it
      */
     function setDifferentialPrivacy(
         uint256 campaignId,
         bool enabled
     ) external onlyOwner {
+        require(enabled || !_dpEnabled[campaignId], "DP cannot be disabled");
         _dpEnabled[campaignId] = enabled;
         _metrics[campaignId].dpEnabled = enabled;
     }
 
+    /**
+     * @notice Sets a campaign's epsilon budget and the spend one conversion can contribute
+     * @dev Raising the budget weakens the guarantee already given for released epochs.
+     * Spend recorded before maxAmount is set counts as zero in the epoch totals.
+     * @param campaignId Campaign ID
+     * @param epsilon Total budget, scaled by EPSILON_PRECISION
+     * @param maxAmount Most one conversion adds to an epoch's released spend
+     */
+    function setPrivacyBudget(
+        uint256 campaignId,
+        uint256 epsilon,
+        uint256 maxAmount
+    ) external onlyOwner {
+        PrivacyBudget storage budget = _privacyBudgets[campaignId];
+        require(epsilon >= budget.spent, "Budget below spent");
+        require(maxAmount > 0, "Invalid max amount");
+
+        budget.epsilon = epsilon;
+        budget.maxAmount = maxAmount;
+        emit PrivacyBudgetSet(campaignId, epsilon, maxAmount);
+    }
+
+    /**
+     * @notice Appoints the off-chain curator, or removes it with the zero address
+     * @param _curator Curator address
+     */
+    function setCurator(address _curator) external onlyOwner {
+        curator = _curator;
+        emit CuratorUpdated(_curator);
+    }
+
+    /**
+     * @notice Commits to the noise of an epoch's release before the epoch ends
+     * @dev Binding the noise before the totals are final stops the curator from redrawing
+     * it until the release looks right. The commitment is opened to auditors off-chain.
+     * @param campaignId Campaign ID
+     * @param epoch Current or future epoch
+     * @param commitment Hash of the noise, epsilon and a salt
+     */
+    function commitNoise(
+        uint256 campaignId,
+        uint256 epoch,
+        bytes32 commitment
+    ) external onlyOwnerOrCurator {
+        require(epoch >= currentEpoch(), "Epoch already ended");
+        require(commitment != bytes32(0), "Invalid commitment");
+        EpochRelease storage release = _releases[campaignId][epoch];
+        require(release.noiseCommitment == bytes32(0), "Noise already committed");
+
+        release.noiseCommitment = commitment;
+        emit NoiseCommitted(campaignId, epoch, commitment);
+    }
+
+    /**
+     * @notice Publishes an ended epoch's noisy totals and charges their epsilon to the budget
+     * @param campaignId Campaign ID
+     * @param epoch Ended epoch with committed noise
+     * @param conversions Noisy conversions
+     * @param spent Noisy spend
+     * @param weight Noisy attribution weight
+     * @param epsilon Privacy cost of the release, scaled by EPSILON_PRECISION
+     */
+    function releaseEpoch(
+        uint256 campaignId,
+        uint256 epoch,
+        uint256 conversions,
+        uint256 spent,
+        uint256 weight,
+        uint256 epsilon
+    ) external onlyOwnerOrCurator {
+        EpochRelease storage release = _releases[campaignId][epoch];
+        PrivacyBudget storage budget = _privacyBudgets[campaignId];
+
+        require(_dpEnabled[campaignId], "DP not enabled");
+        require(epoch < currentEpoch(), "Epoch not ended");
+        require(release.noiseCommitment != bytes32(0), "Noise not committed");
+        require(!release.released, "Epoch already released");
+        require(epsilon > 0, "Invalid epsilon");
+        require(budget.spent + epsilon <= budget.epsilon, "Privacy budget exhausted");
+
+        budget.spent += epsilon;
+        release.conversions = conversions;
+        release.spent = spent;
+        release.weight = weight;
+        release.epsilon = epsilon;
+        release.released = true;
+
+        CampaignMetrics storage released = _releasedMetrics[campaignId];
+        released.totalConversions += conversions;
+        released.totalSpent += spent;
+        released.totalWeight += weight;
+        released.lastConversionTime = Math.max(
+            released.lastConversionTime,
+            (epoch + 1) * EPOCH_DURATION
+        );
+
+        emit EpochReleased(campaignId, epoch, conversions, spent, weight, epsilon);
+    }
+
+    /**
+     * @notice Gets an epoch's release, or its noise commitment before release
+     * @param campaignId Campaign ID
+     * @param epoch Epoch
+     * @return EpochRelease Release
+     */
+    function getRelease(
+        uint256 campaignId,
+        uint256 epoch
+    ) external view returns (EpochRelease memory) {
+        return _releases[campaignId][epoch];
+    }
+
+    /**
+     * @notice Gets a campaign's privacy budget
+     * @param campaignId Campaign ID
+     * @return PrivacyBudget Budget, epsilon spent and per-conversion spend bound
+     */
+    function getPrivacyBudget(uint256 campaignId) external view returns (PrivacyBudget memory) {
+        return _privacyBudgets[campaignId];
+    }
+
+    /**
+     * @notice Gets an epoch's exact totals, the input to its noisy release (owner or curator)
+     * @dev Keeps exact totals out of the query API; contract storage stays readable on-chain
+     * @param campaignId Campaign ID
+     * @param epoch Epoch
+     * @return conversions Conversions recorded in the epoch
+     * @return spent Spend, clipped per conversion
+     * @return weight Attribution weight, clipped per conversion
+     */
+    function getEpochTotals(
+        uint256 campaignId,
+        uint256 epoch
+    )
+        external
+        view
+        onlyOwnerOrCurator
+        returns (uint256 conversions, uint256 spent, uint256 weight)
+    {
+        EpochTotals memory totals = _epochTotals[campaignId][epoch];
+        return (totals.conversions, totals.spent, totals.weight);
+    }
+
+    /**
+     * @notice Gets the epoch conversions are currently recorded in
+     * @return uint256 Epoch index
+     */
+    function currentEpoch() public view returns (uint256) {
+        return block.timestamp / EPOCH_DURATION;
+    }
+
+    /**
+     * @notice Authorizes a caller (e.g. AttributionGateway) to record conversions
+     * @param caller Address to authorize
+     */
+    function authorizeCaller(address caller) external onlyOwner {
+        require(caller != address(0), "Invalid caller");
+        _authorizedCallers[caller] = true;
+        emit CallerAuthorized(caller);
+    }
+
+    /**
+     * @notice Revokes conversion recording authorization
+     * @param caller Address to revoke
+     */
+    function revokeCaller(address caller) external onlyOwner {
+        _authorizedCallers[caller] = false;
+        emit CallerRevoked(caller);
+    }
+
+    /**
+     * @notice Checks if address is an authorized caller
+     * @param caller Address to check
+     * @return bool True if authorized
+     */
+    function isAuthorizedCaller(address caller) external view returns (bool) {
+        return _authorizedCallers[caller];
+    }
+
     /**
      * @notice Checks if DP is enabled for a campaign
      * @param campaignId Campaign ID
@@ -116,7 +331,7 @@ contract AnalyticsAggregator is IAnalyticsAggregator, Ownable {
      * @return uint256 Conversion rate (scaled by 1e18)
      */
     function getConversionRate(uint256 campaignId) external view returns (uint256) {
-        CampaignMetrics memory metrics = _metrics[campaignId];
+        CampaignMetrics memory metrics = _publicMetrics(campaignId);
         
         if (metrics.totalSpent == 0) {
             return 0;
@@ -131,7 +346,7 @@ contract AnalyticsAggregator is IAnalyticsAggregator, Ownable {
      * @return uint256 Average cost
      */
     function getAverageCost(uint256 campaignId) external view returns (uint256) {
-        CampaignMetrics memory metrics = _metrics[campaignId];
+        CampaignMetrics memory metrics = _publicMetrics(campaignId);
         
         if (metrics.totalConversions == 0) {
             return 0;
@@ -140,8 +355,25 @@ contract AnalyticsAggregator is IAnalyticsAggregator, Ownable {
         return metrics.totalSpent / metrics.totalConversions;
     }
 
+    /**
+     * @notice Gets average cost per unit of attribution weight
+     * @dev Multiply by MAX_WEIGHT (100) for the cost of a fully attributed conversion
+     * @param campaignId Campaign ID
+     * @return uint256 Average cost per weight unit
+     */
+    function getWeightedCost(uint256 campaignId) external view returns (uint256) {
+        CampaignMetrics memory metrics = _publicMetrics(campaignId);
+        
+        if (metrics.totalWeight == 0) {
+            return 0;
+        }
+        
+        return metrics.totalSpent / metrics.totalWeight;
+    }
+
     /**
      * @notice Resets metrics for a campaign (admin only)
+     * @dev Released epochs and the epsilon they spent are kept: they have been published
      * @param campaignId Campaign ID
      */
     function resetMetrics(uint256 campaignId) external onlyOwner {
@@ -149,27 +381,17 @@ contract AnalyticsAggregator is IAnalyticsAggregator, Ownable {
     }
 
     /**
-     * @notice Applies differential privacy noise to a value
-     * @param value Original value
-     * @return uint256 Noised value
+     * @notice Metrics the query functions answer with
+     * @param campaignId Campaign ID
+     * @return CampaignMetrics Released noisy totals with DP enabled, exact totals otherwise
      */
-    function _applyDPNoise(uint256 value) private view returns (uint256) {
-        if (value == 0) return 0;
-        
-        // Generate pseudo-random noise based on block data
-        uint256 noise = uint256(
-            keccak256(abi.encodePacked(block.timestamp, block.prevrandao, value))
-        ) % DP_NOISE_FACTOR;
-        
-        // Apply noise (±noise%)
-        uint256 adjustment = (value * noise) / 100;
-        
-        // Randomly add or subtract
-        if (uint256(keccak256(abi.encodePacked(value, block.timestamp))) % 2 == 0) {
-            return value + adjustment;
-        } else {
-            return value > adjustment ? value - adjustment : value;
+    function _publicMetrics(uint256 campaignId) private view returns (CampaignMetrics memory) {
+        if (_dpEnabled[campaignId]) {
+            CampaignMetrics memory released = _releasedMetrics[campaignId];
+            released.dpEnabled = true;
+            return released;
         }
+        return _metrics[campaignId];
     }
 
     /**
@@ -183,12 +405,7 @@ contract AnalyticsAggregator is IAnalyticsAggregator, Ownable {
         CampaignMetrics[] memory results = new CampaignMetrics[](campaignIds.length);
         
         for (uint256 i = 0; i < campaignIds.length; i++) {
-            results[i] = _metrics[campaignIds[i]];
-            
-            if (_dpEnabled[campaignIds[i]]) {
-                results[i].totalConversions = _applyDPNoise(results[i].totalConversions);
-                results[i].totalSpent = _applyDPNoise(results[i].totalSpent);
-            }
+            results[i] = _publicMetrics(campaignIds[i]);
         }
         
         return results;
@@ -3,28 +3,50 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "../security/GuardianPausable.sol";
 import "../interfaces/IAttributionGateway.sol";
 import "../interfaces/IConversionVerifier.sol";
 import "../interfaces/ICampaignRegistry.sol";
 import "../interfaces/IBillingModule.sol";
 import "../interfaces/IAnalyticsAggregator.sol";
+import "../interfaces/IFraudDetector.sol";
 
 /**
  * @title AttributionGateway
  * @notice Main gateway for conversion submission and verification
+ * @dev Each submission attributes one click of a conversion to its publisher, with the
+ * attribution weight (publicInputs[3]) and the publisher (publicInputs[5]) bound into the
+ * proof, so a submission cannot be replayed for another publisher. The clicks of a conversion
+ * share at most MAX_WEIGHT, split as the campaign's attribution model allows; a conversion
+ * is identified per user by its conversion nullifier (publicInputs[6]),
+ * Poseidon(conversionHash, userSecret), which only its user can prove. The proof also carries
+ * the click's time (publicInputs[7]), the conversion's time (publicInputs[8]) and whether the
+ * click is the user's last before the conversion (publicInputs[9]), which the attribution
+ * model checks the weight against. When a fraud module is set, the user's campaign pseudonym
+ * (publicInputs[4]) must pass its check before billing, and the outcome of every checked
+ * conversion is reported back to it. No address is ever scored.
  */
-contract AttributionGateway is IAttributionGateway, Ownable, ReentrancyGuard {
+contract AttributionGateway is IAttributionGateway, GuardianPausable, ReentrancyGuard {
     IConversionVerifier public immutable verifier;
     ICampaignRegistry public immutable campaignRegistry;
     IBillingModule public billingModule;
     IAnalyticsAggregator public analyticsAggregator;
+    IFraudDetector public fraudDetector;
 
     mapping(bytes32 => bool) private _processedNullifiers;
     mapping(uint256 => uint256) private _campaignConversionCount;
+    // Weight and clicks attributed per campaign and conversion nullifier
+    mapping(uint256 => mapping(bytes32 => ConversionCredit)) private _conversionCredits;
 
-    uint256 public constant DEFAULT_WEIGHT = 1;
+    // Mirrors BillingModule.MAX_WEIGHT: the whole weight of one conversion
+    uint256 public constant MAX_WEIGHT = 100;
     uint256 public immutable deploymentTime;
 
+    struct ConversionCredit {
+        uint128 weight;
+        uint128 clicks;
+    }
+
     event ConversionProcessed(
         uint256 indexed campaignId,
         bytes32 indexed nullifier,
@@ -46,8 +68,10 @@ contract AttributionGateway is IAttributionGateway, Ownable, ReentrancyGuard {
 
     /**
      * @notice Submits a conversion with ZK proof
-     * @dev Validates campaign status, proof, and processes billing atomically
+     * @dev Validates campaign status, publisher, proof, fraud signals and attribution weight,
+     * and processes billing atomically
      * @param campaignId Campaign ID
+     * @param publisher Publisher the conversion is attributed to (registered in BillingModule)
      * @param clickHash Hash of click data
      * @param conversionHash Hash of conversion data
      * @param nullifier Unique nullifier
@@ -56,61 +80,41 @@ contract AttributionGateway is IAttributionGateway, Ownable, ReentrancyGuard {
      */
     function submitConversion(
         uint256 campaignId,
+        address publisher,
         bytes32 clickHash,
         bytes32 conversionHash,
         bytes32 nullifier,
         IConversionVerifier.ProofData memory proof
-    ) external override nonReentrant returns (bool) {
-        // Check campaign is active
-        if (!campaignRegistry.isCampaignActive(campaignId)) {
-            emit ConversionRejected(campaignId, nullifier, "Campaign not active");
-            return false;
-        }
-
-        // Check nullifier hasn't been used
-        if (_processedNullifiers[nullifier] || verifier.isNullifierUsed(nullifier)) {
-            emit ConversionRejected(campaignId, nullifier, "Nullifier already used");
-            return false;
-        }
-
-        // Verify ZK proof
-        bool verified = verifier.verifyConversionProof(
+    ) external override nonReentrant whenNotPaused returns (bool) {
+        string memory reason = _checkConversion(
             campaignId,
+            publisher,
             clickHash,
             conversionHash,
             nullifier,
-            proof
+            proof,
+            0
         );
-
-        if (!verified) {
-            emit ConversionRejected(campaignId, nullifier, "Proof verification failed");
+        if (bytes(reason).length > 0) {
+            emit ConversionRejected(campaignId, nullifier, reason);
             return false;
         }
 
-        // Mark nullifier as processed
-        _processedNullifiers[nullifier] = true;
-
         // Process billing if module is set
+        uint256 weight = proof.publicInputs[3];
+        uint256 cost = 0;
         if (address(billingModule) != address(0)) {
-            try billingModule.processConversion(campaignId, nullifier, DEFAULT_WEIGHT) {
-                // Billing successful
+            try billingModule.processConversion(campaignId, publisher, nullifier, weight) {
+                cost = billingModule.calculateFee(campaignId, weight);
             } catch {
                 emit ConversionRejected(campaignId, nullifier, "Billing failed");
                 return false;
             }
         }
 
-        // Record analytics if aggregator is set
-        if (address(analyticsAggregator) != address(0)) {
-            uint256 cost = billingModule.calculateFee(campaignId, DEFAULT_WEIGHT);
-            analyticsAggregator.recordConversion(campaignId, cost);
-        }
-
-        // Update conversion count
-        _campaignConversionCount[campaignId] += 1;
-
-        emit ConversionSubmitted(campaignId, nullifier, msg.sender, block.timestamp);
-        emit ConversionProcessed(campaignId, nullifier, block.timestamp, DEFAULT_WEIGHT);
+        // Mark nullifier and weight as used once billing has gone through
+        _reserve(campaignId, _conversionNullifier(proof), nullifier, weight);
+        _recordConversion(campaignId, publisher, _pseudonym(proof), nullifier, cost, weight);
 
         return true;
     }
@@ -133,6 +137,16 @@ contract AttributionGateway is IAttributionGateway, Ownable, ReentrancyGuard {
         analyticsAggregator = IAnalyticsAggregator(_analyticsAggregator);
     }
 
+    /**
+     * @notice Sets the fraud module consulted before billing
+     * @dev The module must let this gateway call recordConversion
+     * @param _fraudDetector Fraud detector address
+     */
+    function setFraudDetector(address _fraudDetector) external onlyOwner {
+        require(_fraudDetector != address(0), "Invalid address");
+        fraudDetector = IFraudDetector(_fraudDetector);
+    }
+
     /**
      * @notice Checks if nullifier has been processed
      * @param nullifier Nullifier to check
@@ -142,6 +156,21 @@ contract AttributionGateway is IAttributionGateway, Ownable, ReentrancyGuard {
         return _processedNullifiers[nullifier];
     }
 
+    /**
+     * @notice Gets the weight already attributed for a conversion
+     * @param campaignId Campaign ID
+     * @param conversionNullifier Conversion nullifier, Poseidon(conversionHash, userSecret)
+     * @return weight Weight attributed so far (at most MAX_WEIGHT)
+     * @return clicks Number of clicks it was attributed to
+     */
+    function getConversionCredit(
+        uint256 campaignId,
+        bytes32 conversionNullifier
+    ) external view returns (uint256 weight, uint256 clicks) {
+        ConversionCredit memory credit = _conversionCredits[campaignId][conversionNullifier];
+        return (credit.weight, credit.clicks);
+    }
+
     /**
      * @notice Gets conversion count for a campaign
      * @param campaignId Campaign ID
@@ -153,45 +182,388 @@ contract AttributionGateway is IAttributionGateway, Ownable, ReentrancyGuard {
 
     /**
      * @notice Batch submit conversions for gas efficiency
+     * @dev Each conversion is checked like submitConversion. Accepted conversions are
+     * billed with one BillingModule call (and one payout per share) per campaign and
+     * publisher; if that call fails, every conversion of that campaign and publisher in
+     * the batch is rejected with "Billing failed". Outcome events are emitted in input order.
+     * Conversions a pseudonym makes earlier in the batch count against its rate limit.
      * @param campaignIds Array of campaign IDs
+     * @param publishers Array of attributed publishers
      * @param clickHashes Array of click hashes
      * @param conversionHashes Array of conversion hashes
      * @param nullifiers Array of nullifiers
      * @param proofs Array of proofs
-     * @return bool[] Array of success flags
+     * @return results Per-conversion success flags
      */
     function batchSubmitConversions(
         uint256[] memory campaignIds,
+        address[] memory publishers,
         bytes32[] memory clickHashes,
         bytes32[] memory conversionHashes,
         bytes32[] memory nullifiers,
         IConversionVerifier.ProofData[] memory proofs
-    ) external nonReentrant returns (bool[] memory) {
+    ) external nonReentrant whenNotPaused returns (bool[] memory results) {
         require(campaignIds.length == proofs.length, "Length mismatch");
+        require(publishers.length == proofs.length, "Length mismatch");
         require(clickHashes.length == proofs.length, "Length mismatch");
         require(conversionHashes.length == proofs.length, "Length mismatch");
         require(nullifiers.length == proofs.length, "Length mismatch");
 
-        bool[] memory results = new bool[](proofs.length);
+        results = new bool[](proofs.length);
+        string[] memory reasons = new string[](proofs.length);
+        // Weight of each conversion that passed its checks; 0 for the others
+        uint256[] memory weights = new uint256[](proofs.length);
 
         for (uint256 i = 0; i < proofs.length; i++) {
-            results[i] = this.submitConversion(
+            uint256 acceptedEarlier = _acceptedInBatch(campaignIds, proofs, results, i);
+            reasons[i] = _checkConversion(
                 campaignIds[i],
+                publishers[i],
                 clickHashes[i],
                 conversionHashes[i],
                 nullifiers[i],
-                proofs[i]
+                proofs[i],
+                acceptedEarlier
             );
+
+            if (bytes(reasons[i]).length == 0) {
+                // Reserve the nullifier and weight so later duplicates in the batch are rejected
+                weights[i] = proofs[i].publicInputs[3];
+                _reserve(campaignIds[i], _conversionNullifier(proofs[i]), nullifiers[i], weights[i]);
+                results[i] = true;
+            }
+        }
+
+        uint256[] memory costs = new uint256[](proofs.length);
+        if (address(billingModule) != address(0)) {
+            costs = _billBatch(campaignIds, publishers, nullifiers, weights, results, reasons);
+        }
+
+        for (uint256 i = 0; i < proofs.length; i++) {
+            if (results[i]) {
+                _recordConversion(
+                    campaignIds[i],
+                    publishers[i],
+                    _pseudonym(proofs[i]),
+                    nullifiers[i],
+                    costs[i],
+                    weights[i]
+                );
+            } else {
+                if (weights[i] > 0) {
+                    _release(campaignIds[i], _conversionNullifier(proofs[i]), nullifiers[i], weights[i]);
+                }
+                emit ConversionRejected(campaignIds[i], nullifiers[i], reasons[i]);
+            }
+        }
+    }
+
+    /**
+     * @notice Runs the checks that precede billing
+     * @dev The fraud check runs after the proof, so the pseudonym it reads is the proven
+     * one. Conversions that pass it but fail the attribution check are reported to the
+     * fraud module as failed.
+     * @param batchConversions Conversions of the same pseudonym accepted earlier in the
+     * batch, which the fraud module has not recorded yet
+     * @return reason Rejection reason, or an empty string if the conversion can be billed
+     */
+    function _checkConversion(
+        uint256 campaignId,
+        address publisher,
+        bytes32 clickHash,
+        bytes32 conversionHash,
+        bytes32 nullifier,
+        IConversionVerifier.ProofData memory proof,
+        uint256 batchConversions
+    ) private returns (string memory reason) {
+        // Check campaign is active
+        if (!campaignRegistry.isCampaignActive(campaignId)) {
+            return "Campaign not active";
+        }
+
+        // Check the publisher may be paid for the campaign
+        if (
+            address(billingModule) != address(0) &&
+            !billingModule.isPublisherRegistered(campaignId, publisher)
+        ) {
+            return "Publisher not registered";
+        }
+
+        // Check nullifier hasn't been used
+        if (_processedNullifiers[nullifier] || verifier.isNullifierUsed(nullifier)) {
+            return "Nullifier already used";
+        }
+
+        // Verify ZK proof
+        if (!verifier.verifyConversionProof(campaignId, clickHash, conversionHash, nullifier, proof)) {
+            return "Proof verification failed";
+        }
+
+        // Check the proof is for the publisher being paid
+        if (proof.publicInputs[5] != uint256(uint160(publisher))) {
+            return "Publisher not proven";
+        }
+
+        // Check the user's campaign pseudonym and the publisher's traffic under the campaign's fraud policy
+        bytes32 pseudonym = _pseudonym(proof);
+        if (
+            address(fraudDetector) != address(0) &&
+            (!fraudDetector.checkFraud(campaignId, pseudonym, _deviceId(publisher)) ||
+                (batchConversions > 0 &&
+                    fraudDetector.getRemainingConversions(campaignId, pseudonym) <= batchConversions))
+        ) {
+            return "Fraud check failed";
+        }
+
+        reason = _checkAttribution(campaignId, proof);
+        if (bytes(reason).length > 0) {
+            _reportFraudOutcome(campaignId, pseudonym, publisher, false);
+        }
+    }
+
+    /**
+     * @notice Counts the conversions accepted before index i of a batch with i's campaign and pseudonym
+     */
+    function _acceptedInBatch(
+        uint256[] memory campaignIds,
+        IConversionVerifier.ProofData[] memory proofs,
+        bool[] memory accepted,
+        uint256 i
+    ) private pure returns (uint256 count) {
+        // Proofs with too few inputs fail verification; do not read past them
+        if (proofs[i].publicInputs.length <= 4) {
+            return 0;
+        }
+
+        for (uint256 j = 0; j < i; j++) {
+            if (accepted[j] && campaignIds[j] == campaignIds[i] && _pseudonym(proofs[j]) == _pseudonym(proofs[i])) {
+                count++;
+            }
+        }
+    }
+
+    /**
+     * @notice The user's pseudonym in the campaign, bound into the proof (publicInputs[4])
+     */
+    function _pseudonym(IConversionVerifier.ProofData memory proof) private pure returns (bytes32) {
+        return bytes32(proof.publicInputs[4]);
+    }
+
+    /**
+     * @notice The conversion's identity for attribution, bound into the proof (publicInputs[6])
+     */
+    function _conversionNullifier(IConversionVerifier.ProofData memory proof) private pure returns (bytes32) {
+        return bytes32(proof.publicInputs[6]);
+    }
+
+    /**
+     * @notice Device identifier passed to the fraud module
+     * @dev Conversions carry no device signal, so the publisher stands in for it: device
+     * scores rate the traffic a publisher sends
+     */
+    function _deviceId(address publisher) private pure returns (bytes32) {
+        return bytes32(uint256(uint160(publisher)));
+    }
+
+    /**
+     * @notice Reports a checked conversion's outcome to the fraud module, if one is set
+     */
+    function _reportFraudOutcome(
+        uint256 campaignId,
+        bytes32 pseudonym,
+        address publisher,
+        bool success
+    ) private {
+        if (address(fraudDetector) != address(0)) {
+            fraudDetector.recordConversion(campaignId, pseudonym, _deviceId(publisher), success);
+        }
+    }
+
+    /**
+     * @notice Checks a click's weight against the campaign's attribution model
+     * @dev LAST_CLICK pays the user's last click before the conversion the whole weight,
+     * LINEAR pays every click the same weight, TIME_DECAY pays a click at most its decayed
+     * weight (see _decayedWeight), and no model pays more than MAX_WEIGHT per conversion
+     * @return reason Rejection reason, or an empty string if the weight can be billed
+     */
+    function _checkAttribution(
+        uint256 campaignId,
+        IConversionVerifier.ProofData memory proof
+    ) private view returns (string memory reason) {
+        uint256 weight = proof.publicInputs[3];
+        if (weight == 0 || weight > MAX_WEIGHT) {
+            return "Invalid weight";
+        }
+
+        // The click comes first, and the conversion cannot be ahead of the chain
+        uint256 clickTime = proof.publicInputs[7];
+        uint256 conversionTime = proof.publicInputs[8];
+        if (clickTime > conversionTime || conversionTime > block.timestamp) {
+            return "Invalid conversion time";
+        }
+
+        ConversionCredit memory credit = _conversionCredits[campaignId][_conversionNullifier(proof)];
+        ICampaignRegistry.Attribution memory attribution = campaignRegistry.getAttribution(campaignId);
+
+        if (attribution.model == ICampaignRegistry.AttributionModel.LAST_CLICK) {
+            if (weight != MAX_WEIGHT) {
+                return "Invalid weight";
+            }
+            if (proof.publicInputs[9] != 1) {
+                return "Not the last click";
+            }
+        } else if (attribution.model == ICampaignRegistry.AttributionModel.LINEAR) {
+            if (credit.clicks > 0 && weight * credit.clicks != credit.weight) {
+                return "Invalid weight";
+            }
+        } else if (weight > _decayedWeight(conversionTime - clickTime, attribution.halfLife)) {
+            return "Invalid weight";
+        }
+
+        if (credit.weight + weight > MAX_WEIGHT) {
+            return "Conversion already attributed";
+        }
+
+        return "";
+    }
+
+    /**
+     * @notice Most weight TIME_DECAY pays a click made `age` seconds before its conversion
+     * @dev MAX_WEIGHT halved for every full halfLife, falling linearly towards the next halving
+     * in between. zk/src/attribution.js computes the same bound.
+     */
+    function _decayedWeight(uint256 age, uint256 halfLife) private pure returns (uint256) {
+        uint256 start = MAX_WEIGHT >> (age / halfLife);
+        return start - (start * (age % halfLife)) / halfLife / 2;
+    }
+
+    /**
+     * @notice Marks a nullifier as processed and adds its weight to the conversion's credit
+     */
+    function _reserve(uint256 campaignId, bytes32 conversionNullifier, bytes32 nullifier, uint256 weight) private {
+        _processedNullifiers[nullifier] = true;
+
+        ConversionCredit storage credit = _conversionCredits[campaignId][conversionNullifier];
+        credit.weight += uint128(weight);
+        credit.clicks += 1;
+    }
+
+    /**
+     * @notice Undoes _reserve for a conversion whose billing failed
+     */
+    function _release(uint256 campaignId, bytes32 conversionNullifier, bytes32 nullifier, uint256 weight) private {
+        _processedNullifiers[nullifier] = false;
+
+        ConversionCredit storage credit = _conversionCredits[campaignId][conversionNullifier];
+        credit.weight -= uint128(weight);
+        credit.clicks -= 1;
+    }
+
+    /**
+     * @notice Bills the accepted conversions of a batch, one BillingModule call per campaign and publisher
+     * @dev Rejects every conversion of a group whose billing fails
+     * @return costs Per-conversion cost, for analytics
+     */
+    function _billBatch(
+        uint256[] memory campaignIds,
+        address[] memory publishers,
+        bytes32[] memory nullifiers,
+        uint256[] memory weights,
+        bool[] memory accepted,
+        string[] memory reasons
+    ) private returns (uint256[] memory costs) {
+        costs = new uint256[](campaignIds.length);
+        bool[] memory grouped = new bool[](campaignIds.length);
+
+        for (uint256 i = 0; i < campaignIds.length; i++) {
+            if (!accepted[i] || grouped[i]) continue;
+
+            uint256[] memory members = _groupMembers(campaignIds, publishers, accepted, i);
+            bytes32[] memory batchNullifiers = new bytes32[](members.length);
+            uint256[] memory batchWeights = new uint256[](members.length);
+
+            for (uint256 j = 0; j < members.length; j++) {
+                grouped[members[j]] = true;
+                batchNullifiers[j] = nullifiers[members[j]];
+                batchWeights[j] = weights[members[j]];
+            }
+
+            try billingModule.processConversionBatch(
+                campaignIds[i],
+                publishers[i],
+                batchNullifiers,
+                batchWeights
+            ) {
+                for (uint256 j = 0; j < members.length; j++) {
+                    costs[members[j]] = billingModule.calculateFee(campaignIds[i], batchWeights[j]);
+                }
+            } catch {
+                for (uint256 j = 0; j < members.length; j++) {
+                    accepted[members[j]] = false;
+                    reasons[members[j]] = "Billing failed";
+                }
+            }
+        }
+    }
+
+    /**
+     * @notice Finds the accepted conversions of the campaign and publisher at `first`, from `first` onwards
+     * @return members Indexes into the batch
+     */
+    function _groupMembers(
+        uint256[] memory campaignIds,
+        address[] memory publishers,
+        bool[] memory accepted,
+        uint256 first
+    ) private pure returns (uint256[] memory members) {
+        uint256 count = 0;
+        for (uint256 i = first; i < campaignIds.length; i++) {
+            if (_sameGroup(campaignIds, publishers, accepted, first, i)) count++;
         }
 
-        return results;
+        members = new uint256[](count);
+        uint256 next = 0;
+        for (uint256 i = first; i < campaignIds.length; i++) {
+            if (_sameGroup(campaignIds, publishers, accepted, first, i)) members[next++] = i;
+        }
     }
 
     /**
-     * @notice Emergency pause functionality
+     * @return bool True if conversion `i` is accepted and billed together with conversion `first`
      */
-    function pause() external onlyOwner {
-        // Implementation for pause functionality
+    function _sameGroup(
+        uint256[] memory campaignIds,
+        address[] memory publishers,
+        bool[] memory accepted,
+        uint256 first,
+        uint256 i
+    ) private pure returns (bool) {
+        return accepted[i] && campaignIds[i] == campaignIds[first] && publishers[i] == publishers[first];
+    }
+
+    /**
+     * @notice Records an accepted conversion in analytics and the fraud module, and emits its events
+     */
+    function _recordConversion(
+        uint256 campaignId,
+        address publisher,
+        bytes32 pseudonym,
+        bytes32 nullifier,
+        uint256 cost,
+        uint256 weight
+    ) private {
+        // Record analytics if aggregator is set
+        if (address(analyticsAggregator) != address(0)) {
+            analyticsAggregator.recordConversion(campaignId, cost, weight);
+        }
+
+        _reportFraudOutcome(campaignId, pseudonym, publisher, true);
+
+        // Update conversion count
+        _campaignConversionCount[campaignId] += 1;
+
+        emit ConversionSubmitted(campaignId, nullifier, msg.sender, block.timestamp);
+        emit ConversionProcessed(campaignId, nullifier, block.timestamp, weight);
     }
 }
 
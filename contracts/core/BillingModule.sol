@@ -3,6 +3,7 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "../security/GuardianPausable.sol";
 import "../interfaces/IBillingModule.sol";
 import "../interfaces/ICampaignRegistry.sol";
 import "../interfaces/ITreasuryVault.sol";
@@ -12,7 +13,7 @@ import "../libraries/CampaignLib.sol";
  * @title BillingModule
  * @notice Handles conversion billing and budget management
  */
-contract BillingModule is IBillingModule, Ownable, ReentrancyGuard {
+contract BillingModule is IBillingModule, GuardianPausable, ReentrancyGuard {
     using CampaignLib for uint8;
 
     ICampaignRegistry public immutable campaignRegistry;
@@ -21,11 +22,41 @@ contract BillingModule is IBillingModule, Ownable, ReentrancyGuard {
     uint256 public constant BASE_COST = 0.001 ether;
     uint256 public constant MAX_WEIGHT = 100;
     uint256 public constant MIN_WEIGHT = 1;
+    uint256 public constant BPS = 10_000;
+    // Most of a fee that can go to the protocol and a referrer together
+    uint256 public constant MAX_SPLIT_BPS = 5_000;
 
-    mapping(uint256 => address) public campaignPublishers;
+    // Publishers allowed to be attributed conversions, per campaign
+    mapping(uint256 => mapping(address => Publisher)) private _publishers;
+    mapping(address => bool) private _authorizedCallers;
+    // Base cost per conversion in token units, for campaigns budgeted in ERC-20 tokens
+    mapping(address => uint256) public tokenBaseCosts;
 
-    modifier onlyActiveGateway() {
-        require(msg.sender == address(this) || msg.sender == owner(), "Not authorized");
+    uint256 public protocolFeeBps;
+    uint256 public referrerFeeBps;
+    address public feeRecipient;
+
+    // Shares of one fee
+    struct Split {
+        uint256 publisher;
+        uint256 referrer;
+        uint256 protocol;
+    }
+
+    event CallerAuthorized(address indexed caller);
+    event CallerRevoked(address indexed caller);
+    event TokenBaseCostUpdated(address indexed token, uint256 baseCost);
+
+    modifier onlyAuthorizedCaller() {
+        require(_authorizedCallers[msg.sender] || msg.sender == owner(), "Not authorized");
+        _;
+    }
+
+    modifier onlyCampaignOwnerOrOwner(uint256 campaignId) {
+        require(
+            msg.sender == owner() || msg.sender == campaignRegistry.getCampaign(campaignId).owner,
+            "Not campaign owner"
+        );
         _;
     }
 
@@ -42,51 +73,277 @@ contract BillingModule is IBillingModule, Ownable, ReentrancyGuard {
 
     /**
      * @notice Processes a conversion and handles billing
+     * @dev The fee is split between the publisher, its referrer and the protocol
      * @param campaignId Campaign ID
+     * @param publisher Publisher the conversion is attributed to
      * @param nullifier Conversion nullifier
      * @param weight Conversion weight (quality score)
      * @return bool True if successful
      */
     function processConversion(
         uint256 campaignId,
+        address publisher,
         bytes32 nullifier,
         uint256 weight
-    ) external override onlyActiveGateway nonReentrant returns (bool) {
+    ) external override onlyAuthorizedCaller nonReentrant whenNotPaused returns (bool) {
         require(weight > 0 && weight <= MAX_WEIGHT, "Invalid weight");
+        Publisher memory registration = _publishers[campaignId][publisher];
+        require(registration.registered, "Publisher not registered");
 
         ICampaignRegistry.Campaign memory campaign = campaignRegistry.getCampaign(campaignId);
         require(campaign.active, "Campaign not active");
 
-        uint256 fee = calculateFee(campaignId, weight);
+        ICampaignRegistry.Pricing memory pricing = campaignRegistry.getCampaignPricing(campaignId);
+        uint256 fee = _conversionFee(campaign, pricing, weight);
         
         require(
             CampaignLib.hasSufficientBudget(campaign.budget, campaign.spent, fee),
             "Insufficient budget"
         );
 
-        // Get publisher for this campaign
-        address publisher = campaignPublishers[campaignId];
-        if (publisher == address(0)) {
-            publisher = owner(); // Fallback to owner if no publisher set
+        // Pay each share from the treasury
+        Split memory split = _split(fee, registration.referrer);
+        _pay(campaignId, publisher, registration.referrer, split);
+        _emitPaid(campaignId, nullifier, publisher, registration.referrer, split);
+
+        // Record the spend; the registry closes the campaign once it is exhausted
+        _recordSpend(campaignId, campaign, pricing, fee);
+
+        return true;
+    }
+
+    /**
+     * @notice Bills several conversions of one campaign with a single treasury payout
+     * @dev Reverts as a whole, so the caller can reject every conversion in the batch
+     * @param campaignId Campaign ID
+     * @param publisher Publisher the conversions are attributed to
+     * @param nullifiers Conversion nullifiers
+     * @param weights Conversion weights, one per nullifier
+     * @return totalFee Sum of the conversion fees, across every share
+     */
+    function processConversionBatch(
+        uint256 campaignId,
+        address publisher,
+        bytes32[] calldata nullifiers,
+        uint256[] calldata weights
+    ) external override onlyAuthorizedCaller nonReentrant whenNotPaused returns (uint256 totalFee) {
+        require(nullifiers.length > 0, "Empty batch");
+        require(nullifiers.length == weights.length, "Length mismatch");
+        Publisher memory registration = _publishers[campaignId][publisher];
+        require(registration.registered, "Publisher not registered");
+
+        ICampaignRegistry.Campaign memory campaign = campaignRegistry.getCampaign(campaignId);
+        require(campaign.active, "Campaign not active");
+
+        ICampaignRegistry.Pricing memory pricing = campaignRegistry.getCampaignPricing(campaignId);
+        uint256[] memory fees = new uint256[](weights.length);
+        for (uint256 i = 0; i < weights.length; i++) {
+            require(weights[i] > 0 && weights[i] <= MAX_WEIGHT, "Invalid weight");
+            fees[i] = _conversionFee(campaign, pricing, weights[i]);
+            totalFee += fees[i];
+        }
+
+        require(
+            CampaignLib.hasSufficientBudget(campaign.budget, campaign.spent, totalFee),
+            "Insufficient budget"
+        );
+
+        // Split each fee, so the totals paid match the per-conversion events
+        Split[] memory splits = new Split[](fees.length);
+        Split memory total;
+        for (uint256 i = 0; i < fees.length; i++) {
+            splits[i] = _split(fees[i], registration.referrer);
+            total.publisher += splits[i].publisher;
+            total.referrer += splits[i].referrer;
+            total.protocol += splits[i].protocol;
         }
 
-        // Process payment from treasury
-        bool success = treasuryVault.processPayment(campaignId, publisher, fee);
-        require(success, "Payment failed");
+        _pay(campaignId, publisher, registration.referrer, total);
+        for (uint256 i = 0; i < nullifiers.length; i++) {
+            _emitPaid(campaignId, nullifiers[i], publisher, registration.referrer, splits[i]);
+        }
 
-        emit ConversionPaid(campaignId, nullifier, fee, publisher);
+        _recordSpend(campaignId, campaign, pricing, totalFee);
+    }
 
-        // Check if campaign is exhausted
-        if (campaign.spent + fee >= campaign.budget) {
+    /**
+     * @notice Records a campaign's spend, noting when it leaves too little for another conversion
+     * @param campaignId Campaign ID
+     * @param campaign Campaign
+     * @param pricing Campaign pricing
+     * @param amount Amount spent
+     */
+    function _recordSpend(
+        uint256 campaignId,
+        ICampaignRegistry.Campaign memory campaign,
+        ICampaignRegistry.Pricing memory pricing,
+        uint256 amount
+    ) private {
+        uint256 minimumFee = _minimumFee(campaignId, campaign, pricing);
+        if (campaignRegistry.recordSpend(campaignId, amount, minimumFee)) {
             emit CampaignExhausted(campaignId);
         }
+    }
 
-        return true;
+    /**
+     * @notice Splits a fee between the publisher, its referrer and the protocol
+     * @param fee Conversion fee
+     * @param referrer Publisher's referrer, or address(0) for none
+     * @return split Shares, with any rounding left to the publisher
+     */
+    function _split(uint256 fee, address referrer) private view returns (Split memory split) {
+        split.protocol = (fee * protocolFeeBps) / BPS;
+        if (referrer != address(0)) {
+            split.referrer = (fee * referrerFeeBps) / BPS;
+        }
+        split.publisher = fee - split.protocol - split.referrer;
+    }
+
+    /**
+     * @notice Pays the non-zero shares of a split from the campaign's treasury balance
+     */
+    function _pay(
+        uint256 campaignId,
+        address publisher,
+        address referrer,
+        Split memory split
+    ) private {
+        address[3] memory recipients = [publisher, referrer, feeRecipient];
+        uint256[3] memory amounts = [split.publisher, split.referrer, split.protocol];
+
+        for (uint256 i = 0; i < recipients.length; i++) {
+            if (amounts[i] == 0) continue;
+            bool success = treasuryVault.processPayment(campaignId, recipients[i], amounts[i]);
+            require(success, "Payment failed");
+        }
+    }
+
+    /**
+     * @notice Emits ConversionPaid for each non-zero share of a conversion's fee
+     */
+    function _emitPaid(
+        uint256 campaignId,
+        bytes32 nullifier,
+        address publisher,
+        address referrer,
+        Split memory split
+    ) private {
+        emit ConversionPaid(campaignId, nullifier, split.publisher, publisher);
+        if (split.referrer > 0) {
+            emit ConversionPaid(campaignId, nullifier, split.referrer, referrer);
+        }
+        if (split.protocol > 0) {
+            emit ConversionPaid(campaignId, nullifier, split.protocol, feeRecipient);
+        }
+    }
+
+    /**
+     * @notice Fee for one conversion under a campaign's pricing
+     * @param campaign Campaign
+     * @param pricing Campaign pricing
+     * @param weight Conversion weight (0 is billed as the minimum weight)
+     * @return uint256 Fee in the campaign's token
+     */
+    function _conversionFee(
+        ICampaignRegistry.Campaign memory campaign,
+        ICampaignRegistry.Pricing memory pricing,
+        uint256 weight
+    ) private view returns (uint256) {
+        if (weight == 0) weight = MIN_WEIGHT;
+
+        uint256 rate = _rate(campaign.token, pricing, weight);
+        require(rate > 0, "Token not priced");
+        return CampaignLib.calculateConversionCost(rate, weight, campaign.pricingModel);
     }
 
     /**
-     * @notice Calculates conversion fee based on pricing model
-     * @dev Fee calculation varies by pricing model: CPA scales with weight, CPL/CPI fixed
+     * @notice Payout rate that applies to a conversion weight
+     * @dev The last weight tier at or below the weight overrides the campaign rate, and a
+     * campaign without a rate falls back to the token's base cost
+     * @param token Budget token, or address(0) for native ETH
+     * @param pricing Campaign pricing
+     * @param weight Conversion weight
+     * @return rate Rate in token units, or 0 when nothing prices the conversion
+     */
+    function _rate(
+        address token,
+        ICampaignRegistry.Pricing memory pricing,
+        uint256 weight
+    ) private view returns (uint256 rate) {
+        rate = pricing.rate;
+        for (uint256 i = 0; i < pricing.tiers.length && pricing.tiers[i].minWeight <= weight; i++) {
+            rate = pricing.tiers[i].rate;
+        }
+
+        if (rate == 0) {
+            rate = token == address(0) ? BASE_COST : tokenBaseCosts[token];
+        }
+    }
+
+    /**
+     * @notice Smallest fee a conversion can cost under a campaign's pricing
+     * @dev The cheapest weight is the lowest billable weight or the lower bound of a tier.
+     * Last-click conversions are only billed at MAX_WEIGHT (see AttributionGateway).
+     * @param campaignId Campaign ID
+     * @param campaign Campaign
+     * @param pricing Campaign pricing
+     * @return minimum Fee of the cheapest conversion
+     */
+    function _minimumFee(
+        uint256 campaignId,
+        ICampaignRegistry.Campaign memory campaign,
+        ICampaignRegistry.Pricing memory pricing
+    ) private view returns (uint256 minimum) {
+        uint256 lowest = campaignRegistry.getAttribution(campaignId).model ==
+            ICampaignRegistry.AttributionModel.LAST_CLICK
+            ? MAX_WEIGHT
+            : MIN_WEIGHT;
+
+        minimum = type(uint256).max;
+        for (uint256 i = 0; i <= pricing.tiers.length; i++) {
+            uint256 weight = i == 0 ? lowest : pricing.tiers[i - 1].minWeight;
+            if (weight > MAX_WEIGHT) break;
+            if (weight < lowest) continue;
+
+            uint256 rate = _rate(campaign.token, pricing, weight);
+            if (rate == 0) continue;
+
+            uint256 fee = CampaignLib.calculateConversionCost(rate, weight, campaign.pricingModel);
+            if (fee < minimum) minimum = fee;
+        }
+    }
+
+    /**
+     * @notice Gets the base cost per conversion for a budget token
+     * @param token Budget token, or address(0) for native ETH
+     * @return uint256 Base cost in token units
+     */
+    function getBaseCost(address token) public view returns (uint256) {
+        if (token == address(0)) {
+            return BASE_COST;
+        }
+
+        uint256 baseCost = tokenBaseCosts[token];
+        require(baseCost > 0, "Token not priced");
+        return baseCost;
+    }
+
+    /**
+     * @notice Sets the base cost per conversion for campaigns budgeted in a token
+     * @param token Token address
+     * @param baseCost Base cost in token units (e.g. 1e3 for 0.001 USDC)
+     */
+    function setTokenBaseCost(address token, uint256 baseCost) external onlyOwner {
+        require(token != address(0), "Invalid address");
+        require(baseCost > 0, "Amount must be > 0");
+        tokenBaseCosts[token] = baseCost;
+        emit TokenBaseCostUpdated(token, baseCost);
+    }
+
+    /**
+     * @notice Calculates conversion fee based on the campaign's pricing
+     * @dev Fee calculation varies by pricing model: CPA scales with weight, CPL/CPI fixed.
+     * The rate is the campaign's (or its weight tier's), else the token's base cost.
      * @param campaignId Campaign ID
      * @param weight Conversion weight
      * @return uint256 Fee amount
@@ -95,12 +352,10 @@ contract BillingModule is IBillingModule, Ownable, ReentrancyGuard {
         uint256 campaignId,
         uint256 weight
     ) public view override returns (uint256) {
-        ICampaignRegistry.Campaign memory campaign = campaignRegistry.getCampaign(campaignId);
-        
-        return CampaignLib.calculateConversionCost(
-            BASE_COST,
-            weight,
-            campaign.pricingModel
+        return _conversionFee(
+            campaignRegistry.getCampaign(campaignId),
+            campaignRegistry.getCampaignPricing(campaignId),
+            weight
         );
     }
 
@@ -122,22 +377,110 @@ contract BillingModule is IBillingModule, Ownable, ReentrancyGuard {
     }
 
     /**
-     * @notice Sets publisher address for a campaign
+     * @notice Registers a publisher that conversions of a campaign can be attributed to
+     * @dev Callable by the campaign owner or the contract owner. Re-registering replaces the referrer.
      * @param campaignId Campaign ID
      * @param publisher Publisher address
+     * @param referrer Address that shares the publisher's revenue, or address(0) for none
      */
-    function setPublisher(uint256 campaignId, address publisher) external onlyOwner {
+    function registerPublisher(
+        uint256 campaignId,
+        address publisher,
+        address referrer
+    ) external onlyCampaignOwnerOrOwner(campaignId) {
         require(publisher != address(0), "Invalid publisher");
-        campaignPublishers[campaignId] = publisher;
+        require(referrer != publisher, "Invalid referrer");
+        _publishers[campaignId][publisher] = Publisher(true, referrer);
+        emit PublisherRegistered(campaignId, publisher, referrer);
     }
 
     /**
-     * @notice Gets publisher for a campaign
+     * @notice Stops attributing a campaign's conversions to a publisher
      * @param campaignId Campaign ID
-     * @return address Publisher address
+     * @param publisher Publisher address
      */
-    function getPublisher(uint256 campaignId) external view returns (address) {
-        return campaignPublishers[campaignId];
+    function removePublisher(
+        uint256 campaignId,
+        address publisher
+    ) external onlyCampaignOwnerOrOwner(campaignId) {
+        require(_publishers[campaignId][publisher].registered, "Publisher not registered");
+        delete _publishers[campaignId][publisher];
+        emit PublisherRemoved(campaignId, publisher);
+    }
+
+    /**
+     * @notice Sets how conversion fees are split
+     * @dev The publisher receives the rest. The referrer share only applies to publishers with a referrer.
+     * @param _protocolFeeBps Protocol share in basis points
+     * @param _referrerFeeBps Referrer share in basis points
+     * @param _feeRecipient Receives the protocol share
+     */
+    function setRevenueSplit(
+        uint256 _protocolFeeBps,
+        uint256 _referrerFeeBps,
+        address _feeRecipient
+    ) external onlyOwner {
+        require(_protocolFeeBps + _referrerFeeBps <= MAX_SPLIT_BPS, "Invalid split");
+        require(_protocolFeeBps == 0 || _feeRecipient != address(0), "Invalid address");
+
+        protocolFeeBps = _protocolFeeBps;
+        referrerFeeBps = _referrerFeeBps;
+        feeRecipient = _feeRecipient;
+        emit RevenueSplitUpdated(_protocolFeeBps, _referrerFeeBps, _feeRecipient);
+    }
+
+    /**
+     * @notice Authorizes a caller (e.g. AttributionGateway) to process conversions
+     * @param caller Address to authorize
+     */
+    function authorizeCaller(address caller) external onlyOwner {
+        require(caller != address(0), "Invalid caller");
+        _authorizedCallers[caller] = true;
+        emit CallerAuthorized(caller);
+    }
+
+    /**
+     * @notice Revokes conversion processing authorization
+     * @param caller Address to revoke
+     */
+    function revokeCaller(address caller) external onlyOwner {
+        _authorizedCallers[caller] = false;
+        emit CallerRevoked(caller);
+    }
+
+    /**
+     * @notice Checks if address is an authorized caller
+     * @param caller Address to check
+     * @return bool True if authorized
+     */
+    function isAuthorizedCaller(address caller) external view returns (bool) {
+        return _authorizedCallers[caller];
+    }
+
+    /**
+     * @notice Gets a publisher's registration for a campaign
+     * @param campaignId Campaign ID
+     * @param publisher Publisher address
+     * @return Publisher Registration (not registered if never registered or removed)
+     */
+    function getPublisher(
+        uint256 campaignId,
+        address publisher
+    ) external view returns (Publisher memory) {
+        return _publishers[campaignId][publisher];
+    }
+
+    /**
+     * @notice Checks if conversions of a campaign can be attributed to a publisher
+     * @param campaignId Campaign ID
+     * @param publisher Publisher address
+     * @return bool True if registered
+     */
+    function isPublisherRegistered(
+        uint256 campaignId,
+        address publisher
+    ) external view override returns (bool) {
+        return _publishers[campaignId][publisher].registered;
     }
 
     /**
@@ -150,10 +493,12 @@ contract BillingModule is IBillingModule, Ownable, ReentrancyGuard {
         uint256 campaignId,
         uint256[] memory weights
     ) external view returns (uint256) {
+        ICampaignRegistry.Campaign memory campaign = campaignRegistry.getCampaign(campaignId);
+        ICampaignRegistry.Pricing memory pricing = campaignRegistry.getCampaignPricing(campaignId);
         uint256 totalCost = 0;
         
         for (uint256 i = 0; i < weights.length; i++) {
-            totalCost += calculateFee(campaignId, weights[i]);
+            totalCost += _conversionFee(campaign, pricing, weights[i]);
         }
         
         return totalCost;
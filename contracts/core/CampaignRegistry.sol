@@ -13,9 +13,21 @@ import "../libraries/CampaignLib.sol";
 contract CampaignRegistry is ICampaignRegistry, Ownable, ReentrancyGuard {
     using CampaignLib for uint8;
 
+    uint256 public constant MAX_PRICING_TIERS = 8;
+
     uint256 private _campaignIdCounter;
     mapping(uint256 => Campaign) private _campaigns;
     mapping(address => uint256[]) private _ownerCampaigns;
+    mapping(uint256 => Pricing) private _pricing;
+    mapping(uint256 => Attribution) private _attribution;
+    // Amount billed per campaign per day (block.timestamp / 1 days)
+    mapping(uint256 => mapping(uint256 => uint256)) private _dailySpent;
+
+    address public billingModule;
+    mapping(address => bool) private _allowedTokens;
+
+    event BillingModuleUpdated(address indexed billingModule);
+    event TokenAllowed(address indexed token, bool allowed);
 
     modifier onlyCampaignOwner(uint256 campaignId) {
         require(_campaigns[campaignId].owner == msg.sender, "Not campaign owner");
@@ -27,12 +39,17 @@ contract CampaignRegistry is ICampaignRegistry, Ownable, ReentrancyGuard {
         _;
     }
 
+    modifier onlyBillingModule() {
+        require(msg.sender == billingModule, "Not authorized");
+        _;
+    }
+
     constructor() Ownable(msg.sender) {
         _campaignIdCounter = 1;
     }
 
     /**
-     * @notice Creates a new campaign
+     * @notice Creates a new campaign budgeted in native ETH
      * @dev Campaign ID starts from 1 and increments sequentially
      * @param budget Campaign budget in wei
      * @param pricingModel Pricing model (0: CPA, 1: CPL, 2: CPI)
@@ -44,6 +61,62 @@ contract CampaignRegistry is ICampaignRegistry, Ownable, ReentrancyGuard {
         uint8 pricingModel,
         string memory metadataCID
     ) external override nonReentrant returns (uint256 campaignId) {
+        return _createCampaign(budget, pricingModel, metadataCID, address(0));
+    }
+
+    /**
+     * @notice Creates a new campaign budgeted in an allow-listed ERC-20 token
+     * @param budget Campaign budget in token units
+     * @param pricingModel Pricing model (0: CPA, 1: CPL, 2: CPI)
+     * @param metadataCID IPFS CID for campaign metadata
+     * @param token Budget token
+     * @return campaignId The ID of the created campaign
+     */
+    function createTokenCampaign(
+        uint256 budget,
+        uint8 pricingModel,
+        string memory metadataCID,
+        address token
+    ) external override nonReentrant returns (uint256 campaignId) {
+        require(_allowedTokens[token], "Token not allowed");
+        return _createCampaign(budget, pricingModel, metadataCID, token);
+    }
+
+    /**
+     * @notice Creates a new campaign with its own pricing
+     * @param budget Campaign budget in wei, or in token units for a token campaign
+     * @param pricingModel Pricing model (0: CPA, 1: CPL, 2: CPI)
+     * @param metadataCID IPFS CID for campaign metadata
+     * @param token Allow-listed budget token, or address(0) for native ETH
+     * @param pricing Payout rate, daily cap and weight tiers
+     * @return campaignId The ID of the created campaign
+     */
+    function createPricedCampaign(
+        uint256 budget,
+        uint8 pricingModel,
+        string memory metadataCID,
+        address token,
+        Pricing calldata pricing
+    ) external override nonReentrant returns (uint256 campaignId) {
+        require(token == address(0) || _allowedTokens[token], "Token not allowed");
+        campaignId = _createCampaign(budget, pricingModel, metadataCID, token);
+        _setPricing(campaignId, pricing);
+    }
+
+    /**
+     * @notice Validates and stores a new campaign
+     * @param budget Campaign budget
+     * @param pricingModel Pricing model
+     * @param metadataCID IPFS CID for campaign metadata
+     * @param token Budget token, or address(0) for native ETH
+     * @return campaignId The ID of the created campaign
+     */
+    function _createCampaign(
+        uint256 budget,
+        uint8 pricingModel,
+        string memory metadataCID,
+        address token
+    ) private returns (uint256 campaignId) {
         require(budget > 0, "Budget must be greater than 0");
         require(CampaignLib.isValidPricingModel(pricingModel), "Invalid pricing model");
         require(bytes(metadataCID).length > 0, "Metadata CID required");
@@ -57,12 +130,13 @@ contract CampaignRegistry is ICampaignRegistry, Ownable, ReentrancyGuard {
             pricingModel: pricingModel,
             metadataCID: metadataCID,
             active: true,
-            createdAt: block.timestamp
+            createdAt: block.timestamp,
+            token: token
         });
 
         _ownerCampaigns[msg.sender].push(campaignId);
 
-        emit CampaignCreated(campaignId, msg.sender, budget, pricingModel);
+        emit CampaignCreated(campaignId, msg.sender, budget, pricingModel, token);
     }
 
     /**
@@ -84,6 +158,48 @@ contract CampaignRegistry is ICampaignRegistry, Ownable, ReentrancyGuard {
         emit BudgetUpdated(campaignId, oldBudget, newBudget);
     }
 
+    /**
+     * @notice Replaces a campaign's pricing
+     * @dev Applies to conversions billed from now on
+     * @param campaignId Campaign ID
+     * @param pricing Payout rate, daily cap and weight tiers
+     */
+    function updatePricing(
+        uint256 campaignId,
+        Pricing calldata pricing
+    ) external override onlyCampaignOwner(campaignId) campaignExists(campaignId) {
+        require(_campaigns[campaignId].active, "Campaign is not active");
+        _setPricing(campaignId, pricing);
+    }
+
+    /**
+     * @notice Selects how a campaign's conversion weights are shared between clicks
+     * @dev Multi-touch models split one conversion across several paid clicks, so they need
+     * CPA pricing, where the fee scales with the weight
+     * @param campaignId Campaign ID
+     * @param attribution Attribution model and, for TIME_DECAY, its half-life
+     */
+    function setAttribution(
+        uint256 campaignId,
+        Attribution calldata attribution
+    ) external override onlyCampaignOwner(campaignId) campaignExists(campaignId) {
+        Campaign storage campaign = _campaigns[campaignId];
+        require(campaign.active, "Campaign is not active");
+        require(
+            attribution.model == AttributionModel.LAST_CLICK ||
+                campaign.pricingModel == CampaignLib.PRICING_MODEL_CPA,
+            "Multi-touch requires CPA"
+        );
+        require(
+            (attribution.model == AttributionModel.TIME_DECAY) == (attribution.halfLife > 0),
+            "Invalid attribution"
+        );
+
+        _attribution[campaignId] = attribution;
+
+        emit AttributionUpdated(campaignId, attribution.model, attribution.halfLife);
+    }
+
     /**
      * @notice Closes a campaign
      * @param campaignId Campaign ID
@@ -119,6 +235,67 @@ contract CampaignRegistry is ICampaignRegistry, Ownable, ReentrancyGuard {
         return _campaigns[campaignId].active;
     }
 
+    /**
+     * @notice Gets a campaign's pricing
+     * @param campaignId Campaign ID
+     * @return Pricing struct (all zero for campaigns on the billing default)
+     */
+    function getCampaignPricing(
+        uint256 campaignId
+    ) external view override campaignExists(campaignId) returns (Pricing memory) {
+        return _pricing[campaignId];
+    }
+
+    /**
+     * @notice Gets a campaign's attribution model
+     * @param campaignId Campaign ID
+     * @return Attribution struct (LAST_CLICK unless the owner chose another model)
+     */
+    function getAttribution(
+        uint256 campaignId
+    ) external view override campaignExists(campaignId) returns (Attribution memory) {
+        return _attribution[campaignId];
+    }
+
+    /**
+     * @notice Gets the amount billed to a campaign today
+     * @param campaignId Campaign ID
+     * @return uint256 Amount billed since 00:00 UTC
+     */
+    function getDailySpent(uint256 campaignId) external view returns (uint256) {
+        return _dailySpent[campaignId][block.timestamp / 1 days];
+    }
+
+    /**
+     * @notice Gets the token a campaign is budgeted in
+     * @param campaignId Campaign ID
+     * @return address Budget token, or address(0) for native ETH
+     */
+    function getCampaignToken(uint256 campaignId) external view override returns (address) {
+        return _campaigns[campaignId].token;
+    }
+
+    /**
+     * @notice Allows or disallows an ERC-20 token for new campaign budgets
+     * @dev Existing campaigns keep their token
+     * @param token Token address
+     * @param allowed Whether new campaigns may use the token
+     */
+    function setTokenAllowed(address token, bool allowed) external onlyOwner {
+        require(token != address(0), "Invalid address");
+        _allowedTokens[token] = allowed;
+        emit TokenAllowed(token, allowed);
+    }
+
+    /**
+     * @notice Checks if new campaigns may be budgeted in a token
+     * @param token Token address
+     * @return bool True if allowed
+     */
+    function isTokenAllowed(address token) external view returns (bool) {
+        return _allowedTokens[token];
+    }
+
     /**
      * @notice Gets campaigns owned by an address
      * @param owner Owner address
@@ -128,6 +305,80 @@ contract CampaignRegistry is ICampaignRegistry, Ownable, ReentrancyGuard {
         return _ownerCampaigns[owner];
     }
 
+    /**
+     * @notice Sets the billing module allowed to record spend
+     * @param _billingModule Billing module address
+     */
+    function setBillingModule(address _billingModule) external onlyOwner {
+        require(_billingModule != address(0), "Invalid address");
+        billingModule = _billingModule;
+        emit BillingModuleUpdated(_billingModule);
+    }
+
+    /**
+     * @notice Records a billed amount against a campaign's budget
+     * @dev Called by BillingModule after each payment. Closes the campaign once the
+     * remaining budget cannot cover another conversion.
+     * @param campaignId Campaign ID
+     * @param amount Amount billed
+     * @param minimumCost Smallest fee the billing module can charge this campaign
+     * @return exhausted True if the campaign was closed because its budget ran out
+     */
+    function recordSpend(
+        uint256 campaignId,
+        uint256 amount,
+        uint256 minimumCost
+    ) external override onlyBillingModule campaignExists(campaignId) returns (bool exhausted) {
+        Campaign storage campaign = _campaigns[campaignId];
+        require(campaign.active, "Campaign not active");
+        require(
+            CampaignLib.hasSufficientBudget(campaign.budget, campaign.spent, amount),
+            "Insufficient budget"
+        );
+
+        uint256 today = block.timestamp / 1 days;
+        uint256 dailyCap = _pricing[campaignId].dailyCap;
+        require(
+            dailyCap == 0 || _dailySpent[campaignId][today] + amount <= dailyCap,
+            "Daily cap reached"
+        );
+        _dailySpent[campaignId][today] += amount;
+
+        _updateSpent(campaignId, amount);
+        emit SpendRecorded(campaignId, amount, campaign.spent);
+
+        uint256 remaining = campaign.budget - campaign.spent;
+        if (remaining == 0 || remaining < minimumCost) {
+            campaign.active = false;
+            emit CampaignClosed(campaignId);
+            return true;
+        }
+    }
+
+    /**
+     * @notice Validates and stores a campaign's pricing
+     * @param campaignId Campaign ID
+     * @param pricing Payout rate, daily cap and weight tiers
+     */
+    function _setPricing(uint256 campaignId, Pricing calldata pricing) private {
+        require(pricing.tiers.length <= MAX_PRICING_TIERS, "Too many pricing tiers");
+
+        Pricing storage stored = _pricing[campaignId];
+        stored.rate = pricing.rate;
+        stored.dailyCap = pricing.dailyCap;
+        delete stored.tiers;
+
+        uint256 previousWeight = 0;
+        for (uint256 i = 0; i < pricing.tiers.length; i++) {
+            WeightTier calldata tier = pricing.tiers[i];
+            require(tier.minWeight > previousWeight && tier.rate > 0, "Invalid pricing tier");
+            previousWeight = tier.minWeight;
+            stored.tiers.push(tier);
+        }
+
+        emit PricingUpdated(campaignId, pricing.rate, pricing.dailyCap, pricing.tiers.length);
+    }
+
     /**
      * @notice Internal function to update spent amount
      * @param campaignId Campaign ID
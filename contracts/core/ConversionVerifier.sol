@@ -3,6 +3,7 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "../interfaces/IConversionVerifier.sol";
+import "../interfaces/IGroth16Verifier.sol";
 import "../libraries/ProofVerification.sol";
 
 /**
@@ -15,18 +16,30 @@ contract ConversionVerifier is IConversionVerifier, Ownable {
     mapping(bytes32 => bool) private _usedNullifiers;
     mapping(uint256 => bytes32) private _campaignRoots;
 
-    uint256 public constant EXPECTED_PUBLIC_INPUTS = 3;
+    IGroth16Verifier public proofVerifier;
+
+    // [clickHash, conversionHash, campaignRoot, weight, pseudonym, publisher, conversionNullifier,
+    //  clickTime, conversionTime, lastClick]
+    uint256 public constant EXPECTED_PUBLIC_INPUTS = 10;
     uint256 public totalVerifications;
 
     event NullifierUsed(bytes32 indexed nullifier, uint256 timestamp);
     event CampaignRootUpdated(uint256 indexed campaignId, bytes32 root);
     event ProofValidated(uint256 indexed campaignId, bytes32 indexed nullifier, bool success);
+    event ProofVerifierUpdated(address indexed proofVerifier);
 
     constructor() Ownable(msg.sender) {}
 
     /**
      * @notice Verifies a conversion proof
-     * @dev This function validates the ZK proof structure and checks nullifier uniqueness
+     * @dev Validates structure and public inputs, then delegates the pairing check to
+     *      the Groth16 verifier generated from circuits/conversion.circom. The attribution
+     *      weight is the proof's fourth public input; the circuit limits it to 1..100. The
+     *      fifth is the user's pseudonym in the campaign, which the proof binds to campaignId,
+     *      the sixth the publisher to be paid, which the caller must check, and the seventh
+     *      the conversion nullifier, Poseidon(conversionHash, userSecret). The last three are
+     *      the click's time from the click tree, the conversion's time, hashed into
+     *      conversionHash, and 1 if the click is the user's last before the conversion.
      * @param campaignId Campaign ID
      * @param clickHash Hash of click data
      * @param conversionHash Hash of conversion data
@@ -61,17 +74,7 @@ contract ConversionVerifier is IConversionVerifier, Ownable {
         if (proof.publicInputs[1] != uint256(conversionHash)) return false;
         if (proof.publicInputs[2] != uint256(_campaignRoots[campaignId])) return false;
 
-        // In production, this would call the actual Groth16/Halo2 verifier
-        // For now, we perform basic validation
-        bool verified = _verifyProofInternal(proof);
-        
-        if (verified) {
-            totalVerifications++;
-        }
-        
-        emit ProofValidated(campaignId, nullifier, verified);
-        
-        return verified;
+        return _verifyProofInternal(campaignId, nullifier, proof);
     }
 
     /**
@@ -103,6 +106,16 @@ contract ConversionVerifier is IConversionVerifier, Ownable {
         emit CampaignRootUpdated(campaignId, root);
     }
 
+    /**
+     * @notice Sets the Groth16 verifier for the conversion circuit
+     * @param _proofVerifier Verifier contract address
+     */
+    function setProofVerifier(address _proofVerifier) external onlyOwner {
+        require(_proofVerifier != address(0), "Invalid address");
+        proofVerifier = IGroth16Verifier(_proofVerifier);
+        emit ProofVerifierUpdated(_proofVerifier);
+    }
+
     /**
      * @notice Gets campaign root
      * @param campaignId Campaign ID
@@ -113,21 +126,47 @@ contract ConversionVerifier is IConversionVerifier, Ownable {
     }
 
     /**
-     * @notice Internal proof verification (placeholder for actual ZK verifier)
+     * @notice Internal proof verification against the Groth16 verifier
+     * @dev The circuit's outputs (nullifier, pseudonym, conversionNullifier, lastClick) come
+     *      first in its public signals, followed by its inputs: clickHash, conversionHash, root,
+     *      weight, campaignId, publisher, clickTime and conversionTime.
+     *      Fails closed when no verifier is configured.
+     * @param campaignId Campaign the pseudonym must be derived for
+     * @param nullifier Nullifier claimed by the submitter
      * @param proof Proof data
      * @return bool True if valid
      */
-    function _verifyProofInternal(ProofData memory proof) private pure returns (bool) {
-        // This is a placeholder for the actual Groth16/Halo2 verification
-        // In production, this would call a pre-compiled verifier contract
-        
-        // Basic validation: ensure proof components are non-zero
-        if (proof.a[0] == 0 || proof.a[1] == 0) return false;
-        if (proof.c[0] == 0 || proof.c[1] == 0) return false;
-        
-        // Simulate pairing check (in production, use actual pairing)
-        // For demonstration purposes, we accept valid-looking proofs
-        return true;
+    function _verifyProofInternal(
+        uint256 campaignId,
+        bytes32 nullifier,
+        ProofData memory proof
+    ) private view returns (bool) {
+        if (address(proofVerifier) == address(0)) return false;
+
+        uint256[12] memory pubSignals = [
+            uint256(nullifier),
+            proof.publicInputs[4],
+            proof.publicInputs[6],
+            proof.publicInputs[9],
+            proof.publicInputs[0],
+            proof.publicInputs[1],
+            proof.publicInputs[2],
+            proof.publicInputs[3],
+            campaignId,
+            proof.publicInputs[5],
+            proof.publicInputs[7],
+            proof.publicInputs[8]
+        ];
+
+        for (uint256 i = 0; i < pubSignals.length; i++) {
+            if (!ProofVerification.isValidFieldElement(pubSignals[i])) return false;
+        }
+
+        try proofVerifier.verifyProof(proof.a, proof.b, proof.c, pubSignals) returns (bool valid) {
+            return valid;
+        } catch {
+            return false;
+        }
     }
 
     /**
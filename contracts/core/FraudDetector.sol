@@ -2,12 +2,24 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "../interfaces/IFraudDetector.sol";
+import "../interfaces/ICampaignRegistry.sol";
 
 /**
  * @title FraudDetector
  * @notice Detects and prevents fraudulent conversions
+ * @dev AttributionGateway checks every conversion here before billing and reports the
+ * outcome back through recordConversion, so it must be an authorized caller.
+ * Users are known only by the pseudonym their conversion proof derives for the campaign
+ * (ProofVerification.computePseudonym): reputation, rate limits and blacklisting apply to
+ * a user within one campaign and never involve an address.
+ * Thresholds, rate limits and score steps come from the campaign's fraud policy, which its
+ * owner may set within the protocol bounds below; campaigns without one use the default
+ * policy. Device scores span campaigns, so unscored devices start at the default policy's
+ * initial score.
  */
-contract FraudDetector is Ownable {
+contract FraudDetector is IFraudDetector, Ownable {
     struct UserReputation {
         uint256 score;
         uint256 conversions;
@@ -15,37 +27,101 @@ contract FraudDetector is Ownable {
         bool blacklisted;
     }
 
-    mapping(address => UserReputation) private _userReputations;
+    mapping(bytes32 => UserReputation) private _userReputations;
     mapping(bytes32 => uint256) private _deviceScores;
     
     uint256 public constant MAX_REPUTATION_SCORE = 100;
     uint256 public constant MIN_REPUTATION_SCORE = 0;
-    uint256 public constant INITIAL_REPUTATION = 50;
-    uint256 public constant FRAUD_THRESHOLD = 20;
-    uint256 public constant TIME_WINDOW = 1 hours;
-    uint256 public constant MAX_CONVERSIONS_PER_WINDOW = 10;
+
+    // Protocol bounds on fraud policies
+    uint256 public constant MIN_TIME_WINDOW = 1 minutes;
+    uint256 public constant MAX_TIME_WINDOW = 30 days;
+    uint256 public constant MAX_CONVERSIONS_LIMIT = 1000;
+    uint256 public constant MAX_REPUTATION_STEP = 10;
+
+    ICampaignRegistry public immutable campaignRegistry;
+
+    FraudPolicy private _defaultPolicy;
+    // Campaigns without a policy of their own have a zero timeWindow here
+    mapping(uint256 => FraudPolicy) private _campaignPolicies;
     
-    mapping(address => bool) private _trustedUsers;
+    mapping(address => bool) private _authorizedCallers;
+
+    // Off-chain scoring service allowed to set scores (services/scorer)
+    address public scorer;
 
-    event UserScoreUpdated(address indexed user, uint256 newScore);
-    event UserBlacklisted(address indexed user);
-    event UserWhitelisted(address indexed user);
-    event SuspiciousActivity(address indexed user, string reason);
+    event UserScoreUpdated(bytes32 indexed pseudonym, uint256 newScore);
+    event DeviceScoreUpdated(bytes32 indexed deviceId, uint256 newScore);
+    event ConversionRecorded(
+        uint256 indexed campaignId,
+        bytes32 indexed pseudonym,
+        bytes32 indexed deviceId,
+        bool success,
+        uint256 timestamp
+    );
+    event UserBlacklisted(bytes32 indexed pseudonym);
+    event UserWhitelisted(bytes32 indexed pseudonym);
+    event SuspiciousActivity(bytes32 indexed pseudonym, string reason);
+    event CallerAuthorized(address indexed caller);
+    event CallerRevoked(address indexed caller);
+    event ScorerUpdated(address indexed scorer);
 
-    constructor() Ownable(msg.sender) {}
+    modifier onlyAuthorizedCaller() {
+        require(_authorizedCallers[msg.sender] || msg.sender == owner(), "Not authorized");
+        _;
+    }
+
+    modifier onlyOwnerOrScorer() {
+        require(msg.sender == owner() || msg.sender == scorer, "Not scorer");
+        _;
+    }
+
+    modifier onlyCampaignOwner(uint256 campaignId) {
+        require(
+            msg.sender == campaignRegistry.getCampaign(campaignId).owner,
+            "Not campaign owner"
+        );
+        _;
+    }
 
     /**
-     * @notice Checks if a user/conversion is fraudulent
+     * @notice Deploys the fraud module with a default policy of threshold 20, initial score 50,
+     * 10 conversions per hour and steps of 1
+     * @param _campaignRegistry CampaignRegistry, which knows each campaign's owner
+     */
+    constructor(address _campaignRegistry) Ownable(msg.sender) {
+        require(_campaignRegistry != address(0), "Invalid registry");
+        campaignRegistry = ICampaignRegistry(_campaignRegistry);
+
+        _setDefaultPolicy(
+            FraudPolicy({
+                threshold: 20,
+                initialScore: 50,
+                timeWindow: 1 hours,
+                maxConversionsPerWindow: 10,
+                rewardStep: 1,
+                penaltyStep: 1
+            })
+        );
+    }
+
+    /**
+     * @notice Checks if a conversion is fraudulent
      * @dev Combines reputation score, blacklist status, rate limiting, and device scoring
-     * @param user User address
+     * under the campaign's fraud policy. Users and devices without a score yet count as the
+     * initial score, as in recordConversion.
+     * @param campaignId Campaign ID
+     * @param pseudonym User's pseudonym in the campaign
      * @param deviceId Device identifier
      * @return bool True if legitimate
      */
     function checkFraud(
-        address user,
+        uint256 campaignId,
+        bytes32 pseudonym,
         bytes32 deviceId
-    ) external view returns (bool) {
-        UserReputation memory reputation = _userReputations[user];
+    ) external view override returns (bool) {
+        FraudPolicy memory policy = _policyOf(campaignId);
+        UserReputation memory reputation = _userReputations[pseudonym];
 
         // Check if blacklisted
         if (reputation.blacklisted) {
@@ -53,19 +129,22 @@ contract FraudDetector is Ownable {
         }
 
         // Check reputation score
-        if (reputation.score < FRAUD_THRESHOLD) {
+        if (_scoreOrInitial(reputation.score, policy.initialScore) < policy.threshold) {
             return false;
         }
 
         // Check rate limiting
         if (reputation.lastConversionTime > 0 &&
-            block.timestamp - reputation.lastConversionTime < TIME_WINDOW &&
-            reputation.conversions >= MAX_CONVERSIONS_PER_WINDOW) {
+            block.timestamp - reputation.lastConversionTime < policy.timeWindow &&
+            reputation.conversions >= policy.maxConversionsPerWindow) {
             return false;
         }
 
         // Check device score
-        if (_deviceScores[deviceId] < FRAUD_THRESHOLD) {
+        if (
+            _scoreOrInitial(_deviceScores[deviceId], _defaultPolicy.initialScore) <
+            policy.threshold
+        ) {
             return false;
         }
 
@@ -73,25 +152,28 @@ contract FraudDetector is Ownable {
     }
 
     /**
-     * @notice Records a conversion and updates reputation
-     * @param user User address
+     * @notice Records a conversion and updates reputation under the campaign's fraud policy
+     * @param campaignId Campaign ID
+     * @param pseudonym User's pseudonym in the campaign
      * @param deviceId Device identifier
      * @param success Whether conversion was successful
      */
     function recordConversion(
-        address user,
+        uint256 campaignId,
+        bytes32 pseudonym,
         bytes32 deviceId,
         bool success
-    ) external onlyOwner {
-        UserReputation storage reputation = _userReputations[user];
+    ) external override onlyAuthorizedCaller {
+        FraudPolicy memory policy = _policyOf(campaignId);
+        UserReputation storage reputation = _userReputations[pseudonym];
 
         // Initialize reputation if first conversion
         if (reputation.score == 0) {
-            reputation.score = INITIAL_REPUTATION;
+            reputation.score = policy.initialScore;
         }
 
         // Reset counter if outside time window
-        if (block.timestamp - reputation.lastConversionTime >= TIME_WINDOW) {
+        if (block.timestamp - reputation.lastConversionTime >= policy.timeWindow) {
             reputation.conversions = 0;
         }
 
@@ -100,30 +182,133 @@ contract FraudDetector is Ownable {
 
         // Update score based on behavior
         if (success) {
-            _increaseReputation(user);
+            _increaseReputation(pseudonym, policy.rewardStep);
         } else {
-            _decreaseReputation(user);
+            _decreaseReputation(pseudonym, policy.penaltyStep, policy.threshold);
         }
 
         // Update device score
         if (_deviceScores[deviceId] == 0) {
-            _deviceScores[deviceId] = INITIAL_REPUTATION;
+            _deviceScores[deviceId] = _defaultPolicy.initialScore;
         }
 
         // Check for suspicious patterns
-        if (reputation.conversions > MAX_CONVERSIONS_PER_WINDOW) {
-            emit SuspiciousActivity(user, "Too many conversions in time window");
-            _decreaseReputation(user);
+        if (reputation.conversions > policy.maxConversionsPerWindow) {
+            emit SuspiciousActivity(pseudonym, "Too many conversions in time window");
+            _decreaseReputation(pseudonym, policy.penaltyStep, policy.threshold);
         }
+
+        emit ConversionRecorded(campaignId, pseudonym, deviceId, success, block.timestamp);
+    }
+
+    /**
+     * @notice Sets the policy for campaigns without one of their own
+     * @dev Its initial score is the score devices start at, so lowering it below a campaign's
+     * threshold blocks that campaign's unscored publishers
+     * @param policy Fraud policy within the protocol bounds
+     */
+    function setDefaultPolicy(FraudPolicy calldata policy) external onlyOwner {
+        _setDefaultPolicy(policy);
+    }
+
+    /**
+     * @notice Sets a campaign's fraud policy
+     * @dev A strict policy suits high-value conversions, a lenient one cheap repeatable ones
+     * such as game installs. Reputation already earned is kept; only how it is judged and
+     * updated changes. Devices span campaigns and start at the default policy's initial
+     * score, so the threshold may not exceed it.
+     * @param campaignId Campaign ID
+     * @param policy Fraud policy within the protocol bounds
+     */
+    function setFraudPolicy(
+        uint256 campaignId,
+        FraudPolicy calldata policy
+    ) external onlyCampaignOwner(campaignId) {
+        _validatePolicy(policy);
+        require(policy.threshold <= _defaultPolicy.initialScore, "Invalid fraud policy");
+        _campaignPolicies[campaignId] = policy;
+
+        emit FraudPolicyUpdated(
+            campaignId,
+            policy.threshold,
+            policy.initialScore,
+            policy.timeWindow,
+            policy.maxConversionsPerWindow,
+            policy.rewardStep,
+            policy.penaltyStep
+        );
+    }
+
+    /**
+     * @notice Returns a campaign to the default policy
+     * @param campaignId Campaign ID
+     */
+    function clearFraudPolicy(uint256 campaignId) external onlyCampaignOwner(campaignId) {
+        delete _campaignPolicies[campaignId];
+        emit FraudPolicyCleared(campaignId);
+    }
+
+    /**
+     * @notice Gets how many more conversions a user may make in the current window
+     * @dev checkFraud rejects the user once this reaches 0. AttributionGateway checks it
+     * against the conversions it accepts earlier in a batch, which are only recorded once
+     * the batch is billed.
+     * @param campaignId Campaign ID
+     * @param pseudonym User's pseudonym in the campaign
+     * @return uint256 Conversions left before the campaign's rate limit
+     */
+    function getRemainingConversions(
+        uint256 campaignId,
+        bytes32 pseudonym
+    ) external view override returns (uint256) {
+        FraudPolicy memory policy = _policyOf(campaignId);
+        UserReputation memory reputation = _userReputations[pseudonym];
+
+        if (reputation.lastConversionTime == 0 ||
+            block.timestamp - reputation.lastConversionTime >= policy.timeWindow) {
+            return policy.maxConversionsPerWindow;
+        }
+        if (reputation.conversions >= policy.maxConversionsPerWindow) {
+            return 0;
+        }
+        return policy.maxConversionsPerWindow - reputation.conversions;
+    }
+
+    /**
+     * @notice Gets the policy a campaign's conversions are judged by
+     * @param campaignId Campaign ID
+     * @return FraudPolicy The campaign's own policy, or the default policy
+     */
+    function getFraudPolicy(
+        uint256 campaignId
+    ) external view override returns (FraudPolicy memory) {
+        return _policyOf(campaignId);
+    }
+
+    /**
+     * @notice Checks if a campaign has a policy of its own
+     * @param campaignId Campaign ID
+     * @return bool True if the campaign does not use the default policy
+     */
+    function hasFraudPolicy(uint256 campaignId) external view returns (bool) {
+        return _campaignPolicies[campaignId].timeWindow != 0;
+    }
+
+    /**
+     * @notice Gets the default policy
+     * @return FraudPolicy Policy of campaigns without one of their own
+     */
+    function getDefaultPolicy() external view returns (FraudPolicy memory) {
+        return _defaultPolicy;
     }
 
     /**
      * @notice Gets user reputation
-     * @param user User address
+     * @param pseudonym User's pseudonym in a campaign
      * @return UserReputation struct
      */
-    function getUserReputation(address user) external view returns (UserReputation memory) {
-        return _userReputations[user];
+    function getUserReputation(bytes32 pseudonym) external view returns (UserReputation memory) {
+        return _userReputations[pseudonym];
     }
 
     /**
@@ -137,94 +322,243 @@ contract FraudDetector is Ownable {
 
     /**
      * @notice Blacklists a user
-     * @param user User address
+     * @param pseudonym User's pseudonym in a campaign
      */
-    function blacklistUser(address user) external onlyOwner {
-        _userReputations[user].blacklisted = true;
-        emit UserBlacklisted(user);
+    function blacklistUser(bytes32 pseudonym) external onlyOwner {
+        _userReputations[pseudonym].blacklisted = true;
+        emit UserBlacklisted(pseudonym);
     }
 
     /**
      * @notice Whitelists a user
-     * @param user User address
+     * @param pseudonym User's pseudonym in a campaign
+     */
+    function whitelistUser(bytes32 pseudonym) external onlyOwner {
+        _userReputations[pseudonym].blacklisted = false;
+        emit UserWhitelisted(pseudonym);
+    }
+
+    /**
+     * @notice Authorizes a caller, normally AttributionGateway, to record conversions
+     * @param caller Address to authorize
      */
-    function whitelistUser(address user) external onlyOwner {
-        _userReputations[user].blacklisted = false;
-        emit UserWhitelisted(user);
+    function authorizeCaller(address caller) external onlyOwner {
+        require(caller != address(0), "Invalid caller");
+        _authorizedCallers[caller] = true;
+        emit CallerAuthorized(caller);
     }
 
     /**
-     * @notice Sets user reputation score manually
-     * @param user User address
+     * @notice Revokes a caller's authorization
+     * @param caller Address to revoke
+     */
+    function revokeCaller(address caller) external onlyOwner {
+        _authorizedCallers[caller] = false;
+        emit CallerRevoked(caller);
+    }
+
+    /**
+     * @notice Checks if an address may record conversions
+     * @param caller Address to check
+     * @return bool True if authorized
+     */
+    function isAuthorizedCaller(address caller) external view returns (bool) {
+        return _authorizedCallers[caller];
+    }
+
+    /**
+     * @notice Appoints the off-chain scoring service, or removes it with the zero address
+     * @param _scorer Scorer address
+     */
+    function setScorer(address _scorer) external onlyOwner {
+        scorer = _scorer;
+        emit ScorerUpdated(_scorer);
+    }
+
+    /**
+     * @notice Sets user reputation score manually (owner or scorer)
+     * @param pseudonym User's pseudonym in a campaign
+     * @param score New score
+     */
+    function setUserScore(bytes32 pseudonym, uint256 score) external onlyOwnerOrScorer {
+        _setUserScore(pseudonym, score);
+    }
+
+    /**
+     * @notice Sets device score manually (owner or scorer)
+     * @param deviceId Device identifier
      * @param score New score
      */
-    function setUserScore(address user, uint256 score) external onlyOwner {
+    function setDeviceScore(bytes32 deviceId, uint256 score) external onlyOwnerOrScorer {
+        _setDeviceScore(deviceId, score);
+    }
+
+    /**
+     * @notice Sets user and device scores in one transaction (owner or scorer)
+     * @dev Lets the scoring service push a round of updates without a transaction per score
+     * @param pseudonyms Users' pseudonyms
+     * @param userScores New score of each user
+     * @param deviceIds Device identifiers
+     * @param deviceScores New score of each device
+     */
+    function batchSetScores(
+        bytes32[] calldata pseudonyms,
+        uint256[] calldata userScores,
+        bytes32[] calldata deviceIds,
+        uint256[] calldata deviceScores
+    ) external onlyOwnerOrScorer {
+        require(
+            pseudonyms.length == userScores.length && deviceIds.length == deviceScores.length,
+            "Length mismatch"
+        );
+
+        for (uint256 i = 0; i < pseudonyms.length; i++) {
+            _setUserScore(pseudonyms[i], userScores[i]);
+        }
+        for (uint256 i = 0; i < deviceIds.length; i++) {
+            _setDeviceScore(deviceIds[i], deviceScores[i]);
+        }
+    }
+
+    /**
+     * @notice Stores a user score
+     * @param pseudonym User's pseudonym in a campaign
+     * @param score New score
+     */
+    function _setUserScore(bytes32 pseudonym, uint256 score) private {
+        // A zero score reads as unscored, i.e. the initial score
+        require(score > 0, "Score too low");
         require(score <= MAX_REPUTATION_SCORE, "Score too high");
-        _userReputations[user].score = score;
-        emit UserScoreUpdated(user, score);
+        _userReputations[pseudonym].score = score;
+        emit UserScoreUpdated(pseudonym, score);
     }
 
     /**
-     * @notice Sets device score manually
+     * @notice Stores a device score
      * @param deviceId Device identifier
      * @param score New score
      */
-    function setDeviceScore(bytes32 deviceId, uint256 score) external onlyOwner {
+    function _setDeviceScore(bytes32 deviceId, uint256 score) private {
+        require(score > 0, "Score too low");
         require(score <= MAX_REPUTATION_SCORE, "Score too high");
         _deviceScores[deviceId] = score;
+        emit DeviceScoreUpdated(deviceId, score);
+    }
+
+    /**
+     * @notice Gets a campaign's own policy, or the default policy
+     * @param campaignId Campaign ID
+     * @return FraudPolicy Policy in effect
+     */
+    function _policyOf(uint256 campaignId) private view returns (FraudPolicy memory) {
+        FraudPolicy memory policy = _campaignPolicies[campaignId];
+        return policy.timeWindow == 0 ? _defaultPolicy : policy;
+    }
+
+    /**
+     * @notice Validates and stores the default policy
+     * @param policy Fraud policy
+     */
+    function _setDefaultPolicy(FraudPolicy memory policy) private {
+        _validatePolicy(policy);
+        _defaultPolicy = policy;
+
+        emit DefaultFraudPolicyUpdated(
+            policy.threshold,
+            policy.initialScore,
+            policy.timeWindow,
+            policy.maxConversionsPerWindow,
+            policy.rewardStep,
+            policy.penaltyStep
+        );
+    }
+
+    /**
+     * @notice Checks a policy against the protocol bounds
+     * @dev New users must pass the threshold, and every failure must cost reputation
+     * @param policy Fraud policy
+     */
+    function _validatePolicy(FraudPolicy memory policy) private pure {
+        require(
+            policy.threshold > 0 &&
+                policy.threshold <= policy.initialScore &&
+                policy.initialScore <= MAX_REPUTATION_SCORE &&
+                policy.timeWindow >= MIN_TIME_WINDOW &&
+                policy.timeWindow <= MAX_TIME_WINDOW &&
+                policy.maxConversionsPerWindow > 0 &&
+                policy.maxConversionsPerWindow <= MAX_CONVERSIONS_LIMIT &&
+                policy.rewardStep <= MAX_REPUTATION_STEP &&
+                policy.penaltyStep > 0 &&
+                policy.penaltyStep <= MAX_REPUTATION_STEP,
+            "Invalid fraud policy"
+        );
+    }
+
+    /**
+     * @notice Reads a score, counting an unscored (zero) one as the initial score
+     * @param score Stored score
+     * @param initialScore Initial score of the policy in effect
+     * @return uint256 Score to check against the policy threshold
+     */
+    function _scoreOrInitial(uint256 score, uint256 initialScore) private pure returns (uint256) {
+        return score == 0 ? initialScore : score;
     }
 
     /**
-     * @notice Increases user reputation
-     * @param user User address
+     * @notice Increases user reputation, up to MAX_REPUTATION_SCORE
+     * @param pseudonym User's pseudonym in a campaign
+     * @param step Policy reward step
      */
-    function _increaseReputation(address user) private {
-        UserReputation storage reputation = _userReputations[user];
+    function _increaseReputation(bytes32 pseudonym, uint256 step) private {
+        UserReputation storage reputation = _userReputations[pseudonym];
         
-        if (reputation.score < MAX_REPUTATION_SCORE) {
-            reputation.score += 1;
-            emit UserScoreUpdated(user, reputation.score);
+        if (step > 0 && reputation.score < MAX_REPUTATION_SCORE) {
+            reputation.score = Math.min(reputation.score + step, MAX_REPUTATION_SCORE);
+            emit UserScoreUpdated(pseudonym, reputation.score);
         }
     }
 
     /**
      * @notice Decreases user reputation
-     * @param user User address
+     * @dev Stops at 1, since a score of 0 reads as unscored
+     * @param pseudonym User's pseudonym in a campaign
+     * @param step Policy penalty step
+     * @param threshold Policy threshold
      */
-    function _decreaseReputation(address user) private {
-        UserReputation storage reputation = _userReputations[user];
+    function _decreaseReputation(bytes32 pseudonym, uint256 step, uint256 threshold) private {
+        UserReputation storage reputation = _userReputations[pseudonym];
         
-        if (reputation.score > MIN_REPUTATION_SCORE) {
-            reputation.score -= 1;
-            emit UserScoreUpdated(user, reputation.score);
+        if (reputation.score > 1) {
+            reputation.score = reputation.score > step ? reputation.score - step : 1;
+            emit UserScoreUpdated(pseudonym, reputation.score);
             
-            if (reputation.score < FRAUD_THRESHOLD) {
-                emit SuspiciousActivity(user, "Reputation below threshold");
+            if (reputation.score < threshold) {
+                emit SuspiciousActivity(pseudonym, "Reputation below threshold");
             }
         }
     }
 
     /**
-     * @notice Checks if address is blacklisted
-     * @param user User address
+     * @notice Checks if a pseudonym is blacklisted
+     * @param pseudonym User's pseudonym in a campaign
      * @return bool True if blacklisted
      */
-    function isBlacklisted(address user) external view returns (bool) {
-        return _userReputations[user].blacklisted;
+    function isBlacklisted(bytes32 pseudonym) external view returns (bool) {
+        return _userReputations[pseudonym].blacklisted;
     }
 
     /**
      * @notice Gets multiple user reputations
-     * @param users Array of user addresses
+     * @param pseudonyms Array of pseudonyms
      * @return UserReputation[] Array of reputations
      */
     function getBatchReputations(
-        address[] memory users
+        bytes32[] memory pseudonyms
     ) external view returns (UserReputation[] memory) {
-        UserReputation[] memory reputations = new UserReputation[](users.length);
+        UserReputation[] memory reputations = new UserReputation[](pseudonyms.length);
         
-        for (uint256 i = 0; i < users.length; i++) {
-            reputations[i] = _userReputations[users[i]];
+        for (uint256 i = 0; i < pseudonyms.length; i++) {
+            reputations[i] = _userReputations[pseudonyms[i]];
         }
         
         return reputations;
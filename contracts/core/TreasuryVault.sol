@@ -3,20 +3,44 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "../security/GuardianPausable.sol";
 import "../interfaces/ITreasuryVault.sol";
+import "../interfaces/ICampaignRegistry.sol";
 
 /**
  * @title TreasuryVault
  * @notice Secure vault for campaign budgets and payouts
+ * @dev Campaign balances, unclaimed earnings and pending refunds are allocated funds; the
+ * owner can only withdraw what is left over (e.g. ETH sent straight to the vault). Payments
+ * are credited to the recipient's earnings and pulled with claimEarnings, so a recipient
+ * that cannot receive ETH never blocks billing. Each campaign is held
+ * in the token it was created with, read from the campaign registry; without a registry
+ * every campaign is native ETH.
  */
-contract TreasuryVault is ITreasuryVault, Ownable, ReentrancyGuard {
+contract TreasuryVault is ITreasuryVault, GuardianPausable, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
     mapping(uint256 => uint256) private _campaignBalances;
     mapping(address => bool) private _authorizedSpenders;
     
     uint256 public constant TIMELOCK_DURATION = 1 days;
-    uint256 public totalDeposited;
-    uint256 public totalWithdrawn;
+    // Totals per token; address(0) is native ETH
+    mapping(address => uint256) private _totalDeposited;
+    mapping(address => uint256) private _totalWithdrawn;
+    mapping(address => uint256) public totalAllocated;
     mapping(bytes32 => uint256) private _timelocks;
+    mapping(bytes32 => bool) private _refundTimelocks;
+    mapping(uint256 => Refund) private _refunds;
+    // Earnings per recipient and campaign, and the campaigns each recipient earned from
+    mapping(address => mapping(uint256 => Earnings)) private _earnings;
+    mapping(address => uint256[]) private _earningCampaigns;
+
+    ICampaignRegistry public campaignRegistry;
+
+    event CampaignRegistryUpdated(address indexed campaignRegistry);
+    event TokenWithdrawn(address indexed token, address indexed recipient, uint256 amount);
 
     modifier onlyAuthorized() {
         require(_authorizedSpenders[msg.sender] || msg.sender == owner(), "Not authorized");
@@ -26,20 +50,33 @@ contract TreasuryVault is ITreasuryVault, Ownable, ReentrancyGuard {
     constructor() Ownable(msg.sender) {}
 
     /**
-     * @notice Deposits funds for a campaign
+     * @notice Deposits ETH for a campaign budgeted in ETH
      * @param campaignId Campaign ID
      */
     function deposit(uint256 campaignId) external payable override {
         require(msg.value > 0, "Deposit amount must be > 0");
+        require(_campaignToken(campaignId) == address(0), "Wrong campaign token");
         
-        _campaignBalances[campaignId] += msg.value;
-        totalDeposited += msg.value;
-        
-        emit Deposited(campaignId, msg.sender, msg.value);
+        _credit(campaignId, address(0), msg.value);
     }
 
     /**
-     * @notice Withdraws funds (owner only)
+     * @notice Deposits tokens for a campaign budgeted in an ERC-20 token
+     * @dev The vault must be approved to transfer the amount
+     * @param campaignId Campaign ID
+     * @param amount Amount in token units
+     */
+    function depositToken(uint256 campaignId, uint256 amount) external override nonReentrant {
+        require(amount > 0, "Deposit amount must be > 0");
+        address token = _campaignToken(campaignId);
+        require(token != address(0), "Wrong campaign token");
+
+        IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+        _credit(campaignId, token, amount);
+    }
+
+    /**
+     * @notice Withdraws unallocated ETH (owner only)
      * @param recipient Recipient address
      * @param amount Amount to withdraw
      */
@@ -47,21 +84,29 @@ contract TreasuryVault is ITreasuryVault, Ownable, ReentrancyGuard {
         address recipient,
         uint256 amount
     ) external override onlyOwner nonReentrant {
-        require(recipient != address(0), "Invalid recipient");
-        require(amount > 0, "Amount must be > 0");
-        require(address(this).balance >= amount, "Insufficient balance");
-
-        (bool success, ) = recipient.call{value: amount}("");
-        require(success, "Transfer failed");
-        
-        totalWithdrawn += amount;
-
+        _withdraw(address(0), recipient, amount);
         emit Withdrawn(recipient, amount);
     }
 
     /**
-     * @notice Processes a payment from campaign balance
-     * @dev Uses nonReentrant modifier to prevent reentrancy attacks
+     * @notice Withdraws unallocated tokens (owner only)
+     * @param token Token address
+     * @param recipient Recipient address
+     * @param amount Amount to withdraw
+     */
+    function withdrawToken(
+        address token,
+        address recipient,
+        uint256 amount
+    ) external onlyOwner nonReentrant {
+        require(token != address(0), "Invalid address");
+        _withdraw(token, recipient, amount);
+        emit TokenWithdrawn(token, recipient, amount);
+    }
+
+    /**
+     * @notice Credits a payment from campaign balance to the recipient's earnings
+     * @dev Nothing is transferred; the recipient claims the campaign's token with claimEarnings
      * @param campaignId Campaign ID
      * @param recipient Recipient address
      * @param amount Amount to pay
@@ -71,21 +116,161 @@ contract TreasuryVault is ITreasuryVault, Ownable, ReentrancyGuard {
         uint256 campaignId,
         address recipient,
         uint256 amount
-    ) external override onlyAuthorized nonReentrant returns (bool) {
+    ) external override onlyAuthorized nonReentrant whenNotPaused returns (bool) {
         require(recipient != address(0), "Invalid recipient");
         require(amount > 0, "Amount must be > 0");
         require(_campaignBalances[campaignId] >= amount, "Insufficient campaign balance");
 
         _campaignBalances[campaignId] -= amount;
 
-        (bool success, ) = recipient.call{value: amount}("");
-        require(success, "Payment failed");
+        Earnings storage earnings = _earnings[recipient][campaignId];
+        if (earnings.pending == 0 && earnings.claimed == 0) {
+            _earningCampaigns[recipient].push(campaignId);
+        }
+        earnings.pending += amount;
 
         emit PaymentProcessed(campaignId, recipient, amount);
         
         return true;
     }
 
+    /**
+     * @notice Pays the caller's unclaimed earnings from campaigns, each in its campaign's token
+     * @dev Campaigns without unclaimed earnings are skipped; blocked while the vault is paused
+     * @param campaignIds Campaign IDs to claim from
+     */
+    function claimEarnings(
+        uint256[] calldata campaignIds
+    ) external override nonReentrant whenNotPaused {
+        bool claimed;
+
+        for (uint256 i = 0; i < campaignIds.length; i++) {
+            Earnings storage earnings = _earnings[msg.sender][campaignIds[i]];
+            uint256 amount = earnings.pending;
+            if (amount == 0) continue;
+
+            address token = _campaignToken(campaignIds[i]);
+            earnings.pending = 0;
+            earnings.claimed += amount;
+            totalAllocated[token] -= amount;
+            claimed = true;
+
+            require(_transfer(token, msg.sender, amount), "Transfer failed");
+
+            emit EarningsClaimed(campaignIds[i], msg.sender, amount);
+        }
+
+        require(claimed, "Nothing to claim");
+    }
+
+    /**
+     * @notice Gets a recipient's earnings from a campaign
+     * @param recipient Recipient address
+     * @param campaignId Campaign ID
+     * @return Earnings Unclaimed and claimed amounts, in the campaign's token
+     */
+    function getEarnings(
+        address recipient,
+        uint256 campaignId
+    ) external view override returns (Earnings memory) {
+        return _earnings[recipient][campaignId];
+    }
+
+    /**
+     * @notice Gets the campaigns a recipient has earned from
+     * @param recipient Recipient address
+     * @return uint256[] Campaign IDs, in the order of their first payment
+     */
+    function getEarningCampaigns(
+        address recipient
+    ) external view override returns (uint256[] memory) {
+        return _earningCampaigns[recipient];
+    }
+
+    /**
+     * @notice Moves a closed campaign's balance into a refund for its owner
+     * @dev The refund can be claimed once TIMELOCK_DURATION has passed
+     * @param campaignId Campaign ID
+     * @return unlockTime Time from which the refund can be claimed
+     */
+    function requestRefund(uint256 campaignId) external override returns (uint256 unlockTime) {
+        require(address(campaignRegistry) != address(0), "Invalid registry");
+
+        ICampaignRegistry.Campaign memory campaign = campaignRegistry.getCampaign(campaignId);
+        require(msg.sender == campaign.owner, "Not campaign owner");
+        require(!campaign.active, "Campaign still active");
+        require(_refunds[campaignId].amount == 0, "Refund already requested");
+
+        uint256 amount = _campaignBalances[campaignId];
+        require(amount > 0, "Nothing to refund");
+
+        _campaignBalances[campaignId] = 0;
+        _refunds[campaignId] = Refund({
+            recipient: msg.sender,
+            token: campaign.token,
+            amount: amount
+        });
+        bytes32 transferId = refundTransferId(campaignId);
+        _refundTimelocks[transferId] = true;
+        unlockTime = _startTimelock(transferId);
+
+        emit RefundRequested(campaignId, msg.sender, amount, unlockTime);
+    }
+
+    /**
+     * @notice Pays out a refund whose timelock has expired
+     * @dev Anyone can execute the refund; it always goes to the requesting owner.
+     * Pausing the vault during the timelock holds the refund back.
+     * @param campaignId Campaign ID
+     */
+    function claimRefund(uint256 campaignId) external override nonReentrant whenNotPaused {
+        Refund memory refund = _refunds[campaignId];
+        require(refund.amount > 0, "No refund requested");
+
+        bytes32 transferId = refundTransferId(campaignId);
+        require(block.timestamp >= _timelocks[transferId], "Timelock not expired");
+
+        delete _refunds[campaignId];
+        delete _timelocks[transferId];
+        totalAllocated[refund.token] -= refund.amount;
+        _totalWithdrawn[refund.token] += refund.amount;
+
+        require(_transfer(refund.token, refund.recipient, refund.amount), "Transfer failed");
+
+        emit RefundClaimed(campaignId, refund.recipient, refund.amount);
+    }
+
+    /**
+     * @notice Gets a campaign's pending refund
+     * @param campaignId Campaign ID
+     * @return refund Recipient, token and amount (zero if none is pending)
+     * @return unlockTime Time from which the refund can be claimed
+     */
+    function getRefund(
+        uint256 campaignId
+    ) external view returns (Refund memory refund, uint256 unlockTime) {
+        return (_refunds[campaignId], _timelocks[refundTransferId(campaignId)]);
+    }
+
+    /**
+     * @notice Timelock identifier of a campaign's refund
+     * @param campaignId Campaign ID
+     * @return bytes32 Transfer identifier
+     */
+    function refundTransferId(uint256 campaignId) public pure returns (bytes32) {
+        return keccak256(abi.encode("refund", campaignId));
+    }
+
+    /**
+     * @notice Sets the registry used to look up campaign tokens and owners
+     * @param _campaignRegistry Campaign registry address
+     */
+    function setCampaignRegistry(address _campaignRegistry) external onlyOwner {
+        require(_campaignRegistry != address(0), "Invalid registry");
+        campaignRegistry = ICampaignRegistry(_campaignRegistry);
+        emit CampaignRegistryUpdated(_campaignRegistry);
+    }
+
     /**
      * @notice Gets campaign balance
      * @param campaignId Campaign ID
@@ -122,19 +307,67 @@ contract TreasuryVault is ITreasuryVault, Ownable, ReentrancyGuard {
     }
 
     /**
-     * @notice Gets total vault balance
+     * @notice Gets total vault ETH balance
      * @return uint256 Total balance
      */
     function getTotalBalance() external view returns (uint256) {
         return address(this).balance;
     }
 
+    /**
+     * @notice Gets the total ETH deposited for campaigns
+     * @return uint256 Total ETH deposited
+     */
+    function totalDeposited() external view returns (uint256) {
+        return _totalDeposited[address(0)];
+    }
+
+    /**
+     * @notice Gets the total ETH withdrawn by the owner or refunded
+     * @return uint256 Total ETH withdrawn
+     */
+    function totalWithdrawn() external view returns (uint256) {
+        return _totalWithdrawn[address(0)];
+    }
+
+    /**
+     * @notice Gets the total of a token deposited for campaigns
+     * @param token Token address, or address(0) for native ETH
+     * @return uint256 Total deposited
+     */
+    function totalDepositedToken(address token) external view returns (uint256) {
+        return _totalDeposited[token];
+    }
+
+    /**
+     * @notice Gets the total of a token withdrawn by the owner or refunded
+     * @param token Token address, or address(0) for native ETH
+     * @return uint256 Total withdrawn
+     */
+    function totalWithdrawnToken(address token) external view returns (uint256) {
+        return _totalWithdrawn[token];
+    }
+
+    /**
+     * @notice Gets the funds of a token not held for campaigns, earnings or pending refunds
+     * @param token Token address, or address(0) for native ETH
+     * @return uint256 Amount the owner can withdraw
+     */
+    function getUnallocatedBalance(address token) public view returns (uint256) {
+        uint256 balance = token == address(0)
+            ? address(this).balance
+            : IERC20(token).balanceOf(address(this));
+        return balance - totalAllocated[token];
+    }
+
     /**
      * @notice Emergency pause for large transfers
+     * @dev Refund timelocks only start in requestRefund, so the owner cannot extend them
      * @param transferId Unique transfer identifier
      */
     function initializeTimelock(bytes32 transferId) external onlyOwner {
-        _timelocks[transferId] = block.timestamp + TIMELOCK_DURATION;
+        require(!_refundTimelocks[transferId], "Refund timelock");
+        _startTimelock(transferId);
     }
 
     /**
@@ -147,7 +380,7 @@ contract TreasuryVault is ITreasuryVault, Ownable, ReentrancyGuard {
     }
 
     /**
-     * @notice Batch deposit to multiple campaigns
+     * @notice Batch deposit to multiple campaigns budgeted in ETH
      * @param campaignIds Array of campaign IDs
      * @param amounts Array of deposit amounts
      */
@@ -155,22 +388,138 @@ contract TreasuryVault is ITreasuryVault, Ownable, ReentrancyGuard {
         uint256[] memory campaignIds,
         uint256[] memory amounts
     ) external payable {
+        require(msg.value == _sum(campaignIds, amounts), "Incorrect total amount");
+        _creditBatch(address(0), campaignIds, amounts);
+    }
+
+    /**
+     * @notice Batch deposit to multiple campaigns budgeted in the same ERC-20 token
+     * @dev The vault must be approved to transfer the summed amount
+     * @param token Token address
+     * @param campaignIds Array of campaign IDs
+     * @param amounts Array of deposit amounts
+     */
+    function batchDepositToken(
+        address token,
+        uint256[] memory campaignIds,
+        uint256[] memory amounts
+    ) external nonReentrant {
+        require(token != address(0), "Invalid address");
+
+        IERC20(token).safeTransferFrom(msg.sender, address(this), _sum(campaignIds, amounts));
+        _creditBatch(token, campaignIds, amounts);
+    }
+
+    /**
+     * @notice Token a campaign is budgeted in
+     * @dev With a registry set, reverts for campaigns that do not exist, so deposits
+     * cannot strand funds under an unknown ID
+     * @param campaignId Campaign ID
+     * @return address Token, or address(0) for native ETH
+     */
+    function _campaignToken(uint256 campaignId) private view returns (address) {
+        if (address(campaignRegistry) == address(0)) {
+            return address(0);
+        }
+        return campaignRegistry.getCampaign(campaignId).token;
+    }
+
+    /**
+     * @notice Adds a deposit to a campaign balance
+     * @param campaignId Campaign ID
+     * @param token Token deposited, or address(0) for native ETH
+     * @param amount Amount deposited
+     */
+    function _credit(uint256 campaignId, address token, uint256 amount) private {
+        _campaignBalances[campaignId] += amount;
+        _totalDeposited[token] += amount;
+        totalAllocated[token] += amount;
+
+        emit Deposited(campaignId, msg.sender, amount);
+    }
+
+    /**
+     * @notice Credits batch deposits after checking every campaign uses the token
+     * @param token Token deposited, or address(0) for native ETH
+     * @param campaignIds Array of campaign IDs
+     * @param amounts Array of deposit amounts
+     */
+    function _creditBatch(
+        address token,
+        uint256[] memory campaignIds,
+        uint256[] memory amounts
+    ) private {
+        for (uint256 i = 0; i < campaignIds.length; i++) {
+            require(_campaignToken(campaignIds[i]) == token, "Wrong campaign token");
+            _credit(campaignIds[i], token, amounts[i]);
+        }
+    }
+
+    /**
+     * @notice Sums batch deposit amounts
+     * @param campaignIds Array of campaign IDs
+     * @param amounts Array of deposit amounts
+     * @return total Sum of the amounts
+     */
+    function _sum(
+        uint256[] memory campaignIds,
+        uint256[] memory amounts
+    ) private pure returns (uint256 total) {
         require(campaignIds.length == amounts.length, "Length mismatch");
-        
-        uint256 totalRequired = 0;
         for (uint256 i = 0; i < amounts.length; i++) {
-            totalRequired += amounts[i];
+            total += amounts[i];
         }
-        require(msg.value == totalRequired, "Incorrect total amount");
-        
-        for (uint256 i = 0; i < campaignIds.length; i++) {
-            _campaignBalances[campaignIds[i]] += amounts[i];
-            emit Deposited(campaignIds[i], msg.sender, amounts[i]);
+    }
+
+    /**
+     * @notice Sends unallocated funds to a recipient
+     * @param token Token address, or address(0) for native ETH
+     * @param recipient Recipient address
+     * @param amount Amount to withdraw
+     */
+    function _withdraw(address token, address recipient, uint256 amount) private {
+        require(recipient != address(0), "Invalid recipient");
+        require(amount > 0, "Amount must be > 0");
+        require(getUnallocatedBalance(token) >= amount, "Insufficient unallocated balance");
+
+        _totalWithdrawn[token] += amount;
+        require(_transfer(token, recipient, amount), "Transfer failed");
+    }
+
+    /**
+     * @notice Transfers ETH or tokens out of the vault
+     * @dev Token transfers revert on failure; ETH transfers report it
+     * @param token Token address, or address(0) for native ETH
+     * @param recipient Recipient address
+     * @param amount Amount to transfer
+     * @return success True if the transfer went through
+     */
+    function _transfer(
+        address token,
+        address recipient,
+        uint256 amount
+    ) private returns (bool success) {
+        if (token == address(0)) {
+            (success, ) = recipient.call{value: amount}("");
+        } else {
+            IERC20(token).safeTransfer(recipient, amount);
+            success = true;
         }
     }
 
+    /**
+     * @notice Starts (or restarts) the timelock of a transfer
+     * @param transferId Transfer identifier
+     * @return unlockTime Time at which the timelock expires
+     */
+    function _startTimelock(bytes32 transferId) private returns (uint256 unlockTime) {
+        unlockTime = block.timestamp + TIMELOCK_DURATION;
+        _timelocks[transferId] = unlockTime;
+    }
+
     /**
      * @notice Fallback to receive ETH
+     * @dev Received ETH is not allocated to a campaign, so the owner can withdraw it
      */
     receive() external payable {
         emit Deposited(0, msg.sender, msg.value);
@@ -9,23 +9,50 @@ interface IAnalyticsAggregator {
     struct CampaignMetrics {
         uint256 totalConversions;
         uint256 totalSpent;
+        uint256 totalWeight; // Attribution weight billed, 100 per fully attributed conversion
         uint256 lastConversionTime;
         bool dpEnabled; // Differential Privacy enabled
     }
 
+    struct EpochRelease {
+        uint256 conversions; // Noisy totals of the epoch
+        uint256 spent;
+        uint256 weight;
+        uint256 epsilon; // Privacy cost, scaled by EPSILON_PRECISION
+        bytes32 noiseCommitment; // Commitment to the noise, made before the epoch ended
+        bool released;
+    }
+
+    struct PrivacyBudget {
+        uint256 epsilon; // Total budget, scaled by EPSILON_PRECISION
+        uint256 spent; // Epsilon used by releases so far
+        uint256 maxAmount; // Most one conversion adds to an epoch's spend (its sensitivity)
+    }
+
     event MetricsUpdated(
         uint256 indexed campaignId,
         uint256 conversions,
         uint256 spent
     );
 
+    event PrivacyBudgetSet(uint256 indexed campaignId, uint256 epsilon, uint256 maxAmount);
+    event NoiseCommitted(uint256 indexed campaignId, uint256 indexed epoch, bytes32 commitment);
+    event EpochReleased(
+        uint256 indexed campaignId,
+        uint256 indexed epoch,
+        uint256 conversions,
+        uint256 spent,
+        uint256 weight,
+        uint256 epsilon
+    );
+
     function recordConversion(
         uint256 campaignId,
-        uint256 amount
+        uint256 amount,
+        uint256 weight
     ) external;
 
     function getMetrics(uint256 campaignId) external view returns (CampaignMetrics memory);
 
     function getTotalConversions(uint256 campaignId) external view returns (uint256);
 }
-
@@ -23,6 +23,7 @@ interface IAttributionGateway {
 
     function submitConversion(
         uint256 campaignId,
+        address publisher,
         bytes32 clickHash,
         bytes32 conversionHash,
         bytes32 nullifier,
@@ -6,6 +6,11 @@ pragma solidity ^0.8.20;
  * @notice Interface for campaign billing and settlement
  */
 interface IBillingModule {
+    struct Publisher {
+        bool registered;
+        address referrer; // Shares the publisher's revenue, or address(0) for none
+    }
+
     event ConversionPaid(
         uint256 indexed campaignId,
         bytes32 indexed nullifier,
@@ -15,12 +20,39 @@ interface IBillingModule {
 
     event CampaignExhausted(uint256 indexed campaignId);
 
+    event PublisherRegistered(
+        uint256 indexed campaignId,
+        address indexed publisher,
+        address indexed referrer
+    );
+
+    event PublisherRemoved(uint256 indexed campaignId, address indexed publisher);
+
+    event RevenueSplitUpdated(
+        uint256 protocolFeeBps,
+        uint256 referrerFeeBps,
+        address indexed feeRecipient
+    );
+
     function processConversion(
         uint256 campaignId,
+        address publisher,
         bytes32 nullifier,
         uint256 weight
     ) external returns (bool);
 
+    function processConversionBatch(
+        uint256 campaignId,
+        address publisher,
+        bytes32[] calldata nullifiers,
+        uint256[] calldata weights
+    ) external returns (uint256 totalFee);
+
+    function isPublisherRegistered(
+        uint256 campaignId,
+        address publisher
+    ) external view returns (bool);
+
     function calculateFee(
         uint256 campaignId,
         uint256 weight
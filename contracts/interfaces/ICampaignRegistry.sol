@@ -14,13 +14,38 @@ interface ICampaignRegistry {
         string metadataCID;
         bool active;
         uint256 createdAt;
+        address token; // Budget token, or address(0) for native ETH
+    }
+
+    struct WeightTier {
+        uint256 minWeight; // Lowest conversion weight the tier applies to
+        uint256 rate;
+    }
+
+    // How a conversion's weight is shared between the clicks that led to it
+    enum AttributionModel {
+        LAST_CLICK, // The last click before the conversion gets the whole weight
+        LINEAR, // Every click gets the same weight
+        TIME_DECAY // Recent clicks get more weight, halving every halfLife
+    }
+
+    struct Attribution {
+        AttributionModel model;
+        uint256 halfLife; // Seconds, for TIME_DECAY; 0 otherwise
+    }
+
+    struct Pricing {
+        uint256 rate; // Payout per conversion (per weight unit under CPA); 0 for the billing default
+        uint256 dailyCap; // Most that can be billed per day; 0 for no cap
+        WeightTier[] tiers; // Ascending by minWeight; the last tier at or below the weight applies
     }
 
     event CampaignCreated(
         uint256 indexed campaignId,
         address indexed owner,
         uint256 budget,
-        uint8 pricingModel
+        uint8 pricingModel,
+        address indexed token
     );
 
     event BudgetUpdated(
@@ -31,22 +56,68 @@ interface ICampaignRegistry {
 
     event CampaignClosed(uint256 indexed campaignId);
 
+    event PricingUpdated(
+        uint256 indexed campaignId,
+        uint256 rate,
+        uint256 dailyCap,
+        uint256 tierCount
+    );
+
+    event AttributionUpdated(
+        uint256 indexed campaignId,
+        AttributionModel model,
+        uint256 halfLife
+    );
+
+    event SpendRecorded(uint256 indexed campaignId, uint256 amount, uint256 totalSpent);
+
     function createCampaign(
         uint256 budget,
         uint8 pricingModel,
         string memory metadataCID
     ) external returns (uint256 campaignId);
 
+    function createTokenCampaign(
+        uint256 budget,
+        uint8 pricingModel,
+        string memory metadataCID,
+        address token
+    ) external returns (uint256 campaignId);
+
+    function createPricedCampaign(
+        uint256 budget,
+        uint8 pricingModel,
+        string memory metadataCID,
+        address token,
+        Pricing calldata pricing
+    ) external returns (uint256 campaignId);
+
     function updateBudget(uint256 campaignId, uint256 newBudget) external;
 
+    function updatePricing(uint256 campaignId, Pricing calldata pricing) external;
+
+    function getCampaignPricing(uint256 campaignId) external view returns (Pricing memory);
+
+    function setAttribution(uint256 campaignId, Attribution calldata attribution) external;
+
+    function getAttribution(uint256 campaignId) external view returns (Attribution memory);
+
     function closeCampaign(uint256 campaignId) external;
 
     function getCampaign(uint256 campaignId) external view returns (Campaign memory);
 
     function isCampaignActive(uint256 campaignId) external view returns (bool);
 
+    function getCampaignToken(uint256 campaignId) external view returns (address);
+
     function getCampaignSpent(uint256 campaignId) external view returns (uint256);
 
     function getCampaignRemainingBudget(uint256 campaignId) external view returns (uint256);
+
+    function recordSpend(
+        uint256 campaignId,
+        uint256 amount,
+        uint256 minimumCost
+    ) external returns (bool exhausted);
 }
 
@@ -10,6 +10,8 @@ interface IConversionVerifier {
         uint256[2] a;
         uint256[2][2] b;
         uint256[2] c;
+        // [clickHash, conversionHash, campaignRoot, weight, pseudonym, publisher, conversionNullifier,
+        //  clickTime, conversionTime, lastClick]
         uint256[] publicInputs;
     }
 
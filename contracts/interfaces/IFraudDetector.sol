@@ -0,0 +1,60 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IFraudDetector
+ * @notice Interface for the fraud module AttributionGateway consults before billing
+ * @dev Users are identified by the campaign pseudonym their conversion proof derives,
+ * never by address. Each campaign is judged by its own fraud policy.
+ */
+interface IFraudDetector {
+    struct FraudPolicy {
+        uint256 threshold; // Users and devices scoring below this are rejected
+        uint256 initialScore; // Score of a user or device before its first conversion
+        uint256 timeWindow; // Seconds over which conversions are rate limited
+        uint256 maxConversionsPerWindow; // Conversions a user may make per window
+        uint256 rewardStep; // Score gained per billed conversion
+        uint256 penaltyStep; // Score lost per failed conversion or rate limit breach
+    }
+
+    event DefaultFraudPolicyUpdated(
+        uint256 threshold,
+        uint256 initialScore,
+        uint256 timeWindow,
+        uint256 maxConversionsPerWindow,
+        uint256 rewardStep,
+        uint256 penaltyStep
+    );
+
+    event FraudPolicyUpdated(
+        uint256 indexed campaignId,
+        uint256 threshold,
+        uint256 initialScore,
+        uint256 timeWindow,
+        uint256 maxConversionsPerWindow,
+        uint256 rewardStep,
+        uint256 penaltyStep
+    );
+
+    event FraudPolicyCleared(uint256 indexed campaignId);
+
+    function checkFraud(
+        uint256 campaignId,
+        bytes32 pseudonym,
+        bytes32 deviceId
+    ) external view returns (bool);
+
+    function recordConversion(
+        uint256 campaignId,
+        bytes32 pseudonym,
+        bytes32 deviceId,
+        bool success
+    ) external;
+
+    function getRemainingConversions(
+        uint256 campaignId,
+        bytes32 pseudonym
+    ) external view returns (uint256);
+
+    function getFraudPolicy(uint256 campaignId) external view returns (FraudPolicy memory);
+}
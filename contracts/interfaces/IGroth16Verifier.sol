@@ -0,0 +1,18 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IGroth16Verifier
+ * @notice Interface for the snarkjs-generated conversion circuit verifier
+ * @dev Public signals are
+ *      [nullifier, pseudonym, conversionNullifier, lastClick, clickHash, conversionHash,
+ *       campaignRoot, weight, campaignId, publisher, clickTime, conversionTime]
+ */
+interface IGroth16Verifier {
+    function verifyProof(
+        uint256[2] calldata pA,
+        uint256[2][2] calldata pB,
+        uint256[2] calldata pC,
+        uint256[12] calldata pubSignals
+    ) external view returns (bool);
+}
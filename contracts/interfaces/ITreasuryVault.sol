@@ -6,6 +6,17 @@ pragma solidity ^0.8.20;
  * @notice Interface for secure budget and payout management
  */
 interface ITreasuryVault {
+    struct Refund {
+        address recipient;
+        address token; // address(0) for native ETH
+        uint256 amount;
+    }
+
+    struct Earnings {
+        uint256 pending; // credited, not yet claimed
+        uint256 claimed;
+    }
+
     event Deposited(
         uint256 indexed campaignId,
         address indexed depositor,
@@ -23,8 +34,29 @@ interface ITreasuryVault {
         uint256 amount
     );
 
+    event RefundRequested(
+        uint256 indexed campaignId,
+        address indexed recipient,
+        uint256 amount,
+        uint256 unlockTime
+    );
+
+    event RefundClaimed(
+        uint256 indexed campaignId,
+        address indexed recipient,
+        uint256 amount
+    );
+
+    event EarningsClaimed(
+        uint256 indexed campaignId,
+        address indexed recipient,
+        uint256 amount
+    );
+
     function deposit(uint256 campaignId) external payable;
 
+    function depositToken(uint256 campaignId, uint256 amount) external;
+
     function withdraw(address recipient, uint256 amount) external;
 
     function processPayment(
@@ -33,6 +65,19 @@ interface ITreasuryVault {
         uint256 amount
     ) external returns (bool);
 
+    function requestRefund(uint256 campaignId) external returns (uint256 unlockTime);
+
+    function claimRefund(uint256 campaignId) external;
+
+    function claimEarnings(uint256[] calldata campaignIds) external;
+
+    function getEarnings(
+        address recipient,
+        uint256 campaignId
+    ) external view returns (Earnings memory);
+
+    function getEarningCampaigns(address recipient) external view returns (uint256[] memory);
+
     function getCampaignBalance(uint256 campaignId) external view returns (uint256);
 }
 
@@ -1,6 +1,9 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
+import "poseidon-solidity/PoseidonT3.sol";
+import "poseidon-solidity/PoseidonT5.sol";
+
 /**
  * @title ProofVerification
  * @notice Library for ZK proof verification utilities
@@ -34,6 +37,8 @@ library ProofVerification {
 
     /**
      * @notice Computes nullifier hash
+     * @dev Poseidon(clickHash, userSecret), as constrained by circuits/conversion.circom.
+     *      Callers must be linked against a deployed PoseidonT3 library.
      * @param clickHash Hash of click data
      * @param userSecret User's secret value
      * @return bytes32 Nullifier hash
@@ -42,7 +47,70 @@ library ProofVerification {
         bytes32 clickHash,
         bytes32 userSecret
     ) internal pure returns (bytes32) {
-        return keccak256(abi.encodePacked(clickHash, userSecret));
+        return bytes32(PoseidonT3.hash([uint256(clickHash), uint256(userSecret)]));
+    }
+
+    /**
+     * @notice Computes a user's pseudonym in a campaign
+     * @dev Poseidon(userSecret, campaignId), as constrained by circuits/conversion.circom
+     * @param userSecret User's secret value
+     * @param campaignId Campaign ID
+     * @return bytes32 Pseudonym
+     */
+    function computePseudonym(
+        bytes32 userSecret,
+        uint256 campaignId
+    ) internal pure returns (bytes32) {
+        return bytes32(PoseidonT3.hash([uint256(userSecret), campaignId]));
+    }
+
+    /**
+     * @notice Computes a conversion's nullifier, its identity for attribution
+     * @dev Poseidon(conversionHash, userSecret), as constrained by circuits/conversion.circom
+     * @param conversionHash Hash of conversion data
+     * @param userSecret User's secret value
+     * @return bytes32 Conversion nullifier
+     */
+    function computeConversionNullifier(
+        bytes32 conversionHash,
+        bytes32 userSecret
+    ) internal pure returns (bytes32) {
+        return bytes32(PoseidonT3.hash([uint256(conversionHash), uint256(userSecret)]));
+    }
+
+    /**
+     * @notice Computes the click tree leaf for a click
+     * @dev Poseidon(clickHash, commitment, clickTime, nextClickTime) where
+     *      commitment = Poseidon(userSecret). Callers must also be linked against PoseidonT5.
+     * @param clickHash Hash of click data
+     * @param commitment User's secret commitment
+     * @param clickTime Timestamp of the click
+     * @param nextClickTime Timestamp of the user's next click in the campaign, or 0
+     * @return bytes32 Click leaf
+     */
+    function computeClickLeaf(
+        bytes32 clickHash,
+        bytes32 commitment,
+        uint64 clickTime,
+        uint64 nextClickTime
+    ) internal pure returns (bytes32) {
+        return bytes32(
+            PoseidonT5.hash([uint256(clickHash), uint256(commitment), clickTime, nextClickTime])
+        );
+    }
+
+    /**
+     * @notice Computes the conversion hash that binds a conversion's time
+     * @dev Poseidon(conversionId, conversionTime), as constrained by circuits/conversion.circom
+     * @param conversionId Identifier of the conversion
+     * @param conversionTime Timestamp of the conversion
+     * @return bytes32 Conversion hash
+     */
+    function computeConversionHash(
+        bytes32 conversionId,
+        uint64 conversionTime
+    ) internal pure returns (bytes32) {
+        return bytes32(PoseidonT3.hash([uint256(conversionId), conversionTime]));
     }
 
     /**
@@ -0,0 +1,27 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../libraries/MerkleProof.sol";
+
+/**
+ * @title MerkleProofHarness
+ * @notice Exposes MerkleProof for off-chain tree compatibility tests
+ */
+contract MerkleProofHarness {
+    function verify(
+        bytes32[] memory proof,
+        bytes32 root,
+        bytes32 leaf
+    ) external pure returns (bool) {
+        return MerkleProof.verify(proof, root, leaf);
+    }
+
+    function multiProofVerify(
+        bytes32[] memory proof,
+        bool[] memory proofFlags,
+        bytes32 root,
+        bytes32[] memory leaves
+    ) external pure returns (bool) {
+        return MerkleProof.multiProofVerify(proof, proofFlags, root, leaves);
+    }
+}
@@ -0,0 +1,29 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../interfaces/IGroth16Verifier.sol";
+
+/**
+ * @title MockGroth16Verifier
+ * @notice Test verifier that returns a configurable result for any proof
+ */
+contract MockGroth16Verifier is IGroth16Verifier {
+    bool public result = true;
+
+    /**
+     * @notice Sets the result returned by verifyProof
+     * @param _result Verification result
+     */
+    function setResult(bool _result) external {
+        result = _result;
+    }
+
+    function verifyProof(
+        uint256[2] calldata,
+        uint256[2][2] calldata,
+        uint256[2] calldata,
+        uint256[12] calldata
+    ) external view override returns (bool) {
+        return result;
+    }
+}
@@ -0,0 +1,47 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../libraries/ProofVerification.sol";
+
+/**
+ * @title ProofVerificationHarness
+ * @notice Exposes ProofVerification hashing for off-chain parity tests
+ */
+contract ProofVerificationHarness {
+    function computeNullifier(
+        bytes32 clickHash,
+        bytes32 userSecret
+    ) external pure returns (bytes32) {
+        return ProofVerification.computeNullifier(clickHash, userSecret);
+    }
+
+    function computePseudonym(
+        bytes32 userSecret,
+        uint256 campaignId
+    ) external pure returns (bytes32) {
+        return ProofVerification.computePseudonym(userSecret, campaignId);
+    }
+
+    function computeConversionNullifier(
+        bytes32 conversionHash,
+        bytes32 userSecret
+    ) external pure returns (bytes32) {
+        return ProofVerification.computeConversionNullifier(conversionHash, userSecret);
+    }
+
+    function computeClickLeaf(
+        bytes32 clickHash,
+        bytes32 commitment,
+        uint64 clickTime,
+        uint64 nextClickTime
+    ) external pure returns (bytes32) {
+        return ProofVerification.computeClickLeaf(clickHash, commitment, clickTime, nextClickTime);
+    }
+
+    function computeConversionHash(
+        bytes32 conversionId,
+        uint64 conversionTime
+    ) external pure returns (bytes32) {
+        return ProofVerification.computeConversionHash(conversionId, conversionTime);
+    }
+}
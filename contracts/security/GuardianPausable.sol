@@ -0,0 +1,45 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+
+/**
+ * @title GuardianPausable
+ * @notice Emergency pause that a guardian can trigger without the owner key
+ * @dev The guardian (e.g. a monitoring bot or an operator's hot wallet) can only pause.
+ * Unpausing and appointing the guardian stay with the owner.
+ */
+abstract contract GuardianPausable is Ownable, Pausable {
+    address public guardian;
+
+    event GuardianUpdated(address indexed previousGuardian, address indexed newGuardian);
+
+    modifier onlyGuardianOrOwner() {
+        require(msg.sender == guardian || msg.sender == owner(), "Not guardian");
+        _;
+    }
+
+    /**
+     * @notice Appoints the guardian
+     * @param newGuardian Guardian address, or the zero address to remove the guardian
+     */
+    function setGuardian(address newGuardian) external onlyOwner {
+        emit GuardianUpdated(guardian, newGuardian);
+        guardian = newGuardian;
+    }
+
+    /**
+     * @notice Halts the contract's paused operations
+     */
+    function pause() external onlyGuardianOrOwner {
+        _pause();
+    }
+
+    /**
+     * @notice Resumes the contract's paused operations
+     */
+    function unpause() external onlyOwner {
+        _unpause();
+    }
+}
@@ -0,0 +1,248 @@
+// SPDX-License-Identifier: GPL-3.0
+/*
+    Copyright 2021 0KIMS association.
+
+    This file is generated with [snarkJS](https://github.com/iden3/snarkjs).
+
+    snarkJS is a free software: you can redistribute it and/or modify it
+    under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    snarkJS is distributed in the hope that it will be useful, but WITHOUT
+    ANY WARRANTY; without even the implied warranty of MERCHANTABILITY
+    or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public
+    License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with snarkJS. If not, see <https://www.gnu.org/licenses/>.
+*/
+
+pragma solidity ^0.8.20;
+
+// Generated by `npx hardhat ghostbeacon zk-build` from circuits/conversion.circom.
+// Do not edit by hand; rebuild the circuit instead.
+
+contract ConversionGroth16Verifier {
+    // Scalar field size
+    uint256 constant r    = 21888242871839275222246405745257275088548364400416034343698204186575808495617;
+    // Base field size
+    uint256 constant q   = 21888242871839275222246405745257275088696311157297823662689037894645226208583;
+
+    // Verification Key data
+    uint256 constant alphax  = 9363391948155598385421849702409148242153434458287380766514218854327048357840;
+    uint256 constant alphay  = 21800738144422560793756090522363721360311384853090522481571446556586839146486;
+    uint256 constant betax1  = 15983302680217240836935715731262717294897344533405510491110592071519571600632;
+    uint256 constant betax2  = 7384681748881792302623605224538731783030121159150095293013042440252205699606;
+    uint256 constant betay1  = 18517747720657511884879101659996269392123566025412158067069688744193055374029;
+    uint256 constant betay2  = 20658970405964140252413463939120216637412042639907374046409224920555891577459;
+    uint256 constant gammax1 = 11559732032986387107991004021392285783925812861821192530917403151452391805634;
+    uint256 constant gammax2 = 10857046999023057135944570762232829481370756359578518086990519993285655852781;
+    uint256 constant gammay1 = 4082367875863433681332203403145435568316851327593401208105741076214120093531;
+    uint256 constant gammay2 = 8495653923123431417604973247489272438418190587263600148770280649306958101930;
+    uint256 constant deltax1 = 12042402496411256538043295516441345907921261911876787045023828509559137621900;
+    uint256 constant deltax2 = 9899234399245967380456226625758194076890154258708129248064163484903125286434;
+    uint256 constant deltay1 = 2905479042654812319000448876711776105913775553013334458484665254394919931507;
+    uint256 constant deltay2 = 10909073795902044700677731238222087939407887351247511586117477133309667162104;
+
+    
+    uint256 constant IC0x = 7111725868622501454177152818597966331283080339022770967186708362887825105176;
+    uint256 constant IC0y = 15492586582835736705384880213103229752488128189553993227817108759335448746941;
+    
+    uint256 constant IC1x = 2128527083940174851940412231481185670982429292486397466004724905804412352314;
+    uint256 constant IC1y = 1114108713155640911040874699801806556206069716605597859808205057848084135453;
+    
+    uint256 constant IC2x = 2109745927107453498633156512710167792131773980040882396936212423556372320469;
+    uint256 constant IC2y = 374888515226294332586694331207719394572873740963885092718948048779483706220;
+    
+    uint256 constant IC3x = 5461406286231559601547961331241942169972399783692149418538414042796860927719;
+    uint256 constant IC3y = 20976654952255828637628015739249093227555507972001496111256484223717838032058;
+    
+    uint256 constant IC4x = 14795328610103858569834410209162806376486457267728828613466440661358464204376;
+    uint256 constant IC4y = 2101486650543250140390187032048847421113672296567896446430809358741908193418;
+    
+    uint256 constant IC5x = 14026047167213802851835446332317738269961716260636855472051477089508209670061;
+    uint256 constant IC5y = 3994986262753778805938434194113664976855170563579188679037316273819371838421;
+    
+    uint256 constant IC6x = 20027418768359521560856620112189046410502677340706531691632565044831261893048;
+    uint256 constant IC6y = 8175590454298738716055551345406579560914830777797570676111411233642078044583;
+    
+    uint256 constant IC7x = 7424435066785378990648993968634855816532043550119653809482041039302400495131;
+    uint256 constant IC7y = 15674179472987545509032682132371535261289907936249875488338973780263784663489;
+    
+    uint256 constant IC8x = 7448936577245610959623488714700907012271500840485174421813181764078296073107;
+    uint256 constant IC8y = 5955816983798632678926964071372360513765002177956792685233504128058637158526;
+    
+    uint256 constant IC9x = 5095797668432811116008994947115570631140464193297359412377979517463535854986;
+    uint256 constant IC9y = 19132181051760345905783951831451077174983535054146862762440064188899932786907;
+    
+    uint256 constant IC10x = 13721173332039541392662846509737582680808273268553729947190194493188596669274;
+    uint256 constant IC10y = 17482134130197211151180345167157188167512049654011532593621521230907478114381;
+    
+    uint256 constant IC11x = 14388428758595307149042456562463046549862234284307368798422307671965261869525;
+    uint256 constant IC11y = 5911063030275064849822465468602680251132133797833734891669204989984659888416;
+    
+    uint256 constant IC12x = 14147026120468405541401171351857213815815152409372309711006297781040219340748;
+    uint256 constant IC12y = 15717208871576520788338577149237004695295907855644150189015062961636920227400;
+    
+ 
+    // Memory data
+    uint16 constant pVk = 0;
+    uint16 constant pPairing = 128;
+
+    uint16 constant pLastMem = 896;
+
+    function verifyProof(uint[2] calldata _pA, uint[2][2] calldata _pB, uint[2] calldata _pC, uint[12] calldata _pubSignals) public view returns (bool) {
+        assembly {
+            function checkField(v) {
+                if iszero(lt(v, r)) {
+                    mstore(0, 0)
+                    return(0, 0x20)
+                }
+            }
+            
+            // G1 function to multiply a G1 value(x,y) to value in an address
+            function g1_mulAccC(pR, x, y, s) {
+                let success
+                let mIn := mload(0x40)
+                mstore(mIn, x)
+                mstore(add(mIn, 32), y)
+                mstore(add(mIn, 64), s)
+
+                success := staticcall(sub(gas(), 2000), 7, mIn, 96, mIn, 64)
+
+                if iszero(success) {
+                    mstore(0, 0)
+                    return(0, 0x20)
+                }
+
+                mstore(add(mIn, 64), mload(pR))
+                mstore(add(mIn, 96), mload(add(pR, 32)))
+
+                success := staticcall(sub(gas(), 2000), 6, mIn, 128, pR, 64)
+
+                if iszero(success) {
+                    mstore(0, 0)
+                    return(0, 0x20)
+                }
+            }
+
+            function checkPairing(pA, pB, pC, pubSignals, pMem) -> isOk {
+                let _pPairing := add(pMem, pPairing)
+                let _pVk := add(pMem, pVk)
+
+                mstore(_pVk, IC0x)
+                mstore(add(_pVk, 32), IC0y)
+
+                // Compute the linear combination vk_x
+                
+                g1_mulAccC(_pVk, IC1x, IC1y, calldataload(add(pubSignals, 0)))
+                
+                g1_mulAccC(_pVk, IC2x, IC2y, calldataload(add(pubSignals, 32)))
+                
+                g1_mulAccC(_pVk, IC3x, IC3y, calldataload(add(pubSignals, 64)))
+                
+                g1_mulAccC(_pVk, IC4x, IC4y, calldataload(add(pubSignals, 96)))
+                
+                g1_mulAccC(_pVk, IC5x, IC5y, calldataload(add(pubSignals, 128)))
+                
+                g1_mulAccC(_pVk, IC6x, IC6y, calldataload(add(pubSignals, 160)))
+                
+                g1_mulAccC(_pVk, IC7x, IC7y, calldataload(add(pubSignals, 192)))
+                
+                g1_mulAccC(_pVk, IC8x, IC8y, calldataload(add(pubSignals, 224)))
+                
+                g1_mulAccC(_pVk, IC9x, IC9y, calldataload(add(pubSignals, 256)))
+                
+                g1_mulAccC(_pVk, IC10x, IC10y, calldataload(add(pubSignals, 288)))
+                
+                g1_mulAccC(_pVk, IC11x, IC11y, calldataload(add(pubSignals, 320)))
+                
+                g1_mulAccC(_pVk, IC12x, IC12y, calldataload(add(pubSignals, 352)))
+                
+
+                // -A
+                mstore(_pPairing, calldataload(pA))
+                mstore(add(_pPairing, 32), mod(sub(q, calldataload(add(pA, 32))), q))
+
+                // B
+                mstore(add(_pPairing, 64), calldataload(pB))
+                mstore(add(_pPairing, 96), calldataload(add(pB, 32)))
+                mstore(add(_pPairing, 128), calldataload(add(pB, 64)))
+                mstore(add(_pPairing, 160), calldataload(add(pB, 96)))
+
+                // alpha1
+                mstore(add(_pPairing, 192), alphax)
+                mstore(add(_pPairing, 224), alphay)
+
+                // beta2
+                mstore(add(_pPairing, 256), betax1)
+                mstore(add(_pPairing, 288), betax2)
+                mstore(add(_pPairing, 320), betay1)
+                mstore(add(_pPairing, 352), betay2)
+
+                // vk_x
+                mstore(add(_pPairing, 384), mload(add(pMem, pVk)))
+                mstore(add(_pPairing, 416), mload(add(pMem, add(pVk, 32))))
+
+
+                // gamma2
+                mstore(add(_pPairing, 448), gammax1)
+                mstore(add(_pPairing, 480), gammax2)
+                mstore(add(_pPairing, 512), gammay1)
+                mstore(add(_pPairing, 544), gammay2)
+
+                // C
+                mstore(add(_pPairing, 576), calldataload(pC))
+                mstore(add(_pPairing, 608), calldataload(add(pC, 32)))
+
+                // delta2
+                mstore(add(_pPairing, 640), deltax1)
+                mstore(add(_pPairing, 672), deltax2)
+                mstore(add(_pPairing, 704), deltay1)
+                mstore(add(_pPairing, 736), deltay2)
+
+
+                let success := staticcall(sub(gas(), 2000), 8, _pPairing, 768, _pPairing, 0x20)
+
+                isOk := and(success, mload(_pPairing))
+            }
+
+            let pMem := mload(0x40)
+            mstore(0x40, add(pMem, pLastMem))
+
+            // Validate that all evaluations ∈ F
+            
+            checkField(calldataload(add(_pubSignals, 0)))
+            
+            checkField(calldataload(add(_pubSignals, 32)))
+            
+            checkField(calldataload(add(_pubSignals, 64)))
+            
+            checkField(calldataload(add(_pubSignals, 96)))
+            
+            checkField(calldataload(add(_pubSignals, 128)))
+            
+            checkField(calldataload(add(_pubSignals, 160)))
+            
+            checkField(calldataload(add(_pubSignals, 192)))
+            
+            checkField(calldataload(add(_pubSignals, 224)))
+            
+            checkField(calldataload(add(_pubSignals, 256)))
+            
+            checkField(calldataload(add(_pubSignals, 288)))
+            
+            checkField(calldataload(add(_pubSignals, 320)))
+            
+            checkField(calldataload(add(_pubSignals, 352)))
+            
+
+            // Validate all evaluations
+            let isValid := checkPairing(_pA, _pB, _pC, _pubSignals, pMem)
+
+            mstore(0, isValid)
+             return(0, 0x20)
+         }
+     }
+ }
@@ -1,4 +1,5 @@
 require("@nomicfoundation/hardhat-toolbox");
+require("./tasks");
 
 /**
  * Hardhat configuration for GhostBeacon
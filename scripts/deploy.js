@@ -1,95 +1,31 @@
 /**
  * GhostBeacon Deployment Script
- * Deploys all core contracts in correct dependency order
- * and configures their interconnections
+ * Deploys all core contracts in correct dependency order,
+ * configures their interconnections and records them in deployments.json.
+ * Safe to re-run: contracts and wiring that already exist are skipped.
  */
 const hre = require("hardhat");
+const { deployProtocol } = require("./lib/pipeline");
+const { reportError } = require("./lib/errors");
 
 async function main() {
   console.log("Deploying GhostBeacon contracts...");
 
-  // Deploy CampaignRegistry
-  const CampaignRegistry = await hre.ethers.getContractFactory("CampaignRegistry");
-  const campaignRegistry = await CampaignRegistry.deploy();
-  await campaignRegistry.waitForDeployment();
-  console.log("CampaignRegistry deployed to:", await campaignRegistry.getAddress());
-
-  // Deploy ConversionVerifier
-  const ConversionVerifier = await hre.ethers.getContractFactory("ConversionVerifier");
-  const conversionVerifier = await ConversionVerifier.deploy();
-  await conversionVerifier.waitForDeployment();
-  console.log("ConversionVerifier deployed to:", await conversionVerifier.getAddress());
-
-  // Deploy TreasuryVault
-  const TreasuryVault = await hre.ethers.getContractFactory("TreasuryVault");
-  const treasuryVault = await TreasuryVault.deploy();
-  await treasuryVault.waitForDeployment();
-  console.log("TreasuryVault deployed to:", await treasuryVault.getAddress());
-
-  // Deploy BillingModule
-  const BillingModule = await hre.ethers.getContractFactory("BillingModule");
-  const billingModule = await BillingModule.deploy(
-    await campaignRegistry.getAddress(),
-    await treasuryVault.getAddress()
-  );
-  await billingModule.waitForDeployment();
-  console.log("BillingModule deployed to:", await billingModule.getAddress());
-
-  // Deploy AnalyticsAggregator
-  const AnalyticsAggregator = await hre.ethers.getContractFactory("AnalyticsAggregator");
-  const analyticsAggregator = await AnalyticsAggregator.deploy();
-  await analyticsAggregator.waitForDeployment();
-  console.log("AnalyticsAggregator deployed to:", await analyticsAggregator.getAddress());
-
-  // Deploy AttributionGateway
-  const AttributionGateway = await hre.ethers.getContractFactory("AttributionGateway");
-  const attributionGateway = await AttributionGateway.deploy(
-    await conversionVerifier.getAddress(),
-    await campaignRegistry.getAddress()
-  );
-  await attributionGateway.waitForDeployment();
-  console.log("AttributionGateway deployed to:", await attributionGateway.getAddress());
-
-  // Deploy FraudDetector
-  const FraudDetector = await hre.ethers.getContractFactory("FraudDetector");
-  const fraudDetector = await FraudDetector.deploy();
-  await fraudDetector.waitForDeployment();
-  console.log("FraudDetector deployed to:", await fraudDetector.getAddress());
-
-  // Configure connections
-  console.log("\nConfiguring contract connections...");
-  
-  await attributionGateway.setBillingModule(await billingModule.getAddress());
-  console.log("Billing module configured in AttributionGateway");
-  
-  await attributionGateway.setAnalyticsAggregator(await analyticsAggregator.getAddress());
-  console.log("Analytics aggregator configured in AttributionGateway");
-  
-  await treasuryVault.authorizeSpender(await billingModule.getAddress());
-  console.log("Billing module authorized as spender in TreasuryVault");
+  const { deployment, deployed, wired } = await deployProtocol(hre);
 
   console.log("\n✅ Deployment complete!");
-  
-  // Save deployment addresses
-  const deploymentInfo = {
-    network: hre.network.name,
-    campaignRegistry: await campaignRegistry.getAddress(),
-    conversionVerifier: await conversionVerifier.getAddress(),
-    treasuryVault: await treasuryVault.getAddress(),
-    billingModule: await billingModule.getAddress(),
-    analyticsAggregator: await analyticsAggregator.getAddress(),
-    attributionGateway: await attributionGateway.getAddress(),
-    fraudDetector: await fraudDetector.getAddress()
-  };
+  console.log(`Deployed ${deployed.length} contract(s), applied ${wired.length} wiring call(s)`);
 
-  console.log("\nDeployment Info:");
-  console.log(JSON.stringify(deploymentInfo, null, 2));
+  // The in-process Hardhat network is discarded when this script exits
+  if (hre.network.name === "hardhat") {
+    console.log("\nDeployment Info (not persisted for the in-process network):");
+    console.log(JSON.stringify(deployment, null, 2));
+  }
 }
 
 main()
   .then(() => process.exit(0))
   .catch((error) => {
-    console.error(error);
+    reportError(error);
     process.exit(1);
   });
-
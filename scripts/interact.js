@@ -1,4 +1,6 @@
 const hre = require("hardhat");
+const { requireDeployment, getContractAddress } = require("./lib/manifest");
+const { reportError } = require("./lib/errors");
 
 /**
  * Example script to interact with deployed contracts
@@ -7,10 +9,11 @@ async function main() {
   const [deployer] = await hre.ethers.getSigners();
   console.log("Interacting with contracts using account:", deployer.address);
 
-  // Replace with your deployed contract addresses
-  const CAMPAIGN_REGISTRY_ADDRESS = "0x...";
-  const ATTRIBUTION_GATEWAY_ADDRESS = "0x...";
-  const TREASURY_VAULT_ADDRESS = "0x...";
+  // Load deployed contract addresses from deployments.json
+  const deployment = requireDeployment(hre.network.name);
+  const CAMPAIGN_REGISTRY_ADDRESS = getContractAddress(deployment, "campaignRegistry");
+  const ATTRIBUTION_GATEWAY_ADDRESS = getContractAddress(deployment, "attributionGateway");
+  const TREASURY_VAULT_ADDRESS = getContractAddress(deployment, "treasuryVault");
 
   // Get contract instances
   const CampaignRegistry = await hre.ethers.getContractFactory("CampaignRegistry");
@@ -80,7 +83,7 @@ async function main() {
 main()
   .then(() => process.exit(0))
   .catch((error) => {
-    console.error(error);
+    reportError(error);
     process.exit(1);
   });
 
@@ -0,0 +1,21 @@
+const { decodeError, formatError, ErrorCode } = require("../../sdk");
+
+/**
+ * CLI error reporting
+ * Prints contract and RPC failures as "[CODE] message" lines
+ */
+
+/**
+ * Prints an error for a script that is about to exit
+ * Errors without a known code also print their stack trace.
+ * @param {*} error Thrown value
+ */
+function reportError(error) {
+  console.error(`\n❌ ${formatError(error)}`);
+
+  if (decodeError(error).code === ErrorCode.UNKNOWN) {
+    console.error(error);
+  }
+}
+
+module.exports = { reportError };
@@ -0,0 +1,189 @@
+/**
+ * Fraud policy simulation
+ * Replays a synthetic conversion stream against a FraudDetector on the in-process Hardhat
+ * network and reports how often a policy blocks honest users (false positives) and lets
+ * fraudulent conversions through (false negatives). The replay runs inside an EVM snapshot,
+ * so it leaves the chain as it found it.
+ */
+
+const SIMULATED_CAMPAIGN_ID = 1;
+
+const DEFAULT_STREAM = {
+  seed: 1,
+  hours: 6,
+  honestUsers: 40,
+  fraudUsers: 4,
+  // Conversions per user per hour
+  honestRate: 1,
+  fraudRate: 12,
+  // Share of conversions that fail attribution (the gateway reports these as failures)
+  honestFailureRate: 0.02,
+  fraudFailureRate: 0.3
+};
+
+/**
+ * @typedef {object} SimulatedConversion
+ * @property {number} time Seconds since the start of the stream
+ * @property {string} user User label, standing in for the user's campaign pseudonym
+ * @property {boolean} fraudulent Whether the conversion is fraud, the label the rates are scored on
+ * @property {boolean} success Whether the conversion would pass attribution if not blocked
+ */
+
+/**
+ * Seeded PRNG (mulberry32), so a stream can be regenerated from its seed
+ * @param {number} seed Seed
+ * @returns {function(): number} Generator of floats in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Generates a labelled conversion stream
+ * Each user converts as a Poisson process at their group's rate. Fraudsters convert far more
+ * often than honest users and fail attribution more often, e.g. by claiming clicks twice.
+ * @param {Partial<typeof DEFAULT_STREAM>} [options] Stream parameters
+ * @returns {SimulatedConversion[]} Conversions in time order
+ */
+function generateConversionStream(options = {}) {
+  const params = { ...DEFAULT_STREAM, ...options };
+  const random = createRandom(params.seed);
+  const duration = params.hours * 3600;
+  const conversions = [];
+
+  const groups = [
+    { prefix: "honest", count: params.honestUsers, rate: params.honestRate, fraudulent: false },
+    { prefix: "fraud", count: params.fraudUsers, rate: params.fraudRate, fraudulent: true }
+  ];
+
+  for (const { prefix, count, rate, fraudulent } of groups) {
+    const failureRate = fraudulent ? params.fraudFailureRate : params.honestFailureRate;
+    const ratePerSecond = rate / 3600;
+    if (!(ratePerSecond > 0)) continue;
+
+    for (let i = 0; i < count; i++) {
+      const user = `${prefix}-${i}`;
+      let time = -Math.log(1 - random()) / ratePerSecond;
+
+      while (time < duration) {
+        conversions.push({
+          time: Math.floor(time),
+          user,
+          fraudulent,
+          success: random() >= failureRate
+        });
+        time += -Math.log(1 - random()) / ratePerSecond;
+      }
+    }
+  }
+
+  return conversions.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * @typedef {object} SimulationReport
+ * @property {object} policy Policy the stream was judged by
+ * @property {number} conversions Conversions replayed
+ * @property {{total: number, rejected: number}} honest Honest conversions and how many were blocked
+ * @property {{total: number, accepted: number}} fraudulent Fraudulent conversions and how many got through
+ * @property {number} falsePositiveRate Share of honest conversions blocked
+ * @property {number} falseNegativeRate Share of fraudulent conversions accepted
+ */
+
+/**
+ * Replays a conversion stream against a fraud policy
+ * Each conversion is checked the way AttributionGateway does: a blocked conversion leaves no
+ * trace, an accepted one is reported back with its attribution outcome. Conversions closer
+ * together than one block are spread one second apart.
+ * @param {object} hre Hardhat runtime environment, on the hardhat network
+ * @param {object} policy FraudPolicy fields; missing fields keep the contract's default policy
+ * @param {SimulatedConversion[]} stream Conversions in time order
+ * @returns {Promise<SimulationReport>} Error rates of the policy on the stream
+ */
+async function simulateFraudPolicy(hre, policy, stream) {
+  const { ethers, network } = hre;
+  if (network.name !== "hardhat") {
+    throw new Error(`Fraud simulations run on the hardhat network, not ${network.name}`);
+  }
+
+  const snapshot = await network.provider.send("evm_snapshot", []);
+  try {
+    const registry = await ethers.deployContract("CampaignRegistry");
+    const detector = await ethers.deployContract("FraudDetector", [registry.target]);
+
+    const defaults = await detector.getDefaultPolicy();
+    const effective = {
+      threshold: defaults.threshold,
+      initialScore: defaults.initialScore,
+      timeWindow: defaults.timeWindow,
+      maxConversionsPerWindow: defaults.maxConversionsPerWindow,
+      rewardStep: defaults.rewardStep,
+      penaltyStep: defaults.penaltyStep,
+      ...policy
+    };
+    await (await detector.setDefaultPolicy(effective)).wait();
+
+    const deviceId = ethers.id("simulation-publisher");
+    const start = (await ethers.provider.getBlock("latest")).timestamp + 1;
+    const honest = { total: 0, rejected: 0 };
+    const fraudulent = { total: 0, accepted: 0 };
+    let last = start - 1;
+
+    for (const conversion of stream) {
+      const timestamp = Math.max(start + conversion.time, last + 1);
+      await network.provider.send("evm_setNextBlockTimestamp", [timestamp]);
+      await network.provider.send("evm_mine", []);
+      last = timestamp;
+
+      const pseudonym = ethers.id(`simulation-${conversion.user}`);
+      const accepted = await detector.checkFraud(SIMULATED_CAMPAIGN_ID, pseudonym, deviceId);
+
+      if (accepted) {
+        const receipt = await (
+          await detector.recordConversion(
+            SIMULATED_CAMPAIGN_ID,
+            pseudonym,
+            deviceId,
+            conversion.success
+          )
+        ).wait();
+        last = (await receipt.getBlock()).timestamp;
+      }
+
+      if (conversion.fraudulent) {
+        fraudulent.total += 1;
+        if (accepted) fraudulent.accepted += 1;
+      } else {
+        honest.total += 1;
+        if (!accepted) honest.rejected += 1;
+      }
+    }
+
+    return {
+      policy: Object.fromEntries(
+        Object.entries(effective).map(([field, value]) => [field, BigInt(value)])
+      ),
+      conversions: stream.length,
+      honest,
+      fraudulent,
+      falsePositiveRate: honest.total === 0 ? 0 : honest.rejected / honest.total,
+      falseNegativeRate: fraudulent.total === 0 ? 0 : fraudulent.accepted / fraudulent.total
+    };
+  } finally {
+    await network.provider.send("evm_revert", [snapshot]);
+  }
+}
+
+module.exports = {
+  DEFAULT_STREAM,
+  generateConversionStream,
+  simulateFraudPolicy
+};
@@ -0,0 +1,161 @@
+const fs = require("fs");
+const path = require("path");
+const { execSync } = require("child_process");
+
+/**
+ * Deployment manifest helpers
+ * Reads and writes deployments.json, keyed by Hardhat network name
+ */
+
+const MANIFEST_VERSION = 1;
+const DEFAULT_MANIFEST_PATH = path.resolve(__dirname, "..", "..", "deployments.json");
+
+/**
+ * Resolves the manifest location, honouring the DEPLOYMENTS_FILE override
+ * @param {string} [file] Explicit manifest path
+ * @returns {string} Absolute manifest path
+ */
+function resolveManifestPath(file) {
+  return path.resolve(file || process.env.DEPLOYMENTS_FILE || DEFAULT_MANIFEST_PATH);
+}
+
+/**
+ * Creates an empty manifest
+ * @returns {object} Manifest with no deployments
+ */
+function emptyManifest() {
+  return { version: MANIFEST_VERSION, networks: {} };
+}
+
+/**
+ * Reads the manifest from disk
+ * A missing or empty file yields an empty manifest
+ * @param {string} [file] Manifest path
+ * @returns {object} Parsed manifest
+ */
+function readManifest(file) {
+  const manifestPath = resolveManifestPath(file);
+
+  if (!fs.existsSync(manifestPath)) {
+    return emptyManifest();
+  }
+
+  const raw = fs.readFileSync(manifestPath, "utf8").trim();
+  if (raw.length === 0) {
+    return emptyManifest();
+  }
+
+  const manifest = JSON.parse(raw);
+  if (manifest.version !== MANIFEST_VERSION) {
+    throw new Error(
+      `Unsupported manifest version ${manifest.version} in ${manifestPath} (expected ${MANIFEST_VERSION})`
+    );
+  }
+
+  manifest.networks = manifest.networks || {};
+  return manifest;
+}
+
+/**
+ * Writes the manifest to disk
+ * @param {object} manifest Manifest to write
+ * @param {string} [file] Manifest path
+ */
+function writeManifest(manifest, file) {
+  const manifestPath = resolveManifestPath(file);
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + "\n");
+}
+
+/**
+ * Gets the deployment recorded for a network
+ * @param {string} network Hardhat network name
+ * @param {string} [file] Manifest path
+ * @returns {object|null} Deployment entry, or null if none
+ */
+function getDeployment(network, file) {
+  return readManifest(file).networks[network] || null;
+}
+
+/**
+ * Gets the deployment recorded for a network, failing if there is none
+ * @param {string} network Hardhat network name
+ * @param {string} [file] Manifest path
+ * @returns {object} Deployment entry
+ */
+function requireDeployment(network, file) {
+  const deployment = getDeployment(network, file);
+  if (!deployment) {
+    throw new Error(
+      `No deployment for network "${network}" in ${resolveManifestPath(file)}. ` +
+        "Run scripts/deploy.js against this network first."
+    );
+  }
+  return deployment;
+}
+
+/**
+ * Stores the deployment for a network, replacing any previous entry
+ * @param {string} network Hardhat network name
+ * @param {object} deployment Deployment entry
+ * @param {string} [file] Manifest path
+ */
+function saveDeployment(network, deployment, file) {
+  const manifest = readManifest(file);
+  manifest.networks[network] = deployment;
+  writeManifest(manifest, file);
+}
+
+/**
+ * Gets the address of a deployed contract
+ * @param {object} deployment Deployment entry
+ * @param {string} key Contract key (e.g. "attributionGateway")
+ * @returns {string} Contract address
+ */
+function getContractAddress(deployment, key) {
+  const entry = deployment.contracts[key];
+  if (!entry || !entry.address) {
+    throw new Error(`Contract "${key}" is missing from the ${deployment.network} deployment`);
+  }
+  return entry.address;
+}
+
+/**
+ * Maps every contract key of a deployment to its address
+ * @param {object} deployment Deployment entry
+ * @returns {Object<string, string>} Addresses by contract key
+ */
+function getAddresses(deployment) {
+  const addresses = {};
+  for (const [key, entry] of Object.entries(deployment.contracts)) {
+    addresses[key] = entry.address;
+  }
+  return addresses;
+}
+
+/**
+ * Gets the current git commit, if the working tree is a git checkout
+ * @returns {string|null} Commit hash
+ */
+function getGitCommit() {
+  try {
+    return execSync("git rev-parse HEAD", { stdio: ["ignore", "pipe", "ignore"] })
+      .toString()
+      .trim();
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  MANIFEST_VERSION,
+  DEFAULT_MANIFEST_PATH,
+  resolveManifestPath,
+  readManifest,
+  writeManifest,
+  getDeployment,
+  requireDeployment,
+  saveDeployment,
+  getContractAddress,
+  getAddresses,
+  getGitCommit
+};
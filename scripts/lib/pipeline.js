@@ -0,0 +1,308 @@
+const fs = require("fs");
+const path = require("path");
+const { readManifest, writeManifest, resolveManifestPath, getGitCommit } = require("./manifest");
+
+/**
+ * Step-based GhostBeacon deployment pipeline
+ * Every step checks the manifest and on-chain state first, so the pipeline
+ * can be re-run after a partial failure and only does the missing work
+ */
+
+/**
+ * Networks the development verifier may be deployed to
+ */
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+
+/**
+ * Contracts in dependency order; args receives the addresses resolved so far
+ */
+const CONTRACT_STEPS = [
+  { key: "campaignRegistry", contract: "CampaignRegistry", args: () => [] },
+  {
+    key: "conversionGroth16Verifier",
+    contract: "ConversionGroth16Verifier",
+    args: () => []
+  },
+  { key: "conversionVerifier", contract: "ConversionVerifier", args: () => [] },
+  { key: "treasuryVault", contract: "TreasuryVault", args: () => [] },
+  {
+    key: "billingModule",
+    contract: "BillingModule",
+    args: (addresses) => [addresses.campaignRegistry, addresses.treasuryVault]
+  },
+  { key: "analyticsAggregator", contract: "AnalyticsAggregator", args: () => [] },
+  {
+    key: "attributionGateway",
+    contract: "AttributionGateway",
+    args: (addresses) => [addresses.conversionVerifier, addresses.campaignRegistry]
+  },
+  {
+    key: "fraudDetector",
+    contract: "FraudDetector",
+    args: (addresses) => [addresses.campaignRegistry]
+  }
+];
+
+/**
+ * Cross-contract wiring calls; isDone reads on-chain state so applied calls are skipped
+ */
+const WIRING_STEPS = [
+  {
+    name: "ConversionVerifier.setProofVerifier",
+    isDone: async (c, addresses) =>
+      sameAddress(await c.conversionVerifier.proofVerifier(), addresses.conversionGroth16Verifier),
+    apply: (c, addresses) =>
+      c.conversionVerifier.setProofVerifier(addresses.conversionGroth16Verifier)
+  },
+  {
+    name: "AttributionGateway.setBillingModule",
+    isDone: async (c, addresses) =>
+      sameAddress(await c.attributionGateway.billingModule(), addresses.billingModule),
+    apply: (c, addresses) => c.attributionGateway.setBillingModule(addresses.billingModule)
+  },
+  {
+    name: "AttributionGateway.setAnalyticsAggregator",
+    isDone: async (c, addresses) =>
+      sameAddress(await c.attributionGateway.analyticsAggregator(), addresses.analyticsAggregator),
+    apply: (c, addresses) =>
+      c.attributionGateway.setAnalyticsAggregator(addresses.analyticsAggregator)
+  },
+  {
+    name: "CampaignRegistry.setBillingModule",
+    isDone: async (c, addresses) =>
+      sameAddress(await c.campaignRegistry.billingModule(), addresses.billingModule),
+    apply: (c, addresses) => c.campaignRegistry.setBillingModule(addresses.billingModule)
+  },
+  {
+    name: "TreasuryVault.setCampaignRegistry",
+    isDone: async (c, addresses) =>
+      sameAddress(await c.treasuryVault.campaignRegistry(), addresses.campaignRegistry),
+    apply: (c, addresses) => c.treasuryVault.setCampaignRegistry(addresses.campaignRegistry)
+  },
+  {
+    name: "TreasuryVault.authorizeSpender(BillingModule)",
+    isDone: (c, addresses) => c.treasuryVault.isAuthorizedSpender(addresses.billingModule),
+    apply: (c, addresses) => c.treasuryVault.authorizeSpender(addresses.billingModule)
+  },
+  {
+    name: "BillingModule.authorizeCaller(AttributionGateway)",
+    isDone: (c, addresses) => c.billingModule.isAuthorizedCaller(addresses.attributionGateway),
+    apply: (c, addresses) => c.billingModule.authorizeCaller(addresses.attributionGateway)
+  },
+  {
+    name: "AnalyticsAggregator.authorizeCaller(AttributionGateway)",
+    isDone: (c, addresses) =>
+      c.analyticsAggregator.isAuthorizedCaller(addresses.attributionGateway),
+    apply: (c, addresses) => c.analyticsAggregator.authorizeCaller(addresses.attributionGateway)
+  },
+  {
+    name: "AttributionGateway.setFraudDetector",
+    isDone: async (c, addresses) =>
+      sameAddress(await c.attributionGateway.fraudDetector(), addresses.fraudDetector),
+    apply: (c, addresses) => c.attributionGateway.setFraudDetector(addresses.fraudDetector)
+  },
+  {
+    name: "FraudDetector.authorizeCaller(AttributionGateway)",
+    isDone: (c, addresses) => c.fraudDetector.isAuthorizedCaller(addresses.attributionGateway),
+    apply: (c, addresses) => c.fraudDetector.authorizeCaller(addresses.attributionGateway)
+  }
+];
+
+/**
+ * Compares two addresses case-insensitively
+ * @param {string} a First address
+ * @param {string} b Second address
+ * @returns {boolean} True if equal
+ */
+function sameAddress(a, b) {
+  return typeof a === "string" && typeof b === "string" && a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Refuses to deploy a verifier from the development setup to a live network
+ * Development keys come from a public beacon, so anyone can forge proofs for them;
+ * live networks need keys from a ceremony, built with `zk-build --zkey --ptau`, which only
+ * records a key as a ceremony key once it verified it against the circuit.
+ * @param {string} network Network name
+ * @param {string} verificationKeyPath Verification key of the verifier to deploy
+ */
+function requireCeremonyVerifier(network, verificationKeyPath) {
+  if (LOCAL_NETWORKS.includes(network)) {
+    return;
+  }
+
+  const verificationKey = fs.existsSync(verificationKeyPath)
+    ? JSON.parse(fs.readFileSync(verificationKeyPath, "utf8"))
+    : {};
+  if (verificationKey.setup !== "ceremony") {
+    throw new Error(
+      `Refusing to deploy the development verifier to ${network}; ` +
+        "build the circuit with `npx hardhat ghostbeacon zk-build --zkey <ceremony key>` first"
+    );
+  }
+}
+
+/**
+ * Checks whether the code at an address is the contract as currently compiled
+ * Immutables are set by the constructor, so their bytes are left out of the comparison.
+ * @param {object} hre Hardhat runtime environment
+ * @param {string} contractName Contract name
+ * @param {string} code Deployed runtime code
+ * @returns {Promise<boolean>} True if the code matches the artifact
+ */
+async function matchesArtifact(hre, contractName, code) {
+  const artifact = await hre.artifacts.readArtifact(contractName);
+  const buildInfo = await hre.artifacts.getBuildInfo(
+    `${artifact.sourceName}:${artifact.contractName}`
+  );
+  const { immutableReferences = {} } =
+    buildInfo.output.contracts[artifact.sourceName][artifact.contractName].evm.deployedBytecode;
+
+  const expected = artifact.deployedBytecode.toLowerCase();
+  if (code.length !== expected.length) {
+    return false;
+  }
+
+  // Artifacts leave immutables zeroed; zero them in the deployed code too
+  let actual = code.toLowerCase();
+  for (const { start, length } of Object.values(immutableReferences).flat()) {
+    const from = 2 + start * 2;
+    actual = actual.slice(0, from) + "0".repeat(length * 2) + actual.slice(from + length * 2);
+  }
+  return actual === expected;
+}
+
+/**
+ * Checks whether a manifest entry can be reused for a contract step
+ * A contract whose source or generated verifier changed since it was deployed is redeployed.
+ * @param {object} hre Hardhat runtime environment
+ * @param {object|undefined} entry Manifest entry
+ * @param {object} step Contract step
+ * @param {Array} args Expected constructor arguments
+ * @returns {Promise<boolean>} True if the recorded contract is live and current
+ */
+async function isDeployed(hre, entry, step, args) {
+  if (!entry || entry.contract !== step.contract || !entry.address) {
+    return false;
+  }
+
+  // Dependencies that were redeployed change the constructor arguments
+  if (JSON.stringify(entry.constructorArgs) !== JSON.stringify(args)) {
+    return false;
+  }
+
+  const code = await hre.ethers.provider.getCode(entry.address);
+  return code !== "0x" && matchesArtifact(hre, step.contract, code);
+}
+
+/**
+ * Deploys and wires the protocol, skipping work that is already done
+ * @param {object} hre Hardhat runtime environment
+ * @param {object} [options] Pipeline options
+ * @param {string} [options.manifestPath] Manifest file (defaults to deployments.json)
+ * @param {boolean} [options.persist] Write the manifest after each step
+ *   (defaults to true except on the in-process hardhat network)
+ * @param {Function} [options.log] Progress logger
+ * @param {string} [options.verificationKeyPath] Verification key of the conversion verifier
+ *   (defaults to circuits/keys/verification_key.json)
+ * @returns {Promise<object>} { deployment, contracts, deployed, wired }
+ */
+async function deployProtocol(hre, options = {}) {
+  const network = hre.network.name;
+  const persist = options.persist !== undefined ? options.persist : network !== "hardhat";
+  const log = options.log || console.log;
+
+  requireCeremonyVerifier(
+    network,
+    options.verificationKeyPath ||
+      path.join(hre.config.paths.root, "circuits", "keys", "verification_key.json")
+  );
+
+  const [deployer] = await hre.ethers.getSigners();
+  const { chainId } = await hre.ethers.provider.getNetwork();
+
+  const manifest = readManifest(options.manifestPath);
+  const previous = manifest.networks[network];
+  const reusable = previous && previous.chainId === Number(chainId) ? previous : null;
+
+  const deployment = {
+    network,
+    chainId: Number(chainId),
+    deployer: reusable ? reusable.deployer : deployer.address,
+    gitCommit: reusable ? reusable.gitCommit : getGitCommit(),
+    deployedAt: reusable ? reusable.deployedAt : new Date().toISOString(),
+    contracts: reusable ? { ...reusable.contracts } : {}
+  };
+
+  const save = () => {
+    deployment.gitCommit = getGitCommit();
+    deployment.deployedAt = new Date().toISOString();
+    if (persist) {
+      manifest.networks[network] = deployment;
+      writeManifest(manifest, options.manifestPath);
+    }
+  };
+
+  const addresses = {};
+  const contracts = {};
+  const deployed = [];
+  const wired = [];
+
+  for (const step of CONTRACT_STEPS) {
+    const args = step.args(addresses);
+    const entry = deployment.contracts[step.key];
+
+    if (await isDeployed(hre, entry, step, args)) {
+      log(`${step.contract} already deployed at ${entry.address}, skipping`);
+    } else {
+      const factory = await hre.ethers.getContractFactory(step.contract);
+      const contract = await factory.deploy(...args);
+      await contract.waitForDeployment();
+      const receipt = await contract.deploymentTransaction().wait();
+
+      deployment.contracts[step.key] = {
+        contract: step.contract,
+        address: await contract.getAddress(),
+        constructorArgs: args,
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber
+      };
+      deployed.push(step.key);
+      save();
+
+      log(`${step.contract} deployed to: ${deployment.contracts[step.key].address}`);
+    }
+
+    addresses[step.key] = deployment.contracts[step.key].address;
+    contracts[step.key] = await hre.ethers.getContractAt(step.contract, addresses[step.key]);
+  }
+
+  for (const step of WIRING_STEPS) {
+    if (await step.isDone(contracts, addresses)) {
+      log(`${step.name} already applied, skipping`);
+      continue;
+    }
+
+    const tx = await step.apply(contracts, addresses);
+    await tx.wait();
+    wired.push(step.name);
+
+    log(`${step.name} applied`);
+  }
+
+  if (wired.length > 0) {
+    save();
+  }
+
+  if (persist) {
+    log(`Deployment manifest: ${resolveManifestPath(options.manifestPath)}`);
+  }
+
+  return { deployment, contracts, deployed, wired };
+}
+
+module.exports = {
+  CONTRACT_STEPS,
+  WIRING_STEPS,
+  deployProtocol
+};
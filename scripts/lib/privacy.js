@@ -0,0 +1,345 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const { AbiCoder, hexlify, keccak256, randomBytes } = require("ethers");
+
+/**
+ * Differentially private analytics releases
+ * The curator side of AnalyticsAggregator's epoch releases. For each DP campaign it draws
+ * the noise of the running epoch, commits to it on-chain and keeps the draw in a local noise
+ * log; once the epoch has ended it adds the noise to the epoch's totals and releases them.
+ *
+ * The noise log is secret: with it, anyone can subtract the noise from a release. It doubles
+ * as the opening of each commitment, so an auditor given an entry can check the release.
+ */
+
+// Fixed-point scale of on-chain epsilon values (AnalyticsAggregator.EPSILON_PRECISION)
+const EPSILON_PRECISION = 1_000_000;
+// Most attribution weight one conversion contributes (AnalyticsAggregator.MAX_WEIGHT)
+const MAX_WEIGHT = 100;
+// Each release answers three queries, sharing its epsilon equally (basic composition)
+const METRICS = ["conversions", "spent", "weight"];
+
+const MECHANISMS = ["laplace", "gaussian"];
+
+const DEFAULT_RELEASE = {
+  // Epsilon per epoch release
+  epsilon: 0.3,
+  mechanism: "laplace",
+  // Gaussian mechanism only
+  delta: 1e-6
+};
+
+const NOISE_LOG_VERSION = 1;
+
+/**
+ * Uniform floats in (0, 1) from the system CSPRNG
+ * @returns {number} Float
+ */
+function secureRandom() {
+  return (crypto.randomBytes(6).readUIntBE(0, 6) + 0.5) / 2 ** 48;
+}
+
+/**
+ * @param {number} epsilon Epsilon
+ * @returns {bigint} Epsilon scaled by EPSILON_PRECISION
+ */
+function toEpsilonUnits(epsilon) {
+  const units = Math.round(epsilon * EPSILON_PRECISION);
+  if (!(units > 0)) {
+    throw new Error(`Epsilon must be positive, got ${epsilon}`);
+  }
+  return BigInt(units);
+}
+
+/**
+ * @param {bigint} units Epsilon scaled by EPSILON_PRECISION
+ * @returns {number} Epsilon
+ */
+function fromEpsilonUnits(units) {
+  return Number(units) / EPSILON_PRECISION;
+}
+
+/**
+ * Sensitivity of each released metric: the most one conversion can change it
+ * This makes the guarantee event-level. A user with k conversions in the epoch is protected
+ * as by k times the release's epsilon.
+ * @param {bigint} maxAmount Campaign's per-conversion spend bound
+ * @returns {{conversions: number, spent: number, weight: number}} Sensitivities
+ */
+function sensitivities(maxAmount) {
+  return { conversions: 1, spent: Number(maxAmount), weight: MAX_WEIGHT };
+}
+
+/**
+ * Calibrates the noise of one metric
+ * Laplace: scale Δ/ε. Gaussian: σ = Δ·√(2·ln(1.25/δ))/ε, which needs ε < 1.
+ * @param {typeof DEFAULT_RELEASE} params Release parameters; epsilon covers all metrics
+ * @param {number} sensitivity Sensitivity of the metric
+ * @returns {number} Laplace scale or Gaussian standard deviation
+ */
+function noiseScale(params, sensitivity) {
+  const epsilon = params.epsilon / METRICS.length;
+
+  if (params.mechanism === "laplace") {
+    return sensitivity / epsilon;
+  }
+  if (params.mechanism === "gaussian") {
+    if (epsilon >= 1) {
+      throw new Error(
+        `The Gaussian mechanism needs epsilon below ${METRICS.length} (1 per metric)`
+      );
+    }
+    if (!(params.delta > 0 && params.delta < 1)) {
+      throw new Error(`Delta must be between 0 and 1, got ${params.delta}`);
+    }
+    return (sensitivity * Math.sqrt(2 * Math.log(1.25 / params.delta))) / epsilon;
+  }
+  throw new Error(`Unknown mechanism ${params.mechanism} (expected ${MECHANISMS.join(" or ")})`);
+}
+
+/**
+ * @param {string} mechanism "laplace" or "gaussian"
+ * @param {number} scale Laplace scale or Gaussian standard deviation
+ * @param {function(): number} random Uniform floats in (0, 1)
+ * @returns {number} One draw
+ */
+function sample(mechanism, scale, random) {
+  if (mechanism === "laplace") {
+    const u = random() - 0.5;
+    return -scale * Math.sign(u) * Math.log(1 - 2 * Math.abs(u));
+  }
+  // Box-Muller
+  return scale * Math.sqrt(-2 * Math.log(random())) * Math.cos(2 * Math.PI * random());
+}
+
+/**
+ * Draws the noise of one release, rounded to whole units
+ * @param {typeof DEFAULT_RELEASE} params Release parameters
+ * @param {bigint} maxAmount Campaign's per-conversion spend bound
+ * @param {function(): number} [random] Uniform floats in (0, 1); the CSPRNG by default
+ * @returns {{conversions: bigint, spent: bigint, weight: bigint}} Noise per metric
+ */
+function drawNoise(params, maxAmount, random = secureRandom) {
+  const sensitivity = sensitivities(maxAmount);
+
+  return Object.fromEntries(
+    METRICS.map((metric) => {
+      const scale = noiseScale(params, sensitivity[metric]);
+      return [metric, BigInt(Math.round(sample(params.mechanism, scale, random)))];
+    })
+  );
+}
+
+/**
+ * Commitment to a release's noise, as passed to commitNoise
+ * @param {bigint|number} campaignId Campaign ID
+ * @param {bigint|number} epoch Epoch
+ * @param {bigint} epsilon Epsilon units of the release
+ * @param {{conversions: bigint, spent: bigint, weight: bigint}} noise Noise per metric
+ * @param {string} salt 32-byte salt
+ * @returns {string} Commitment
+ */
+function commitNoise(campaignId, epoch, epsilon, noise, salt) {
+  return keccak256(
+    AbiCoder.defaultAbiCoder().encode(
+      ["uint256", "uint256", "uint256", "int256", "int256", "int256", "bytes32"],
+      [campaignId, epoch, epsilon, noise.conversions, noise.spent, noise.weight, salt]
+    )
+  );
+}
+
+/**
+ * Adds noise to an epoch's totals
+ * Negative results are released as zero, which post-processing may do without privacy cost.
+ * @param {{conversions: bigint, spent: bigint, weight: bigint}} totals Exact totals
+ * @param {{conversions: bigint, spent: bigint, weight: bigint}} noise Noise per metric
+ * @returns {{conversions: bigint, spent: bigint, weight: bigint}} Values to release
+ */
+function applyNoise(totals, noise) {
+  return Object.fromEntries(
+    METRICS.map((metric) => {
+      const value = BigInt(totals[metric]) + BigInt(noise[metric]);
+      return [metric, value > 0n ? value : 0n];
+    })
+  );
+}
+
+/**
+ * Checks a release against its exact totals and the noise log entry that opens it
+ * @param {bigint|number} campaignId Campaign ID
+ * @param {bigint|number} epoch Epoch
+ * @param {object} release On-chain EpochRelease
+ * @param {{conversions: bigint, spent: bigint, weight: bigint}} totals Exact totals
+ * @param {object} entry Noise log entry
+ * @returns {boolean} True if the release used the committed noise
+ */
+function verifyRelease(campaignId, epoch, release, totals, entry) {
+  const noise = parseNoise(entry.noise);
+  const commitment = commitNoise(campaignId, epoch, BigInt(entry.epsilon), noise, entry.salt);
+  const expected = applyNoise(totals, noise);
+
+  return (
+    commitment === release.noiseCommitment &&
+    BigInt(release.epsilon) === BigInt(entry.epsilon) &&
+    METRICS.every((metric) => BigInt(release[metric]) === expected[metric])
+  );
+}
+
+/**
+ * @param {object} noise Noise with decimal string values
+ * @returns {{conversions: bigint, spent: bigint, weight: bigint}} Noise
+ */
+function parseNoise(noise) {
+  return Object.fromEntries(METRICS.map((metric) => [metric, BigInt(noise[metric])]));
+}
+
+/**
+ * Reads a noise log; a missing file yields an empty one
+ * @param {string} file Noise log path
+ * @returns {object} Noise log
+ */
+function readNoiseLog(file) {
+  if (!fs.existsSync(file)) {
+    return { version: NOISE_LOG_VERSION, campaigns: {} };
+  }
+
+  const log = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (log.version !== NOISE_LOG_VERSION) {
+    throw new Error(
+      `Unsupported noise log version ${log.version} in ${file} (expected ${NOISE_LOG_VERSION})`
+    );
+  }
+  return log;
+}
+
+/**
+ * Writes a noise log readable by its owner only
+ * @param {object} log Noise log
+ * @param {string} file Noise log path
+ */
+function writeNoiseLog(log, file) {
+  fs.writeFileSync(file, JSON.stringify(log, null, 2) + "\n", { mode: 0o600 });
+}
+
+/**
+ * @typedef {object} CurationReport
+ * @property {number} campaignId Campaign ID
+ * @property {Array<{epoch: number, conversions: bigint, spent: bigint, weight: bigint, epsilon: bigint}>} released Epochs released
+ * @property {number|null} committed Epoch whose noise was committed, if any
+ * @property {boolean} exhausted Whether the budget stopped a release or commitment
+ * @property {{epsilon: bigint, spent: bigint}} budget Privacy budget after the run
+ */
+
+/**
+ * Releases a campaign's ended epochs and commits noise for the running one
+ * The noise log is written before each transaction, so a draw is never committed without
+ * being kept.
+ * @param {import("ethers").Contract} aggregator AnalyticsAggregator, connected to the owner or curator
+ * @param {number} campaignId Campaign ID with DP enabled
+ * @param {string} file Noise log path
+ * @param {object} [options] Release parameters (see DEFAULT_RELEASE), plus `random`
+ * @returns {Promise<CurationReport>} What was released and committed
+ */
+async function curateCampaign(aggregator, campaignId, file, options = {}) {
+  const { random, ...overrides } = options;
+  const params = { ...DEFAULT_RELEASE, ...overrides };
+  const epsilon = toEpsilonUnits(params.epsilon);
+  noiseScale(params, 1);
+
+  if (!(await aggregator.isDPEnabled(campaignId))) {
+    throw new Error(`Campaign ${campaignId} does not have differential privacy enabled`);
+  }
+
+  const log = readNoiseLog(file);
+  const entries = (log.campaigns[campaignId] = log.campaigns[campaignId] || {});
+  const current = Number(await aggregator.currentEpoch());
+  const budget = await aggregator.getPrivacyBudget(campaignId);
+  let remaining = budget.epsilon - budget.spent;
+  const report = { campaignId, released: [], committed: null, exhausted: false };
+
+  const pending = Object.keys(entries)
+    .map(Number)
+    .filter((epoch) => epoch < current && !entries[epoch].released)
+    .sort((a, b) => a - b);
+
+  for (const epoch of pending) {
+    const entry = entries[epoch];
+    if ((await aggregator.getRelease(campaignId, epoch)).released) {
+      entry.released = true;
+      writeNoiseLog(log, file);
+      continue;
+    }
+    if (BigInt(entry.epsilon) > remaining) {
+      report.exhausted = true;
+      break;
+    }
+
+    const [conversions, spent, weight] = await aggregator.getEpochTotals(campaignId, epoch);
+    const values = applyNoise({ conversions, spent, weight }, parseNoise(entry.noise));
+    const tx = await aggregator.releaseEpoch(
+      campaignId,
+      epoch,
+      values.conversions,
+      values.spent,
+      values.weight,
+      entry.epsilon
+    );
+    await tx.wait();
+
+    entry.released = true;
+    entry.txHash = tx.hash;
+    writeNoiseLog(log, file);
+    remaining -= BigInt(entry.epsilon);
+    report.released.push({ epoch, ...values, epsilon: BigInt(entry.epsilon) });
+  }
+
+  // Committed epochs still waiting for release have a claim on the budget too
+  const reserved = Object.keys(entries)
+    .filter((epoch) => !entries[epoch].released)
+    .reduce((sum, epoch) => sum + BigInt(entries[epoch].epsilon), 0n);
+
+  if (!entries[current] && !report.exhausted) {
+    if (remaining - reserved < epsilon) {
+      report.exhausted = true;
+    } else {
+      const noise = drawNoise(params, budget.maxAmount, random);
+      const salt = hexlify(randomBytes(32));
+      const commitment = commitNoise(campaignId, current, epsilon, noise, salt);
+
+      entries[current] = {
+        epsilon: epsilon.toString(),
+        mechanism: params.mechanism,
+        delta: params.mechanism === "gaussian" ? params.delta : null,
+        noise: Object.fromEntries(METRICS.map((metric) => [metric, noise[metric].toString()])),
+        salt,
+        commitment,
+        released: false
+      };
+      writeNoiseLog(log, file);
+
+      await (await aggregator.commitNoise(campaignId, current, commitment)).wait();
+      report.committed = current;
+    }
+  }
+
+  report.budget = { epsilon: budget.epsilon, spent: budget.epsilon - remaining };
+  return report;
+}
+
+module.exports = {
+  EPSILON_PRECISION,
+  MECHANISMS,
+  DEFAULT_RELEASE,
+  secureRandom,
+  toEpsilonUnits,
+  fromEpsilonUnits,
+  sensitivities,
+  noiseScale,
+  drawNoise,
+  commitNoise,
+  applyNoise,
+  verifyRelease,
+  readNoiseLog,
+  writeNoiseLog,
+  curateCampaign
+};
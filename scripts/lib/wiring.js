@@ -0,0 +1,160 @@
+const { getContractAddress } = require("./manifest");
+
+/**
+ * Post-deploy wiring checks
+ * Asserts every cross-contract link recorded in a deployment manifest
+ */
+
+/**
+ * Builds a single check result
+ * @param {string} name Check description
+ * @param {*} expected Expected value
+ * @param {*} actual Actual on-chain value
+ * @returns {object} { name, expected, actual, ok }
+ */
+function check(name, expected, actual) {
+  const normalize = (value) => (typeof value === "string" ? value.toLowerCase() : value);
+  return { name, expected, actual, ok: normalize(expected) === normalize(actual) };
+}
+
+/**
+ * Validates the wiring of a deployment against on-chain state
+ * @param {object} hre Hardhat runtime environment
+ * @param {object} deployment Manifest deployment entry
+ * @param {object} [options] Validation options
+ * @param {string} [options.owner] Expected AnalyticsAggregator owner (defaults to the deployer)
+ * @returns {Promise<object[]>} Check results
+ */
+async function validateWiring(hre, deployment, options = {}) {
+  const results = [];
+  const addresses = {};
+  const hasCode = {};
+
+  for (const [key, entry] of Object.entries(deployment.contracts)) {
+    addresses[key] = getContractAddress(deployment, key);
+    const code = await hre.ethers.provider.getCode(entry.address);
+    hasCode[key] = code !== "0x";
+    results.push(check(`${entry.contract} has code`, true, hasCode[key]));
+  }
+
+  const at = (key) => hre.ethers.getContractAt(deployment.contracts[key].contract, addresses[key]);
+
+  // Reads of a contract without code (or of the wrong contract) fail to decode; the missing
+  // code is already reported above, so such reads count as null and fail their check
+  const read = async (key, call) => {
+    if (!hasCode[key]) return null;
+    try {
+      return await call(await at(key));
+    } catch {
+      return null;
+    }
+  };
+
+  results.push(
+    check(
+      "ConversionVerifier.proofVerifier",
+      addresses.conversionGroth16Verifier,
+      await read("conversionVerifier", (verifier) => verifier.proofVerifier())
+    ),
+    check(
+      "AttributionGateway.verifier",
+      addresses.conversionVerifier,
+      await read("attributionGateway", (gateway) => gateway.verifier())
+    ),
+    check(
+      "AttributionGateway.campaignRegistry",
+      addresses.campaignRegistry,
+      await read("attributionGateway", (gateway) => gateway.campaignRegistry())
+    ),
+    check(
+      "AttributionGateway.billingModule",
+      addresses.billingModule,
+      await read("attributionGateway", (gateway) => gateway.billingModule())
+    ),
+    check(
+      "AttributionGateway.analyticsAggregator",
+      addresses.analyticsAggregator,
+      await read("attributionGateway", (gateway) => gateway.analyticsAggregator())
+    ),
+    check(
+      "AttributionGateway.fraudDetector",
+      addresses.fraudDetector,
+      await read("attributionGateway", (gateway) => gateway.fraudDetector())
+    ),
+    check(
+      "CampaignRegistry.billingModule",
+      addresses.billingModule,
+      await read("campaignRegistry", (registry) => registry.billingModule())
+    ),
+    check(
+      "TreasuryVault.campaignRegistry",
+      addresses.campaignRegistry,
+      await read("treasuryVault", (vault) => vault.campaignRegistry())
+    ),
+    check(
+      "TreasuryVault.isAuthorizedSpender(BillingModule)",
+      true,
+      await read("treasuryVault", (vault) => vault.isAuthorizedSpender(addresses.billingModule))
+    ),
+    check(
+      "BillingModule.campaignRegistry",
+      addresses.campaignRegistry,
+      await read("billingModule", (billing) => billing.campaignRegistry())
+    ),
+    check(
+      "BillingModule.treasuryVault",
+      addresses.treasuryVault,
+      await read("billingModule", (billing) => billing.treasuryVault())
+    ),
+    check(
+      "BillingModule.isAuthorizedCaller(AttributionGateway)",
+      true,
+      await read("billingModule", (billing) =>
+        billing.isAuthorizedCaller(addresses.attributionGateway)
+      )
+    ),
+    check(
+      "AnalyticsAggregator.isAuthorizedCaller(AttributionGateway)",
+      true,
+      await read("analyticsAggregator", (analytics) =>
+        analytics.isAuthorizedCaller(addresses.attributionGateway)
+      )
+    ),
+    check(
+      "FraudDetector.isAuthorizedCaller(AttributionGateway)",
+      true,
+      await read("fraudDetector", (fraud) => fraud.isAuthorizedCaller(addresses.attributionGateway))
+    ),
+    check(
+      "AnalyticsAggregator.owner",
+      options.owner || deployment.deployer,
+      await read("analyticsAggregator", (analytics) => analytics.owner())
+    )
+  );
+
+  return results;
+}
+
+/**
+ * Formats check results as a pass/fail report
+ * @param {object[]} results Check results
+ * @returns {string} Report text
+ */
+function formatReport(results) {
+  const lines = results.map((result) =>
+    result.ok
+      ? `  ✓ ${result.name}`
+      : `  ✗ ${result.name} (expected ${result.expected}, got ${result.actual})`
+  );
+  const failed = results.filter((result) => !result.ok).length;
+
+  lines.push("");
+  lines.push(`${results.length - failed} passed, ${failed} failed`);
+
+  return lines.join("\n");
+}
+
+module.exports = {
+  validateWiring,
+  formatReport
+};
@@ -0,0 +1,33 @@
+/**
+ * @ghostbeacon/sdk
+ * ethers v6 wrappers for the GhostBeacon contracts
+ */
+
+const { GhostBeacon } = require("./src/GhostBeacon");
+const {
+  CampaignRegistryClient,
+  PricingModel,
+  AttributionModel
+} = require("./src/clients/CampaignRegistryClient");
+const { TreasuryVaultClient } = require("./src/clients/TreasuryVaultClient");
+const { AttributionGatewayClient } = require("./src/clients/AttributionGatewayClient");
+const { AnalyticsClient } = require("./src/clients/AnalyticsClient");
+const { BillingModuleClient, computeFee } = require("./src/clients/BillingModuleClient");
+const { FraudDetectorClient } = require("./src/clients/FraudDetectorClient");
+const errors = require("./src/errors");
+const errorCodes = require("./src/errorCodes");
+
+module.exports = {
+  GhostBeacon,
+  CampaignRegistryClient,
+  TreasuryVaultClient,
+  AttributionGatewayClient,
+  AnalyticsClient,
+  BillingModuleClient,
+  FraudDetectorClient,
+  PricingModel,
+  AttributionModel,
+  computeFee,
+  ...errors,
+  ...errorCodes
+};
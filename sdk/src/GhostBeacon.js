@@ -0,0 +1,72 @@
+const { CampaignRegistryClient } = require("./clients/CampaignRegistryClient");
+const { TreasuryVaultClient } = require("./clients/TreasuryVaultClient");
+const { AttributionGatewayClient } = require("./clients/AttributionGatewayClient");
+const { AnalyticsClient } = require("./clients/AnalyticsClient");
+const { BillingModuleClient } = require("./clients/BillingModuleClient");
+const { FraudDetectorClient } = require("./clients/FraudDetectorClient");
+const { readManifest, selectDeployment, getAddresses } = require("./manifest");
+const { GhostBeaconError } = require("./errors");
+
+/**
+ * GhostBeacon SDK entry point
+ * Groups the contract wrappers for one deployment behind a single signer or provider.
+ */
+class GhostBeacon {
+  /**
+   * @param {import("ethers").ContractRunner} runner Signer (for transactions) or provider (reads only)
+   * @param {object} addresses Contract addresses
+   * @param {string} addresses.campaignRegistry CampaignRegistry address
+   * @param {string} addresses.treasuryVault TreasuryVault address
+   * @param {string} addresses.attributionGateway AttributionGateway address
+   * @param {string} addresses.analyticsAggregator AnalyticsAggregator address
+   * @param {string} addresses.billingModule BillingModule address
+   * @param {string} addresses.fraudDetector FraudDetector address
+   */
+  constructor(runner, addresses) {
+    this.runner = runner;
+    this.addresses = { ...addresses };
+
+    this.campaigns = new CampaignRegistryClient(addresses.campaignRegistry, runner);
+    this.treasury = new TreasuryVaultClient(addresses.treasuryVault, runner, this.campaigns);
+    this.gateway = new AttributionGatewayClient(addresses.attributionGateway, runner);
+    this.analytics = new AnalyticsClient(addresses.analyticsAggregator, runner);
+    this.billing = new BillingModuleClient(addresses.billingModule, runner, this.campaigns);
+    this.fraud = new FraudDetectorClient(addresses.fraudDetector, runner);
+  }
+
+  /**
+   * Creates an SDK instance from a deployment manifest
+   * Without a network name, the deployment is matched on the runner's chain ID.
+   * @param {import("ethers").ContractRunner} runner Signer or provider
+   * @param {object} [options] Options
+   * @param {string|object} [options.manifest] Manifest path or object (defaults to DEPLOYMENTS_FILE or ./deployments.json)
+   * @param {string} [options.network] Network name in the manifest
+   * @returns {Promise<GhostBeacon>} SDK instance
+   */
+  static async fromManifest(runner, options = {}) {
+    const manifest = readManifest(options.manifest);
+    let chainId;
+
+    if (!options.network) {
+      const provider = runner.provider || runner;
+      if (typeof provider.getNetwork !== "function") {
+        throw new GhostBeaconError("Pass a network name or a runner connected to a provider");
+      }
+      chainId = (await provider.getNetwork()).chainId;
+    }
+
+    const deployment = selectDeployment(manifest, { network: options.network, chainId });
+    return new GhostBeacon(runner, getAddresses(deployment));
+  }
+
+  /**
+   * Returns an SDK instance for the same deployment with another signer or provider
+   * @param {import("ethers").ContractRunner} runner Signer or provider
+   * @returns {GhostBeacon} SDK instance
+   */
+  connect(runner) {
+    return new GhostBeacon(runner, this.addresses);
+  }
+}
+
+module.exports = { GhostBeacon };
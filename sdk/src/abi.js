@@ -0,0 +1,15 @@
+/**
+ * Bundled contract ABIs
+ * Regenerate with `npx hardhat ghostbeacon export-abi` after changing a contract.
+ */
+
+module.exports = {
+  CampaignRegistry: require("../abi/CampaignRegistry.json"),
+  TreasuryVault: require("../abi/TreasuryVault.json"),
+  AttributionGateway: require("../abi/AttributionGateway.json"),
+  AnalyticsAggregator: require("../abi/AnalyticsAggregator.json"),
+  BillingModule: require("../abi/BillingModule.json"),
+  FraudDetector: require("../abi/FraudDetector.json"),
+  ConversionVerifier: require("../abi/ConversionVerifier.json"),
+  Errors: require("../abi/Errors.json")
+};
@@ -0,0 +1,155 @@
+const ContractClient = require("./ContractClient");
+const abis = require("../abi");
+
+/**
+ * @typedef {object} CampaignMetrics
+ * @property {bigint} totalConversions Conversions recorded (released noisy total when DP is enabled)
+ * @property {bigint} totalSpent Amount spent in wei (released noisy total when DP is enabled)
+ * @property {bigint} totalWeight Attribution weight billed, 100 per fully attributed conversion (released noisy total when DP is enabled)
+ * @property {bigint} lastConversionTime Timestamp of the last conversion (end of the last released epoch when DP is enabled)
+ * @property {boolean} dpEnabled Whether differential privacy is enabled
+ */
+
+/**
+ * @typedef {object} EpochRelease
+ * @property {bigint} conversions Noisy conversions of the epoch
+ * @property {bigint} spent Noisy amount spent in the epoch
+ * @property {bigint} weight Noisy attribution weight of the epoch
+ * @property {bigint} epsilon Epsilon spent on the release, scaled by 1e6
+ * @property {string} noiseCommitment Commitment to the noise, made before the epoch ended
+ * @property {boolean} released Whether the epoch has been released
+ */
+
+/**
+ * @typedef {object} PrivacyBudget
+ * @property {bigint} epsilon Total epsilon, scaled by 1e6
+ * @property {bigint} spent Epsilon spent on releases so far, scaled by 1e6
+ * @property {bigint} maxAmount Per-conversion spend bound the releases are calibrated to
+ */
+
+/**
+ * Converts a CampaignMetrics struct result to a plain object
+ * @param {object} metrics Struct result
+ * @returns {CampaignMetrics} Metrics
+ */
+function toMetrics(metrics) {
+  return {
+    totalConversions: metrics.totalConversions,
+    totalSpent: metrics.totalSpent,
+    totalWeight: metrics.totalWeight,
+    lastConversionTime: metrics.lastConversionTime,
+    dpEnabled: metrics.dpEnabled
+  };
+}
+
+/**
+ * Read-only wrapper for AnalyticsAggregator
+ */
+class AnalyticsClient extends ContractClient {
+  /**
+   * @param {string} address AnalyticsAggregator address
+   * @param {import("ethers").ContractRunner} runner Signer or provider
+   */
+  constructor(address, runner) {
+    super(address, abis.AnalyticsAggregator, runner);
+  }
+
+  /**
+   * @param {bigint|number} campaignId Campaign ID
+   * @returns {Promise<CampaignMetrics>} Campaign metrics
+   */
+  async getMetrics(campaignId) {
+    return toMetrics(await this._call("getMetrics", [campaignId]));
+  }
+
+  /**
+   * @param {Array<bigint|number>} campaignIds Campaign IDs
+   * @returns {Promise<CampaignMetrics[]>} Metrics, in the same order
+   */
+  async getBatchMetrics(campaignIds) {
+    return (await this._call("getBatchMetrics", [campaignIds])).map(toMetrics);
+  }
+
+  /**
+   * @param {bigint|number} campaignId Campaign ID
+   * @returns {Promise<bigint>} Total conversions
+   */
+  getTotalConversions(campaignId) {
+    return this._call("getTotalConversions", [campaignId]);
+  }
+
+  /**
+   * @param {bigint|number} campaignId Campaign ID
+   * @returns {Promise<bigint>} Total spent in wei
+   */
+  getTotalSpent(campaignId) {
+    return this._call("getTotalSpent", [campaignId]);
+  }
+
+  /**
+   * @param {bigint|number} campaignId Campaign ID
+   * @returns {Promise<bigint>} Conversions per wei spent, scaled by 1e18
+   */
+  getConversionRate(campaignId) {
+    return this._call("getConversionRate", [campaignId]);
+  }
+
+  /**
+   * @param {bigint|number} campaignId Campaign ID
+   * @returns {Promise<bigint>} Average cost per conversion in wei
+   */
+  getAverageCost(campaignId) {
+    return this._call("getAverageCost", [campaignId]);
+  }
+
+  /**
+   * @param {bigint|number} campaignId Campaign ID
+   * @returns {Promise<bigint>} Average cost per unit of attribution weight in wei
+   */
+  getWeightedCost(campaignId) {
+    return this._call("getWeightedCost", [campaignId]);
+  }
+
+  /**
+   * @param {bigint|number} campaignId Campaign ID
+   * @returns {Promise<boolean>} True if differential privacy is enabled
+   */
+  isDPEnabled(campaignId) {
+    return this._call("isDPEnabled", [campaignId]);
+  }
+
+  /**
+   * @param {bigint|number} campaignId Campaign ID
+   * @param {bigint|number} epoch Epoch (days since the Unix epoch)
+   * @returns {Promise<EpochRelease>} The epoch's release
+   */
+  async getRelease(campaignId, epoch) {
+    const release = await this._call("getRelease", [campaignId, epoch]);
+    return {
+      conversions: release.conversions,
+      spent: release.spent,
+      weight: release.weight,
+      epsilon: release.epsilon,
+      noiseCommitment: release.noiseCommitment,
+      released: release.released
+    };
+  }
+
+  /**
+   * @param {bigint|number} campaignId Campaign ID
+   * @returns {Promise<PrivacyBudget>} The campaign's privacy budget
+   */
+  async getPrivacyBudget(campaignId) {
+    const budget = await this._call("getPrivacyBudget", [campaignId]);
+    return { epsilon: budget.epsilon, spent: budget.spent, maxAmount: budget.maxAmount };
+  }
+
+  /**
+   * @returns {Promise<bigint>} The running epoch
+   */
+  currentEpoch() {
+    return this._call("currentEpoch");
+  }
+}
+
+module.exports = { AnalyticsClient };
@@ -0,0 +1,160 @@
+const ContractClient = require("./ContractClient");
+const abis = require("../abi");
+const { GhostBeaconError } = require("../errors");
+const { describeRejection } = require("../errorCodes");
+
+/**
+ * @typedef {object} Conversion
+ * @property {bigint|number} campaignId Campaign ID
+ * @property {string} publisher Publisher the conversion is attributed to (registered for the campaign)
+ * @property {string} clickHash Hash of click data (bytes32)
+ * @property {string} conversionHash Hash of conversion data (bytes32)
+ * @property {string} nullifier Conversion nullifier (bytes32)
+ * @property {object} proof ProofData ({ a, b, c, publicInputs }); publicInputs[3] is the attribution
+ *   weight, publicInputs[4] the user's campaign pseudonym, publicInputs[5] the publisher,
+ *   publicInputs[6] the conversion nullifier the weight is capped under, and publicInputs[7..9]
+ *   the click time, the conversion time and whether the click was the user's last
+ */
+
+/**
+ * @typedef {object} ConversionResult
+ * @property {string} nullifier Conversion nullifier
+ * @property {boolean} accepted True if the conversion was recorded and billed
+ * @property {string|null} reason ConversionRejected reason when not accepted
+ * @property {string|null} code Stable error code for the reason (see ErrorCode)
+ * @property {boolean} retryable True if resubmitting the same conversion can succeed
+ */
+
+class AttributionGatewayClient extends ContractClient {
+  /**
+   * @param {string} address AttributionGateway address
+   * @param {import("ethers").ContractRunner} runner Signer or provider
+   */
+  constructor(address, runner) {
+    super(address, abis.AttributionGateway, runner);
+  }
+
+  /**
+   * Submits a conversion
+   * A rejected conversion (inactive campaign, unregistered publisher, replay, failed fraud
+   * check, bad proof, weight the attribution model does not allow, billing failure)
+   * still mines; its reason is reported in the result rather than thrown.
+   * @param {Conversion} conversion Conversion to submit
+   * @param {object} [overrides] Transaction overrides
+   * @returns {Promise<ConversionResult & {receipt: object}>} Result and receipt
+   */
+  async submitConversion(conversion, overrides) {
+    const receipt = await this._send(
+      "submitConversion",
+      [
+        conversion.campaignId,
+        conversion.publisher,
+        conversion.clickHash,
+        conversion.conversionHash,
+        conversion.nullifier,
+        conversion.proof
+      ],
+      overrides
+    );
+    const [result] = this.parseResults(receipt, [conversion]);
+
+    return { ...result, receipt };
+  }
+
+  /**
+   * Submits several conversions in one transaction
+   * @param {Conversion[]} conversions Conversions to submit
+   * @param {object} [overrides] Transaction overrides
+   * @returns {Promise<{results: ConversionResult[], receipt: object}>} Per-conversion results and receipt
+   */
+  async batchSubmitConversions(conversions, overrides) {
+    const receipt = await this._send(
+      "batchSubmitConversions",
+      [
+        conversions.map((item) => item.campaignId),
+        conversions.map((item) => item.publisher),
+        conversions.map((item) => item.clickHash),
+        conversions.map((item) => item.conversionHash),
+        conversions.map((item) => item.nullifier),
+        conversions.map((item) => item.proof)
+      ],
+      overrides
+    );
+
+    return { results: this.parseResults(receipt, conversions), receipt };
+  }
+
+  /**
+   * @param {string} nullifier Nullifier
+   * @returns {Promise<boolean>} True if a conversion with this nullifier was accepted
+   */
+  isNullifierProcessed(nullifier) {
+    return this._call("isNullifierProcessed", [nullifier]);
+  }
+
+  /**
+   * @param {bigint|number} campaignId Campaign ID
+   * @returns {Promise<bigint>} Accepted conversions for the campaign
+   */
+  getCampaignConversionCount(campaignId) {
+    return this._call("getCampaignConversionCount", [campaignId]);
+  }
+
+  /**
+   * @param {bigint|number} campaignId Campaign ID
+   * @param {string} conversionNullifier Conversion nullifier (bytes32, see generateConversionProof)
+   * @returns {Promise<{weight: bigint, clicks: bigint}>} Weight attributed so far, and to how many clicks
+   */
+  async getConversionCredit(campaignId, conversionNullifier) {
+    const [weight, clicks] = await this._call("getConversionCredit", [
+      campaignId,
+      conversionNullifier
+    ]);
+    return { weight, clicks };
+  }
+
+  /**
+   * Matches ConversionSubmitted / ConversionRejected events to conversions, in order
+   * Useful for receipts of transactions sent outside the SDK, e.g. by a relayer.
+   * @param {object} receipt Receipt
+   * @param {Conversion[]} conversions Submitted conversions
+   * @returns {ConversionResult[]} Results
+   */
+  parseResults(receipt, conversions) {
+    const outcomes = [
+      ...this._events(receipt, "ConversionSubmitted").map((event) => ({
+        index: event.index,
+        nullifier: event.args.nullifier,
+        accepted: true,
+        reason: null
+      })),
+      ...this._events(receipt, "ConversionRejected").map((event) => ({
+        index: event.index,
+        nullifier: event.args.nullifier,
+        accepted: false,
+        reason: event.args.reason
+      }))
+    ].sort((a, b) => a.index - b.index);
+
+    return conversions.map((conversion) => {
+      const nullifier = conversion.nullifier.toLowerCase();
+      const position = outcomes.findIndex((outcome) => outcome.nullifier === nullifier);
+      if (position === -1) {
+        throw new GhostBeaconError(`No outcome event for nullifier ${conversion.nullifier}`);
+      }
+      const [outcome] = outcomes.splice(position, 1);
+
+      const rejection = outcome.accepted ? null : describeRejection(outcome.reason);
+
+      return {
+        nullifier: conversion.nullifier,
+        accepted: outcome.accepted,
+        reason: outcome.reason,
+        code: rejection && rejection.code,
+        retryable: rejection ? rejection.retryable : false
+      };
+    });
+  }
+}
+
+module.exports = { AttributionGatewayClient };
@@ -0,0 +1,183 @@
+const { ZeroAddress } = require("ethers");
+const ContractClient = require("./ContractClient");
+const abis = require("../abi");
+const { PricingModel } = require("./CampaignRegistryClient");
+const { GhostBeaconError } = require("../errors");
+
+// Mirrors BillingModule.MIN_WEIGHT
+const MIN_WEIGHT = 1n;
+
+/**
+ * @param {bigint|number} weight Conversion weight
+ * @returns {bigint} Weight as billed
+ */
+function billedWeight(weight) {
+  return BigInt(weight) === 0n ? MIN_WEIGHT : BigInt(weight);
+}
+
+/**
+ * Campaign rate for a weight, before falling back to the token base cost
+ * @param {import("./CampaignRegistryClient").Pricing} pricing Campaign pricing
+ * @param {bigint} weight Billed weight
+ * @returns {bigint} Rate, or 0n when the campaign sets none
+ */
+function campaignRate(pricing, weight) {
+  let rate = pricing.rate;
+  for (const tier of pricing.tiers) {
+    if (tier.minWeight > weight) break;
+    rate = tier.rate;
+  }
+  return rate;
+}
+
+/**
+ * Computes a conversion fee the way BillingModule.calculateFee does
+ * The last weight tier at or below the weight overrides the campaign rate, and a campaign
+ * without a rate is billed at the token's base cost. CPA scales with weight, CPL/CPI are fixed.
+ * @param {object} params Fee inputs
+ * @param {number} params.pricingModel Pricing model (see PricingModel)
+ * @param {import("./CampaignRegistryClient").Pricing} params.pricing Campaign pricing
+ * @param {bigint} [params.baseCost] Base cost of the campaign token, needed when no campaign rate applies
+ * @param {bigint|number} weight Conversion weight (0 is billed as the minimum weight)
+ * @returns {bigint} Fee in the campaign token
+ */
+function computeFee({ pricingModel, pricing, baseCost }, weight) {
+  const billed = billedWeight(weight);
+  let rate = campaignRate(pricing, billed);
+
+  if (rate === 0n) {
+    if (!baseCost) {
+      throw new GhostBeaconError("Campaign has no rate for this weight and no base cost was given");
+    }
+    rate = baseCost;
+  }
+
+  return Number(pricingModel) === PricingModel.CPA ? rate * billed : rate;
+}
+
+/**
+ * @typedef {object} RevenueSplit
+ * @property {bigint} protocolFeeBps Protocol share in basis points
+ * @property {bigint} referrerFeeBps Referrer share in basis points, for publishers with a referrer
+ * @property {string} feeRecipient Receives the protocol share
+ */
+
+/**
+ * Wrapper for BillingModule fee quotes and publisher registration
+ */
+class BillingModuleClient extends ContractClient {
+  /**
+   * @param {string} address BillingModule address
+   * @param {import("ethers").ContractRunner} runner Signer or provider
+   * @param {import("./CampaignRegistryClient").CampaignRegistryClient} campaigns Registry client the fees are read from
+   */
+  constructor(address, runner, campaigns) {
+    super(address, abis.BillingModule, runner);
+    this.campaigns = campaigns;
+  }
+
+  /**
+   * Quotes conversion fees for a campaign without a call per weight
+   * Matches calculateFee exactly for the campaign's current pricing.
+   * @param {bigint|number} campaignId Campaign ID
+   * @param {bigint|number|Array<bigint|number>} weight Conversion weight, or several
+   * @returns {Promise<bigint|bigint[]>} Fee, or one fee per weight
+   */
+  async quoteFee(campaignId, weight) {
+    const [campaign, pricing] = await Promise.all([
+      this.campaigns.getCampaign(campaignId),
+      this.campaigns.getPricing(campaignId)
+    ]);
+    const weights = Array.isArray(weight) ? weight : [weight];
+
+    // Only read the token base cost when a weight falls back to it
+    const needsBaseCost = weights.some(
+      (value) => campaignRate(pricing, billedWeight(value)) === 0n
+    );
+    const baseCost = needsBaseCost ? await this.getBaseCost(campaign.token) : undefined;
+    const fees = weights.map((value) => computeFee({ ...campaign, pricing, baseCost }, value));
+
+    return Array.isArray(weight) ? fees : fees[0];
+  }
+
+  /**
+   * @param {bigint|number} campaignId Campaign ID
+   * @param {bigint|number} weight Conversion weight
+   * @returns {Promise<bigint>} Fee as computed on-chain
+   */
+  calculateFee(campaignId, weight) {
+    return this._call("calculateFee", [campaignId, weight]);
+  }
+
+  /**
+   * @param {bigint|number} campaignId Campaign ID
+   * @param {Array<bigint|number>} weights Conversion weights
+   * @returns {Promise<bigint>} Total fee as computed on-chain
+   */
+  estimateBatchCost(campaignId, weights) {
+    return this._call("estimateBatchCost", [campaignId, weights]);
+  }
+
+  /**
+   * Lets conversions of a campaign be attributed to a publisher (campaign owner or protocol owner)
+   * @param {bigint|number} campaignId Campaign ID
+   * @param {string} publisher Publisher address
+   * @param {string} [referrer] Address that shares the publisher's revenue
+   * @param {object} [overrides] Transaction overrides
+   * @returns {Promise<object>} Receipt
+   */
+  registerPublisher(campaignId, publisher, referrer = ZeroAddress, overrides) {
+    return this._send("registerPublisher", [campaignId, publisher, referrer], overrides);
+  }
+
+  /**
+   * @param {bigint|number} campaignId Campaign ID
+   * @param {string} publisher Publisher address
+   * @param {object} [overrides] Transaction overrides
+   * @returns {Promise<object>} Receipt
+   */
+  removePublisher(campaignId, publisher, overrides) {
+    return this._send("removePublisher", [campaignId, publisher], overrides);
+  }
+
+  /**
+   * @param {bigint|number} campaignId Campaign ID
+   * @param {string} publisher Publisher address
+   * @returns {Promise<{registered: boolean, referrer: string}>} Registration
+   */
+  async getPublisher(campaignId, publisher) {
+    const registration = await this._call("getPublisher", [campaignId, publisher]);
+    return { registered: registration.registered, referrer: registration.referrer };
+  }
+
+  /**
+   * @param {bigint|number} campaignId Campaign ID
+   * @param {string} publisher Publisher address
+   * @returns {Promise<boolean>} True if conversions of the campaign can be attributed to the publisher
+   */
+  isPublisherRegistered(campaignId, publisher) {
+    return this._call("isPublisherRegistered", [campaignId, publisher]);
+  }
+
+  /**
+   * @returns {Promise<RevenueSplit>} How conversion fees are split
+   */
+  async getRevenueSplit() {
+    const [protocolFeeBps, referrerFeeBps, feeRecipient] = await Promise.all([
+      this._call("protocolFeeBps"),
+      this._call("referrerFeeBps"),
+      this._call("feeRecipient")
+    ]);
+    return { protocolFeeBps, referrerFeeBps, feeRecipient };
+  }
+
+  /**
+   * @param {string} [token] Budget token (defaults to native ETH)
+   * @returns {Promise<bigint>} Default fee rate for campaigns without their own rate
+   */
+  getBaseCost(token = ZeroAddress) {
+    return this._call("getBaseCost", [token]);
+  }
+}
+
+module.exports = { BillingModuleClient, computeFee };
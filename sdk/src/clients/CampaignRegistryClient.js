@@ -0,0 +1,249 @@
+const { ZeroAddress } = require("ethers");
+const ContractClient = require("./ContractClient");
+const abis = require("../abi");
+const { GhostBeaconError } = require("../errors");
+
+/**
+ * Campaign pricing models, as validated by CampaignLib
+ */
+const PricingModel = Object.freeze({ CPA: 0, CPL: 1, CPI: 2 });
+
+/**
+ * How a conversion's weight may be split between its clicks, as enforced by AttributionGateway
+ */
+const AttributionModel = Object.freeze({ LAST_CLICK: 0, LINEAR: 1, TIME_DECAY: 2 });
+
+/**
+ * @typedef {object} Campaign
+ * @property {bigint} id Campaign ID
+ * @property {string} owner Campaign owner
+ * @property {bigint} budget Budget in wei
+ * @property {bigint} spent Amount spent in wei
+ * @property {number} pricingModel Pricing model (see PricingModel)
+ * @property {string} metadataCID IPFS CID of the campaign metadata
+ * @property {boolean} active Whether the campaign accepts conversions
+ * @property {bigint} createdAt Creation timestamp
+ * @property {string} token Budget token, or the zero address for native ETH
+ */
+
+/**
+ * @typedef {object} Pricing
+ * @property {bigint} rate Payout per conversion (per weight unit under CPA); 0 for the billing default
+ * @property {bigint} dailyCap Most that can be billed per day; 0 for no cap
+ * @property {Array<{minWeight: bigint, rate: bigint}>} tiers Weight tiers, ascending by minWeight
+ */
+
+/**
+ * @typedef {object} Attribution
+ * @property {number} model Attribution model (see AttributionModel)
+ * @property {bigint} halfLife Seconds for a click's credit to halve under TIME_DECAY; 0 otherwise
+ */
+
+/**
+ * Fills in the defaults of a pricing argument
+ * @param {Partial<Pricing>} pricing Pricing
+ * @returns {Pricing} Pricing with every field set
+ */
+function toPricing({ rate = 0n, dailyCap = 0n, tiers = [] }) {
+  return {
+    rate: BigInt(rate),
+    dailyCap: BigInt(dailyCap),
+    tiers: tiers.map((tier) => ({ minWeight: BigInt(tier.minWeight), rate: BigInt(tier.rate) }))
+  };
+}
+
+/**
+ * Resolves a pricing model name or number
+ * @param {string|number} pricingModel "CPA", "CPL", "CPI" or 0-2
+ * @returns {number} Pricing model
+ */
+function toPricingModel(pricingModel) {
+  if (typeof pricingModel === "string") {
+    const value = PricingModel[pricingModel.toUpperCase()];
+    if (value === undefined) {
+      throw new GhostBeaconError(`Unknown pricing model "${pricingModel}"`);
+    }
+    return value;
+  }
+  return Number(pricingModel);
+}
+
+/**
+ * Resolves an attribution model name or number
+ * @param {string|number} model "LAST_CLICK", "LINEAR", "TIME_DECAY" or 0-2
+ * @returns {number} Attribution model
+ */
+function toAttributionModel(model) {
+  if (typeof model === "string") {
+    const value = AttributionModel[model.toUpperCase()];
+    if (value === undefined) {
+      throw new GhostBeaconError(`Unknown attribution model "${model}"`);
+    }
+    return value;
+  }
+  return Number(model);
+}
+
+class CampaignRegistryClient extends ContractClient {
+  /**
+   * @param {string} address CampaignRegistry address
+   * @param {import("ethers").ContractRunner} runner Signer or provider
+   */
+  constructor(address, runner) {
+    super(address, abis.CampaignRegistry, runner);
+  }
+
+  /**
+   * Creates a campaign owned by the signer
+   * @param {object} params Campaign parameters
+   * @param {bigint} params.budget Budget in wei, or in token units with `token`
+   * @param {string|number} [params.pricingModel="CPA"] Pricing model
+   * @param {string} params.metadataCID IPFS CID of the campaign metadata
+   * @param {string} [params.token] Allow-listed ERC-20 budget token (defaults to native ETH)
+   * @param {Partial<Pricing>} [params.pricing] Campaign pricing (defaults to the billing base cost)
+   * @param {object} [overrides] Transaction overrides
+   * @returns {Promise<{campaignId: bigint, receipt: object}>} New campaign ID and receipt
+   */
+  async createCampaign({ budget, pricingModel = "CPA", metadataCID, token, pricing }, overrides) {
+    const args = [budget, toPricingModel(pricingModel), metadataCID];
+    let receipt;
+
+    if (pricing) {
+      const priced = [...args, token || ZeroAddress, toPricing(pricing)];
+      receipt = await this._send("createPricedCampaign", priced, overrides);
+    } else if (token) {
+      receipt = await this._send("createTokenCampaign", [...args, token], overrides);
+    } else {
+      receipt = await this._send("createCampaign", args, overrides);
+    }
+    const [event] = this._events(receipt, "CampaignCreated");
+
+    return { campaignId: event.args.campaignId, receipt };
+  }
+
+  /**
+   * Sets a campaign's budget
+   * @param {bigint|number} campaignId Campaign ID
+   * @param {bigint} newBudget New budget in wei
+   * @param {object} [overrides] Transaction overrides
+   * @returns {Promise<object>} Receipt
+   */
+  updateBudget(campaignId, newBudget, overrides) {
+    return this._send("updateBudget", [campaignId, newBudget], overrides);
+  }
+
+  /**
+   * Replaces a campaign's pricing
+   * @param {bigint|number} campaignId Campaign ID
+   * @param {Partial<Pricing>} pricing New pricing
+   * @param {object} [overrides] Transaction overrides
+   * @returns {Promise<object>} Receipt
+   */
+  updatePricing(campaignId, pricing, overrides) {
+    return this._send("updatePricing", [campaignId, toPricing(pricing)], overrides);
+  }
+
+  /**
+   * Selects how a campaign's conversions are attributed (multi-touch models need CPA pricing)
+   * @param {bigint|number} campaignId Campaign ID
+   * @param {object} attribution Attribution
+   * @param {string|number} attribution.model Attribution model name or number
+   * @param {bigint|number} [attribution.halfLife] Seconds for a click's credit to halve, for TIME_DECAY only
+   * @param {object} [overrides] Transaction overrides
+   * @returns {Promise<object>} Receipt
+   */
+  setAttribution(campaignId, { model, halfLife = 0n }, overrides) {
+    const attribution = { model: toAttributionModel(model), halfLife: BigInt(halfLife) };
+    return this._send("setAttribution", [campaignId, attribution], overrides);
+  }
+
+  /**
+   * Closes a campaign
+   * @param {bigint|number} campaignId Campaign ID
+   * @param {object} [overrides] Transaction overrides
+   * @returns {Promise<object>} Receipt
+   */
+  closeCampaign(campaignId, overrides) {
+    return this._send("closeCampaign", [campaignId], overrides);
+  }
+
+  /**
+   * Reads a campaign
+   * @param {bigint|number} campaignId Campaign ID
+   * @returns {Promise<Campaign>} Campaign
+   */
+  async getCampaign(campaignId) {
+    const campaign = await this._call("getCampaign", [campaignId]);
+
+    return {
+      id: BigInt(campaignId),
+      owner: campaign.owner,
+      budget: campaign.budget,
+      spent: campaign.spent,
+      pricingModel: Number(campaign.pricingModel),
+      metadataCID: campaign.metadataCID,
+      active: campaign.active,
+      createdAt: campaign.createdAt,
+      token: campaign.token
+    };
+  }
+
+  /**
+   * @param {bigint|number} campaignId Campaign ID
+   * @returns {Promise<Pricing>} Campaign pricing
+   */
+  async getPricing(campaignId) {
+    return toPricing(await this._call("getCampaignPricing", [campaignId]));
+  }
+
+  /**
+   * @param {bigint|number} campaignId Campaign ID
+   * @returns {Promise<Attribution>} Campaign attribution model
+   */
+  async getAttribution(campaignId) {
+    const attribution = await this._call("getAttribution", [campaignId]);
+    return { model: Number(attribution.model), halfLife: attribution.halfLife };
+  }
+
+  /**
+   * @param {bigint|number} campaignId Campaign ID
+   * @returns {Promise<bigint>} Amount billed today (UTC), counted against the daily cap
+   */
+  getDailySpent(campaignId) {
+    return this._call("getDailySpent", [campaignId]);
+  }
+
+  /**
+   * @param {string} token Token address
+   * @returns {Promise<boolean>} True if new campaigns can be budgeted in the token
+   */
+  isTokenAllowed(token) {
+    return this._call("isTokenAllowed", [token]);
+  }
+
+  /**
+   * @param {bigint|number} campaignId Campaign ID
+   * @returns {Promise<boolean>} True if the campaign is active
+   */
+  isCampaignActive(campaignId) {
+    return this._call("isCampaignActive", [campaignId]);
+  }
+
+  /**
+   * @param {bigint|number} campaignId Campaign ID
+   * @returns {Promise<bigint>} Budget left after billed conversions, in wei
+   */
+  getRemainingBudget(campaignId) {
+    return this._call("getCampaignRemainingBudget", [campaignId]);
+  }
+
+  /**
+   * @param {string} owner Owner address
+   * @returns {Promise<bigint[]>} Campaign IDs owned by the address
+   */
+  async getCampaignsByOwner(owner) {
+    return [...(await this._call("getCampaignsByOwner", [owner]))];
+  }
+}
+
+module.exports = { CampaignRegistryClient, PricingModel, AttributionModel };
@@ -0,0 +1,74 @@
+const { Contract } = require("ethers");
+const { decodeError } = require("../errors");
+
+/**
+ * Base class for the contract wrappers
+ * Sends transactions, waits for receipts and turns failures into typed errors.
+ */
+class ContractClient {
+  /**
+   * @param {string} address Contract address
+   * @param {Array} abi Contract ABI
+   * @param {import("ethers").ContractRunner} runner Signer or provider
+   */
+  constructor(address, abi, runner) {
+    this.contract = new Contract(address, abi, runner);
+  }
+
+  /**
+   * @returns {string} Contract address
+   */
+  get address() {
+    return this.contract.target;
+  }
+
+  /**
+   * Sends a transaction and waits for it to be mined
+   * @param {string} method Contract method
+   * @param {Array} args Method arguments
+   * @param {object} [overrides] Transaction overrides
+   * @returns {Promise<import("ethers").TransactionReceipt>} Receipt
+   */
+  async _send(method, args, overrides = {}) {
+    try {
+      const tx = await this.contract[method](...args, overrides);
+      return await tx.wait();
+    } catch (error) {
+      throw decodeError(error);
+    }
+  }
+
+  /**
+   * Calls a view method
+   * @param {string} method Contract method
+   * @param {Array} [args] Method arguments
+   * @returns {Promise<*>} Result
+   */
+  async _call(method, args = []) {
+    try {
+      return await this.contract[method](...args);
+    } catch (error) {
+      throw decodeError(error);
+    }
+  }
+
+  /**
+   * Parses the events this contract emitted in a receipt
+   * @param {import("ethers").TransactionReceipt} receipt Receipt
+   * @param {string} name Event name
+   * @returns {Array<{name: string, args: object, index: number}>} Parsed events, in log order
+   */
+  _events(receipt, name) {
+    const address = this.address.toLowerCase();
+
+    return receipt.logs
+      .filter((log) => log.address.toLowerCase() === address)
+      .map((log) => {
+        const event = this.contract.interface.parseLog(log);
+        return event && { name: event.name, args: event.args, index: log.index };
+      })
+      .filter((event) => event && event.name === name);
+  }
+}
+
+module.exports = ContractClient;
@@ -0,0 +1,101 @@
+const ContractClient = require("./ContractClient");
+const abis = require("../abi");
+
+const POLICY_FIELDS = [
+  "threshold",
+  "initialScore",
+  "timeWindow",
+  "maxConversionsPerWindow",
+  "rewardStep",
+  "penaltyStep"
+];
+
+/**
+ * @typedef {object} FraudPolicy
+ * @property {bigint} threshold Users and devices scoring below this are rejected
+ * @property {bigint} initialScore Score of a user or device before its first conversion
+ * @property {bigint} timeWindow Seconds over which conversions are rate limited
+ * @property {bigint} maxConversionsPerWindow Conversions a user may make per window
+ * @property {bigint} rewardStep Score gained per billed conversion
+ * @property {bigint} penaltyStep Score lost per failed conversion or rate limit breach
+ */
+
+/**
+ * @param {object} policy Contract FraudPolicy result
+ * @returns {FraudPolicy} Policy
+ */
+function toFraudPolicy(policy) {
+  return Object.fromEntries(POLICY_FIELDS.map((field) => [field, BigInt(policy[field])]));
+}
+
+/**
+ * Wrapper for FraudDetector fraud policies
+ */
+class FraudDetectorClient extends ContractClient {
+  /**
+   * @param {string} address FraudDetector address
+   * @param {import("ethers").ContractRunner} runner Signer or provider
+   */
+  constructor(address, runner) {
+    super(address, abis.FraudDetector, runner);
+  }
+
+  /**
+   * @param {bigint|number} campaignId Campaign ID
+   * @returns {Promise<FraudPolicy>} Policy the campaign's conversions are judged by
+   */
+  async getFraudPolicy(campaignId) {
+    return toFraudPolicy(await this._call("getFraudPolicy", [campaignId]));
+  }
+
+  /**
+   * @returns {Promise<FraudPolicy>} Policy of campaigns without one of their own
+   */
+  async getDefaultPolicy() {
+    return toFraudPolicy(await this._call("getDefaultPolicy"));
+  }
+
+  /**
+   * @param {bigint|number} campaignId Campaign ID
+   * @returns {Promise<boolean>} True if the campaign does not use the default policy
+   */
+  hasFraudPolicy(campaignId) {
+    return this._call("hasFraudPolicy", [campaignId]);
+  }
+
+  /**
+   * @param {bigint|number} campaignId Campaign ID
+   * @param {string} pseudonym User's campaign pseudonym (bytes32)
+   * @returns {Promise<bigint>} Conversions the user may still make in the current window
+   */
+  getRemainingConversions(campaignId, pseudonym) {
+    return this._call("getRemainingConversions", [campaignId, pseudonym]);
+  }
+
+  /**
+   * Sets a campaign's fraud policy (campaign owner only)
+   * Fields left out keep the value of the policy the campaign uses now.
+   * @param {bigint|number} campaignId Campaign ID
+   * @param {Partial<FraudPolicy>} policy Policy within the protocol bounds
+   * @param {object} [overrides] Transaction overrides
+   * @returns {Promise<object>} Receipt
+   */
+  async setFraudPolicy(campaignId, policy, overrides) {
+    const current = await this.getFraudPolicy(campaignId);
+    const merged = toFraudPolicy({ ...current, ...policy });
+
+    return this._send("setFraudPolicy", [campaignId, merged], overrides);
+  }
+
+  /**
+   * Returns a campaign to the default policy (campaign owner only)
+   * @param {bigint|number} campaignId Campaign ID
+   * @param {object} [overrides] Transaction overrides
+   * @returns {Promise<object>} Receipt
+   */
+  clearFraudPolicy(campaignId, overrides) {
+    return this._send("clearFraudPolicy", [campaignId], overrides);
+  }
+}
+
+module.exports = { FraudDetectorClient, toFraudPolicy };
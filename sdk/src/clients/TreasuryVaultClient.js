@@ -0,0 +1,200 @@
+const { Contract } = require("ethers");
+const ContractClient = require("./ContractClient");
+const abis = require("../abi");
+const { decodeError } = require("../errors");
+
+const ERC20_ABI = [
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)"
+];
+
+/**
+ * @typedef {object} CampaignEarnings
+ * @property {bigint} campaignId Campaign ID
+ * @property {string|null} token Campaign token (ZeroAddress for ETH), null without a registry client
+ * @property {bigint} pending Credited and not yet claimed
+ * @property {bigint} claimed Already paid out
+ */
+
+class TreasuryVaultClient extends ContractClient {
+  /**
+   * @param {string} address TreasuryVault address
+   * @param {import("ethers").ContractRunner} runner Signer or provider
+   * @param {import("./CampaignRegistryClient").CampaignRegistryClient} [campaigns] Registry client campaign tokens are read from
+   */
+  constructor(address, runner, campaigns) {
+    super(address, abis.TreasuryVault, runner);
+    this.campaigns = campaigns;
+  }
+
+  /**
+   * Funds a campaign
+   * @param {bigint|number} campaignId Campaign ID
+   * @param {bigint} amount Amount in wei
+   * @param {object} [overrides] Transaction overrides
+   * @returns {Promise<object>} Receipt
+   */
+  deposit(campaignId, amount, overrides = {}) {
+    return this._send("deposit", [campaignId], { ...overrides, value: amount });
+  }
+
+  /**
+   * Funds several campaigns in one transaction
+   * @param {Array<{campaignId: bigint|number, amount: bigint}>} deposits Deposits
+   * @param {object} [overrides] Transaction overrides
+   * @returns {Promise<object>} Receipt
+   */
+  batchDeposit(deposits, overrides = {}) {
+    const campaignIds = deposits.map((item) => item.campaignId);
+    const amounts = deposits.map((item) => BigInt(item.amount));
+    const value = amounts.reduce((total, amount) => total + amount, 0n);
+
+    return this._send("batchDeposit", [campaignIds, amounts], { ...overrides, value });
+  }
+
+  /**
+   * Funds a campaign budgeted in an ERC-20 token, approving the vault first if needed
+   * @param {bigint|number} campaignId Campaign ID
+   * @param {string} token Campaign budget token
+   * @param {bigint} amount Amount in token units
+   * @param {object} [overrides] Transaction overrides
+   * @returns {Promise<object>} Receipt
+   */
+  async depositToken(campaignId, token, amount, overrides) {
+    await this._approve(token, amount);
+    return this._send("depositToken", [campaignId, amount], overrides);
+  }
+
+  /**
+   * Funds several campaigns budgeted in the same ERC-20 token in one transaction
+   * @param {string} token Campaign budget token
+   * @param {Array<{campaignId: bigint|number, amount: bigint}>} deposits Deposits
+   * @param {object} [overrides] Transaction overrides
+   * @returns {Promise<object>} Receipt
+   */
+  async batchDepositToken(token, deposits, overrides) {
+    const campaignIds = deposits.map((item) => item.campaignId);
+    const amounts = deposits.map((item) => BigInt(item.amount));
+
+    await this._approve(
+      token,
+      amounts.reduce((total, amount) => total + amount, 0n)
+    );
+    return this._send("batchDepositToken", [token, campaignIds, amounts], overrides);
+  }
+
+  /**
+   * Starts the refund of a closed campaign's balance to its owner (the signer)
+   * @param {bigint|number} campaignId Campaign ID
+   * @param {object} [overrides] Transaction overrides
+   * @returns {Promise<{amount: bigint, unlockTime: bigint, receipt: object}>} Refund and receipt
+   */
+  async requestRefund(campaignId, overrides) {
+    const receipt = await this._send("requestRefund", [campaignId], overrides);
+    const [event] = this._events(receipt, "RefundRequested");
+
+    return { amount: event.args.amount, unlockTime: event.args.unlockTime, receipt };
+  }
+
+  /**
+   * Pays out a refund whose timelock has expired
+   * @param {bigint|number} campaignId Campaign ID
+   * @param {object} [overrides] Transaction overrides
+   * @returns {Promise<object>} Receipt
+   */
+  claimRefund(campaignId, overrides) {
+    return this._send("claimRefund", [campaignId], overrides);
+  }
+
+  /**
+   * @param {bigint|number} campaignId Campaign ID
+   * @returns {Promise<{recipient: string, token: string, amount: bigint, unlockTime: bigint}|null>}
+   *   Pending refund, or null if none
+   */
+  async getRefund(campaignId) {
+    const [refund, unlockTime] = await this._call("getRefund", [campaignId]);
+    if (refund.amount === 0n) return null;
+
+    return { recipient: refund.recipient, token: refund.token, amount: refund.amount, unlockTime };
+  }
+
+  /**
+   * Pays the signer's unclaimed earnings, each in its campaign's token
+   * @param {Array<bigint|number>} [campaignIds] Campaigns to claim from (defaults to every campaign with unclaimed earnings)
+   * @param {object} [overrides] Transaction overrides
+   * @returns {Promise<{claims: Array<{campaignId: bigint, amount: bigint}>, receipt: object}>} Amounts paid and receipt
+   */
+  async claimEarnings(campaignIds, overrides) {
+    if (!campaignIds) {
+      const report = await this.getEarningsReport(await this.contract.runner.getAddress());
+      campaignIds = report.filter((entry) => entry.pending > 0n).map((entry) => entry.campaignId);
+    }
+
+    const receipt = await this._send("claimEarnings", [campaignIds], overrides);
+    const claims = this._events(receipt, "EarningsClaimed").map((event) => ({
+      campaignId: event.args.campaignId,
+      amount: event.args.amount
+    }));
+
+    return { claims, receipt };
+  }
+
+  /**
+   * @param {string} recipient Publisher, referrer or fee recipient
+   * @param {bigint|number} campaignId Campaign ID
+   * @returns {Promise<{pending: bigint, claimed: bigint}>} Earnings in the campaign's token
+   */
+  async getEarnings(recipient, campaignId) {
+    const earnings = await this._call("getEarnings", [recipient, campaignId]);
+    return { pending: earnings.pending, claimed: earnings.claimed };
+  }
+
+  /**
+   * Lists pending and claimed earnings per campaign the recipient has earned from
+   * @param {string} recipient Publisher, referrer or fee recipient
+   * @returns {Promise<CampaignEarnings[]>} One entry per campaign, in the order of first payment
+   */
+  async getEarningsReport(recipient) {
+    const campaignIds = [...(await this._call("getEarningCampaigns", [recipient]))];
+
+    return Promise.all(
+      campaignIds.map(async (campaignId) => {
+        const [earnings, campaign] = await Promise.all([
+          this.getEarnings(recipient, campaignId),
+          this.campaigns ? this.campaigns.getCampaign(campaignId) : null
+        ]);
+        return { campaignId, token: campaign ? campaign.token : null, ...earnings };
+      })
+    );
+  }
+
+  /**
+   * @param {bigint|number} campaignId Campaign ID
+   * @returns {Promise<bigint>} Campaign balance in wei
+   */
+  getCampaignBalance(campaignId) {
+    return this._call("getCampaignBalance", [campaignId]);
+  }
+
+  /**
+   * Approves the vault to pull tokens from the signer, unless the allowance already covers it
+   * @param {string} token Token address
+   * @param {bigint} amount Amount in token units
+   * @returns {Promise<void>}
+   */
+  async _approve(token, amount) {
+    const runner = this.contract.runner;
+    const erc20 = new Contract(token, ERC20_ABI, runner);
+
+    try {
+      const allowance = await erc20.allowance(await runner.getAddress(), this.address);
+      if (allowance < amount) {
+        await (await erc20.approve(this.address, amount)).wait();
+      }
+    } catch (error) {
+      throw decodeError(error);
+    }
+  }
+}
+
+module.exports = { TreasuryVaultClient };
@@ -0,0 +1,285 @@
+/**
+ * Stable error codes
+ * Maps every require() reason, custom error and ConversionRejected reason in the
+ * contracts to a code, a human message and whether retrying can succeed.
+ *
+ * A code is retryable when the same call can succeed later without the caller
+ * changing it: transient RPC failures, or contract state someone else can fix
+ * (a campaign top-up, an expired timelock, a re-authorized gateway).
+ */
+
+const ERRORS = {
+  // Campaigns
+  INVALID_BUDGET: ["Campaign budget must be greater than zero", false],
+  INVALID_PRICING_MODEL: ["Pricing model must be CPA (0), CPL (1) or CPI (2)", false],
+  METADATA_CID_REQUIRED: ["Campaign metadata CID is required", false],
+  CAMPAIGN_NOT_FOUND: ["Campaign does not exist", false],
+  NOT_CAMPAIGN_OWNER: ["Only the campaign owner can do this", false],
+  CAMPAIGN_NOT_ACTIVE: ["Campaign is not active", false],
+  CAMPAIGN_ALREADY_CLOSED: ["Campaign is already closed", false],
+  BUDGET_BELOW_SPENT: ["New budget is below the amount already spent", false],
+  CAMPAIGN_STILL_ACTIVE: ["Campaign must be closed first", false],
+  TOKEN_NOT_ALLOWED: ["Token is not allowed for campaign budgets", false],
+  WRONG_TOKEN: ["Campaign is budgeted in a different token", false],
+  TOKEN_NOT_PRICED: ["No conversion price is set for the campaign's token", true],
+  INVALID_PRICING: ["Pricing tiers must have ascending weights and non-zero rates", false],
+  DAILY_CAP_REACHED: ["Campaign has reached its daily spend cap", true],
+  INVALID_ATTRIBUTION: ["Time decay needs a half-life; other models take none", false],
+  MULTI_TOUCH_REQUIRES_CPA: ["Linear and time decay attribution need CPA pricing", false],
+
+  // Conversions and proofs
+  NULLIFIER_ALREADY_USED: ["Conversion was already submitted", false],
+  INVALID_PROOF: ["Conversion proof did not verify", false],
+  INVALID_CAMPAIGN_ROOT: ["Campaign click root is invalid", false],
+  INVALID_MERKLE_PROOF: ["Merkle multiproof is malformed", false],
+  BILLING_FAILED: ["Conversion could not be billed; it was not recorded", true],
+  INVALID_WEIGHT: ["Attribution weight is invalid", false],
+  CONVERSION_ATTRIBUTED: ["The conversion's clicks already share the full weight", false],
+  INVALID_CONVERSION_TIME: ["Conversion time is before the click or in the future", false],
+  NOT_LAST_CLICK: ["Last-click attribution only pays the user's last click", false],
+
+  // Funds
+  INSUFFICIENT_BUDGET: ["Campaign budget is exhausted", true],
+  INSUFFICIENT_BALANCE: ["Not enough funds deposited", true],
+  ZERO_AMOUNT: ["Amount must be greater than zero", false],
+  INCORRECT_VALUE: ["Sent value does not match the total amount", false],
+  PAYMENT_FAILED: ["Payment transfer failed", true],
+  TIMELOCK_NOT_EXPIRED: ["Timelock has not expired yet", true],
+  REFUND_PENDING: ["A refund is already pending for this campaign", false],
+  NO_REFUND: ["No refund is pending for this campaign", false],
+  NOTHING_TO_REFUND: ["Campaign has no balance to refund", false],
+  NOTHING_TO_CLAIM: ["No unclaimed earnings in these campaigns", false],
+  REFUND_TIMELOCK: ["Refund timelocks can only be started by a refund request", false],
+
+  // Access and configuration
+  NOT_AUTHORIZED: ["Caller is not authorized", false],
+  INVALID_ADDRESS: ["Address must not be zero", false],
+  INVALID_PUBLISHER: ["Publisher address must not be zero", false],
+  PUBLISHER_NOT_REGISTERED: ["Publisher is not registered for the campaign", false],
+  PUBLISHER_NOT_PROVEN: ["The proof attributes the conversion to another publisher", false],
+  INVALID_REFERRER: ["Referrer must differ from the publisher", false],
+  INVALID_SPLIT: ["Protocol and referrer shares exceed the maximum", false],
+  LENGTH_MISMATCH: ["Array arguments have different lengths", false],
+  EMPTY_BATCH: ["The batch has no items", false],
+  REENTRANT_CALL: ["Reentrant call", false],
+  DP_ALREADY_SET: ["Differential privacy is already in that state", false],
+  PAUSED: ["Contract is paused", true],
+  NOT_PAUSED: ["Contract is not paused", false],
+
+  // Fraud detection
+  USER_BLACKLISTED: ["User is blacklisted", false],
+  USER_NOT_BLACKLISTED: ["User is not blacklisted", false],
+  REPUTATION_TOO_LOW: ["User reputation is below the threshold", false],
+  FRAUD_CHECK_FAILED: [
+    "The user's campaign pseudonym or the publisher's traffic failed the fraud check (blacklisted, low reputation or rate limited)",
+    false
+  ],
+  RATE_LIMITED: ["Rate limit exceeded", true],
+  INVALID_DEVICE_ID: ["Device ID is invalid", false],
+  SCORE_OUT_OF_RANGE: ["Score is out of range", false],
+  INVALID_FRAUD_POLICY: ["Fraud policy is outside the protocol bounds", false],
+
+  // Analytics privacy
+  DP_NOT_ENABLED: ["Differential privacy is not enabled for the campaign", false],
+  DP_PERMANENT: ["Differential privacy cannot be disabled once enabled", false],
+  INVALID_PRIVACY_PARAMETER: ["Epsilon, spend bound and noise commitment must be non-zero", false],
+  EPOCH_NOT_ENDED: ["Epoch has not ended yet", true],
+  EPOCH_ENDED: ["Epoch has already ended", false],
+  NOISE_NOT_COMMITTED: ["No noise was committed for the epoch before it ended", false],
+  NOISE_ALREADY_COMMITTED: ["Noise is already committed for the epoch", false],
+  EPOCH_ALREADY_RELEASED: ["Epoch was already released", false],
+  PRIVACY_BUDGET_EXHAUSTED: ["Campaign's privacy budget cannot cover the release", false],
+
+  // Generic
+  PANIC: ["Contract panicked", false],
+  UNKNOWN_REVERT: ["Transaction reverted", false],
+
+  // Transport
+  NETWORK_ERROR: ["RPC request failed", true],
+  NONCE_EXPIRED: ["Transaction nonce was already used", true],
+  REPLACEMENT_UNDERPRICED: ["Replacement transaction fee is too low", true],
+  INSUFFICIENT_FUNDS: ["Account cannot pay for gas and value", false],
+  ACTION_REJECTED: ["Transaction was rejected by the signer", false],
+  UNKNOWN: ["Unknown error", false]
+};
+
+const ErrorCode = Object.freeze(
+  Object.fromEntries(Object.keys(ERRORS).map((code) => [code, code]))
+);
+
+/** require() reason strings */
+const REVERT_REASONS = {
+  "Budget must be greater than 0": ErrorCode.INVALID_BUDGET,
+  "Invalid pricing model": ErrorCode.INVALID_PRICING_MODEL,
+  "Metadata CID required": ErrorCode.METADATA_CID_REQUIRED,
+  "Campaign does not exist": ErrorCode.CAMPAIGN_NOT_FOUND,
+  "Not campaign owner": ErrorCode.NOT_CAMPAIGN_OWNER,
+  "Campaign is not active": ErrorCode.CAMPAIGN_NOT_ACTIVE,
+  "Campaign not active": ErrorCode.CAMPAIGN_NOT_ACTIVE,
+  "Campaign already closed": ErrorCode.CAMPAIGN_ALREADY_CLOSED,
+  "New budget must be >= spent amount": ErrorCode.BUDGET_BELOW_SPENT,
+  "Campaign still active": ErrorCode.CAMPAIGN_STILL_ACTIVE,
+  "Token not allowed": ErrorCode.TOKEN_NOT_ALLOWED,
+  "Wrong campaign token": ErrorCode.WRONG_TOKEN,
+  "Token not priced": ErrorCode.TOKEN_NOT_PRICED,
+  "Invalid pricing tier": ErrorCode.INVALID_PRICING,
+  "Too many pricing tiers": ErrorCode.INVALID_PRICING,
+  "Daily cap reached": ErrorCode.DAILY_CAP_REACHED,
+  "Invalid attribution": ErrorCode.INVALID_ATTRIBUTION,
+  "Multi-touch requires CPA": ErrorCode.MULTI_TOUCH_REQUIRES_CPA,
+  "Nullifier already used": ErrorCode.NULLIFIER_ALREADY_USED,
+  "Invalid multi-proof": ErrorCode.INVALID_MERKLE_PROOF,
+  "Invalid weight": ErrorCode.INVALID_WEIGHT,
+  "Insufficient budget": ErrorCode.INSUFFICIENT_BUDGET,
+  "Insufficient balance": ErrorCode.INSUFFICIENT_BALANCE,
+  "Insufficient campaign balance": ErrorCode.INSUFFICIENT_BALANCE,
+  "Insufficient unallocated balance": ErrorCode.INSUFFICIENT_BALANCE,
+  "Timelock not expired": ErrorCode.TIMELOCK_NOT_EXPIRED,
+  "Refund already requested": ErrorCode.REFUND_PENDING,
+  "No refund requested": ErrorCode.NO_REFUND,
+  "Nothing to refund": ErrorCode.NOTHING_TO_REFUND,
+  "Nothing to claim": ErrorCode.NOTHING_TO_CLAIM,
+  "Refund timelock": ErrorCode.REFUND_TIMELOCK,
+  "Amount must be > 0": ErrorCode.ZERO_AMOUNT,
+  "Deposit amount must be > 0": ErrorCode.ZERO_AMOUNT,
+  "Incorrect total amount": ErrorCode.INCORRECT_VALUE,
+  "Payment failed": ErrorCode.PAYMENT_FAILED,
+  "Transfer failed": ErrorCode.PAYMENT_FAILED,
+  "Not authorized": ErrorCode.NOT_AUTHORIZED,
+  "Not guardian": ErrorCode.NOT_AUTHORIZED,
+  "Not scorer": ErrorCode.NOT_AUTHORIZED,
+  "Not curator": ErrorCode.NOT_AUTHORIZED,
+  "Invalid address": ErrorCode.INVALID_ADDRESS,
+  "Invalid verifier": ErrorCode.INVALID_ADDRESS,
+  "Invalid registry": ErrorCode.INVALID_ADDRESS,
+  "Invalid vault": ErrorCode.INVALID_ADDRESS,
+  "Invalid caller": ErrorCode.INVALID_ADDRESS,
+  "Invalid spender": ErrorCode.INVALID_ADDRESS,
+  "Invalid recipient": ErrorCode.INVALID_ADDRESS,
+  "Invalid publisher": ErrorCode.INVALID_PUBLISHER,
+  "Publisher not registered": ErrorCode.PUBLISHER_NOT_REGISTERED,
+  "Invalid referrer": ErrorCode.INVALID_REFERRER,
+  "Invalid split": ErrorCode.INVALID_SPLIT,
+  "Length mismatch": ErrorCode.LENGTH_MISMATCH,
+  "Empty batch": ErrorCode.EMPTY_BATCH,
+  "Score too low": ErrorCode.SCORE_OUT_OF_RANGE,
+  "Score too high": ErrorCode.SCORE_OUT_OF_RANGE,
+  "Invalid fraud policy": ErrorCode.INVALID_FRAUD_POLICY,
+  "Budget below spent": ErrorCode.BUDGET_BELOW_SPENT,
+  "DP not enabled": ErrorCode.DP_NOT_ENABLED,
+  "DP cannot be disabled": ErrorCode.DP_PERMANENT,
+  "Invalid epsilon": ErrorCode.INVALID_PRIVACY_PARAMETER,
+  "Invalid max amount": ErrorCode.INVALID_PRIVACY_PARAMETER,
+  "Invalid commitment": ErrorCode.INVALID_PRIVACY_PARAMETER,
+  "Epoch not ended": ErrorCode.EPOCH_NOT_ENDED,
+  "Epoch already ended": ErrorCode.EPOCH_ENDED,
+  "Noise not committed": ErrorCode.NOISE_NOT_COMMITTED,
+  "Noise already committed": ErrorCode.NOISE_ALREADY_COMMITTED,
+  "Epoch already released": ErrorCode.EPOCH_ALREADY_RELEASED,
+  "Privacy budget exhausted": ErrorCode.PRIVACY_BUDGET_EXHAUSTED
+};
+
+/** Custom errors from contracts/libraries/Errors.sol and inherited OpenZeppelin contracts */
+const CUSTOM_ERRORS = {
+  InvalidBudget: ErrorCode.INVALID_BUDGET,
+  InvalidPricingModel: ErrorCode.INVALID_PRICING_MODEL,
+  MetadataCIDRequired: ErrorCode.METADATA_CID_REQUIRED,
+  CampaignNotFound: ErrorCode.CAMPAIGN_NOT_FOUND,
+  NotCampaignOwner: ErrorCode.NOT_CAMPAIGN_OWNER,
+  CampaignNotActive: ErrorCode.CAMPAIGN_NOT_ACTIVE,
+  CampaignAlreadyClosed: ErrorCode.CAMPAIGN_ALREADY_CLOSED,
+  InsufficientBudgetIncrease: ErrorCode.BUDGET_BELOW_SPENT,
+  NullifierAlreadyUsed: ErrorCode.NULLIFIER_ALREADY_USED,
+  InvalidProofStructure: ErrorCode.INVALID_PROOF,
+  InvalidPublicInputsLength: ErrorCode.INVALID_PROOF,
+  ProofVerificationFailed: ErrorCode.INVALID_PROOF,
+  InvalidCampaignRoot: ErrorCode.INVALID_CAMPAIGN_ROOT,
+  InvalidVerifierAddress: ErrorCode.INVALID_ADDRESS,
+  InvalidRegistryAddress: ErrorCode.INVALID_ADDRESS,
+  InvalidBillingModuleAddress: ErrorCode.INVALID_ADDRESS,
+  InvalidAnalyticsAddress: ErrorCode.INVALID_ADDRESS,
+  ConversionAlreadyProcessed: ErrorCode.NULLIFIER_ALREADY_USED,
+  ArrayLengthMismatch: ErrorCode.LENGTH_MISMATCH,
+  InvalidWeight: ErrorCode.INVALID_WEIGHT,
+  InsufficientCampaignBudget: ErrorCode.INSUFFICIENT_BUDGET,
+  PaymentProcessingFailed: ErrorCode.PAYMENT_FAILED,
+  InvalidPublisherAddress: ErrorCode.INVALID_PUBLISHER,
+  ZeroDepositAmount: ErrorCode.ZERO_AMOUNT,
+  InvalidRecipientAddress: ErrorCode.INVALID_ADDRESS,
+  InsufficientVaultBalance: ErrorCode.INSUFFICIENT_BALANCE,
+  InsufficientCampaignBalance: ErrorCode.INSUFFICIENT_BALANCE,
+  TransferFailed: ErrorCode.PAYMENT_FAILED,
+  SafeERC20FailedOperation: ErrorCode.PAYMENT_FAILED,
+  NotAuthorizedSpender: ErrorCode.NOT_AUTHORIZED,
+  TimelockNotExpired: ErrorCode.TIMELOCK_NOT_EXPIRED,
+  InvalidCampaignId: ErrorCode.CAMPAIGN_NOT_FOUND,
+  DPAlreadyEnabled: ErrorCode.DP_ALREADY_SET,
+  DPAlreadyDisabled: ErrorCode.DP_ALREADY_SET,
+  UserBlacklisted: ErrorCode.USER_BLACKLISTED,
+  ReputationBelowThreshold: ErrorCode.REPUTATION_TOO_LOW,
+  RateLimitExceeded: ErrorCode.RATE_LIMITED,
+  InvalidDeviceId: ErrorCode.INVALID_DEVICE_ID,
+  ScoreOutOfRange: ErrorCode.SCORE_OUT_OF_RANGE,
+  UserAlreadyBlacklisted: ErrorCode.USER_BLACKLISTED,
+  UserNotBlacklisted: ErrorCode.USER_NOT_BLACKLISTED,
+  OwnableUnauthorizedAccount: ErrorCode.NOT_AUTHORIZED,
+  OwnableInvalidOwner: ErrorCode.INVALID_ADDRESS,
+  ReentrancyGuardReentrantCall: ErrorCode.REENTRANT_CALL,
+  EnforcedPause: ErrorCode.PAUSED,
+  ExpectedPause: ErrorCode.NOT_PAUSED
+};
+
+/** AttributionGateway ConversionRejected reasons */
+const REJECTION_REASONS = {
+  "Campaign not active": ErrorCode.CAMPAIGN_NOT_ACTIVE,
+  "Publisher not registered": ErrorCode.PUBLISHER_NOT_REGISTERED,
+  "Nullifier already used": ErrorCode.NULLIFIER_ALREADY_USED,
+  "Fraud check failed": ErrorCode.FRAUD_CHECK_FAILED,
+  "Proof verification failed": ErrorCode.INVALID_PROOF,
+  "Publisher not proven": ErrorCode.PUBLISHER_NOT_PROVEN,
+  "Invalid weight": ErrorCode.INVALID_WEIGHT,
+  "Conversion already attributed": ErrorCode.CONVERSION_ATTRIBUTED,
+  "Invalid conversion time": ErrorCode.INVALID_CONVERSION_TIME,
+  "Not the last click": ErrorCode.NOT_LAST_CLICK,
+  "Billing failed": ErrorCode.BILLING_FAILED
+};
+
+/** ethers error codes for failures outside the contracts */
+const ETHERS_CODES = {
+  NETWORK_ERROR: ErrorCode.NETWORK_ERROR,
+  SERVER_ERROR: ErrorCode.NETWORK_ERROR,
+  TIMEOUT: ErrorCode.NETWORK_ERROR,
+  NONCE_EXPIRED: ErrorCode.NONCE_EXPIRED,
+  REPLACEMENT_UNDERPRICED: ErrorCode.REPLACEMENT_UNDERPRICED,
+  INSUFFICIENT_FUNDS: ErrorCode.INSUFFICIENT_FUNDS,
+  ACTION_REJECTED: ErrorCode.ACTION_REJECTED
+};
+
+/**
+ * Describes an error code
+ * @param {string} code Error code
+ * @returns {{code: string, message: string, retryable: boolean}} Description
+ */
+function describeCode(code) {
+  const [message, retryable] = ERRORS[code] || ERRORS.UNKNOWN;
+  return { code: ERRORS[code] ? code : ErrorCode.UNKNOWN, message, retryable };
+}
+
+/**
+ * Describes a ConversionRejected reason
+ * @param {string} reason Reason emitted by AttributionGateway
+ * @returns {{code: string, message: string, retryable: boolean}} Description
+ */
+function describeRejection(reason) {
+  return describeCode(REJECTION_REASONS[reason] || ErrorCode.UNKNOWN_REVERT);
+}
+
+module.exports = {
+  ErrorCode,
+  REVERT_REASONS,
+  CUSTOM_ERRORS,
+  REJECTION_REASONS,
+  ETHERS_CODES,
+  describeCode,
+  describeRejection
+};
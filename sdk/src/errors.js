@@ -0,0 +1,205 @@
+const { Interface } = require("ethers");
+const abis = require("./abi");
+const {
+  ErrorCode,
+  REVERT_REASONS,
+  CUSTOM_ERRORS,
+  ETHERS_CODES,
+  describeCode
+} = require("./errorCodes");
+
+/**
+ * Typed SDK errors
+ * Contract failures are decoded into GhostBeaconError subclasses: one class per
+ * custom error in contracts/libraries/Errors.sol (and the OpenZeppelin errors the
+ * contracts inherit), plus RevertError for require() strings and PanicError.
+ * Every error carries a stable `code` and a `retryable` flag from errorCodes.js.
+ */
+
+class GhostBeaconError extends Error {
+  /**
+   * @param {string} message Error message
+   * @param {object} [options] Error options
+   * @param {Error} [options.cause] Underlying error
+   * @param {string} [options.code] Error code (defaults to UNKNOWN)
+   */
+  constructor(message, options = {}) {
+    super(message, { cause: options.cause });
+
+    const { code, retryable } = describeCode(options.code || ErrorCode.UNKNOWN);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * Revert with a require() reason string
+ */
+class RevertError extends GhostBeaconError {
+  /**
+   * @param {string} reason Revert reason
+   * @param {object} [options] Error options
+   */
+  constructor(reason, options = {}) {
+    const code = REVERT_REASONS[reason] || ErrorCode.UNKNOWN_REVERT;
+    super(`${describeCode(code).message} (${reason})`, { ...options, code });
+    this.reason = reason;
+  }
+}
+
+/**
+ * Revert from a Solidity panic (overflow, division by zero, ...)
+ */
+class PanicError extends GhostBeaconError {
+  /**
+   * @param {bigint} panicCode Panic code
+   * @param {object} [options] Error options
+   */
+  constructor(panicCode, options = {}) {
+    super(`Contract panicked with code 0x${panicCode.toString(16)}`, {
+      ...options,
+      code: ErrorCode.PANIC
+    });
+    this.panicCode = panicCode;
+  }
+}
+
+/**
+ * Revert with a custom error
+ */
+class CustomContractError extends GhostBeaconError {
+  /**
+   * @param {object} description ethers ErrorDescription
+   * @param {object} [options] Error options
+   */
+  constructor(description, options = {}) {
+    const code = CUSTOM_ERRORS[description.name] || ErrorCode.UNKNOWN_REVERT;
+    super(`${describeCode(code).message} (${description.signature})`, { ...options, code });
+    this.errorName = description.name;
+    this.selector = description.selector;
+    this.args = description.args;
+  }
+}
+
+/**
+ * Collects every custom error fragment from the bundled ABIs
+ * @returns {Interface} Interface containing only errors, one per selector
+ */
+function buildErrorInterface() {
+  const fragments = new Map();
+
+  for (const abi of Object.values(abis)) {
+    for (const fragment of abi.filter((item) => item.type === "error")) {
+      const signature = `${fragment.name}(${fragment.inputs.map((input) => input.type).join(",")})`;
+      fragments.set(signature, fragment);
+    }
+  }
+
+  return new Interface([...fragments.values()]);
+}
+
+const errorInterface = buildErrorInterface();
+
+const customErrors = {};
+errorInterface.forEachError((fragment) => {
+  // Named class expression so stack traces and `err.name` show the Solidity error name
+  customErrors[fragment.name] = {
+    [fragment.name]: class extends CustomContractError {}
+  }[fragment.name];
+});
+
+/**
+ * Finds revert data in an ethers or provider error
+ * @param {*} error Thrown value
+ * @returns {string|null} Revert data hex string
+ */
+function findRevertData(error) {
+  const seen = new Set();
+  const queue = [error];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    if (!current || typeof current !== "object" || seen.has(current)) continue;
+    seen.add(current);
+
+    if (typeof current.data === "string" && /^0x[0-9a-fA-F]{8}/.test(current.data)) {
+      return current.data;
+    }
+    queue.push(current.data, current.error, current.info, current.cause);
+  }
+
+  return null;
+}
+
+/**
+ * Decodes raw revert data
+ * @param {string} data Revert data
+ * @param {object} [options] Error options
+ * @returns {GhostBeaconError|null} Typed error, or null if the selector is unknown
+ */
+function decodeRevertData(data, options = {}) {
+  let description;
+  try {
+    description = errorInterface.parseError(data);
+  } catch (_) {
+    return null;
+  }
+  if (!description) return null;
+
+  if (description.name === "Error") {
+    return new RevertError(description.args[0], options);
+  }
+  if (description.name === "Panic") {
+    return new PanicError(description.args[0], options);
+  }
+
+  const ErrorClass = customErrors[description.name] || CustomContractError;
+  return new ErrorClass(description, options);
+}
+
+/**
+ * Turns anything thrown by ethers into a GhostBeaconError
+ * @param {*} error Thrown value
+ * @returns {GhostBeaconError} Typed error
+ */
+function decodeError(error) {
+  if (error instanceof GhostBeaconError) {
+    return error;
+  }
+
+  const data = findRevertData(error);
+  const decoded = data && decodeRevertData(data, { cause: error });
+  if (decoded) {
+    return decoded;
+  }
+
+  if (error && typeof error.reason === "string") {
+    return new RevertError(error.reason, { cause: error });
+  }
+
+  const code = (error && ETHERS_CODES[error.code]) || ErrorCode.UNKNOWN;
+  const message = (error && (error.shortMessage || error.message)) || String(error);
+  return new GhostBeaconError(message, { cause: error, code });
+}
+
+/**
+ * Formats an error as a single line for CLI output
+ * @param {*} error Thrown value
+ * @returns {string} "[CODE] message", with a retry hint when retryable
+ */
+function formatError(error) {
+  const decoded = decodeError(error);
+  return `[${decoded.code}] ${decoded.message}${decoded.retryable ? " (retryable)" : ""}`;
+}
+
+module.exports = {
+  GhostBeaconError,
+  RevertError,
+  PanicError,
+  CustomContractError,
+  customErrors,
+  decodeRevertData,
+  decodeError,
+  formatError
+};
@@ -0,0 +1,84 @@
+const fs = require("fs");
+const path = require("path");
+const { GhostBeaconError } = require("./errors");
+
+/**
+ * Deployment manifest loading
+ * Reads addresses from a deployments.json written by scripts/deploy.js
+ */
+
+const CONTRACT_KEYS = [
+  "campaignRegistry",
+  "treasuryVault",
+  "attributionGateway",
+  "analyticsAggregator",
+  "billingModule",
+  "fraudDetector"
+];
+
+/**
+ * Reads a manifest from a path or returns an already-parsed manifest
+ * @param {string|object} [manifest] Manifest path or object (defaults to DEPLOYMENTS_FILE or ./deployments.json)
+ * @returns {object} Parsed manifest
+ */
+function readManifest(manifest) {
+  if (manifest && typeof manifest === "object") {
+    return manifest;
+  }
+
+  const file = path.resolve(manifest || process.env.DEPLOYMENTS_FILE || "deployments.json");
+  if (!fs.existsSync(file)) {
+    throw new GhostBeaconError(`Deployment manifest not found: ${file}`);
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * Selects a deployment by network name or chain ID
+ * @param {object} manifest Parsed manifest
+ * @param {object} selector Deployment selector
+ * @param {string} [selector.network] Network name
+ * @param {number|bigint} [selector.chainId] Chain ID
+ * @returns {object} Deployment entry
+ */
+function selectDeployment(manifest, { network, chainId }) {
+  const networks = manifest.networks || {};
+
+  const deployment = network
+    ? networks[network]
+    : Object.values(networks).find(
+        (entry) => chainId !== undefined && BigInt(entry.chainId) === BigInt(chainId)
+      );
+
+  if (!deployment) {
+    const target = network ? `network "${network}"` : `chain ${chainId}`;
+    throw new GhostBeaconError(`No GhostBeacon deployment recorded for ${target}`);
+  }
+  return deployment;
+}
+
+/**
+ * Extracts the SDK contract addresses from a deployment
+ * @param {object} deployment Deployment entry
+ * @returns {object} Addresses keyed by manifest contract key
+ */
+function getAddresses(deployment) {
+  const addresses = {};
+
+  for (const key of CONTRACT_KEYS) {
+    const entry = deployment.contracts && deployment.contracts[key];
+    if (!entry) {
+      throw new GhostBeaconError(`Deployment for ${deployment.network} has no ${key}`);
+    }
+    addresses[key] = entry.address;
+  }
+
+  return addresses;
+}
+
+module.exports = {
+  CONTRACT_KEYS,
+  readManifest,
+  selectDeployment,
+  getAddresses
+};
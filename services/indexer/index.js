@@ -0,0 +1,14 @@
+/**
+ * @ghostbeacon/indexer
+ * Materializes GhostBeacon contract events into SQLite
+ */
+
+const { Indexer, INDEXED_CONTRACTS } = require("./src/Indexer");
+const { SCHEMA_VERSION, openDatabase } = require("./src/schema");
+
+module.exports = {
+  Indexer,
+  INDEXED_CONTRACTS,
+  SCHEMA_VERSION,
+  openDatabase
+};
@@ -0,0 +1,427 @@
+const { Interface } = require("ethers");
+const abis = require("../../../sdk/src/abi");
+const { describeRejection } = require("../../../sdk/src/errorCodes");
+const { EVENT_TABLES, openDatabase } = require("./schema");
+
+/**
+ * GhostBeacon event indexer
+ * Backfills contract events from a start block into SQLite, follows new blocks and
+ * rolls back blocks that a reorg replaced.
+ */
+
+// Manifest keys of the indexed contracts, with the ABI each one is parsed with
+const INDEXED_CONTRACTS = {
+  campaignRegistry: "CampaignRegistry",
+  treasuryVault: "TreasuryVault",
+  attributionGateway: "AttributionGateway",
+  billingModule: "BillingModule"
+};
+
+const DEFAULTS = {
+  startBlock: 0,
+  batchSize: 2000,
+  confirmations: 0,
+  reorgDepth: 64
+};
+
+class Indexer {
+  /**
+   * @param {object} options Indexer options
+   * @param {import("ethers").Provider} options.provider JSON-RPC provider
+   * @param {object} options.addresses Contract addresses keyed by manifest key
+   * @param {string|import("better-sqlite3").Database} [options.database] Database file or open handle
+   * @param {number} [options.startBlock] First block to backfill from
+   * @param {number} [options.batchSize] Blocks per eth_getLogs request
+   * @param {number} [options.confirmations] Blocks to stay behind the chain head
+   * @param {number} [options.reorgDepth] Block hashes kept for reorg detection
+   * @param {Function} [options.log] Progress logger
+   */
+  constructor(options) {
+    const { provider, addresses, database, log, ...settings } = options;
+
+    this.provider = provider;
+    this.settings = { ...DEFAULTS, ...settings };
+    this.log = log || (() => {});
+    this.db =
+      database && typeof database === "object" ? database : openDatabase(database || ":memory:");
+
+    this.interfaces = {};
+    for (const [key, contract] of Object.entries(INDEXED_CONTRACTS)) {
+      if (!addresses[key]) {
+        throw new Error(`Indexer needs a ${key} address`);
+      }
+      this.interfaces[addresses[key].toLowerCase()] = new Interface(abis[contract]);
+    }
+
+    this._statements = this._prepare();
+    this._following = false;
+    this._wake = null;
+  }
+
+  /**
+   * Creates an indexer for a deployment recorded in a manifest
+   * The start block defaults to the earliest block an indexed contract was deployed in.
+   * @param {import("ethers").Provider} provider JSON-RPC provider
+   * @param {object} deployment Manifest deployment entry
+   * @param {object} [options] Indexer options (see constructor)
+   * @returns {Indexer} Indexer
+   */
+  static fromDeployment(provider, deployment, options = {}) {
+    const addresses = {};
+    const deployBlocks = [];
+
+    for (const key of Object.keys(INDEXED_CONTRACTS)) {
+      const entry = deployment.contracts && deployment.contracts[key];
+      if (!entry) {
+        throw new Error(`Deployment for ${deployment.network} has no ${key}`);
+      }
+      addresses[key] = entry.address;
+      if (entry.blockNumber !== undefined) deployBlocks.push(entry.blockNumber);
+    }
+
+    const startBlock = deployBlocks.length > 0 ? Math.min(...deployBlocks) : 0;
+    return new Indexer({ startBlock, ...options, provider, addresses });
+  }
+
+  /**
+   * @returns {number} Last indexed block, or startBlock - 1 before the first sync
+   */
+  get cursor() {
+    const row = this._statements.getMeta.get("cursor");
+    return row ? Number(row.value) : this.settings.startBlock - 1;
+  }
+
+  /**
+   * Indexes every block up to the chain head (less the confirmation depth)
+   * @param {object} [options] Sync options
+   * @param {number} [options.toBlock] Stop at this block instead of the head
+   * @returns {Promise<{fromBlock: number, toBlock: number, events: number, reorg: number|null}>} Summary
+   */
+  async sync(options = {}) {
+    await this._checkChain();
+    const reorg = await this._checkReorg();
+
+    const head = await this.provider.getBlockNumber();
+    const toBlock = Math.min(
+      options.toBlock !== undefined ? options.toBlock : head,
+      head - this.settings.confirmations
+    );
+    const fromBlock = this.cursor + 1;
+    let events = 0;
+
+    for (let from = fromBlock; from <= toBlock; from += this.settings.batchSize) {
+      const to = Math.min(from + this.settings.batchSize - 1, toBlock);
+      const { logs, tip } = await this._fetch(from, to);
+
+      events += this._apply(logs, tip);
+      this.log(`Indexed blocks ${from}-${to} (${logs.length} logs)`);
+    }
+
+    return { fromBlock, toBlock, events, reorg };
+  }
+
+  /**
+   * Syncs repeatedly until stop() is called
+   * @param {object} [options] Follow options
+   * @param {number} [options.interval] Milliseconds between polls
+   * @returns {Promise<void>} Resolves once stopped
+   */
+  async follow({ interval = 2000 } = {}) {
+    this._following = true;
+
+    while (this._following) {
+      await this.sync();
+      if (!this._following) break;
+      await new Promise((resolve) => {
+        const timer = setTimeout(resolve, interval);
+        this._wake = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+      });
+      this._wake = null;
+    }
+  }
+
+  /**
+   * Stops follow() after the current sync
+   */
+  stop() {
+    this._following = false;
+    if (this._wake) this._wake();
+  }
+
+  /**
+   * Closes the database
+   */
+  close() {
+    this.stop();
+    this.db.close();
+  }
+
+  /**
+   * Drops everything indexed from a block onwards
+   * @param {number} fromBlock First block to drop
+   */
+  rollback(fromBlock) {
+    const { db } = this;
+
+    db.transaction(() => {
+      for (const table of EVENT_TABLES) {
+        db.prepare(`DELETE FROM ${table} WHERE block_number >= ?`).run(fromBlock);
+      }
+      db.prepare("DELETE FROM blocks WHERE number >= ?").run(fromBlock);
+      db.prepare("DELETE FROM campaigns WHERE created_block >= ?").run(fromBlock);
+      db.prepare(
+        "UPDATE campaigns SET active = 1, closed_block = NULL WHERE closed_block >= ?"
+      ).run(fromBlock);
+      db.prepare(
+        "UPDATE campaigns SET exhausted = 0, exhausted_block = NULL WHERE exhausted_block >= ?"
+      ).run(fromBlock);
+      db.prepare(
+        `UPDATE campaigns SET budget = COALESCE(
+          (SELECT new_budget FROM budget_changes WHERE campaign_id = campaigns.id
+            ORDER BY block_number DESC, log_index DESC LIMIT 1),
+          initial_budget
+        )`
+      ).run();
+
+      this._setMeta("cursor", Math.min(this.cursor, fromBlock - 1));
+    })();
+  }
+
+  /**
+   * Records the chain ID on first use and refuses a database from another chain
+   */
+  async _checkChain() {
+    const { chainId } = await this.provider.getNetwork();
+    const stored = this._statements.getMeta.get("chainId");
+
+    if (!stored) {
+      this._setMeta("chainId", chainId);
+    } else if (BigInt(stored.value) !== chainId) {
+      throw new Error(`Database was indexed from chain ${stored.value}, provider is on ${chainId}`);
+    }
+  }
+
+  /**
+   * Compares stored block hashes with the chain and rolls back past a reorg
+   * @returns {Promise<number|null>} First dropped block, or null without a reorg
+   */
+  async _checkReorg() {
+    const stored = this.db.prepare("SELECT number, hash FROM blocks ORDER BY number DESC").all();
+    if (stored.length === 0) return null;
+
+    const latest = await this.provider.getBlock(stored[0].number);
+    if (latest && latest.hash === stored[0].hash) return null;
+
+    // Walk back to the newest block both sides still agree on
+    let forkBlock = this.settings.startBlock;
+    for (const { number, hash } of stored.slice(1)) {
+      const block = await this.provider.getBlock(number);
+      if (block && block.hash === hash) {
+        forkBlock = number + 1;
+        break;
+      }
+    }
+
+    this.log(`Reorg detected; re-indexing from block ${forkBlock}`);
+    this.rollback(forkBlock);
+    return forkBlock;
+  }
+
+  /**
+   * Fetches the logs of a block range
+   * A reorg inside the range changes the hash of its last block, so the range is
+   * fetched again until that hash is stable around the eth_getLogs call.
+   * @param {number} from First block
+   * @param {number} to Last block
+   * @returns {Promise<{logs: import("ethers").Log[], tip: import("ethers").Block}>} Logs and last block
+   */
+  async _fetch(from, to) {
+    for (;;) {
+      const tip = await this.provider.getBlock(to);
+      const logs = await this.provider.getLogs({
+        address: Object.keys(this.interfaces),
+        fromBlock: from,
+        toBlock: to
+      });
+      const after = await this.provider.getBlock(to);
+
+      if (tip && after && tip.hash === after.hash) {
+        return { logs, tip };
+      }
+      this.log(`Block ${to} changed while fetching logs; retrying`);
+    }
+  }
+
+  /**
+   * Writes a batch of logs and advances the cursor in one transaction
+   * @param {import("ethers").Log[]} logs Logs, in chain order
+   * @param {import("ethers").Block} tip Last block of the batch
+   * @returns {number} Number of indexed events
+   */
+  _apply(logs, tip) {
+    let events = 0;
+
+    this.db.transaction(() => {
+      for (const log of logs) {
+        const iface = this.interfaces[log.address.toLowerCase()];
+        const event = iface && iface.parseLog(log);
+        const handler = event && this._handlers[event.name];
+        if (!handler) continue;
+
+        handler.call(this, event.args, {
+          block_number: log.blockNumber,
+          tx_hash: log.transactionHash,
+          log_index: log.index
+        });
+        this._statements.putBlock.run(log.blockNumber, log.blockHash);
+        events++;
+      }
+
+      this._statements.putBlock.run(tip.number, tip.hash);
+      this._statements.pruneBlocks.run(tip.number - this.settings.reorgDepth);
+      this._setMeta("cursor", tip.number);
+    })();
+
+    return events;
+  }
+
+  _setMeta(key, value) {
+    this._statements.putMeta.run(key, String(value));
+  }
+
+  _prepare() {
+    const { db } = this;
+
+    return {
+      getMeta: db.prepare("SELECT value FROM meta WHERE key = ?"),
+      putMeta: db.prepare("INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)"),
+      putBlock: db.prepare("INSERT OR REPLACE INTO blocks (number, hash) VALUES (?, ?)"),
+      pruneBlocks: db.prepare("DELETE FROM blocks WHERE number < ?"),
+      createCampaign: db.prepare(
+        `INSERT INTO campaigns (id, owner, pricing_model, token, initial_budget, budget, created_block, created_tx)
+         VALUES (@campaign_id, @owner, @pricing_model, @token, @budget, @budget, @block_number, @tx_hash)`
+      ),
+      updateBudget: db.prepare(
+        `INSERT INTO budget_changes (campaign_id, old_budget, new_budget, block_number, tx_hash, log_index)
+         VALUES (@campaign_id, @old_budget, @new_budget, @block_number, @tx_hash, @log_index)`
+      ),
+      setBudget: db.prepare("UPDATE campaigns SET budget = ? WHERE id = ?"),
+      closeCampaign: db.prepare("UPDATE campaigns SET active = 0, closed_block = ? WHERE id = ?"),
+      exhaustCampaign: db.prepare(
+        "UPDATE campaigns SET exhausted = 1, exhausted_block = ? WHERE id = ? AND exhausted = 0"
+      ),
+      insertConversion: db.prepare(
+        `INSERT INTO conversions (nullifier, campaign_id, submitter, timestamp, block_number, tx_hash, log_index)
+         VALUES (@nullifier, @campaign_id, @submitter, @timestamp, @block_number, @tx_hash, @log_index)`
+      ),
+      setWeight: db.prepare("UPDATE conversions SET weight = ? WHERE nullifier = ?"),
+      insertRejection: db.prepare(
+        `INSERT INTO rejections (campaign_id, nullifier, reason, code, block_number, tx_hash, log_index)
+         VALUES (@campaign_id, @nullifier, @reason, @code, @block_number, @tx_hash, @log_index)`
+      ),
+      insertDeposit: db.prepare(
+        `INSERT INTO deposits (campaign_id, depositor, amount, block_number, tx_hash, log_index)
+         VALUES (@campaign_id, @depositor, @amount, @block_number, @tx_hash, @log_index)`
+      ),
+      insertPayout: db.prepare(
+        `INSERT INTO payouts (campaign_id, nullifier, recipient, amount, block_number, tx_hash, log_index)
+         VALUES (@campaign_id, @nullifier, @recipient, @amount, @block_number, @tx_hash, @log_index)`
+      ),
+      insertWithdrawal: db.prepare(
+        `INSERT INTO withdrawals (recipient, amount, block_number, tx_hash, log_index)
+         VALUES (@recipient, @amount, @block_number, @tx_hash, @log_index)`
+      )
+    };
+  }
+}
+
+/**
+ * Event handlers, keyed by event name
+ * Each receives the decoded event arguments and the log position.
+ */
+Indexer.prototype._handlers = {
+  CampaignCreated(args, position) {
+    this._statements.createCampaign.run({
+      ...position,
+      campaign_id: Number(args.campaignId),
+      owner: args.owner,
+      pricing_model: Number(args.pricingModel),
+      token: args.token,
+      budget: args.budget.toString()
+    });
+  },
+
+  BudgetUpdated(args, position) {
+    this._statements.updateBudget.run({
+      ...position,
+      campaign_id: Number(args.campaignId),
+      old_budget: args.oldBudget.toString(),
+      new_budget: args.newBudget.toString()
+    });
+    this._statements.setBudget.run(args.newBudget.toString(), Number(args.campaignId));
+  },
+
+  CampaignClosed(args, position) {
+    this._statements.closeCampaign.run(position.block_number, Number(args.campaignId));
+  },
+
+  CampaignExhausted(args, position) {
+    this._statements.exhaustCampaign.run(position.block_number, Number(args.campaignId));
+  },
+
+  ConversionSubmitted(args, position) {
+    this._statements.insertConversion.run({
+      ...position,
+      nullifier: args.nullifier,
+      campaign_id: Number(args.campaignId),
+      submitter: args.submitter,
+      timestamp: Number(args.timestamp)
+    });
+  },
+
+  ConversionProcessed(args) {
+    this._statements.setWeight.run(args.weight.toString(), args.nullifier);
+  },
+
+  ConversionRejected(args, position) {
+    this._statements.insertRejection.run({
+      ...position,
+      campaign_id: Number(args.campaignId),
+      nullifier: args.nullifier,
+      reason: args.reason,
+      code: describeRejection(args.reason).code
+    });
+  },
+
+  Deposited(args, position) {
+    this._statements.insertDeposit.run({
+      ...position,
+      campaign_id: Number(args.campaignId),
+      depositor: args.depositor,
+      amount: args.amount.toString()
+    });
+  },
+
+  ConversionPaid(args, position) {
+    this._statements.insertPayout.run({
+      ...position,
+      campaign_id: Number(args.campaignId),
+      nullifier: args.nullifier,
+      recipient: args.recipient,
+      amount: args.amount.toString()
+    });
+  },
+
+  Withdrawn(args, position) {
+    this._statements.insertWithdrawal.run({
+      ...position,
+      recipient: args.recipient,
+      amount: args.amount.toString()
+    });
+  }
+};
+
+module.exports = { Indexer, INDEXED_CONTRACTS };
@@ -0,0 +1,142 @@
+const Database = require("better-sqlite3");
+
+/**
+ * Indexer database schema
+ * Amounts are stored as decimal strings, since uint256 values overflow SQLite integers.
+ * Every event row keeps its block number so a reorg can drop it again.
+ */
+
+const SCHEMA_VERSION = 2;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+
+  -- Hashes of indexed blocks, used to detect reorgs
+  CREATE TABLE IF NOT EXISTS blocks (
+    number INTEGER PRIMARY KEY,
+    hash TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS campaigns (
+    id INTEGER PRIMARY KEY,
+    owner TEXT NOT NULL,
+    pricing_model INTEGER NOT NULL,
+    -- Budget token, or the zero address for native ETH
+    token TEXT NOT NULL,
+    initial_budget TEXT NOT NULL,
+    budget TEXT NOT NULL,
+    active INTEGER NOT NULL DEFAULT 1,
+    exhausted INTEGER NOT NULL DEFAULT 0,
+    created_block INTEGER NOT NULL,
+    created_tx TEXT NOT NULL,
+    closed_block INTEGER,
+    exhausted_block INTEGER
+  );
+
+  CREATE TABLE IF NOT EXISTS budget_changes (
+    campaign_id INTEGER NOT NULL,
+    old_budget TEXT NOT NULL,
+    new_budget TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    log_index INTEGER NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+
+  CREATE TABLE IF NOT EXISTS conversions (
+    nullifier TEXT PRIMARY KEY,
+    campaign_id INTEGER NOT NULL,
+    submitter TEXT NOT NULL,
+    weight TEXT,
+    timestamp INTEGER NOT NULL,
+    block_number INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    log_index INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS rejections (
+    campaign_id INTEGER NOT NULL,
+    nullifier TEXT NOT NULL,
+    reason TEXT NOT NULL,
+    code TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    log_index INTEGER NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+
+  CREATE TABLE IF NOT EXISTS deposits (
+    campaign_id INTEGER NOT NULL,
+    depositor TEXT NOT NULL,
+    amount TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    log_index INTEGER NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+
+  CREATE TABLE IF NOT EXISTS payouts (
+    campaign_id INTEGER NOT NULL,
+    nullifier TEXT NOT NULL,
+    recipient TEXT NOT NULL,
+    amount TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    log_index INTEGER NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+
+  CREATE TABLE IF NOT EXISTS withdrawals (
+    recipient TEXT NOT NULL,
+    amount TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    log_index INTEGER NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+
+  CREATE INDEX IF NOT EXISTS conversions_campaign ON conversions (campaign_id);
+  CREATE INDEX IF NOT EXISTS rejections_campaign ON rejections (campaign_id);
+  CREATE INDEX IF NOT EXISTS deposits_campaign ON deposits (campaign_id);
+  CREATE INDEX IF NOT EXISTS payouts_campaign ON payouts (campaign_id);
+`;
+
+// Event tables, cleared from the fork block on a reorg
+const EVENT_TABLES = [
+  "budget_changes",
+  "conversions",
+  "rejections",
+  "deposits",
+  "payouts",
+  "withdrawals"
+];
+
+/**
+ * Opens (and if needed creates) an indexer database
+ * @param {string} [file] Database file (defaults to an in-memory database)
+ * @returns {import("better-sqlite3").Database} Database handle
+ */
+function openDatabase(file = ":memory:") {
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.exec(SCHEMA);
+
+  const row = db.prepare("SELECT value FROM meta WHERE key = 'schemaVersion'").get();
+  if (!row) {
+    db.prepare("INSERT INTO meta (key, value) VALUES ('schemaVersion', ?)").run(
+      String(SCHEMA_VERSION)
+    );
+  } else if (Number(row.value) !== SCHEMA_VERSION) {
+    db.close();
+    throw new Error(
+      `Unsupported indexer schema version ${row.value} in ${file} (expected ${SCHEMA_VERSION})`
+    );
+  }
+
+  return db;
+}
+
+module.exports = { SCHEMA_VERSION, EVENT_TABLES, openDatabase };
@@ -0,0 +1,18 @@
+/**
+ * @ghostbeacon/relayer
+ * Gasless conversion submission for publishers
+ */
+
+const { Relayer, RelayerInputError, normalizeConversion } = require("./src/Relayer");
+const { SubmissionStore, Status, BatchStatus } = require("./src/store");
+const { createServer } = require("./src/server");
+
+module.exports = {
+  Relayer,
+  RelayerInputError,
+  normalizeConversion,
+  SubmissionStore,
+  Status,
+  BatchStatus,
+  createServer
+};
@@ -0,0 +1,502 @@
+const { Contract, ZeroAddress, getAddress, isAddress, isHexString } = require("ethers");
+const abis = require("../../../sdk/src/abi");
+const { AttributionGatewayClient } = require("../../../sdk/src/clients/AttributionGatewayClient");
+const { describeRejection } = require("../../../sdk/src/errorCodes");
+const { SubmissionStore, Status, BatchStatus } = require("./store");
+
+/**
+ * GhostBeacon conversion relayer
+ * Accepts conversions from publishers, checks them with eth_calls, queues them in a
+ * durable store and submits them in batches from the relayer's own account. It
+ * assigns nonces, replaces stuck transactions with higher fees and records each
+ * conversion's outcome once its batch is mined.
+ */
+
+const DEFAULTS = {
+  maxBatchSize: 20,
+  batchInterval: 1000,
+  pollInterval: 500,
+  maxPendingBatches: 4,
+  bumpAfter: 30000,
+  bumpPercent: 20,
+  maxBumps: 5,
+  maxAttempts: 3
+};
+
+/**
+ * Thrown for malformed submissions
+ */
+class RelayerInputError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "RelayerInputError";
+  }
+}
+
+/**
+ * Validates and normalizes a submitted conversion
+ * @param {object} input Raw conversion
+ * @returns {object} Conversion ({ campaignId, publisher, clickHash, conversionHash, nullifier, proof })
+ */
+function normalizeConversion(input) {
+  if (!input || typeof input !== "object") {
+    throw new RelayerInputError("Body must be a conversion object");
+  }
+
+  const { campaignId, publisher, clickHash, conversionHash, nullifier, proof } = input;
+  const toUint = (value, name) => {
+    try {
+      const parsed = BigInt(value);
+      if (parsed >= 0n) return parsed;
+    } catch (error) {
+      // fall through
+    }
+    throw new RelayerInputError(`${name} must be an unsigned integer`);
+  };
+  const toUints = (values, length, name) => {
+    if (!Array.isArray(values) || (length !== undefined && values.length !== length)) {
+      throw new RelayerInputError(
+        `${name} must be an array of ${length || "any number of"} values`
+      );
+    }
+    return values.map((value, i) => toUint(value, `${name}[${i}]`));
+  };
+
+  if (!isAddress(publisher)) {
+    throw new RelayerInputError("publisher must be an address");
+  }
+  for (const [name, value] of Object.entries({ clickHash, conversionHash, nullifier })) {
+    if (!isHexString(value, 32)) {
+      throw new RelayerInputError(`${name} must be a 32-byte hex string`);
+    }
+  }
+  if (!proof || typeof proof !== "object") {
+    throw new RelayerInputError("proof is required");
+  }
+  if (!Array.isArray(proof.b) || proof.b.length !== 2) {
+    throw new RelayerInputError("proof.b must be a 2x2 array");
+  }
+
+  return {
+    campaignId: toUint(campaignId, "campaignId"),
+    publisher: getAddress(publisher),
+    clickHash,
+    conversionHash,
+    nullifier: nullifier.toLowerCase(),
+    proof: {
+      a: toUints(proof.a, 2, "proof.a"),
+      b: proof.b.map((row, i) => toUints(row, 2, `proof.b[${i}]`)),
+      c: toUints(proof.c, 2, "proof.c"),
+      publicInputs: toUints(proof.publicInputs, undefined, "proof.publicInputs")
+    }
+  };
+}
+
+/**
+ * Converts a stored transaction request back to bigints
+ * @param {object} request Stored request
+ * @returns {object} Transaction request
+ */
+function toRequest(request) {
+  const parsed = { ...request };
+  for (const key of ["gasLimit", "maxFeePerGas", "maxPriorityFeePerGas", "gasPrice"]) {
+    if (parsed[key] !== undefined && parsed[key] !== null) parsed[key] = BigInt(parsed[key]);
+  }
+  return parsed;
+}
+
+class Relayer {
+  /**
+   * @param {object} options Relayer options
+   * @param {import("ethers").Signer} options.signer Account that pays for the batches
+   * @param {object} options.addresses Contract addresses ({ attributionGateway, conversionVerifier })
+   * @param {string|SubmissionStore} [options.database] Database file or open store
+   * @param {number} [options.maxBatchSize] Conversions per batch transaction
+   * @param {number} [options.batchInterval] Milliseconds a conversion may wait for a fuller batch
+   * @param {number} [options.pollInterval] Milliseconds between ticks once started
+   * @param {number} [options.maxPendingBatches] Batches in flight at once
+   * @param {number} [options.bumpAfter] Milliseconds before an unmined batch is replaced
+   * @param {number} [options.bumpPercent] Fee increase per replacement, in percent (at least 10)
+   * @param {number} [options.maxBumps] Replacements per batch
+   * @param {number} [options.maxAttempts] Batches a conversion may be sent in before it fails
+   * @param {Function} [options.log] Progress logger
+   */
+  constructor(options) {
+    const { signer, addresses, database, log, ...settings } = options;
+
+    if (!addresses.attributionGateway || !addresses.conversionVerifier) {
+      throw new Error("Relayer needs attributionGateway and conversionVerifier addresses");
+    }
+
+    this.signer = signer;
+    this.settings = { ...DEFAULTS, ...settings };
+    this.log = log || (() => {});
+    this.store = database instanceof SubmissionStore ? database : new SubmissionStore(database);
+    this.gateway = new AttributionGatewayClient(addresses.attributionGateway, signer);
+    this.verifier = new Contract(addresses.conversionVerifier, abis.ConversionVerifier, signer);
+
+    if (this.settings.bumpPercent < 10) {
+      throw new Error("bumpPercent must be at least 10; nodes refuse smaller replacements");
+    }
+
+    this._nonce = null;
+    this._billing = null;
+    this._ticking = null;
+    this._timer = null;
+  }
+
+  /**
+   * Creates a relayer for a deployment recorded in a manifest
+   * @param {import("ethers").Signer} signer Relayer account
+   * @param {object} deployment Manifest deployment entry
+   * @param {object} [options] Relayer options (see constructor)
+   * @returns {Relayer} Relayer
+   */
+  static fromDeployment(signer, deployment, options = {}) {
+    const address = (key) => {
+      const entry = deployment.contracts && deployment.contracts[key];
+      if (!entry) {
+        throw new Error(`Deployment for ${deployment.network} has no ${key}`);
+      }
+      return entry.address;
+    };
+
+    return new Relayer({
+      ...options,
+      signer,
+      addresses: {
+        attributionGateway: address("attributionGateway"),
+        conversionVerifier: address("conversionVerifier")
+      }
+    });
+  }
+
+  /**
+   * Checks a conversion with eth_calls and queues it
+   * @param {object} input Conversion ({ campaignId, publisher, clickHash, conversionHash, nullifier, proof })
+   * @returns {Promise<object>} { status, submission } once queued, { status: "duplicate", submission }
+   *   for a nullifier already queued or accepted, or { status: "rejected", reason, code, retryable }
+   */
+  async submit(input) {
+    const conversion = normalizeConversion(input);
+
+    const existing = this.store.get(conversion.nullifier);
+    if (existing && ![Status.REJECTED, Status.FAILED].includes(existing.status)) {
+      return { status: "duplicate", submission: existing };
+    }
+
+    const reason = await this._precheck(conversion);
+    if (reason) {
+      const { code, retryable } = describeRejection(reason);
+      return { status: Status.REJECTED, reason, code, retryable };
+    }
+
+    const submission = this.store.enqueue(conversion);
+    this.log(`Queued ${conversion.nullifier} for campaign ${conversion.campaignId}`);
+    return { status: submission.status, submission };
+  }
+
+  /**
+   * @param {string} nullifier Conversion nullifier
+   * @returns {object|null} Submission
+   */
+  status(nullifier) {
+    return this.store.get(nullifier);
+  }
+
+  /**
+   * Settles mined batches, replaces stuck ones and sends queued conversions
+   * @param {object} [options] Tick options
+   * @param {boolean} [options.flush] Send queued conversions without waiting for a full batch
+   * @returns {Promise<void>}
+   */
+  tick(options = {}) {
+    if (!this._ticking) {
+      this._ticking = (async () => {
+        try {
+          await this._settle();
+          await this._send(options.flush);
+        } finally {
+          this._ticking = null;
+        }
+      })();
+    }
+    return this._ticking;
+  }
+
+  /**
+   * Ticks every pollInterval until stop() is called
+   */
+  start() {
+    const loop = async () => {
+      try {
+        await this.tick();
+      } catch (error) {
+        this.log(`Relayer tick failed: ${error.message}`);
+      }
+      if (this._timer) this._timer = setTimeout(loop, this.settings.pollInterval);
+    };
+    this._timer = setTimeout(loop, 0);
+  }
+
+  /**
+   * Stops the tick loop and waits for a running tick
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    clearTimeout(this._timer);
+    this._timer = null;
+    if (this._ticking) await this._ticking.catch(() => {});
+  }
+
+  /**
+   * Stops the relayer and closes its store
+   */
+  async close() {
+    await this.stop();
+    this.store.close();
+  }
+
+  /**
+   * @returns {Promise<object>} Relayer account, submission counts and pending batches
+   */
+  async health() {
+    return {
+      address: await this.signer.getAddress(),
+      submissions: this.store.counts(),
+      pendingBatches: this.store.pendingBatches().length
+    };
+  }
+
+  /**
+   * Runs the gateway's pre-billing checks as eth_calls
+   * @param {object} conversion Conversion
+   * @returns {Promise<string|null>} ConversionRejected reason, or null if the conversion looks valid
+   */
+  async _precheck(conversion) {
+    if (await this.gateway.isNullifierProcessed(conversion.nullifier)) {
+      return "Nullifier already used";
+    }
+
+    const billing = await this._billingModule();
+    if (
+      billing &&
+      !(await billing.isPublisherRegistered(conversion.campaignId, conversion.publisher))
+    ) {
+      return "Publisher not registered";
+    }
+
+    const verified = await this.verifier.verifyConversionProof(
+      conversion.campaignId,
+      conversion.clickHash,
+      conversion.conversionHash,
+      conversion.nullifier,
+      conversion.proof
+    );
+    return verified ? null : "Proof verification failed";
+  }
+
+  /**
+   * @returns {Promise<Contract|null>} The gateway's BillingModule, or null while none is set
+   */
+  async _billingModule() {
+    const address = await this.gateway.contract.billingModule();
+    if (address === ZeroAddress) return null;
+
+    if (!this._billing || this._billing.target !== address) {
+      this._billing = new Contract(address, abis.BillingModule, this.signer);
+    }
+    return this._billing;
+  }
+
+  /**
+   * Records outcomes of mined batches and handles dropped or stuck ones
+   */
+  async _settle() {
+    const pending = this.store.pendingBatches();
+    if (pending.length === 0) return;
+
+    // Read the confirmed nonce before the receipts, so a batch mined in between is not taken as dropped
+    const confirmedNonce = await this.signer.getNonce("latest");
+
+    for (const batch of pending) {
+      const receipt = await this._findReceipt(batch);
+
+      if (receipt && receipt.status === 1) {
+        const submissions = this.store.batchSubmissions(batch.id);
+        const results = this.gateway.parseResults(
+          receipt,
+          submissions.map((submission) => submission.conversion)
+        );
+        this.store.completeBatch(batch.id, receipt, results);
+        this.log(`Batch ${batch.id} mined in block ${receipt.blockNumber}`);
+      } else if (receipt) {
+        this.store.releaseBatch(
+          batch.id,
+          BatchStatus.REVERTED,
+          this.settings.maxAttempts,
+          "Batch transaction reverted"
+        );
+        this.log(`Batch ${batch.id} reverted; re-queued its conversions`);
+      } else if (confirmedNonce > batch.nonce) {
+        // The nonce may have gone to a transaction of this batch whose hash was never recorded
+        // (a replacement sent just before a crash); conversions it processed must not be re-sent
+        const processed = await this._processedNullifiers(batch);
+        this.store.releaseBatch(
+          batch.id,
+          processed.length > 0 ? BatchStatus.MINED : BatchStatus.DROPPED,
+          this.settings.maxAttempts,
+          "Batch transaction dropped",
+          processed
+        );
+        this._nonce = null;
+        this.log(
+          processed.length > 0
+            ? `Batch ${batch.id} was mined without a known receipt; re-queued its unprocessed conversions`
+            : `Batch ${batch.id} was dropped; re-queued its conversions`
+        );
+      } else if (
+        Date.now() - batch.sentAt >= this.settings.bumpAfter &&
+        batch.txHashes.length <= this.settings.maxBumps
+      ) {
+        await this._replace(batch);
+      }
+    }
+  }
+
+  /**
+   * @param {object} batch Batch
+   * @returns {Promise<object|null>} Receipt of whichever of the batch's transactions was mined
+   */
+  async _findReceipt(batch) {
+    for (const hash of [...batch.txHashes].reverse()) {
+      const receipt = await this.signer.provider.getTransactionReceipt(hash);
+      if (receipt) return receipt;
+    }
+    return null;
+  }
+
+  /**
+   * @param {object} batch Batch
+   * @returns {Promise<string[]>} Nullifiers of the batch the gateway has processed
+   */
+  async _processedNullifiers(batch) {
+    const processed = [];
+    for (const { nullifier } of this.store.batchSubmissions(batch.id)) {
+      if (await this.gateway.isNullifierProcessed(nullifier)) processed.push(nullifier);
+    }
+    return processed;
+  }
+
+  /**
+   * Re-sends a stuck batch with the same nonce and higher fees
+   * @param {object} batch Batch
+   */
+  async _replace(batch) {
+    const request = toRequest(batch.request);
+    const current = await this._fees();
+    const bump = (value) => (value * BigInt(100 + this.settings.bumpPercent)) / 100n;
+
+    for (const key of Object.keys(current)) {
+      const bumped = bump(request[key]);
+      request[key] = bumped > current[key] ? bumped : current[key];
+    }
+    if (request.maxPriorityFeePerGas > request.maxFeePerGas) {
+      request.maxFeePerGas = request.maxPriorityFeePerGas;
+    }
+
+    try {
+      const tx = await this.signer.sendTransaction(request);
+      this.store.recordReplacement(batch.id, request, tx.hash);
+      this.log(`Replaced batch ${batch.id} (nonce ${batch.nonce}) with ${tx.hash}`);
+    } catch (error) {
+      // Usually the original was mined meanwhile; the next settle picks it up
+      this.log(`Replacing batch ${batch.id} failed: ${error.shortMessage || error.message}`);
+    }
+  }
+
+  /**
+   * Sends queued conversions once a batch is full or has waited batchInterval
+   * @param {boolean} [flush] Send whatever is queued
+   */
+  async _send(flush) {
+    while (this.store.pendingBatches().length < this.settings.maxPendingBatches) {
+      const submissions = this.store.queued(this.settings.maxBatchSize);
+      if (submissions.length === 0) return;
+
+      const full = submissions.length >= this.settings.maxBatchSize;
+      const waited = Date.now() - submissions[0].createdAt >= this.settings.batchInterval;
+      if (!full && !waited && !flush) return;
+
+      await this._sendBatch(submissions);
+    }
+  }
+
+  /**
+   * Sends one batch transaction with the next nonce
+   * @param {object[]} submissions Queued submissions
+   */
+  async _sendBatch(submissions) {
+    const conversions = submissions.map((submission) => submission.conversion);
+    const populated = await this.gateway.contract.batchSubmitConversions.populateTransaction(
+      conversions.map((item) => item.campaignId),
+      conversions.map((item) => item.publisher),
+      conversions.map((item) => item.clickHash),
+      conversions.map((item) => item.conversionHash),
+      conversions.map((item) => item.nullifier),
+      conversions.map((item) => item.proof)
+    );
+    const estimate = await this.signer.estimateGas(populated);
+    const nonce = await this._nextNonce();
+
+    const request = {
+      to: populated.to,
+      data: populated.data,
+      nonce,
+      gasLimit: (estimate * 12n) / 10n,
+      ...(await this._fees())
+    };
+
+    let tx;
+    try {
+      tx = await this.signer.sendTransaction(request);
+    } catch (error) {
+      // Resynchronize with the chain on the next send
+      this._nonce = null;
+      throw error;
+    }
+
+    this._nonce = nonce + 1;
+    const batchId = this.store.recordBatch({ nonce, request, txHash: tx.hash }, submissions);
+    this.log(`Sent batch ${batchId} with ${submissions.length} conversions (nonce ${nonce})`);
+  }
+
+  /**
+   * @returns {Promise<number>} Next nonce, from the chain or the batches still in flight
+   */
+  async _nextNonce() {
+    if (this._nonce === null) {
+      const chainNonce = await this.signer.getNonce("pending");
+      const inFlight = this.store.pendingBatches().map((batch) => batch.nonce + 1);
+      this._nonce = Math.max(chainNonce, ...inFlight);
+    }
+    return this._nonce;
+  }
+
+  /**
+   * @returns {Promise<object>} EIP-1559 fee fields, or gasPrice on legacy networks
+   */
+  async _fees() {
+    const feeData = await this.signer.provider.getFeeData();
+
+    if (feeData.maxFeePerGas !== null) {
+      return {
+        maxFeePerGas: feeData.maxFeePerGas,
+        maxPriorityFeePerGas: feeData.maxPriorityFeePerGas
+      };
+    }
+    return { gasPrice: feeData.gasPrice };
+  }
+}
+
+module.exports = { Relayer, RelayerInputError, normalizeConversion };
@@ -0,0 +1,91 @@
+const http = require("http");
+const { RelayerInputError } = require("./Relayer");
+
+/**
+ * Relayer HTTP API
+ *   POST /conversions              queue a conversion
+ *   GET  /conversions/:nullifier   submission status
+ *   GET  /health                   relayer account and queue counts
+ */
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+// Response status per submit() outcome
+const SUBMIT_STATUS = {
+  queued: 202,
+  duplicate: 409,
+  rejected: 422
+};
+
+const toJson = (value) =>
+  JSON.stringify(value, (key, item) => (typeof item === "bigint" ? item.toString() : item));
+
+function send(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(toJson(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new RelayerInputError("Body too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8")));
+      } catch (error) {
+        reject(new RelayerInputError("Body must be JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Creates the HTTP server for a relayer
+ * @param {import("./Relayer").Relayer} relayer Relayer
+ * @returns {http.Server} Server (not yet listening)
+ */
+function createServer(relayer) {
+  return http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, "http://localhost");
+    const statusPath = pathname.match(/^\/conversions\/(0x[0-9a-fA-F]{64})$/);
+
+    try {
+      if (req.method === "POST" && pathname === "/conversions") {
+        const outcome = await relayer.submit(await readBody(req));
+        return send(res, SUBMIT_STATUS[outcome.status], outcome);
+      }
+
+      if (req.method === "GET" && statusPath) {
+        const submission = relayer.status(statusPath[1]);
+        return submission
+          ? send(res, 200, submission)
+          : send(res, 404, { error: "Unknown nullifier" });
+      }
+
+      if (req.method === "GET" && pathname === "/health") {
+        return send(res, 200, await relayer.health());
+      }
+
+      send(res, 404, { error: "Not found" });
+    } catch (error) {
+      if (error instanceof RelayerInputError) {
+        return send(res, 400, { error: error.message });
+      }
+      relayer.log(`Request failed: ${error.message}`);
+      send(res, 500, { error: error.message });
+    }
+  });
+}
+
+module.exports = { createServer };
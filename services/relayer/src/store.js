@@ -0,0 +1,331 @@
+const Database = require("better-sqlite3");
+
+/**
+ * Durable relayer queue
+ * Submissions and the batch transactions that carry them, in SQLite, so queued and
+ * in-flight conversions survive a restart.
+ */
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS submissions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    nullifier TEXT NOT NULL UNIQUE,
+    conversion TEXT NOT NULL,
+    status TEXT NOT NULL,
+    reason TEXT,
+    code TEXT,
+    retryable INTEGER NOT NULL DEFAULT 0,
+    batch_id INTEGER,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    created_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS batches (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    nonce INTEGER NOT NULL,
+    request TEXT NOT NULL,
+    tx_hashes TEXT NOT NULL,
+    status TEXT NOT NULL,
+    sent_at INTEGER NOT NULL,
+    tx_hash TEXT,
+    block_number INTEGER
+  );
+
+  CREATE INDEX IF NOT EXISTS submissions_status ON submissions (status, id);
+  CREATE INDEX IF NOT EXISTS batches_status ON batches (status);
+`;
+
+/**
+ * Submission lifecycle
+ * queued → sent → accepted | rejected, or back to queued if the batch is dropped or reverts.
+ * Submissions still failing after the retry limit end as failed.
+ */
+const Status = Object.freeze({
+  QUEUED: "queued",
+  SENT: "sent",
+  ACCEPTED: "accepted",
+  REJECTED: "rejected",
+  FAILED: "failed"
+});
+
+const BatchStatus = Object.freeze({
+  PENDING: "pending",
+  MINED: "mined",
+  REVERTED: "reverted",
+  DROPPED: "dropped"
+});
+
+// JSON.stringify replacer for bigint proof values
+const bigintToString = (key, value) => (typeof value === "bigint" ? value.toString() : value);
+
+class SubmissionStore {
+  /**
+   * @param {string} [file] Database file (defaults to an in-memory database)
+   */
+  constructor(file = ":memory:") {
+    this.db = new Database(file);
+    this.db.pragma("journal_mode = WAL");
+    this.db.exec(SCHEMA);
+  }
+
+  /**
+   * Queues a conversion, or re-queues a rejected or failed one with the same nullifier
+   * A re-queued submission starts over: its attempts and creation time are reset.
+   * @param {object} conversion Conversion ({ campaignId, clickHash, conversionHash, nullifier, proof })
+   * @returns {object|null} Queued submission, or null if the nullifier is already queued, in flight or accepted
+   */
+  enqueue(conversion) {
+    const now = Date.now();
+    const nullifier = conversion.nullifier.toLowerCase();
+    const existing = this.get(nullifier);
+
+    if (existing && ![Status.REJECTED, Status.FAILED].includes(existing.status)) {
+      return null;
+    }
+
+    const payload = JSON.stringify({ ...conversion, nullifier }, bigintToString);
+    if (existing) {
+      this.db
+        .prepare(
+          `UPDATE submissions SET conversion = ?, status = ?, reason = NULL, code = NULL,
+             retryable = 0, batch_id = NULL, attempts = 0, created_at = ?, updated_at = ?
+           WHERE nullifier = ?`
+        )
+        .run(payload, Status.QUEUED, now, now, nullifier);
+    } else {
+      this.db
+        .prepare(
+          `INSERT INTO submissions (nullifier, conversion, status, created_at, updated_at)
+           VALUES (?, ?, ?, ?, ?)`
+        )
+        .run(nullifier, payload, Status.QUEUED, now, now);
+    }
+
+    return this.get(nullifier);
+  }
+
+  /**
+   * @param {string} nullifier Conversion nullifier
+   * @returns {object|null} Submission
+   */
+  get(nullifier) {
+    const row = this.db
+      .prepare("SELECT * FROM submissions WHERE nullifier = ?")
+      .get(nullifier.toLowerCase());
+    return row ? toSubmission(row) : null;
+  }
+
+  /**
+   * @param {number} limit Maximum number of submissions
+   * @returns {object[]} Oldest queued submissions
+   */
+  queued(limit) {
+    return this.db
+      .prepare("SELECT * FROM submissions WHERE status = ? ORDER BY id LIMIT ?")
+      .all(Status.QUEUED, limit)
+      .map(toSubmission);
+  }
+
+  /**
+   * @returns {object} Submission counts by status
+   */
+  counts() {
+    const counts = Object.fromEntries(Object.values(Status).map((status) => [status, 0]));
+    for (const { status, count } of this.db
+      .prepare("SELECT status, COUNT(*) AS count FROM submissions GROUP BY status")
+      .all()) {
+      counts[status] = count;
+    }
+    return counts;
+  }
+
+  /**
+   * Records a sent batch and marks its submissions as sent
+   * @param {object} batch Batch ({ nonce, request, txHash })
+   * @param {object[]} submissions Submissions in the batch, in calldata order
+   * @returns {number} Batch ID
+   */
+  recordBatch({ nonce, request, txHash }, submissions) {
+    return this.db.transaction(() => {
+      const { lastInsertRowid } = this.db
+        .prepare(
+          `INSERT INTO batches (nonce, request, tx_hashes, status, sent_at)
+           VALUES (?, ?, ?, ?, ?)`
+        )
+        .run(
+          nonce,
+          JSON.stringify(request, bigintToString),
+          JSON.stringify([txHash]),
+          BatchStatus.PENDING,
+          Date.now()
+        );
+      const batchId = Number(lastInsertRowid);
+
+      const update = this.db.prepare(
+        "UPDATE submissions SET status = ?, batch_id = ?, attempts = attempts + 1, updated_at = ? WHERE id = ?"
+      );
+      for (const submission of submissions) {
+        update.run(Status.SENT, batchId, Date.now(), submission.id);
+      }
+
+      return batchId;
+    })();
+  }
+
+  /**
+   * Records a replacement transaction for a pending batch
+   * @param {number} batchId Batch ID
+   * @param {object} request Replacement transaction request
+   * @param {string} txHash Replacement transaction hash
+   */
+  recordReplacement(batchId, request, txHash) {
+    const batch = this.batch(batchId);
+
+    this.db
+      .prepare("UPDATE batches SET request = ?, tx_hashes = ?, sent_at = ? WHERE id = ?")
+      .run(
+        JSON.stringify(request, bigintToString),
+        JSON.stringify([...batch.txHashes, txHash]),
+        Date.now(),
+        batchId
+      );
+  }
+
+  /**
+   * @param {number} batchId Batch ID
+   * @returns {object|null} Batch
+   */
+  batch(batchId) {
+    const row = this.db.prepare("SELECT * FROM batches WHERE id = ?").get(batchId);
+    return row ? toBatch(row) : null;
+  }
+
+  /**
+   * @returns {object[]} Batches awaiting a receipt, oldest first
+   */
+  pendingBatches() {
+    return this.db
+      .prepare("SELECT * FROM batches WHERE status = ? ORDER BY nonce")
+      .all(BatchStatus.PENDING)
+      .map(toBatch);
+  }
+
+  /**
+   * @param {number} batchId Batch ID
+   * @returns {object[]} Submissions in the batch, in calldata order
+   */
+  batchSubmissions(batchId) {
+    return this.db
+      .prepare("SELECT * FROM submissions WHERE batch_id = ? ORDER BY id")
+      .all(batchId)
+      .map(toSubmission);
+  }
+
+  /**
+   * Records a mined batch and the outcome of each of its submissions
+   * @param {number} batchId Batch ID
+   * @param {object} receipt Receipt ({ hash, blockNumber })
+   * @param {object[]} results Per-submission outcomes ({ nullifier, accepted, reason, code, retryable })
+   */
+  completeBatch(batchId, receipt, results) {
+    this.db.transaction(() => {
+      this.db
+        .prepare("UPDATE batches SET status = ?, tx_hash = ?, block_number = ? WHERE id = ?")
+        .run(BatchStatus.MINED, receipt.hash, receipt.blockNumber, batchId);
+
+      const update = this.db.prepare(
+        `UPDATE submissions SET status = ?, reason = ?, code = ?, retryable = ?, updated_at = ?
+         WHERE nullifier = ? AND batch_id = ?`
+      );
+      for (const result of results) {
+        update.run(
+          result.accepted ? Status.ACCEPTED : Status.REJECTED,
+          result.reason,
+          result.code,
+          result.retryable ? 1 : 0,
+          Date.now(),
+          result.nullifier.toLowerCase(),
+          batchId
+        );
+      }
+    })();
+  }
+
+  /**
+   * Closes a batch that reverted or was dropped and re-queues its submissions
+   * Submissions whose nullifiers the gateway already processed are marked accepted, and
+   * submissions that have used up their attempts are marked failed instead.
+   * @param {number} batchId Batch ID
+   * @param {string} status BatchStatus.REVERTED, BatchStatus.DROPPED or, for a batch mined
+   *   under a transaction without a receipt, BatchStatus.MINED
+   * @param {number} maxAttempts Attempts before a submission fails
+   * @param {string} reason Failure reason recorded on failed submissions
+   * @param {string[]} [processed] Nullifiers of the batch the gateway already processed
+   */
+  releaseBatch(batchId, status, maxAttempts, reason, processed = []) {
+    this.db.transaction(() => {
+      this.db.prepare("UPDATE batches SET status = ? WHERE id = ?").run(status, batchId);
+
+      const accept = this.db.prepare(
+        "UPDATE submissions SET status = ?, updated_at = ? WHERE nullifier = ? AND batch_id = ?"
+      );
+      for (const nullifier of processed) {
+        accept.run(Status.ACCEPTED, Date.now(), nullifier.toLowerCase(), batchId);
+      }
+
+      this.db
+        .prepare(
+          `UPDATE submissions SET
+             status = CASE WHEN attempts >= @maxAttempts THEN @failed ELSE @queued END,
+             reason = CASE WHEN attempts >= @maxAttempts THEN @reason ELSE NULL END,
+             batch_id = NULL, updated_at = @now
+           WHERE batch_id = @batchId AND status = @sent`
+        )
+        .run({
+          maxAttempts,
+          failed: Status.FAILED,
+          queued: Status.QUEUED,
+          sent: Status.SENT,
+          reason,
+          now: Date.now(),
+          batchId
+        });
+    })();
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+function toSubmission(row) {
+  return {
+    id: row.id,
+    nullifier: row.nullifier,
+    conversion: JSON.parse(row.conversion),
+    status: row.status,
+    reason: row.reason,
+    code: row.code,
+    retryable: row.retryable === 1,
+    batchId: row.batch_id,
+    attempts: row.attempts,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function toBatch(row) {
+  return {
+    id: row.id,
+    nonce: row.nonce,
+    request: JSON.parse(row.request),
+    txHashes: JSON.parse(row.tx_hashes),
+    status: row.status,
+    sentAt: row.sent_at,
+    txHash: row.tx_hash,
+    blockNumber: row.block_number
+  };
+}
+
+module.exports = { SubmissionStore, Status, BatchStatus };
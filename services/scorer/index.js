@@ -0,0 +1,28 @@
+/**
+ * @ghostbeacon/scorer
+ * Off-chain fraud scoring that feeds FraudDetector
+ */
+
+const { Scorer } = require("./src/Scorer");
+const { ScoreStore, Kind, BatchStatus } = require("./src/store");
+const {
+  DEFAULT_RULES,
+  resolveRules,
+  userFeatures,
+  deviceFeatures,
+  assessUser,
+  assessDevice
+} = require("./src/features");
+
+module.exports = {
+  Scorer,
+  ScoreStore,
+  Kind,
+  BatchStatus,
+  DEFAULT_RULES,
+  resolveRules,
+  userFeatures,
+  deviceFeatures,
+  assessUser,
+  assessDevice
+};
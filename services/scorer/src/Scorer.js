@@ -0,0 +1,391 @@
+const { Contract } = require("ethers");
+const abis = require("../../../sdk/src/abi");
+const { formatError } = require("../../../sdk/src/errors");
+const {
+  resolveRules,
+  userFeatures,
+  deviceFeatures,
+  assessUser,
+  assessDevice
+} = require("./features");
+const { ScoreStore, Kind } = require("./store");
+
+/**
+ * GhostBeacon fraud scorer
+ * Reads the conversions FraudDetector records, computes anomaly features over a lookback
+ * window and pushes the resulting score changes back with batchSetScores.
+ *
+ * Scores are adjusted, not overwritten: FraudDetector keeps moving them as conversions are
+ * billed or rejected, so each round only swaps the penalty already applied to a user or
+ * device for the one its features now earn. The unpenalized base score is the current score
+ * plus what the applied penalty took off, and penalties are taken off the base, so one
+ * stopped at the minimum score gives back no more than it took. Once anomalies age out of
+ * the lookback window the penalty is lifted again.
+ */
+
+const DEFAULTS = {
+  startBlock: 0,
+  batchSize: 2000,
+  confirmations: 0,
+  pushBatchSize: 100
+};
+
+const MIN_SCORE = 1;
+const MAX_SCORE = 100;
+
+class Scorer {
+  /**
+   * @param {object} options Scorer options
+   * @param {import("ethers").Signer} options.signer FraudDetector owner or appointed scorer
+   * @param {object} options.addresses Contract addresses ({ fraudDetector, conversionVerifier })
+   * @param {string|ScoreStore} [options.database] Database file or open store
+   * @param {object} [options.rules] Feature rule overrides (see DEFAULT_RULES)
+   * @param {number} [options.startBlock] First block to read events from
+   * @param {number} [options.batchSize] Blocks per eth_getLogs request
+   * @param {number} [options.confirmations] Blocks to stay behind the chain head
+   * @param {number} [options.pushBatchSize] Score changes per batchSetScores transaction
+   * @param {Function} [options.log] Progress logger
+   */
+  constructor(options) {
+    const { signer, addresses, database, rules, log, ...settings } = options;
+
+    if (!addresses.fraudDetector || !addresses.conversionVerifier) {
+      throw new Error("Scorer needs fraudDetector and conversionVerifier addresses");
+    }
+
+    this.signer = signer;
+    this.provider = signer.provider;
+    this.settings = { ...DEFAULTS, ...settings };
+    this.rules = resolveRules(rules);
+    this.log = log || (() => {});
+    this.store = database instanceof ScoreStore ? database : new ScoreStore(database);
+    this.detector = new Contract(addresses.fraudDetector, abis.FraudDetector, signer);
+    this.verifier = new Contract(
+      addresses.conversionVerifier,
+      abis.ConversionVerifier,
+      this.provider
+    );
+
+    this._following = false;
+    this._wake = null;
+  }
+
+  /**
+   * Creates a scorer for a deployment recorded in a manifest
+   * The start block defaults to the earliest block a read contract was deployed in.
+   * @param {import("ethers").Signer} signer FraudDetector owner or appointed scorer
+   * @param {object} deployment Manifest deployment entry
+   * @param {object} [options] Scorer options (see constructor)
+   * @returns {Scorer} Scorer
+   */
+  static fromDeployment(signer, deployment, options = {}) {
+    const addresses = {};
+    const deployBlocks = [];
+
+    for (const key of ["fraudDetector", "conversionVerifier"]) {
+      const entry = deployment.contracts && deployment.contracts[key];
+      if (!entry) {
+        throw new Error(`Deployment for ${deployment.network} has no ${key}`);
+      }
+      addresses[key] = entry.address;
+      if (entry.blockNumber !== undefined) deployBlocks.push(entry.blockNumber);
+    }
+
+    const startBlock = deployBlocks.length > 0 ? Math.min(...deployBlocks) : 0;
+    return new Scorer({ startBlock, ...options, signer, addresses });
+  }
+
+  /**
+   * @returns {number} Last synced block, or startBlock - 1 before the first sync
+   */
+  get cursor() {
+    const value = this.store.getMeta("cursor");
+    return value === null ? this.settings.startBlock - 1 : Number(value);
+  }
+
+  /**
+   * Reads conversion and click root events up to the chain head (less the confirmation depth)
+   * @returns {Promise<{fromBlock: number, toBlock: number, conversions: number, roots: number}>} Summary
+   */
+  async sync() {
+    await this._checkChain();
+
+    const head = await this.provider.getBlockNumber();
+    const toBlock = head - this.settings.confirmations;
+    const fromBlock = this.cursor + 1;
+    const summary = { fromBlock, toBlock, conversions: 0, roots: 0 };
+
+    for (let from = fromBlock; from <= toBlock; from += this.settings.batchSize) {
+      const to = Math.min(from + this.settings.batchSize - 1, toBlock);
+      const [conversionLogs, rootLogs, tip] = await Promise.all([
+        this.detector.queryFilter("ConversionRecorded", from, to),
+        this.verifier.queryFilter("CampaignRootUpdated", from, to),
+        this.provider.getBlock(to)
+      ]);
+
+      const conversions = conversionLogs.map((log) => ({
+        campaign_id: Number(log.args.campaignId),
+        pseudonym: log.args.pseudonym.toLowerCase(),
+        device_id: log.args.deviceId.toLowerCase(),
+        success: log.args.success ? 1 : 0,
+        timestamp: Number(log.args.timestamp),
+        block_number: log.blockNumber,
+        log_index: log.index
+      }));
+      const roots = [];
+      for (const log of rootLogs) {
+        const block = await this.provider.getBlock(log.blockNumber);
+        roots.push({
+          campaign_id: Number(log.args.campaignId),
+          root: log.args.root,
+          timestamp: block.timestamp,
+          block_number: log.blockNumber,
+          log_index: log.index
+        });
+      }
+
+      this.store.record({ conversions, roots, toBlock: to, timestamp: tip.timestamp });
+      summary.conversions += conversions.length;
+      summary.roots += roots.length;
+      this.log(`Read blocks ${from}-${to} (${conversions.length} conversions)`);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Computes the score changes the synced conversions call for
+   * Features are computed over the lookback window ending at the last synced block. Only
+   * users and devices whose penalty changed get a score change.
+   * @returns {Promise<object[]>} Score changes ({ kind, subject, campaignId, oldScore,
+   *   baseScore, newScore, penalty, applied, previousPenalty, reasons, features })
+   */
+  async assess() {
+    const now = this.store.getMeta("cursorTime");
+    if (now === null) return [];
+
+    const { rules, store } = this;
+    const users = new Map();
+    const devices = new Map();
+
+    for (const row of store.conversionsSince(Number(now) - rules.lookback)) {
+      if (!users.has(row.pseudonym)) {
+        users.set(row.pseudonym, { campaignId: row.campaign_id, times: [] });
+      }
+      users.get(row.pseudonym).times.push(row.timestamp);
+
+      if (!devices.has(row.device_id)) devices.set(row.device_id, []);
+      devices.get(row.device_id).push({ time: row.timestamp, pseudonym: row.pseudonym });
+    }
+
+    // Penalized subjects without recent conversions are assessed too, so their penalty lifts
+    for (const row of store.penalized()) {
+      if (row.kind === Kind.USER && !users.has(row.subject)) {
+        users.set(row.subject, { campaignId: row.campaign_id, times: [] });
+      }
+      if (row.kind === Kind.DEVICE && !devices.has(row.subject)) {
+        devices.set(row.subject, []);
+      }
+    }
+
+    const assessments = [];
+    for (const [subject, { campaignId, times }] of users) {
+      const features = userFeatures(times, store.rootTimes(campaignId), rules);
+      assessments.push({
+        kind: Kind.USER,
+        subject,
+        campaignId,
+        features,
+        ...assessUser(features, rules)
+      });
+    }
+    for (const [subject, conversions] of devices) {
+      const features = deviceFeatures(conversions, rules);
+      assessments.push({ kind: Kind.DEVICE, subject, features, ...assessDevice(features, rules) });
+    }
+
+    const changed = assessments
+      .map((assessment) => {
+        const previous = store.getPenalty(assessment.kind, assessment.subject);
+        return {
+          ...assessment,
+          previousPenalty: previous.penalty,
+          previousApplied: previous.applied
+        };
+      })
+      .filter((assessment) => assessment.penalty !== assessment.previousPenalty);
+    if (changed.length === 0) return [];
+
+    const scores = await this._currentScores(changed);
+
+    return changed.map(({ previousApplied, ...assessment }, i) => {
+      const reasons =
+        assessment.reasons.length === 0
+          ? [`cleared: no anomalies within the last ${rules.lookback}s`]
+          : assessment.reasons;
+      const baseScore = scores[i] + previousApplied;
+      const applied = Math.min(assessment.penalty, baseScore - MIN_SCORE);
+      const newScore = Math.min(baseScore - applied, MAX_SCORE);
+
+      return { ...assessment, reasons, oldScore: scores[i], baseScore, newScore, applied };
+    });
+  }
+
+  /**
+   * Pushes score changes in batchSetScores transactions and logs them for audit
+   * A failed batch is logged as failed and its penalties stay where they were, so the next
+   * round computes the same changes again.
+   * @param {object[]} changes Score changes from assess()
+   * @returns {Promise<{batches: number, applied: number, failed: number}>} Summary
+   */
+  async push(changes) {
+    const summary = { batches: 0, applied: 0, failed: 0 };
+
+    for (let i = 0; i < changes.length; i += this.settings.pushBatchSize) {
+      const batch = changes.slice(i, i + this.settings.pushBatchSize);
+      const users = batch.filter((change) => change.kind === Kind.USER);
+      const devices = batch.filter((change) => change.kind === Kind.DEVICE);
+      const batchId = this.store.openBatch(batch);
+      summary.batches += 1;
+
+      let tx = null;
+      try {
+        tx = await this.detector.batchSetScores(
+          users.map((change) => change.subject),
+          users.map((change) => change.newScore),
+          devices.map((change) => change.subject),
+          devices.map((change) => change.newScore)
+        );
+        await tx.wait();
+      } catch (error) {
+        const reason = formatError(error);
+        this.store.failBatch(batchId, reason, tx && tx.hash);
+        summary.failed += batch.length;
+        this.log(`Batch ${batchId} failed: ${reason}`);
+        continue;
+      }
+
+      this.store.applyBatch(batchId, tx.hash);
+      summary.applied += batch.length;
+      this.log(`Batch ${batchId}: ${batch.length} score changes in ${tx.hash}`);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Syncs, assesses and pushes once
+   * @param {object} [options] Run options
+   * @param {boolean} [options.dryRun] Compute the changes without pushing or logging them
+   * @returns {Promise<object>} { synced, changes, batches, applied, failed }
+   */
+  async run({ dryRun = false } = {}) {
+    const synced = await this.sync();
+    const changes = await this.assess();
+
+    if (dryRun || changes.length === 0) {
+      return { synced, changes, batches: 0, applied: 0, failed: 0 };
+    }
+    return { synced, changes, ...(await this.push(changes)) };
+  }
+
+  /**
+   * Runs repeatedly until stop() is called
+   * @param {object} [options] Follow options
+   * @param {number} [options.interval] Milliseconds between rounds
+   * @param {boolean} [options.dryRun] Compute the changes without pushing them
+   * @returns {Promise<void>} Resolves once stopped
+   */
+  async follow({ interval = 15000, dryRun = false } = {}) {
+    this._following = true;
+
+    while (this._following) {
+      const { changes, applied, failed } = await this.run({ dryRun });
+      if (changes.length > 0) {
+        this.log(`${changes.length} score changes (${applied} applied, ${failed} failed)`);
+      }
+      if (!this._following) break;
+      await new Promise((resolve) => {
+        const timer = setTimeout(resolve, interval);
+        this._wake = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+      });
+      this._wake = null;
+    }
+  }
+
+  /**
+   * Stops follow() after the current round
+   */
+  stop() {
+    this._following = false;
+    if (this._wake) this._wake();
+  }
+
+  /**
+   * Closes the database
+   */
+  close() {
+    this.stop();
+    this.store.close();
+  }
+
+  /**
+   * Records the chain ID on first use and refuses a database from another chain
+   */
+  async _checkChain() {
+    const { chainId } = await this.provider.getNetwork();
+    const stored = this.store.getMeta("chainId");
+
+    if (stored === null) {
+      this.store.setMeta("chainId", chainId);
+    } else if (BigInt(stored) !== chainId) {
+      throw new Error(`Database was scored from chain ${stored}, provider is on ${chainId}`);
+    }
+  }
+
+  /**
+   * Reads the on-chain scores of assessed users and devices
+   * An unscored (zero) score reads as the initial score of the policy in effect, as it
+   * does in FraudDetector.
+   * @param {object[]} assessments Assessments
+   * @returns {Promise<number[]>} Current score of each
+   */
+  async _currentScores(assessments) {
+    const users = assessments.filter((assessment) => assessment.kind === Kind.USER);
+    const reputations =
+      users.length > 0
+        ? await this.detector.getBatchReputations(users.map((user) => user.subject))
+        : [];
+    const userScores = new Map(
+      users.map((user, i) => [user.subject, Number(reputations[i].score)])
+    );
+
+    const defaultScore = Number((await this.detector.getDefaultPolicy()).initialScore);
+    const initialScores = new Map();
+
+    const scores = [];
+    for (const assessment of assessments) {
+      let score;
+      let initialScore = defaultScore;
+
+      if (assessment.kind === Kind.USER) {
+        score = userScores.get(assessment.subject);
+        if (!initialScores.has(assessment.campaignId)) {
+          const policy = await this.detector.getFraudPolicy(assessment.campaignId);
+          initialScores.set(assessment.campaignId, Number(policy.initialScore));
+        }
+        initialScore = initialScores.get(assessment.campaignId);
+      } else {
+        score = Number(await this.detector.getDeviceScore(assessment.subject));
+      }
+
+      scores.push(score === 0 ? initialScore : score);
+    }
+    return scores;
+  }
+}
+
+module.exports = { Scorer };
@@ -0,0 +1,193 @@
+/**
+ * Fraud features
+ * Turns the conversions FraudDetector recorded into anomaly features per user (campaign
+ * pseudonym) and per device (publisher), and the score penalty each anomaly carries.
+ * Pure functions over plain rows, so rules can be tuned and tested without a chain.
+ */
+
+const DEFAULT_RULES = {
+  // Seconds of history the features are computed over
+  lookback: 24 * 3600,
+  // Velocity: most conversions by one user within velocityWindow seconds
+  velocityWindow: 3600,
+  maxVelocity: 5,
+  // Burst: burstSize or more conversions by one user within burstWindow seconds
+  burstWindow: 60,
+  burstSize: 3,
+  // Time to convert: median seconds from the publication of the campaign's click root to a
+  // user's conversions, judged once the user has minConversions conversions
+  minTimeToConvert: 60,
+  minConversions: 3,
+  // Clustering: share of a device's conversions that arrive within clusterWindow seconds of
+  // conversions by clusterSize or more distinct users, judged from minDeviceConversions
+  clusterWindow: 5,
+  clusterSize: 4,
+  maxClusterShare: 0.5,
+  minDeviceConversions: 5,
+  // Score penalty per anomaly
+  penalties: { velocity: 10, burst: 15, timeToConvert: 10, clustering: 20 }
+};
+
+/**
+ * Merges rule overrides into the defaults
+ * @param {object} [overrides] Rule overrides; penalties merge field by field
+ * @returns {typeof DEFAULT_RULES} Rules
+ */
+function resolveRules(overrides = {}) {
+  return {
+    ...DEFAULT_RULES,
+    ...overrides,
+    penalties: { ...DEFAULT_RULES.penalties, ...(overrides.penalties || {}) }
+  };
+}
+
+/**
+ * @param {number[]} times Timestamps in ascending order
+ * @param {number} window Window length in seconds
+ * @returns {number} Most timestamps within any window
+ */
+function maxInWindow(times, window) {
+  let most = 0;
+  let start = 0;
+
+  for (let end = 0; end < times.length; end++) {
+    while (times[end] - times[start] >= window) start++;
+    most = Math.max(most, end - start + 1);
+  }
+  return most;
+}
+
+/**
+ * @param {number[]} values Values
+ * @returns {number|null} Median, or null without values
+ */
+function median(values) {
+  if (values.length === 0) return null;
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Computes a user's features
+ * A conversion proves against the campaign's current click root, so the latest root
+ * published before it bounds how long ago its click set became provable.
+ * @param {number[]} times The user's conversion timestamps, ascending
+ * @param {number[]} rootTimes Publication timestamps of the campaign's click roots, ascending
+ * @param {typeof DEFAULT_RULES} rules Rules
+ * @returns {{conversions: number, velocity: number, burst: number, timeToConvert: number|null}} Features
+ */
+function userFeatures(times, rootTimes, rules) {
+  const delays = [];
+  let root = -1;
+
+  for (const time of times) {
+    while (root + 1 < rootTimes.length && rootTimes[root + 1] <= time) root++;
+    if (root >= 0) delays.push(time - rootTimes[root]);
+  }
+
+  return {
+    conversions: times.length,
+    velocity: maxInWindow(times, rules.velocityWindow),
+    burst: maxInWindow(times, rules.burstWindow),
+    timeToConvert: median(delays)
+  };
+}
+
+/**
+ * Computes a device's features
+ * @param {Array<{time: number, pseudonym: string}>} conversions The device's conversions, ascending by time
+ * @param {typeof DEFAULT_RULES} rules Rules
+ * @returns {{conversions: number, clustered: number, clusterShare: number}} Features
+ */
+function deviceFeatures(conversions, rules) {
+  let clustered = 0;
+  let start = 0;
+
+  for (let i = 0; i < conversions.length; i++) {
+    while (conversions[i].time - conversions[start].time > rules.clusterWindow) start++;
+
+    const users = new Set();
+    for (let j = start; j < conversions.length; j++) {
+      if (conversions[j].time - conversions[i].time > rules.clusterWindow) break;
+      users.add(conversions[j].pseudonym);
+    }
+    if (users.size >= rules.clusterSize) clustered++;
+  }
+
+  return {
+    conversions: conversions.length,
+    clustered,
+    clusterShare: conversions.length === 0 ? 0 : clustered / conversions.length
+  };
+}
+
+/**
+ * Scores a user's features
+ * @param {ReturnType<typeof userFeatures>} features User features
+ * @param {typeof DEFAULT_RULES} rules Rules
+ * @returns {{penalty: number, reasons: string[]}} Total penalty and why
+ */
+function assessUser(features, rules) {
+  const reasons = [];
+  let penalty = 0;
+
+  if (features.velocity > rules.maxVelocity) {
+    penalty += rules.penalties.velocity;
+    reasons.push(
+      `velocity: ${features.velocity} conversions within ${rules.velocityWindow}s ` +
+        `(max ${rules.maxVelocity})`
+    );
+  }
+  if (features.burst >= rules.burstSize) {
+    penalty += rules.penalties.burst;
+    reasons.push(`burst: ${features.burst} conversions within ${rules.burstWindow}s`);
+  }
+  if (
+    features.timeToConvert !== null &&
+    features.conversions >= rules.minConversions &&
+    features.timeToConvert < rules.minTimeToConvert
+  ) {
+    penalty += rules.penalties.timeToConvert;
+    reasons.push(
+      `timeToConvert: median ${features.timeToConvert}s after the click root was published ` +
+        `(min ${rules.minTimeToConvert}s)`
+    );
+  }
+
+  return { penalty, reasons };
+}
+
+/**
+ * Scores a device's features
+ * @param {ReturnType<typeof deviceFeatures>} features Device features
+ * @param {typeof DEFAULT_RULES} rules Rules
+ * @returns {{penalty: number, reasons: string[]}} Total penalty and why
+ */
+function assessDevice(features, rules) {
+  const reasons = [];
+  let penalty = 0;
+
+  if (
+    features.conversions >= rules.minDeviceConversions &&
+    features.clusterShare >= rules.maxClusterShare
+  ) {
+    penalty += rules.penalties.clustering;
+    reasons.push(
+      `clustering: ${features.clustered} of ${features.conversions} conversions arrived with ` +
+        `${rules.clusterSize}+ users within ${rules.clusterWindow}s`
+    );
+  }
+
+  return { penalty, reasons };
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  resolveRules,
+  userFeatures,
+  deviceFeatures,
+  assessUser,
+  assessDevice
+};
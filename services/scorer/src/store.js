@@ -0,0 +1,313 @@
+const Database = require("better-sqlite3");
+
+/**
+ * Scorer database
+ * The conversions and click roots the features are computed from, the penalty currently
+ * applied to each user and device, and an audit log of every score change with its reasons.
+ */
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+
+  -- FraudDetector ConversionRecorded events
+  CREATE TABLE IF NOT EXISTS conversions (
+    campaign_id INTEGER NOT NULL,
+    pseudonym TEXT NOT NULL,
+    device_id TEXT NOT NULL,
+    success INTEGER NOT NULL,
+    timestamp INTEGER NOT NULL,
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+
+  -- ConversionVerifier CampaignRootUpdated events, with their block timestamps
+  CREATE TABLE IF NOT EXISTS click_roots (
+    campaign_id INTEGER NOT NULL,
+    root TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+
+  -- Penalty currently applied on-chain, per user pseudonym or device. applied is what the
+  -- penalty took off the unpenalized base score: less than the penalty when the score would
+  -- otherwise have fallen below the minimum
+  CREATE TABLE IF NOT EXISTS penalties (
+    kind TEXT NOT NULL,
+    subject TEXT NOT NULL,
+    campaign_id INTEGER,
+    penalty INTEGER NOT NULL,
+    applied INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL,
+    PRIMARY KEY (kind, subject)
+  );
+
+  -- batchSetScores transactions
+  CREATE TABLE IF NOT EXISTS batches (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    status TEXT NOT NULL,
+    tx_hash TEXT,
+    error TEXT,
+    created_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL
+  );
+
+  -- Audit log: one row per score change, with the features and reasons behind it
+  CREATE TABLE IF NOT EXISTS score_changes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    batch_id INTEGER NOT NULL REFERENCES batches (id),
+    kind TEXT NOT NULL,
+    subject TEXT NOT NULL,
+    campaign_id INTEGER,
+    old_score INTEGER NOT NULL,
+    base_score INTEGER NOT NULL,
+    new_score INTEGER NOT NULL,
+    penalty INTEGER NOT NULL,
+    applied INTEGER NOT NULL,
+    previous_penalty INTEGER NOT NULL,
+    reasons TEXT NOT NULL,
+    features TEXT NOT NULL,
+    created_at INTEGER NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS conversions_timestamp ON conversions (timestamp);
+  CREATE INDEX IF NOT EXISTS click_roots_campaign ON click_roots (campaign_id, timestamp);
+  CREATE INDEX IF NOT EXISTS score_changes_subject ON score_changes (kind, subject);
+`;
+
+// Scored subjects: users by campaign pseudonym, devices by device ID
+const Kind = Object.freeze({
+  USER: "user",
+  DEVICE: "device"
+});
+
+/**
+ * Batch lifecycle
+ * pending → applied once mined, or failed if it could not be sent or reverted. Penalties
+ * only move when a batch is applied, so a failed batch is simply recomputed next round.
+ */
+const BatchStatus = Object.freeze({
+  PENDING: "pending",
+  APPLIED: "applied",
+  FAILED: "failed"
+});
+
+class ScoreStore {
+  /**
+   * @param {string} [file] Database file (defaults to an in-memory database)
+   */
+  constructor(file = ":memory:") {
+    this.db = new Database(file);
+    this.db.pragma("journal_mode = WAL");
+    this.db.exec(SCHEMA);
+  }
+
+  /**
+   * @param {string} key Meta key
+   * @returns {string|null} Stored value
+   */
+  getMeta(key) {
+    const row = this.db.prepare("SELECT value FROM meta WHERE key = ?").get(key);
+    return row ? row.value : null;
+  }
+
+  /**
+   * @param {string} key Meta key
+   * @param {string|number|bigint} value Value
+   */
+  setMeta(key, value) {
+    this.db
+      .prepare("INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)")
+      .run(key, String(value));
+  }
+
+  /**
+   * Stores a synced block range and advances the cursor in one transaction
+   * @param {object} range Synced range
+   * @param {object[]} range.conversions Conversion rows
+   * @param {object[]} range.roots Click root rows
+   * @param {number} range.toBlock Last synced block
+   * @param {number} range.timestamp Timestamp of the last synced block
+   */
+  record({ conversions, roots, toBlock, timestamp }) {
+    const insertConversion = this.db.prepare(
+      `INSERT OR IGNORE INTO conversions (campaign_id, pseudonym, device_id, success, timestamp, block_number, log_index)
+       VALUES (@campaign_id, @pseudonym, @device_id, @success, @timestamp, @block_number, @log_index)`
+    );
+    const insertRoot = this.db.prepare(
+      `INSERT OR IGNORE INTO click_roots (campaign_id, root, timestamp, block_number, log_index)
+       VALUES (@campaign_id, @root, @timestamp, @block_number, @log_index)`
+    );
+
+    this.db.transaction(() => {
+      for (const row of conversions) insertConversion.run(row);
+      for (const row of roots) insertRoot.run(row);
+      this.setMeta("cursor", toBlock);
+      this.setMeta("cursorTime", timestamp);
+    })();
+  }
+
+  /**
+   * @param {number} since First timestamp
+   * @returns {object[]} Conversions from a timestamp on, in chain order
+   */
+  conversionsSince(since) {
+    return this.db
+      .prepare("SELECT * FROM conversions WHERE timestamp >= ? ORDER BY block_number, log_index")
+      .all(since);
+  }
+
+  /**
+   * @param {number} campaignId Campaign ID
+   * @returns {number[]} Publication timestamps of the campaign's click roots, ascending
+   */
+  rootTimes(campaignId) {
+    return this.db
+      .prepare(
+        "SELECT timestamp FROM click_roots WHERE campaign_id = ? ORDER BY block_number, log_index"
+      )
+      .all(campaignId)
+      .map((row) => row.timestamp);
+  }
+
+  /**
+   * @returns {object[]} Users and devices with a penalty applied
+   */
+  penalized() {
+    return this.db.prepare("SELECT * FROM penalties WHERE penalty > 0").all();
+  }
+
+  /**
+   * @param {string} kind Kind.USER or Kind.DEVICE
+   * @param {string} subject Pseudonym or device ID
+   * @returns {{penalty: number, applied: number}} Penalty currently applied, and the score it
+   *   took off
+   */
+  getPenalty(kind, subject) {
+    const row = this.db
+      .prepare("SELECT penalty, applied FROM penalties WHERE kind = ? AND subject = ?")
+      .get(kind, subject.toLowerCase());
+    return row ? { penalty: row.penalty, applied: row.applied } : { penalty: 0, applied: 0 };
+  }
+
+  /**
+   * Logs a batch of score changes as pending
+   * @param {object[]} changes Score changes
+   * @returns {number} Batch ID
+   */
+  openBatch(changes) {
+    const now = Date.now();
+    const insertChange = this.db.prepare(
+      `INSERT INTO score_changes (batch_id, kind, subject, campaign_id, old_score, base_score,
+         new_score, penalty, applied, previous_penalty, reasons, features, created_at)
+       VALUES (@batch_id, @kind, @subject, @campaign_id, @old_score, @base_score, @new_score,
+         @penalty, @applied, @previous_penalty, @reasons, @features, @created_at)`
+    );
+
+    return this.db.transaction(() => {
+      const { lastInsertRowid } = this.db
+        .prepare("INSERT INTO batches (status, created_at, updated_at) VALUES (?, ?, ?)")
+        .run(BatchStatus.PENDING, now, now);
+      const batchId = Number(lastInsertRowid);
+
+      for (const change of changes) {
+        insertChange.run({
+          batch_id: batchId,
+          kind: change.kind,
+          subject: change.subject.toLowerCase(),
+          campaign_id: change.campaignId === undefined ? null : change.campaignId,
+          old_score: change.oldScore,
+          base_score: change.baseScore,
+          new_score: change.newScore,
+          penalty: change.penalty,
+          applied: change.applied,
+          previous_penalty: change.previousPenalty,
+          reasons: JSON.stringify(change.reasons),
+          features: JSON.stringify(change.features),
+          created_at: now
+        });
+      }
+      return batchId;
+    })();
+  }
+
+  /**
+   * Marks a batch mined and moves the penalties of its changes
+   * @param {number} batchId Batch ID
+   * @param {string} txHash Transaction hash
+   */
+  applyBatch(batchId, txHash) {
+    const now = Date.now();
+
+    this.db.transaction(() => {
+      this.db
+        .prepare("UPDATE batches SET status = ?, tx_hash = ?, updated_at = ? WHERE id = ?")
+        .run(BatchStatus.APPLIED, txHash, now, batchId);
+      this.db
+        .prepare(
+          `INSERT OR REPLACE INTO penalties (kind, subject, campaign_id, penalty, applied, updated_at)
+           SELECT kind, subject, campaign_id, penalty, applied, ? FROM score_changes WHERE batch_id = ?`
+        )
+        .run(now, batchId);
+    })();
+  }
+
+  /**
+   * Marks a batch failed
+   * @param {number} batchId Batch ID
+   * @param {string} error Why it failed
+   * @param {string} [txHash] Transaction hash, if it was sent
+   */
+  failBatch(batchId, error, txHash = null) {
+    this.db
+      .prepare("UPDATE batches SET status = ?, error = ?, tx_hash = ?, updated_at = ? WHERE id = ?")
+      .run(BatchStatus.FAILED, error, txHash, Date.now(), batchId);
+  }
+
+  /**
+   * Reads the audit log
+   * @param {object} [filter] Filter
+   * @param {string} [filter.kind] Kind.USER or Kind.DEVICE
+   * @param {string} [filter.subject] Pseudonym or device ID
+   * @returns {object[]} Score changes, newest first, with their batch status and transaction
+   */
+  history({ kind, subject } = {}) {
+    const conditions = [];
+    const params = [];
+    if (kind) {
+      conditions.push("c.kind = ?");
+      params.push(kind);
+    }
+    if (subject) {
+      conditions.push("c.subject = ?");
+      params.push(subject.toLowerCase());
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+
+    return this.db
+      .prepare(
+        `SELECT c.*, b.status, b.tx_hash, b.error FROM score_changes c
+         JOIN batches b ON b.id = c.batch_id ${where} ORDER BY c.id DESC`
+      )
+      .all(...params)
+      .map((row) => ({
+        ...row,
+        reasons: JSON.parse(row.reasons),
+        features: JSON.parse(row.features)
+      }));
+  }
+
+  /**
+   * Closes the database
+   */
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = { ScoreStore, Kind, BatchStatus };
@@ -0,0 +1,103 @@
+const { HardhatPluginError } = require("hardhat/plugins");
+const ghostbeacon = require("./scope");
+const { requireDeployment } = require("../scripts/lib/manifest");
+const { GhostBeacon, formatError } = require("../sdk");
+const { getAddresses } = require("../sdk/src/manifest");
+
+/**
+ * Publisher earnings tasks
+ * Usage: npx hardhat ghostbeacon earnings --account 0x... --network polygonZkEVM
+ *        npx hardhat ghostbeacon claim --campaigns 1,2 --network polygonZkEVM
+ */
+
+/**
+ * Creates an SDK instance for the network's deployment, acting as its first account
+ * @param {object} hre Hardhat runtime environment
+ * @param {string} [manifest] Deployment manifest path
+ * @returns {Promise<{sdk: GhostBeacon, signer: object}>} SDK instance and signer
+ */
+async function connect(hre, manifest) {
+  const deployment = requireDeployment(hre.network.name, manifest);
+  const [signer] = await hre.ethers.getSigners();
+
+  return { sdk: new GhostBeacon(signer, getAddresses(deployment)), signer };
+}
+
+/**
+ * @param {object} hre Hardhat runtime environment
+ * @param {bigint} amount Amount in token units
+ * @param {string} token Token address (ZeroAddress for ETH)
+ * @returns {string} Amount with its unit
+ */
+function formatAmount(hre, amount, token) {
+  return token === hre.ethers.ZeroAddress
+    ? `${hre.ethers.formatEther(amount)} ETH`
+    : `${amount} of ${token}`;
+}
+
+ghostbeacon
+  .task("earnings", "Reports pending and claimed earnings per campaign")
+  .addOptionalParam(
+    "account",
+    "Publisher, referrer or fee recipient (defaults to the first account)"
+  )
+  .addOptionalParam("manifest", "Deployment manifest path (defaults to deployments.json)")
+  .setAction(async ({ account, manifest }, hre) => {
+    const { sdk, signer } = await connect(hre, manifest);
+    const recipient = account || signer.address;
+    if (!hre.ethers.isAddress(recipient)) {
+      throw new HardhatPluginError("ghostbeacon", `${recipient} is not an address`);
+    }
+
+    const report = await sdk.treasury.getEarningsReport(recipient);
+
+    console.log(`Earnings of ${recipient} on ${hre.network.name}`);
+    if (report.length === 0) {
+      console.log("  none");
+    }
+    for (const { campaignId, token, pending, claimed } of report) {
+      console.log(
+        `  Campaign ${campaignId}: ${formatAmount(hre, pending, token)} pending, ` +
+          `${formatAmount(hre, claimed, token)} claimed`
+      );
+    }
+
+    return report;
+  });
+
+ghostbeacon
+  .task("claim", "Claims the first account's unclaimed earnings")
+  .addOptionalParam(
+    "campaigns",
+    "Comma-separated campaign IDs (defaults to every campaign with unclaimed earnings)"
+  )
+  .addOptionalParam("manifest", "Deployment manifest path (defaults to deployments.json)")
+  .setAction(async ({ campaigns, manifest }, hre) => {
+    const { sdk, signer } = await connect(hre, manifest);
+
+    let campaignIds;
+    if (campaigns) {
+      campaignIds = campaigns.split(",").map((id) => id.trim());
+      if (!campaignIds.every((id) => /^\d+$/.test(id))) {
+        throw new HardhatPluginError("ghostbeacon", "--campaigns must be campaign IDs");
+      }
+    }
+
+    let result;
+    try {
+      result = await sdk.treasury.claimEarnings(campaignIds);
+    } catch (error) {
+      throw new HardhatPluginError("ghostbeacon", `Claim failed: ${formatError(error)}`, error);
+    }
+
+    const report = await sdk.treasury.getEarningsReport(signer.address);
+    const tokens = new Map(report.map((entry) => [entry.campaignId, entry.token]));
+    for (const { campaignId, amount } of result.claims) {
+      console.log(
+        `Campaign ${campaignId}: claimed ${formatAmount(hre, amount, tokens.get(campaignId))}`
+      );
+    }
+    console.log(`✅ Claimed for ${signer.address} (tx ${result.receipt.hash})`);
+
+    return { claims: result.claims, txHash: result.receipt.hash };
+  });
@@ -0,0 +1,92 @@
+const fs = require("fs");
+const { types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const ghostbeacon = require("./scope");
+const {
+  DEFAULT_STREAM,
+  generateConversionStream,
+  simulateFraudPolicy
+} = require("../scripts/lib/fraudSimulation");
+const { formatError } = require("../sdk");
+
+/**
+ * Fraud policy simulation
+ * Usage: npx hardhat ghostbeacon simulate-fraud --policy policy.json --hours 12
+ *
+ * The policy file holds FraudPolicy fields, e.g. {"maxConversionsPerWindow": 3}; fields it
+ * leaves out keep the default policy. Runs on the in-process hardhat network only.
+ */
+
+/**
+ * @param {string} file Policy JSON file
+ * @returns {object} Policy fields
+ */
+function readPolicy(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new HardhatPluginError("ghostbeacon", `Cannot read policy ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * @param {number} rate Rate between 0 and 1
+ * @returns {string} Rate as a percentage
+ */
+function formatRate(rate) {
+  return `${(rate * 100).toFixed(1)}%`;
+}
+
+ghostbeacon
+  .task("simulate-fraud", "Replays a synthetic conversion stream against a fraud policy")
+  .addOptionalParam("policy", "FraudPolicy JSON file (defaults to the default policy)")
+  .addOptionalParam("seed", "Stream seed", DEFAULT_STREAM.seed, types.int)
+  .addOptionalParam("hours", "Stream duration in hours", DEFAULT_STREAM.hours, types.float)
+  .addOptionalParam("honestUsers", "Honest users", DEFAULT_STREAM.honestUsers, types.int)
+  .addOptionalParam("fraudUsers", "Fraudulent users", DEFAULT_STREAM.fraudUsers, types.int)
+  .addOptionalParam(
+    "honestRate",
+    "Conversions per honest user per hour",
+    DEFAULT_STREAM.honestRate,
+    types.float
+  )
+  .addOptionalParam(
+    "fraudRate",
+    "Conversions per fraudulent user per hour",
+    DEFAULT_STREAM.fraudRate,
+    types.float
+  )
+  .setAction(async ({ policy, ...streamOptions }, hre) => {
+    if (hre.network.name !== "hardhat") {
+      throw new HardhatPluginError("ghostbeacon", "simulate-fraud runs on the hardhat network");
+    }
+
+    const stream = generateConversionStream(streamOptions);
+
+    let report;
+    try {
+      report = await simulateFraudPolicy(hre, policy ? readPolicy(policy) : {}, stream);
+    } catch (error) {
+      throw new HardhatPluginError(
+        "ghostbeacon",
+        `Simulation failed: ${formatError(error)}`,
+        error
+      );
+    }
+
+    console.log("Fraud policy");
+    for (const [field, value] of Object.entries(report.policy)) {
+      console.log(`  ${field}: ${value}`);
+    }
+    console.log(`Replayed ${report.conversions} conversions`);
+    console.log(
+      `  False positives: ${formatRate(report.falsePositiveRate)} ` +
+        `(${report.honest.rejected} of ${report.honest.total} honest conversions blocked)`
+    );
+    console.log(
+      `  False negatives: ${formatRate(report.falseNegativeRate)} ` +
+        `(${report.fraudulent.accepted} of ${report.fraudulent.total} fraudulent conversions accepted)`
+    );
+
+    return report;
+  });
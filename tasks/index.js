@@ -0,0 +1,15 @@
+/**
+ * Registers all GhostBeacon Hardhat tasks
+ */
+require("./validate");
+require("./merkle");
+require("./indexer");
+require("./relayer");
+require("./scorer");
+require("./pause");
+require("./tokens");
+require("./earnings");
+require("./fraud");
+require("./privacy");
+require("./sdk");
+require("./zk");
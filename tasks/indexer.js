@@ -0,0 +1,49 @@
+const { types } = require("hardhat/config");
+const ghostbeacon = require("./scope");
+const { requireDeployment } = require("../scripts/lib/manifest");
+const { Indexer } = require("../services/indexer");
+
+/**
+ * Indexes GhostBeacon events into a SQLite database
+ * Usage: npx hardhat ghostbeacon index --db indexer.db --follow --network polygonZkEVM
+ */
+ghostbeacon
+  .task("index", "Indexes campaign, conversion and payment events into SQLite")
+  .addOptionalParam("db", "SQLite database file (defaults to indexer.<network>.db)")
+  .addOptionalParam("manifest", "Deployment manifest path (defaults to deployments.json)")
+  .addOptionalParam(
+    "from",
+    "First block to backfill (defaults to the deployment block)",
+    undefined,
+    types.int
+  )
+  .addOptionalParam("confirmations", "Blocks to stay behind the head", 0, types.int)
+  .addOptionalParam("interval", "Polling interval in milliseconds when following", 2000, types.int)
+  .addFlag("follow", "Keep indexing new blocks until interrupted")
+  .setAction(async ({ db, manifest, from, confirmations, interval, follow }, hre) => {
+    const deployment = requireDeployment(hre.network.name, manifest);
+    const options = {
+      database: db || `indexer.${hre.network.name}.db`,
+      confirmations,
+      log: (message) => console.log(message)
+    };
+    if (from !== undefined) options.startBlock = from;
+
+    const indexer = Indexer.fromDeployment(hre.ethers.provider, deployment, options);
+
+    try {
+      if (!follow) {
+        const summary = await indexer.sync();
+        console.log(`Indexed ${summary.events} events up to block ${summary.toBlock}`);
+        return summary;
+      }
+
+      const stop = () => indexer.stop();
+      process.once("SIGINT", stop);
+      console.log(`Following ${hre.network.name}; press Ctrl+C to stop`);
+      await indexer.follow({ interval });
+      process.removeListener("SIGINT", stop);
+    } finally {
+      indexer.close();
+    }
+  });
@@ -0,0 +1,65 @@
+const { HardhatPluginError } = require("hardhat/plugins");
+const ghostbeacon = require("./scope");
+const { requireDeployment, getContractAddress } = require("../scripts/lib/manifest");
+const { MerkleTree } = require("../zk/src/merkle");
+const { isFieldElement } = require("../zk/src/field");
+const { formatError } = require("../sdk");
+
+/**
+ * Publishes a campaign's click tree root to ConversionVerifier
+ * Usage: npx hardhat ghostbeacon publish-root --campaign 1 --tree clicks.json --network polygonZkEVM
+ */
+ghostbeacon
+  .task("publish-root", "Publishes a campaign click tree root and checks it on-chain")
+  .addParam("campaign", "Campaign ID")
+  .addParam("tree", "Click tree file written by MerkleTree.save()")
+  .addOptionalParam("manifest", "Deployment manifest path (defaults to deployments.json)")
+  .setAction(async ({ campaign, tree: treeFile, manifest }, hre) => {
+    const tree = MerkleTree.load(treeFile);
+
+    if (!isFieldElement(tree.root)) {
+      throw new HardhatPluginError(
+        "ghostbeacon",
+        `Root ${tree.root} is not a BN254 field element; conversion proofs could never verify against it`
+      );
+    }
+    if (tree.hash !== "poseidon") {
+      console.warn(
+        `⚠️  ${treeFile} is a ${tree.hash} tree; the conversion circuit only proves poseidon click trees`
+      );
+    }
+
+    const deployment = requireDeployment(hre.network.name, manifest);
+    const verifier = await hre.ethers.getContractAt(
+      "ConversionVerifier",
+      getContractAddress(deployment, "conversionVerifier")
+    );
+
+    let txHash = null;
+    if ((await verifier.getCampaignRoot(campaign)) === tree.root) {
+      console.log(`Campaign ${campaign} already has root ${tree.root}`);
+    } else {
+      try {
+        const tx = await verifier.updateCampaignRoot(campaign, tree.root);
+        txHash = (await tx.wait()).hash;
+      } catch (error) {
+        throw new HardhatPluginError(
+          "ghostbeacon",
+          `Publishing root for campaign ${campaign} failed: ${formatError(error)}`,
+          error
+        );
+      }
+      console.log(`Published root ${tree.root} for campaign ${campaign} (tx ${txHash})`);
+    }
+
+    const onChain = await verifier.getCampaignRoot(campaign);
+    if (onChain !== tree.root) {
+      throw new HardhatPluginError(
+        "ghostbeacon",
+        `On-chain root ${onChain} for campaign ${campaign} does not match ${tree.root}`
+      );
+    }
+
+    console.log(`✅ Verified campaign ${campaign} root on ${hre.network.name}`);
+    return { root: tree.root, txHash };
+  });
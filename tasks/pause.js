@@ -0,0 +1,140 @@
+const { HardhatPluginError } = require("hardhat/plugins");
+const ghostbeacon = require("./scope");
+const { requireDeployment, getContractAddress } = require("../scripts/lib/manifest");
+const { formatError } = require("../sdk");
+
+/**
+ * Emergency pause tasks
+ * Usage: npx hardhat ghostbeacon pause --all --network polygonZkEVM
+ *        npx hardhat ghostbeacon pause --contracts billingModule,treasuryVault
+ *        npx hardhat ghostbeacon unpause --all
+ *        npx hardhat ghostbeacon set-guardian --guardian 0x... --all
+ */
+
+/**
+ * Resolves the pausable contracts of a deployment
+ * @param {object} hre Hardhat runtime environment
+ * @param {object} deployment Manifest deployment entry
+ * @param {object} selection Task arguments ({ all, contracts })
+ * @returns {Promise<object[]>} { key, name, address, contract } per pausable contract
+ */
+async function pausableContracts(hre, deployment, { all, contracts }) {
+  if (all === Boolean(contracts)) {
+    throw new HardhatPluginError("ghostbeacon", "Pass either --all or --contracts");
+  }
+
+  const keys = all
+    ? Object.keys(deployment.contracts)
+    : contracts.split(",").map((key) => key.trim());
+  const pausable = [];
+
+  for (const key of keys) {
+    const address = getContractAddress(deployment, key);
+    const name = deployment.contracts[key].contract;
+    const contract = await hre.ethers.getContractAt(name, address);
+
+    if (contract.interface.getFunction("paused")) {
+      pausable.push({ key, name, address, contract });
+    } else if (!all) {
+      throw new HardhatPluginError("ghostbeacon", `${name} (${key}) cannot be paused`);
+    }
+  }
+
+  return pausable;
+}
+
+/**
+ * Sends a transaction to every selected contract, then reports its paused state
+ * @param {object} hre Hardhat runtime environment
+ * @param {object} args Task arguments ({ all, contracts, manifest })
+ * @param {object} action Action ({ label, isDone, send })
+ * @returns {Promise<object[]>} { key, contract, address, paused, guardian, txHash, error } per contract
+ */
+async function applyToPausable(hre, args, action) {
+  const deployment = requireDeployment(hre.network.name, args.manifest);
+  const targets = await pausableContracts(hre, deployment, args);
+  const results = [];
+
+  // Keep going when one contract fails, so an emergency pause halts everything it can
+  for (const { key, name, address, contract } of targets) {
+    const result = { key, contract: name, address, txHash: null, error: null };
+
+    try {
+      if (await action.isDone(contract)) {
+        console.log(`${name} already ${action.label}, skipping`);
+      } else {
+        const tx = await action.send(contract);
+        result.txHash = (await tx.wait()).hash;
+        console.log(`${name} ${action.label} (tx ${result.txHash})`);
+      }
+    } catch (error) {
+      result.error = formatError(error);
+      console.error(`❌ ${name}: ${result.error}`);
+    }
+
+    result.paused = await contract.paused();
+    result.guardian = await contract.guardian();
+    results.push(result);
+  }
+
+  console.log(`\nPause state on ${hre.network.name}`);
+  for (const { contract, paused, guardian } of results) {
+    console.log(
+      `  ${paused ? "⏸" : "▶"} ${contract}: ${paused ? "paused" : "active"} (guardian ${guardian})`
+    );
+  }
+
+  const failed = results.filter((result) => result.error);
+  if (failed.length > 0) {
+    throw new HardhatPluginError(
+      "ghostbeacon",
+      `Could not update ${failed.map((result) => result.contract).join(", ")}`
+    );
+  }
+
+  return results;
+}
+
+const withSelection = (task) =>
+  task
+    .addFlag("all", "Every pausable contract in the deployment")
+    .addOptionalParam(
+      "contracts",
+      "Comma-separated manifest keys, e.g. billingModule,treasuryVault"
+    )
+    .addOptionalParam("manifest", "Deployment manifest path (defaults to deployments.json)");
+
+const PAUSE = {
+  label: "paused",
+  isDone: (contract) => contract.paused(),
+  send: (contract) => contract.pause()
+};
+
+const UNPAUSE = {
+  label: "unpaused",
+  isDone: async (contract) => !(await contract.paused()),
+  send: (contract) => contract.unpause()
+};
+
+withSelection(
+  ghostbeacon.task("pause", "Pauses protocol contracts and reports their state")
+).setAction((args, hre) => applyToPausable(hre, args, PAUSE));
+
+withSelection(ghostbeacon.task("unpause", "Unpauses protocol contracts (owner only)")).setAction(
+  (args, hre) => applyToPausable(hre, args, UNPAUSE)
+);
+
+withSelection(ghostbeacon.task("set-guardian", "Appoints the pause guardian (owner only)"))
+  .addParam("guardian", "Guardian address (the zero address removes the guardian)")
+  .setAction((args, hre) => {
+    if (!hre.ethers.isAddress(args.guardian)) {
+      throw new HardhatPluginError("ghostbeacon", `${args.guardian} is not an address`);
+    }
+
+    return applyToPausable(hre, args, {
+      label: `guarded by ${args.guardian}`,
+      isDone: async (contract) =>
+        (await contract.guardian()).toLowerCase() === args.guardian.toLowerCase(),
+      send: (contract) => contract.setGuardian(args.guardian)
+    });
+  });
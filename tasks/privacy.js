@@ -0,0 +1,89 @@
+const { types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const ghostbeacon = require("./scope");
+const { requireDeployment, getContractAddress } = require("../scripts/lib/manifest");
+const {
+  DEFAULT_RELEASE,
+  MECHANISMS,
+  curateCampaign,
+  fromEpsilonUnits
+} = require("../scripts/lib/privacy");
+const { formatError } = require("../sdk");
+
+/**
+ * Differentially private analytics releases, run with the network's first account, which
+ * must own AnalyticsAggregator or be its appointed curator
+ * Usage: npx hardhat ghostbeacon release-analytics --network polygonZkEVM
+ *        npx hardhat ghostbeacon release-analytics --campaign 3 --mechanism gaussian --epsilon 0.9
+ *
+ * Run it once per epoch (a UTC day): each run releases the epochs that have ended and
+ * commits the noise of the running one. Keep the noise log secret and backed up; without it,
+ * committed epochs cannot be released.
+ */
+
+ghostbeacon
+  .task("release-analytics", "Commits analytics noise and releases ended epochs")
+  .addOptionalParam("campaign", "Campaign ID (defaults to every DP campaign)", undefined, types.int)
+  .addOptionalParam("noiseLog", "Noise log file (defaults to privacy-noise.<network>.json)")
+  .addOptionalParam("manifest", "Deployment manifest path (defaults to deployments.json)")
+  .addOptionalParam("epsilon", "Epsilon per release", DEFAULT_RELEASE.epsilon, types.float)
+  .addOptionalParam("mechanism", "laplace or gaussian", DEFAULT_RELEASE.mechanism)
+  .addOptionalParam("delta", "Delta of the Gaussian mechanism", DEFAULT_RELEASE.delta, types.float)
+  .setAction(async ({ campaign, noiseLog, manifest, epsilon, mechanism, delta }, hre) => {
+    if (!MECHANISMS.includes(mechanism)) {
+      throw new HardhatPluginError(
+        "ghostbeacon",
+        `--mechanism must be ${MECHANISMS.join(" or ")}, got ${mechanism}`
+      );
+    }
+
+    const deployment = requireDeployment(hre.network.name, manifest);
+    const aggregator = await hre.ethers.getContractAt(
+      "AnalyticsAggregator",
+      getContractAddress(deployment, "analyticsAggregator")
+    );
+    const file = noiseLog || `privacy-noise.${hre.network.name}.json`;
+
+    let campaignIds = [campaign];
+    if (campaign === undefined) {
+      const registry = await hre.ethers.getContractAt(
+        "CampaignRegistry",
+        getContractAddress(deployment, "campaignRegistry")
+      );
+      const total = Number(await registry.getTotalCampaigns());
+      campaignIds = [];
+      for (let id = 1; id <= total; id++) {
+        if (await aggregator.isDPEnabled(id)) campaignIds.push(id);
+      }
+    }
+
+    const reports = [];
+    for (const id of campaignIds) {
+      let report;
+      try {
+        report = await curateCampaign(aggregator, id, file, { epsilon, mechanism, delta });
+      } catch (error) {
+        throw new HardhatPluginError("ghostbeacon", `Campaign ${id}: ${formatError(error)}`, error);
+      }
+      reports.push(report);
+
+      console.log(
+        `Campaign ${id}: epsilon ${fromEpsilonUnits(report.budget.spent)} of ` +
+          `${fromEpsilonUnits(report.budget.epsilon)} spent`
+      );
+      for (const release of report.released) {
+        console.log(
+          `  released epoch ${release.epoch}: ${release.conversions} conversions, ` +
+            `${release.spent} spent, ${release.weight} weight`
+        );
+      }
+      if (report.committed !== null) {
+        console.log(`  committed noise for epoch ${report.committed}`);
+      }
+      if (report.exhausted) {
+        console.log("  privacy budget exhausted; no further epochs will be released");
+      }
+    }
+
+    return reports;
+  });
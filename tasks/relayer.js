@@ -0,0 +1,39 @@
+const { types } = require("hardhat/config");
+const ghostbeacon = require("./scope");
+const { requireDeployment } = require("../scripts/lib/manifest");
+const { Relayer, createServer } = require("../services/relayer");
+
+/**
+ * Runs the conversion relayer with the network's first account
+ * Usage: npx hardhat ghostbeacon relay --port 8787 --network polygonZkEVM
+ */
+ghostbeacon
+  .task("relay", "Runs the conversion relayer HTTP service")
+  .addOptionalParam("host", "Interface to listen on", "127.0.0.1")
+  .addOptionalParam("port", "Port to listen on", 8787, types.int)
+  .addOptionalParam("db", "SQLite queue file (defaults to relayer.<network>.db)")
+  .addOptionalParam("manifest", "Deployment manifest path (defaults to deployments.json)")
+  .addOptionalParam("batchSize", "Conversions per batch transaction", 20, types.int)
+  .addOptionalParam("batchInterval", "Milliseconds to wait for a fuller batch", 1000, types.int)
+  .addOptionalParam("bumpAfter", "Milliseconds before a stuck batch is replaced", 30000, types.int)
+  .setAction(async ({ host, port, db, manifest, batchSize, batchInterval, bumpAfter }, hre) => {
+    const deployment = requireDeployment(hre.network.name, manifest);
+    const [signer] = await hre.ethers.getSigners();
+
+    const relayer = Relayer.fromDeployment(signer, deployment, {
+      database: db || `relayer.${hre.network.name}.db`,
+      maxBatchSize: batchSize,
+      batchInterval,
+      bumpAfter,
+      log: (message) => console.log(message)
+    });
+    const server = createServer(relayer);
+
+    await new Promise((resolve) => server.listen(port, host, resolve));
+    relayer.start();
+    console.log(`Relaying from ${signer.address} on http://${host}:${port}; press Ctrl+C to stop`);
+
+    await new Promise((resolve) => process.once("SIGINT", resolve));
+    await new Promise((resolve) => server.close(resolve));
+    await relayer.close();
+  });
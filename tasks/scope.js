@@ -0,0 +1,6 @@
+const { scope } = require("hardhat/config");
+
+/**
+ * Shared task scope: `npx hardhat ghostbeacon <task>`
+ */
+module.exports = scope("ghostbeacon", "GhostBeacon protocol operations");
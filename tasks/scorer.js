@@ -0,0 +1,79 @@
+const fs = require("fs");
+const { types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const ghostbeacon = require("./scope");
+const { requireDeployment } = require("../scripts/lib/manifest");
+const { Scorer } = require("../services/scorer");
+
+/**
+ * Runs the fraud scorer with the network's first account, which must own FraudDetector or
+ * be its appointed scorer
+ * Usage: npx hardhat ghostbeacon score --follow --network localhost
+ *
+ * The rules file overrides feature thresholds and penalties, e.g. {"burstSize": 4}.
+ */
+
+/**
+ * @param {string} file Rules JSON file
+ * @returns {object} Rule overrides
+ */
+function readRules(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new HardhatPluginError("ghostbeacon", `Cannot read rules ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * @param {object[]} changes Score changes
+ */
+function printChanges(changes) {
+  for (const change of changes) {
+    console.log(
+      `  ${change.kind} ${change.subject}: ${change.oldScore} -> ${change.newScore} ` +
+        `(${change.reasons.join("; ")})`
+    );
+  }
+}
+
+ghostbeacon
+  .task("score", "Scores conversions off-chain and pushes fraud score updates")
+  .addOptionalParam("db", "SQLite database file (defaults to scorer.<network>.db)")
+  .addOptionalParam("manifest", "Deployment manifest path (defaults to deployments.json)")
+  .addOptionalParam("rules", "Feature rules JSON file (defaults to the built-in rules)")
+  .addOptionalParam("confirmations", "Blocks to stay behind the head", 0, types.int)
+  .addOptionalParam("interval", "Milliseconds between rounds when following", 15000, types.int)
+  .addFlag("follow", "Keep scoring new blocks until interrupted")
+  .addFlag("dryRun", "Print the score changes without pushing them")
+  .setAction(async ({ db, manifest, rules, confirmations, interval, follow, dryRun }, hre) => {
+    const deployment = requireDeployment(hre.network.name, manifest);
+    const [signer] = await hre.ethers.getSigners();
+
+    const scorer = Scorer.fromDeployment(signer, deployment, {
+      database: db || `scorer.${hre.network.name}.db`,
+      rules: rules ? readRules(rules) : undefined,
+      confirmations,
+      log: (message) => console.log(message)
+    });
+
+    try {
+      if (!follow) {
+        const result = await scorer.run({ dryRun });
+        console.log(
+          `${result.changes.length} score changes up to block ${result.synced.toBlock}` +
+            (dryRun ? " (dry run)" : ` (${result.applied} applied, ${result.failed} failed)`)
+        );
+        printChanges(result.changes);
+        return result;
+      }
+
+      const stop = () => scorer.stop();
+      process.once("SIGINT", stop);
+      console.log(`Scoring ${hre.network.name} as ${signer.address}; press Ctrl+C to stop`);
+      await scorer.follow({ interval, dryRun });
+      process.removeListener("SIGINT", stop);
+    } finally {
+      scorer.close();
+    }
+  });
@@ -0,0 +1,53 @@
+const fs = require("fs");
+const path = require("path");
+const ghostbeacon = require("./scope");
+
+/**
+ * SDK ABI export
+ * Copies the ABIs the SDK wraps from the Hardhat artifacts into sdk/abi, so the
+ * SDK package works without a compiled Hardhat project.
+ */
+
+const SDK_CONTRACTS = [
+  "CampaignRegistry",
+  "TreasuryVault",
+  "AttributionGateway",
+  "AnalyticsAggregator",
+  "BillingModule",
+  "FraudDetector",
+  "ConversionVerifier",
+  "Errors"
+];
+
+/**
+ * Writes the SDK ABI files
+ * @param {object} hre Hardhat runtime environment
+ * @param {string} [outDir] Output directory (defaults to sdk/abi)
+ * @returns {Promise<string[]>} Written file paths
+ */
+async function exportAbis(hre, outDir = path.join(hre.config.paths.root, "sdk", "abi")) {
+  fs.mkdirSync(outDir, { recursive: true });
+
+  const written = [];
+  for (const name of SDK_CONTRACTS) {
+    const { abi } = await hre.artifacts.readArtifact(name);
+    const file = path.join(outDir, `${name}.json`);
+
+    fs.writeFileSync(file, JSON.stringify(abi, null, 2) + "\n");
+    written.push(file);
+  }
+
+  return written;
+}
+
+ghostbeacon
+  .task("export-abi", "Copies contract ABIs into the SDK package")
+  .setAction(async (_, hre) => {
+    await hre.run("compile", { quiet: true });
+
+    for (const file of await exportAbis(hre)) {
+      console.log(`Wrote ${path.relative(hre.config.paths.root, file)}`);
+    }
+  });
+
+module.exports = { SDK_CONTRACTS, exportAbis };
@@ -0,0 +1,69 @@
+const { HardhatPluginError } = require("hardhat/plugins");
+const ghostbeacon = require("./scope");
+const { requireDeployment, getContractAddress } = require("../scripts/lib/manifest");
+const { formatError } = require("../sdk");
+
+/**
+ * Allow-lists an ERC-20 token for campaign budgets and prices its conversions
+ * Usage: npx hardhat ghostbeacon allow-token --token 0x... --base-cost 1000 --network polygonZkEVM
+ */
+ghostbeacon
+  .task("allow-token", "Allows a campaign budget token and sets its base conversion cost")
+  .addParam("token", "ERC-20 token address")
+  .addParam("baseCost", "Base cost per conversion in token units (e.g. 1000 = 0.001 USDC)")
+  .addOptionalParam("manifest", "Deployment manifest path (defaults to deployments.json)")
+  .setAction(async ({ token, baseCost, manifest }, hre) => {
+    if (!hre.ethers.isAddress(token) || token === hre.ethers.ZeroAddress) {
+      throw new HardhatPluginError("ghostbeacon", `${token} is not a token address`);
+    }
+    if (!/^\d+$/.test(baseCost) || BigInt(baseCost) === 0n) {
+      throw new HardhatPluginError("ghostbeacon", "--base-cost must be a positive integer");
+    }
+
+    const deployment = requireDeployment(hre.network.name, manifest);
+    const registry = await hre.ethers.getContractAt(
+      "CampaignRegistry",
+      getContractAddress(deployment, "campaignRegistry")
+    );
+    const billing = await hre.ethers.getContractAt(
+      "BillingModule",
+      getContractAddress(deployment, "billingModule")
+    );
+
+    // Price the token before allowing it, so no campaign can be created without a price
+    const steps = [
+      {
+        name: "BillingModule.setTokenBaseCost",
+        isDone: async () => (await billing.tokenBaseCosts(token)) === BigInt(baseCost),
+        apply: () => billing.setTokenBaseCost(token, baseCost)
+      },
+      {
+        name: "CampaignRegistry.setTokenAllowed",
+        isDone: () => registry.isTokenAllowed(token),
+        apply: () => registry.setTokenAllowed(token, true)
+      }
+    ];
+
+    const txHashes = [];
+    for (const step of steps) {
+      if (await step.isDone()) {
+        console.log(`${step.name} already applied, skipping`);
+        continue;
+      }
+
+      try {
+        const receipt = await (await step.apply()).wait();
+        txHashes.push(receipt.hash);
+        console.log(`${step.name} (tx ${receipt.hash})`);
+      } catch (error) {
+        throw new HardhatPluginError(
+          "ghostbeacon",
+          `${step.name} failed: ${formatError(error)}`,
+          error
+        );
+      }
+    }
+
+    console.log(`✅ ${token} allowed for campaign budgets on ${hre.network.name}`);
+    return { token, baseCost: BigInt(baseCost), txHashes };
+  });
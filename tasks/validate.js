@@ -0,0 +1,30 @@
+const { HardhatPluginError } = require("hardhat/plugins");
+const ghostbeacon = require("./scope");
+const { requireDeployment } = require("../scripts/lib/manifest");
+const { validateWiring, formatReport } = require("../scripts/lib/wiring");
+
+/**
+ * Validates the cross-contract wiring of a recorded deployment
+ * Usage: npx hardhat ghostbeacon validate --network polygonZkEVM
+ */
+ghostbeacon
+  .task("validate", "Checks every cross-contract link of a deployment")
+  .addOptionalParam("manifest", "Deployment manifest path (defaults to deployments.json)")
+  .addOptionalParam("owner", "Expected AnalyticsAggregator owner (defaults to the deployer)")
+  .setAction(async ({ manifest, owner }, hre) => {
+    const deployment = requireDeployment(hre.network.name, manifest);
+    const results = await validateWiring(hre, deployment, { owner });
+
+    console.log(`Wiring report for ${hre.network.name} (chainId ${deployment.chainId})\n`);
+    console.log(formatReport(results));
+
+    const failed = results.filter((result) => !result.ok);
+    if (failed.length > 0) {
+      throw new HardhatPluginError(
+        "ghostbeacon",
+        `Wiring validation failed: ${failed.length} check(s) did not pass`
+      );
+    }
+
+    return results;
+  });
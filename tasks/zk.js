@@ -0,0 +1,320 @@
+const fs = require("fs");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const { HardhatPluginError } = require("hardhat/plugins");
+const ghostbeacon = require("./scope");
+
+/**
+ * Conversion circuit build
+ * Compiles circuits/conversion.circom, sets up its Groth16 keys and exports the verifier
+ * that ConversionVerifier delegates to.
+ *
+ * Without --zkey the keys come from a development setup whose only contributions are a
+ * public beacon, so anyone can rebuild them byte for byte, and anyone can forge proofs for
+ * them. The wasm and proving key are build output and are not committed; the verifier and
+ * verification key are, and record which setup they come from. Production keys must come
+ * from a multi-party ceremony, passed with --zkey and the powers of tau they were set up
+ * from with --ptau; the build checks both before exporting, and the deploy pipeline refuses
+ * to deploy a development verifier anywhere but a local network.
+ */
+
+const CIRCUIT_NAME = "conversion";
+const PTAU_POWER = 13;
+const VERIFIER_CONTRACT = "ConversionGroth16Verifier";
+
+// Public beacon of the development setup ("ghostbeacon-dev-setup"), hashed 2^10 times
+const DEV_BEACON = "67686f7374626561636f6e2d6465762d73657475700000000000000000000000";
+const DEV_BEACON_ITERATIONS = 10;
+
+// Origin of the keys, recorded in the verification key
+const Setup = Object.freeze({
+  DEVELOPMENT: "development",
+  CEREMONY: "ceremony"
+});
+
+/**
+ * Resolves the build paths for a Hardhat project root
+ * @param {string} root Project root
+ * @returns {object} Paths used by the build
+ */
+function buildPaths(root) {
+  const keysDir = path.join(root, "circuits", "keys");
+  const workDir = path.join(root, "cache", "zk");
+
+  return {
+    circuit: path.join(root, "circuits", `${CIRCUIT_NAME}.circom`),
+    workDir,
+    r1cs: path.join(workDir, `${CIRCUIT_NAME}.r1cs`),
+    compiledWasm: path.join(workDir, `${CIRCUIT_NAME}_js`, `${CIRCUIT_NAME}.wasm`),
+    ptau: path.join(workDir, `pot${PTAU_POWER}_final.ptau`),
+    keysDir,
+    wasm: path.join(keysDir, `${CIRCUIT_NAME}.wasm`),
+    zkey: path.join(keysDir, `${CIRCUIT_NAME}_final.zkey`),
+    verificationKey: path.join(keysDir, "verification_key.json"),
+    verifier: path.join(root, "contracts", "verifiers", `${VERIFIER_CONTRACT}.sol`)
+  };
+}
+
+/**
+ * Runs a development powers-of-tau ceremony whose only contribution is the public beacon
+ * @param {object} snarkjs snarkjs module
+ * @param {object} paths Build paths
+ */
+async function setupPowersOfTau(snarkjs, paths) {
+  const initial = path.join(paths.workDir, `pot${PTAU_POWER}_0000.ptau`);
+  const contributed = path.join(paths.workDir, `pot${PTAU_POWER}_0001.ptau`);
+
+  const curve = await snarkjs.curves.getCurveFromName("bn128");
+  try {
+    await snarkjs.powersOfTau.newAccumulator(curve, PTAU_POWER, initial);
+  } finally {
+    await curve.terminate();
+  }
+
+  await snarkjs.powersOfTau.beacon(
+    initial,
+    contributed,
+    "ghostbeacon-dev",
+    DEV_BEACON,
+    DEV_BEACON_ITERATIONS
+  );
+  await snarkjs.powersOfTau.preparePhase2(contributed, paths.ptau);
+
+  fs.rmSync(initial);
+  fs.rmSync(contributed);
+}
+
+/**
+ * snarkjs logger that keeps the info lines of a verification
+ * @returns {object} Logger with the collected lines in `lines`
+ */
+function collectingLogger() {
+  const lines = [];
+  const keep = (message) => lines.push(String(message));
+  return { lines, info: keep, warn: keep, error: keep, debug: () => {} };
+}
+
+/**
+ * Checks whether every contribution a snarkjs verification listed is a beacon
+ * A beacon is public, so it adds no secret: a setup made only of beacons lets anyone
+ * forge proofs.
+ * @param {string[]} lines Info lines of the verification
+ * @returns {boolean} True if no contribution is secret
+ */
+function onlyBeacons(lines) {
+  const contributions = lines.filter((line) => /^contribution #/i.test(line)).length;
+  const beacons = lines.filter((line) => line.startsWith("Beacon generator:")).length;
+  return beacons >= contributions;
+}
+
+/**
+ * Checks a ceremony proving key before its verifier replaces the committed one
+ * The key must verify against the compiled circuit and the powers of tau it was set up
+ * from, and neither phase may consist of beacons alone, as the development setup does.
+ * @param {object} snarkjs snarkjs module
+ * @param {object} paths Build paths, with the circuit compiled to paths.r1cs
+ * @param {string} zkey Ceremony proving key
+ * @param {string} ptau Powers of tau the key was set up from
+ */
+async function verifyCeremonyKey(snarkjs, paths, zkey, ptau) {
+  const phase2 = collectingLogger();
+  const matches = await snarkjs.zKey
+    .verifyFromR1cs(paths.r1cs, ptau, zkey, phase2)
+    .catch(() => false);
+  if (!matches) {
+    throw new HardhatPluginError(
+      "ghostbeacon",
+      `Proving key ${zkey} was not set up for circuits/${CIRCUIT_NAME}.circom from ${ptau}`
+    );
+  }
+  if (onlyBeacons(phase2.lines)) {
+    throw new HardhatPluginError(
+      "ghostbeacon",
+      `Proving key ${zkey} has no contribution besides public beacons; anyone can forge proofs for it`
+    );
+  }
+
+  const phase1 = collectingLogger();
+  if (!(await snarkjs.powersOfTau.verify(ptau, phase1))) {
+    throw new HardhatPluginError("ghostbeacon", `Powers of tau ${ptau} does not verify`);
+  }
+  if (onlyBeacons(phase1.lines)) {
+    throw new HardhatPluginError(
+      "ghostbeacon",
+      `Powers of tau ${ptau} has no contribution besides public beacons; anyone can forge proofs for keys set up from it`
+    );
+  }
+}
+
+/**
+ * Reads the committed verification key
+ * @param {string} root Project root
+ * @returns {object|null} Verification key, or null if none was built
+ */
+function readVerificationKey(root) {
+  const file = buildPaths(root).verificationKey;
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : null;
+}
+
+/**
+ * Checks that the local wasm and proving key belong to the committed verification key
+ * @param {string} root Project root
+ * @returns {Promise<boolean>} True if proofs generated locally verify on-chain
+ */
+async function keysAreCurrent(root) {
+  const snarkjs = require("snarkjs");
+  const paths = buildPaths(root);
+  const committed = readVerificationKey(root);
+
+  if (!committed || !fs.existsSync(paths.wasm) || !fs.existsSync(paths.zkey)) {
+    return false;
+  }
+
+  const local = await snarkjs.zKey.exportVerificationKey(paths.zkey);
+  return ["vk_alpha_1", "vk_beta_2", "vk_gamma_2", "vk_delta_2", "IC"].every(
+    (field) => JSON.stringify(local[field]) === JSON.stringify(committed[field])
+  );
+}
+
+/**
+ * Rebuilds the development keys unless the local ones are current
+ * The development build is reproducible, so the rebuilt keys match the committed verifier.
+ * @param {object} hre Hardhat runtime environment
+ * @returns {Promise<boolean>} True if the keys were rebuilt
+ */
+async function ensureCircuitKeys(hre) {
+  if (await keysAreCurrent(hre.config.paths.root)) {
+    return false;
+  }
+
+  const committed = readVerificationKey(hre.config.paths.root);
+  if (committed && committed.setup === Setup.CEREMONY) {
+    throw new HardhatPluginError(
+      "ghostbeacon",
+      "circuits/keys holds a ceremony verifier; copy its proving key and wasm into circuits/keys"
+    );
+  }
+
+  await hre.run({ scope: "ghostbeacon", task: "zk-build" }, { reuseptau: true, quiet: true });
+  return true;
+}
+
+/**
+ * Turns the snarkjs verifier template output into the repo's verifier contract
+ * @param {string} source Generated Solidity source
+ * @returns {string} Contract source
+ */
+function toVerifierContract(source) {
+  return source
+    .replace(/pragma solidity [^;]+;/, "pragma solidity ^0.8.20;")
+    .replace("contract Groth16Verifier", `contract ${VERIFIER_CONTRACT}`)
+    .replace(
+      "pragma solidity ^0.8.20;",
+      "pragma solidity ^0.8.20;\n\n" +
+        "// Generated by `npx hardhat ghostbeacon zk-build` from circuits/conversion.circom.\n" +
+        "// Do not edit by hand; rebuild the circuit instead."
+    );
+}
+
+ghostbeacon
+  .task("zk-build", "Compiles the conversion circuit and exports its Groth16 verifier")
+  .addOptionalParam("zkey", "Final proving key from a multi-party ceremony on this circuit")
+  .addOptionalParam("ptau", "Powers of tau the ceremony key was set up from (with --zkey)")
+  .addFlag("reuseptau", "Reuse a previously generated powers-of-tau file")
+  .addFlag("quiet", "Only report errors")
+  .setAction(async ({ zkey, ptau, reuseptau, quiet }, hre) => {
+    const snarkjs = require("snarkjs");
+    const paths = buildPaths(hre.config.paths.root);
+    const log = quiet ? () => {} : (message) => console.log(message);
+
+    if (zkey && !fs.existsSync(zkey)) {
+      throw new HardhatPluginError("ghostbeacon", `Proving key ${zkey} not found`);
+    }
+    if (zkey && !(ptau && fs.existsSync(ptau))) {
+      throw new HardhatPluginError(
+        "ghostbeacon",
+        "--zkey needs --ptau, the powers of tau the ceremony key was set up from"
+      );
+    }
+
+    fs.mkdirSync(paths.workDir, { recursive: true });
+    fs.mkdirSync(paths.keysDir, { recursive: true });
+    fs.mkdirSync(path.dirname(paths.verifier), { recursive: true });
+
+    log("Compiling circuit...");
+    execFileSync(
+      process.execPath,
+      [
+        require.resolve("circom2/cli.js"),
+        paths.circuit,
+        "--r1cs",
+        "--wasm",
+        "--O2",
+        "-o",
+        paths.workDir,
+        "-l",
+        path.join(hre.config.paths.root, "node_modules")
+      ],
+      { cwd: hre.config.paths.root, stdio: quiet ? "ignore" : "inherit" }
+    );
+
+    if (zkey) {
+      log("Verifying the ceremony proving key...");
+      await verifyCeremonyKey(snarkjs, paths, zkey, ptau);
+      fs.copyFileSync(zkey, paths.zkey);
+    } else {
+      if (reuseptau && fs.existsSync(paths.ptau)) {
+        log("Reusing powers of tau...");
+      } else {
+        log(`Running development powers of tau (2^${PTAU_POWER})...`);
+        await setupPowersOfTau(snarkjs, paths);
+      }
+
+      log("Running circuit-specific development setup...");
+      const initialZkey = path.join(paths.workDir, `${CIRCUIT_NAME}_0000.zkey`);
+      await snarkjs.zKey.newZKey(paths.r1cs, paths.ptau, initialZkey);
+      await snarkjs.zKey.beacon(
+        initialZkey,
+        paths.zkey,
+        "ghostbeacon-dev",
+        DEV_BEACON,
+        DEV_BEACON_ITERATIONS
+      );
+      fs.rmSync(initialZkey);
+    }
+
+    log("Exporting keys and verifier...");
+    fs.copyFileSync(paths.compiledWasm, paths.wasm);
+
+    const verificationKey = await snarkjs.zKey.exportVerificationKey(paths.zkey);
+    verificationKey.setup = zkey ? Setup.CEREMONY : Setup.DEVELOPMENT;
+    fs.writeFileSync(paths.verificationKey, JSON.stringify(verificationKey, null, 2) + "\n");
+
+    const templates = {
+      groth16: fs.readFileSync(
+        path.join(
+          path.dirname(require.resolve("snarkjs")),
+          "..",
+          "templates",
+          "verifier_groth16.sol.ejs"
+        ),
+        "utf8"
+      )
+    };
+    const verifier = await snarkjs.zKey.exportSolidityVerifier(paths.zkey, templates);
+    fs.writeFileSync(paths.verifier, toVerifierContract(verifier));
+
+    log(`\n✅ Wrote ${path.relative(hre.config.paths.root, paths.verifier)}`);
+    log("Run `npx hardhat compile` to pick up the new verifier.");
+  });
+
+module.exports = {
+  buildPaths,
+  readVerificationKey,
+  keysAreCurrent,
+  ensureCircuitKeys,
+  verifyCeremonyKey,
+  Setup,
+  CIRCUIT_NAME,
+  VERIFIER_CONTRACT
+};
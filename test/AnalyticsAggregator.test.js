@@ -20,7 +20,7 @@ describe("AnalyticsAggregator", function () {
       const amount = ethers.parseEther("0.1");
 
       await expect(
-        analyticsAggregator.recordConversion(campaignId, amount)
+        analyticsAggregator.recordConversion(campaignId, amount, 1)
       ).to.emit(analyticsAggregator, "MetricsUpdated");
 
       const metrics = await analyticsAggregator.getMetrics(campaignId);
@@ -32,34 +32,63 @@ describe("AnalyticsAggregator", function () {
       const campaignId = 1;
       const amount = ethers.parseEther("0.1");
 
-      await analyticsAggregator.recordConversion(campaignId, amount);
-      await analyticsAggregator.recordConversion(campaignId, amount);
-      await analyticsAggregator.recordConversion(campaignId, amount);
+      await analyticsAggregator.recordConversion(campaignId, amount, 1);
+      await analyticsAggregator.recordConversion(campaignId, amount, 1);
+      await analyticsAggregator.recordConversion(campaignId, amount, 1);
 
       const metrics = await analyticsAggregator.getMetrics(campaignId);
       expect(metrics.totalConversions).to.equal(3);
       expect(metrics.totalSpent).to.equal(ethers.parseEther("0.3"));
+      expect(metrics.totalWeight).to.equal(3);
     });
 
     it("Should only allow owner to record", async function () {
       await expect(
-        analyticsAggregator.connect(user).recordConversion(1, ethers.parseEther("0.1"))
+        analyticsAggregator.connect(user).recordConversion(1, ethers.parseEther("0.1"), 1)
       ).to.be.reverted;
     });
 
     it("Should update last conversion time", async function () {
       const campaignId = 1;
-      await analyticsAggregator.recordConversion(campaignId, ethers.parseEther("0.1"));
+      await analyticsAggregator.recordConversion(campaignId, ethers.parseEther("0.1"), 1);
 
       const metrics = await analyticsAggregator.getMetrics(campaignId);
       expect(metrics.lastConversionTime).to.be.gt(0);
     });
   });
 
+  describe("Caller Authorization", function () {
+    it("Should let an authorized caller record conversions", async function () {
+      await expect(analyticsAggregator.authorizeCaller(user.address))
+        .to.emit(analyticsAggregator, "CallerAuthorized")
+        .withArgs(user.address);
+
+      await analyticsAggregator.connect(user).recordConversion(1, ethers.parseEther("0.1"), 1);
+
+      expect(await analyticsAggregator.isAuthorizedCaller(user.address)).to.be.true;
+      expect(await analyticsAggregator.getTotalConversions(1)).to.equal(1);
+    });
+
+    it("Should block revoked callers", async function () {
+      await analyticsAggregator.authorizeCaller(user.address);
+      await analyticsAggregator.revokeCaller(user.address);
+
+      await expect(
+        analyticsAggregator.connect(user).recordConversion(1, ethers.parseEther("0.1"), 1)
+      ).to.be.revertedWith("Not authorized");
+    });
+
+    it("Should only allow owner to authorize callers", async function () {
+      await expect(
+        analyticsAggregator.connect(user).authorizeCaller(user.address)
+      ).to.be.reverted;
+    });
+  });
+
   describe("Metrics Retrieval", function () {
     beforeEach(async function () {
-      await analyticsAggregator.recordConversion(1, ethers.parseEther("0.1"));
-      await analyticsAggregator.recordConversion(1, ethers.parseEther("0.2"));
+      await analyticsAggregator.recordConversion(1, ethers.parseEther("0.1"), 1);
+      await analyticsAggregator.recordConversion(1, ethers.parseEther("0.2"), 1);
     });
 
     it("Should get total conversions", async function () {
@@ -79,7 +108,7 @@ describe("AnalyticsAggregator", function () {
 
   describe("Differential Privacy", function () {
     beforeEach(async function () {
-      await analyticsAggregator.recordConversion(1, ethers.parseEther("1.0"));
+      await analyticsAggregator.recordConversion(1, ethers.parseEther("1.0"), 1);
     });
 
     it("Should enable differential privacy", async function () {
@@ -87,19 +116,33 @@ describe("AnalyticsAggregator", function () {
       expect(await analyticsAggregator.isDPEnabled(1)).to.be.true;
     });
 
-    it("Should disable differential privacy", async function () {
+    it("Should not disable differential privacy once enabled", async function () {
       await analyticsAggregator.setDifferentialPrivacy(1, true);
-      await analyticsAggregator.setDifferentialPrivacy(1, false);
-      expect(await analyticsAggregator.isDPEnabled(1)).to.be.false;
+      await expect(
+        analyticsAggregator.setDifferentialPrivacy(1, false)
+      ).to.be.revertedWith("DP cannot be disabled");
+      expect(await analyticsAggregator.isDPEnabled(1)).to.be.true;
+
+      await analyticsAggregator.setDifferentialPrivacy(2, false);
+      expect(await analyticsAggregator.isDPEnabled(2)).to.be.false;
     });
 
-    it("Should apply noise when DP is enabled", async function () {
+    it("Should hide exact totals until an epoch is released", async function () {
       await analyticsAggregator.setDifferentialPrivacy(1, true);
       
       const metrics = await analyticsAggregator.getMetrics(1);
-      // With DP enabled, metrics should have noise applied
-      // We can't test exact value due to randomness, but structure should be valid
       expect(metrics.dpEnabled).to.be.true;
+      expect(metrics.totalConversions).to.equal(0);
+      expect(metrics.totalSpent).to.equal(0);
+      expect(await analyticsAggregator.getAverageCost(1)).to.equal(0);
+    });
+
+    it("Should not emit running totals when DP is enabled", async function () {
+      await analyticsAggregator.setDifferentialPrivacy(1, true);
+
+      await expect(
+        analyticsAggregator.recordConversion(1, ethers.parseEther("1.0"), 1)
+      ).to.not.emit(analyticsAggregator, "MetricsUpdated");
     });
 
     it("Should only allow owner to set DP", async function () {
@@ -109,11 +152,133 @@ describe("AnalyticsAggregator", function () {
     });
   });
 
+  describe("Epoch Releases", function () {
+    const epsilon = 300000n; // 0.3
+    const maxAmount = ethers.parseEther("0.5");
+    const commitment = ethers.id("noise");
+    let epoch;
+
+    const nextEpoch = async () => {
+      await ethers.provider.send("evm_increaseTime", [86400]);
+      await ethers.provider.send("evm_mine", []);
+    };
+
+    beforeEach(async function () {
+      await analyticsAggregator.setDifferentialPrivacy(1, true);
+      await analyticsAggregator.setPrivacyBudget(1, 500000, maxAmount);
+      epoch = await analyticsAggregator.currentEpoch();
+      await analyticsAggregator.recordConversion(1, ethers.parseEther("1.0"), 250);
+      await analyticsAggregator.recordConversion(1, ethers.parseEther("0.2"), 50);
+    });
+
+    it("Should clip each conversion's spend and weight in the epoch totals", async function () {
+      const [conversions, spent, weight] = await analyticsAggregator.getEpochTotals(1, epoch);
+
+      expect(conversions).to.equal(2);
+      expect(spent).to.equal(ethers.parseEther("0.7"));
+      expect(weight).to.equal(150);
+    });
+
+    it("Should only let the owner or curator read epoch totals", async function () {
+      await expect(
+        analyticsAggregator.connect(user).getEpochTotals(1, epoch)
+      ).to.be.revertedWith("Not curator");
+
+      await expect(analyticsAggregator.setCurator(user.address))
+        .to.emit(analyticsAggregator, "CuratorUpdated")
+        .withArgs(user.address);
+      await analyticsAggregator.connect(user).getEpochTotals(1, epoch);
+    });
+
+    it("Should release an ended epoch once and charge its epsilon", async function () {
+      await expect(analyticsAggregator.commitNoise(1, epoch, commitment))
+        .to.emit(analyticsAggregator, "NoiseCommitted")
+        .withArgs(1, epoch, commitment);
+      await nextEpoch();
+
+      await expect(analyticsAggregator.releaseEpoch(1, epoch, 3, 100, 120, epsilon))
+        .to.emit(analyticsAggregator, "EpochReleased")
+        .withArgs(1, epoch, 3, 100, 120, epsilon);
+
+      const metrics = await analyticsAggregator.getMetrics(1);
+      expect(metrics.totalConversions).to.equal(3);
+      expect(metrics.totalSpent).to.equal(100);
+      expect(metrics.lastConversionTime).to.equal((epoch + 1n) * 86400n);
+      expect((await analyticsAggregator.getPrivacyBudget(1)).spent).to.equal(epsilon);
+      expect((await analyticsAggregator.getRelease(1, epoch)).noiseCommitment).to.equal(commitment);
+
+      await expect(
+        analyticsAggregator.releaseEpoch(1, epoch, 2, 100, 120, epsilon)
+      ).to.be.revertedWith("Epoch already released");
+    });
+
+    it("Should refuse releases before the epoch ends or without committed noise", async function () {
+      await expect(
+        analyticsAggregator.releaseEpoch(1, epoch, 2, 0, 0, epsilon)
+      ).to.be.revertedWith("Epoch not ended");
+
+      await nextEpoch();
+      await expect(
+        analyticsAggregator.releaseEpoch(1, epoch, 2, 0, 0, epsilon)
+      ).to.be.revertedWith("Noise not committed");
+      await expect(
+        analyticsAggregator.commitNoise(1, epoch, commitment)
+      ).to.be.revertedWith("Epoch already ended");
+    });
+
+    it("Should refuse a second commitment or an empty one", async function () {
+      await expect(
+        analyticsAggregator.commitNoise(1, epoch, ethers.ZeroHash)
+      ).to.be.revertedWith("Invalid commitment");
+
+      await analyticsAggregator.commitNoise(1, epoch, commitment);
+      await expect(
+        analyticsAggregator.commitNoise(1, epoch, ethers.id("other noise"))
+      ).to.be.revertedWith("Noise already committed");
+    });
+
+    it("Should refuse releases once the privacy budget is exhausted", async function () {
+      await analyticsAggregator.commitNoise(1, epoch, commitment);
+      await analyticsAggregator.commitNoise(1, epoch + 1n, commitment);
+      await nextEpoch();
+      await nextEpoch();
+      await analyticsAggregator.releaseEpoch(1, epoch, 2, 0, 0, epsilon);
+
+      await expect(
+        analyticsAggregator.releaseEpoch(1, epoch + 1n, 0, 0, 0, epsilon)
+      ).to.be.revertedWith("Privacy budget exhausted");
+      await expect(
+        analyticsAggregator.setPrivacyBudget(1, 200000, maxAmount)
+      ).to.be.revertedWith("Budget below spent");
+    });
+
+    it("Should only release for DP campaigns", async function () {
+      await analyticsAggregator.commitNoise(2, epoch, commitment);
+      await nextEpoch();
+
+      await expect(
+        analyticsAggregator.releaseEpoch(2, epoch, 2, 0, 0, epsilon)
+      ).to.be.revertedWith("DP not enabled");
+    });
+
+    it("Should only let the owner or curator commit and release", async function () {
+      await expect(
+        analyticsAggregator.connect(user).commitNoise(1, epoch, commitment)
+      ).to.be.revertedWith("Not curator");
+      await expect(
+        analyticsAggregator.connect(user).setPrivacyBudget(1, epsilon, maxAmount)
+      ).to.be.reverted;
+      await expect(
+        analyticsAggregator.connect(user).setCurator(user.address)
+      ).to.be.reverted;
+    });
+  });
+
   describe("Analytics Calculations", function () {
     beforeEach(async function () {
-      await analyticsAggregator.recordConversion(1, ethers.parseEther("0.1"));
-      await analyticsAggregator.recordConversion(1, ethers.parseEther("0.2"));
-      await analyticsAggregator.recordConversion(1, ethers.parseEther("0.3"));
+      await analyticsAggregator.recordConversion(1, ethers.parseEther("0.1"), 1);
+      await analyticsAggregator.recordConversion(1, ethers.parseEther("0.2"), 1);
+      await analyticsAggregator.recordConversion(1, ethers.parseEther("0.3"), 1);
     });
 
     it("Should calculate conversion rate", async function () {
@@ -128,17 +293,25 @@ describe("AnalyticsAggregator", function () {
       expect(avgCost).to.equal(ethers.parseEther("0.2"));
     });
 
+    it("Should calculate cost per weight unit", async function () {
+      await analyticsAggregator.recordConversion(1, ethers.parseEther("0.6"), 3);
+
+      // 1.2 ETH / 6 weight units = 0.2 ETH
+      expect(await analyticsAggregator.getWeightedCost(1)).to.equal(ethers.parseEther("0.2"));
+    });
+
     it("Should return zero for empty campaign", async function () {
       expect(await analyticsAggregator.getConversionRate(999)).to.equal(0);
       expect(await analyticsAggregator.getAverageCost(999)).to.equal(0);
+      expect(await analyticsAggregator.getWeightedCost(999)).to.equal(0);
     });
   });
 
   describe("Batch Metrics", function () {
     beforeEach(async function () {
-      await analyticsAggregator.recordConversion(1, ethers.parseEther("0.1"));
-      await analyticsAggregator.recordConversion(2, ethers.parseEther("0.2"));
-      await analyticsAggregator.recordConversion(3, ethers.parseEther("0.3"));
+      await analyticsAggregator.recordConversion(1, ethers.parseEther("0.1"), 1);
+      await analyticsAggregator.recordConversion(2, ethers.parseEther("0.2"), 1);
+      await analyticsAggregator.recordConversion(3, ethers.parseEther("0.3"), 1);
     });
 
     it("Should get batch metrics", async function () {
@@ -158,7 +331,7 @@ describe("AnalyticsAggregator", function () {
 
   describe("Metrics Reset", function () {
     beforeEach(async function () {
-      await analyticsAggregator.recordConversion(1, ethers.parseEther("0.5"));
+      await analyticsAggregator.recordConversion(1, ethers.parseEther("0.5"), 1);
     });
 
     it("Should reset metrics", async function () {
@@ -54,6 +54,7 @@ describe("AttributionGateway", function () {
     await attributionGateway.setBillingModule(await billingModule.getAddress());
     await attributionGateway.setAnalyticsAggregator(await analyticsAggregator.getAddress());
     await treasuryVault.authorizeSpender(await billingModule.getAddress());
+    await campaignRegistry.setBillingModule(await billingModule.getAddress());
   });
 
   describe("Configuration", function () {
@@ -109,11 +110,12 @@ describe("AttributionGateway", function () {
         a: [1, 2],
         b: [[3, 4], [5, 6]],
         c: [7, 8],
-        publicInputs: [BigInt(clickHash), BigInt(conversionHash), BigInt(root)]
+        publicInputs: [BigInt(clickHash), BigInt(conversionHash), BigInt(root), 100, 0, BigInt(user.address), 0, 0, 0, 1]
       };
 
-      const result = await attributionGateway.submitConversion(
+      const result = await attributionGateway.submitConversion.staticCall(
         campaignId,
+        user.address,
         clickHash,
         conversionHash,
         nullifier,
@@ -135,11 +137,304 @@ describe("AttributionGateway", function () {
   });
 
   describe("Batch Operations", function () {
+    // BN254 scalar field; nullifiers must be field elements
+    const FIELD_SIZE = 21888242871839275222246405745257275088548364400416034343698204186575808495617n;
+    // A last-click conversion carries the whole weight of 100 at the default 0.001 per unit
+    const fee = ethers.parseEther("0.1");
+    let publisher;
+
+    const nullifierFor = (label) =>
+      ethers.toBeHex(BigInt(ethers.id(label)) % FIELD_SIZE, 32);
+
+    const conversionHashFor = (label) => nullifierFor(`conversion-${label}`);
+
+    const batch = (items) => [
+      items.map((item) => item.campaignId),
+      items.map((item) => item.publisher || publisher.address),
+      items.map(() => ethers.ZeroHash),
+      items.map((item) => conversionHashFor(item.label)),
+      items.map((item) => nullifierFor(item.label)),
+      items.map((item) => ({
+        a: [1, 2],
+        b: [[3, 4], [5, 6]],
+        c: [7, 8],
+        publicInputs: [0, conversionHashFor(item.label), 0, 100, nullifierFor(`user-${item.label}`), item.publisher || publisher.address, nullifierFor(`conversion-nullifier-${item.label}`), 0, 0, 1]
+      }))
+    ];
+
+    const outcomes = async (tx) => {
+      const receipt = await (await tx).wait();
+      return receipt.logs
+        .filter((log) => log.address === attributionGateway.target)
+        .map((log) => attributionGateway.interface.parseLog(log))
+        .filter((event) => ["ConversionSubmitted", "ConversionRejected"].includes(event.name))
+        .map((event) => [event.args.nullifier, event.args.reason || null]);
+    };
+
+    beforeEach(async function () {
+      publisher = user;
+
+      const MockGroth16Verifier = await ethers.getContractFactory("MockGroth16Verifier");
+      const mockVerifier = await MockGroth16Verifier.deploy();
+      await conversionVerifier.setProofVerifier(await mockVerifier.getAddress());
+
+      await billingModule.authorizeCaller(await attributionGateway.getAddress());
+      await analyticsAggregator.authorizeCaller(await attributionGateway.getAddress());
+
+      // Campaign 1 is funded, campaign 2 has a budget but no deposit
+      await campaignRegistry.createCampaign(ethers.parseEther("1.0"), 0, "QmOne");
+      await campaignRegistry.createCampaign(ethers.parseEther("1.0"), 0, "QmTwo");
+      await treasuryVault.deposit(1, { value: ethers.parseEther("1.0") });
+      await billingModule.registerPublisher(1, publisher.address, ethers.ZeroAddress);
+      await billingModule.registerPublisher(2, publisher.address, ethers.ZeroAddress);
+    });
+
     it("Should reject batch with mismatched arrays", async function () {
       await expect(
-        attributionGateway.batchSubmitConversions([1], [], [], [], [])
+        attributionGateway.batchSubmitConversions([1], [], [], [], [], [])
       ).to.be.revertedWith("Length mismatch");
     });
+
+    it("Should accept every valid conversion in a batch", async function () {
+      const args = batch([
+        { campaignId: 1, label: "a" },
+        { campaignId: 1, label: "b" },
+        { campaignId: 1, label: "c" }
+      ]);
+
+      expect(await attributionGateway.batchSubmitConversions.staticCall(...args)).to.deep.equal([
+        true,
+        true,
+        true
+      ]);
+      await attributionGateway.batchSubmitConversions(...args);
+
+      expect(await attributionGateway.getCampaignConversionCount(1)).to.equal(3);
+      expect(await attributionGateway.isNullifierProcessed(nullifierFor("b"))).to.be.true;
+      expect(await analyticsAggregator.getTotalSpent(1)).to.equal(fee * 3n);
+    });
+
+    it("Should pay each campaign with a single treasury payment", async function () {
+      await treasuryVault.deposit(2, { value: ethers.parseEther("1.0") });
+      const tx = attributionGateway.batchSubmitConversions(
+        ...batch([
+          { campaignId: 1, label: "a" },
+          { campaignId: 2, label: "b" },
+          { campaignId: 1, label: "c" }
+        ])
+      );
+
+      const receipt = await (await tx).wait();
+      const payments = receipt.logs
+        .filter((log) => log.address === treasuryVault.target)
+        .map((log) => treasuryVault.interface.parseLog(log))
+        .filter((event) => event.name === "PaymentProcessed");
+
+      expect(payments.map((event) => [event.args.campaignId, event.args.amount])).to.deep.equal([
+        [1n, fee * 2n],
+        [2n, fee]
+      ]);
+      expect((await treasuryVault.getEarnings(publisher.address, 1)).pending).to.equal(fee * 2n);
+      expect((await treasuryVault.getEarnings(publisher.address, 2)).pending).to.equal(fee);
+    });
+
+    it("Should report per-item rejection reasons in input order", async function () {
+      await campaignRegistry.createCampaign(ethers.parseEther("1.0"), 0, "QmThree");
+      await campaignRegistry.closeCampaign(3);
+
+      const result = await outcomes(
+        attributionGateway.batchSubmitConversions(
+          ...batch([
+            { campaignId: 1, label: "a" },
+            { campaignId: 3, label: "closed" },
+            { campaignId: 1, label: "a" },
+            { campaignId: 2, label: "unfunded" },
+            { campaignId: 1, label: "b" }
+          ])
+        )
+      );
+
+      expect(result).to.deep.equal([
+        [nullifierFor("a"), null],
+        [nullifierFor("closed"), "Campaign not active"],
+        [nullifierFor("a"), "Nullifier already used"],
+        [nullifierFor("unfunded"), "Billing failed"],
+        [nullifierFor("b"), null]
+      ]);
+    });
+
+    it("Should release nullifiers when a campaign's billing fails", async function () {
+      const args = batch([
+        { campaignId: 2, label: "a" },
+        { campaignId: 2, label: "b" }
+      ]);
+
+      expect(await attributionGateway.batchSubmitConversions.staticCall(...args)).to.deep.equal([
+        false,
+        false
+      ]);
+      await attributionGateway.batchSubmitConversions(...args);
+      expect(await attributionGateway.isNullifierProcessed(nullifierFor("a"))).to.be.false;
+
+      // Once funded, the same conversions go through
+      await treasuryVault.deposit(2, { value: ethers.parseEther("1.0") });
+      await attributionGateway.batchSubmitConversions(...args);
+      expect(await attributionGateway.getCampaignConversionCount(2)).to.equal(2);
+    });
+
+    it("Should reject conversions already accepted by submitConversion", async function () {
+      const [campaignIds, publishers, clickHashes, conversionHashes, nullifiers, proofs] = batch([
+        { campaignId: 1, label: "a" }
+      ]);
+      await attributionGateway.submitConversion(
+        campaignIds[0],
+        publishers[0],
+        clickHashes[0],
+        conversionHashes[0],
+        nullifiers[0],
+        proofs[0]
+      );
+
+      const result = await outcomes(
+        attributionGateway.batchSubmitConversions(
+          campaignIds,
+          publishers,
+          clickHashes,
+          conversionHashes,
+          nullifiers,
+          proofs
+        )
+      );
+
+      expect(result).to.deep.equal([[nullifierFor("a"), "Nullifier already used"]]);
+    });
+
+    it("Should reject conversions attributed to unregistered publishers", async function () {
+      const result = await outcomes(
+        attributionGateway.batchSubmitConversions(
+          ...batch([
+            { campaignId: 1, label: "a", publisher: owner.address },
+            { campaignId: 1, label: "b" }
+          ])
+        )
+      );
+
+      expect(result).to.deep.equal([
+        [nullifierFor("a"), "Publisher not registered"],
+        [nullifierFor("b"), null]
+      ]);
+    });
+
+    it("Should bill each publisher of a campaign separately", async function () {
+      const [, , other] = await ethers.getSigners();
+      await billingModule.registerPublisher(1, other.address, ethers.ZeroAddress);
+
+      await attributionGateway.batchSubmitConversions(
+        ...batch([
+          { campaignId: 1, label: "a" },
+          { campaignId: 1, label: "b", publisher: other.address },
+          { campaignId: 1, label: "c" }
+        ])
+      );
+
+      expect((await treasuryVault.getEarnings(publisher.address, 1)).pending).to.equal(fee * 2n);
+      expect((await treasuryVault.getEarnings(other.address, 1)).pending).to.equal(fee);
+    });
+  });
+
+  describe("Emergency Pause", function () {
+    const FIELD_SIZE = 21888242871839275222246405745257275088548364400416034343698204186575808495617n;
+    let guardian;
+
+    const toHash = (label) => ethers.toBeHex(BigInt(ethers.id(label)) % FIELD_SIZE, 32);
+
+    const conversion = (label) => [
+      1,
+      user.address,
+      ethers.ZeroHash,
+      toHash(`conversion-${label}`),
+      toHash(label),
+      { a: [1, 2], b: [[3, 4], [5, 6]], c: [7, 8], publicInputs: [0, toHash(`conversion-${label}`), 0, 100, toHash(`user-${label}`), user.address, toHash(`conversion-nullifier-${label}`), 0, 0, 1] }
+    ];
+
+    beforeEach(async function () {
+      [, , guardian] = await ethers.getSigners();
+
+      const MockGroth16Verifier = await ethers.getContractFactory("MockGroth16Verifier");
+      const mockVerifier = await MockGroth16Verifier.deploy();
+      await conversionVerifier.setProofVerifier(await mockVerifier.getAddress());
+      await billingModule.authorizeCaller(await attributionGateway.getAddress());
+      await analyticsAggregator.authorizeCaller(await attributionGateway.getAddress());
+
+      await campaignRegistry.createCampaign(ethers.parseEther("1.0"), 0, "QmTest");
+      await treasuryVault.deposit(1, { value: ethers.parseEther("1.0") });
+      await billingModule.registerPublisher(1, user.address, ethers.ZeroAddress);
+      await attributionGateway.setGuardian(guardian.address);
+    });
+
+    it("Should let the guardian pause submissions", async function () {
+      await expect(attributionGateway.connect(guardian).pause())
+        .to.emit(attributionGateway, "Paused")
+        .withArgs(guardian.address);
+
+      await expect(
+        attributionGateway.submitConversion(...conversion("a"))
+      ).to.be.revertedWithCustomError(attributionGateway, "EnforcedPause");
+
+      const [campaignId, publisher, clickHash, conversionHash, nullifier, proof] = conversion("a");
+      await expect(
+        attributionGateway.batchSubmitConversions(
+          [campaignId],
+          [publisher],
+          [clickHash],
+          [conversionHash],
+          [nullifier],
+          [proof]
+        )
+      ).to.be.revertedWithCustomError(attributionGateway, "EnforcedPause");
+    });
+
+    it("Should accept submissions again once the owner unpauses", async function () {
+      await attributionGateway.connect(guardian).pause();
+
+      await expect(
+        attributionGateway.connect(guardian).unpause()
+      ).to.be.revertedWithCustomError(attributionGateway, "OwnableUnauthorizedAccount");
+      await expect(attributionGateway.unpause())
+        .to.emit(attributionGateway, "Unpaused")
+        .withArgs(owner.address);
+
+      await attributionGateway.submitConversion(...conversion("a"));
+      expect(await attributionGateway.getCampaignConversionCount(1)).to.equal(1);
+    });
+
+    it("Should only let the guardian or owner pause", async function () {
+      await expect(attributionGateway.connect(user).pause()).to.be.revertedWith("Not guardian");
+      await expect(
+        attributionGateway.connect(user).setGuardian(user.address)
+      ).to.be.revertedWithCustomError(attributionGateway, "OwnableUnauthorizedAccount");
+
+      await expect(attributionGateway.setGuardian(ethers.ZeroAddress))
+        .to.emit(attributionGateway, "GuardianUpdated")
+        .withArgs(guardian.address, ethers.ZeroAddress);
+      await expect(attributionGateway.connect(guardian).pause()).to.be.revertedWith(
+        "Not guardian"
+      );
+    });
+
+    it("Should reject conversions without consuming them while billing is paused", async function () {
+      const nullifier = conversion("a")[4];
+      await billingModule.pause();
+
+      await expect(attributionGateway.submitConversion(...conversion("a")))
+        .to.emit(attributionGateway, "ConversionRejected")
+        .withArgs(1, nullifier, "Billing failed");
+      expect(await attributionGateway.isNullifierProcessed(nullifier)).to.be.false;
+
+      await billingModule.unpause();
+      await attributionGateway.submitConversion(...conversion("a"));
+      expect(await attributionGateway.isNullifierProcessed(nullifier)).to.be.true;
+    });
   });
 });
 
@@ -0,0 +1,379 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { deployProtocol } = require("../scripts/lib/pipeline");
+const { toBytes32, toField, computeAttributionWeights } = require("../zk");
+const { GhostBeacon, ErrorCode, AttributionModel } = require("../sdk");
+
+describe("Attribution Weights", function () {
+  const { ethers } = hre;
+  const budget = ethers.parseEther("1.0");
+  const fee = ethers.parseEther("0.001");
+  const hour = 3600;
+
+  let contracts;
+  let advertiser;
+  let publisher;
+  let other;
+  let sdk;
+
+  const conversionHashFor = (label) => toBytes32(toField(ethers.id(`conversion-${label}`)));
+  // Stands in for Poseidon(conversionHash, userSecret), which the mock verifier does not check
+  const conversionNullifierFor = (label) =>
+    toBytes32(toField(ethers.id(`conversion-nullifier-${label}`)));
+
+  // One click of conversion `label`, carrying `weight` in its public inputs, by its own user.
+  // By default the click is the user's last, made when the conversion happened.
+  const click = (
+    label,
+    weight,
+    clickLabel = `${label}-${weight}`,
+    attributedTo = publisher,
+    { clickTime = 0, conversionTime = clickTime, lastClick = 1 } = {}
+  ) => ({
+    campaignId: 1,
+    publisher: attributedTo.address,
+    clickHash: ethers.ZeroHash,
+    conversionHash: conversionHashFor(label),
+    nullifier: toBytes32(toField(ethers.id(`click-${clickLabel}`))),
+    proof: {
+      a: [1, 2],
+      b: [
+        [3, 4],
+        [5, 6]
+      ],
+      c: [7, 8],
+      publicInputs: [
+        0,
+        conversionHashFor(label),
+        0,
+        weight,
+        toBytes32(toField(ethers.id(`user-${clickLabel}`))),
+        attributedTo.address,
+        conversionNullifierFor(label),
+        clickTime,
+        conversionTime,
+        lastClick
+      ]
+    }
+  });
+
+  const submit = (conversion) => sdk.gateway.submitConversion(conversion);
+  const now = async () => (await ethers.provider.getBlock("latest")).timestamp;
+
+  beforeEach(async function () {
+    [, advertiser, publisher, other] = await ethers.getSigners();
+    let deployment;
+    ({ deployment, contracts } = await deployProtocol(hre, { persist: false, log: () => {} }));
+
+    const mockVerifier = await ethers.deployContract("MockGroth16Verifier");
+    await contracts.conversionVerifier.setProofVerifier(await mockVerifier.getAddress());
+
+    const addresses = Object.fromEntries(
+      Object.entries(deployment.contracts).map(([key, entry]) => [key, entry.address])
+    );
+    sdk = new GhostBeacon(advertiser, addresses);
+
+    await sdk.campaigns.createCampaign({ budget, metadataCID: "QmWeighted" });
+    await sdk.treasury.deposit(1, budget);
+    await sdk.billing.registerPublisher(1, publisher.address);
+    await sdk.billing.registerPublisher(1, other.address);
+  });
+
+  describe("Configuration", function () {
+    it("Should default to last-click and let the owner choose a model", async function () {
+      expect(await sdk.campaigns.getAttribution(1)).to.deep.equal({
+        model: AttributionModel.LAST_CLICK,
+        halfLife: 0n
+      });
+
+      await expect(
+        contracts.campaignRegistry
+          .connect(advertiser)
+          .setAttribution(1, { model: AttributionModel.TIME_DECAY, halfLife: hour })
+      )
+        .to.emit(contracts.campaignRegistry, "AttributionUpdated")
+        .withArgs(1, AttributionModel.TIME_DECAY, hour);
+      await expect(
+        contracts.campaignRegistry
+          .connect(publisher)
+          .setAttribution(1, { model: AttributionModel.LAST_CLICK, halfLife: 0 })
+      ).to.be.revertedWith("Not campaign owner");
+
+      await sdk.campaigns.setAttribution(1, { model: "linear" });
+      expect(await sdk.campaigns.getAttribution(1)).to.deep.equal({
+        model: AttributionModel.LINEAR,
+        halfLife: 0n
+      });
+    });
+
+    it("Should require a half-life for time decay and only for it", async function () {
+      for (const attribution of [{ model: "TIME_DECAY" }, { model: "LINEAR", halfLife: hour }]) {
+        const error = await sdk.campaigns.setAttribution(1, attribution).catch((caught) => caught);
+
+        expect(error).to.include({ code: ErrorCode.INVALID_ATTRIBUTION, retryable: false });
+      }
+    });
+
+    it("Should require CPA pricing for multi-touch models", async function () {
+      await sdk.campaigns.createCampaign({ budget, pricingModel: "CPL", metadataCID: "QmLead" });
+
+      const error = await sdk.campaigns
+        .setAttribution(2, { model: "LINEAR" })
+        .catch((caught) => caught);
+
+      expect(error).to.include({ code: ErrorCode.MULTI_TOUCH_REQUIRES_CPA, retryable: false });
+      await expect(sdk.campaigns.setAttribution(2, { model: "TIME_DECAY", halfLife: hour })).to.be
+        .rejected;
+      await expect(sdk.campaigns.setAttribution(2, { model: "LAST_CLICK" })).to.not.be.rejected;
+    });
+  });
+
+  describe("Gateway", function () {
+    it("Should bill and record the proven weight", async function () {
+      await sdk.campaigns.setAttribution(1, { model: "LINEAR" });
+      const conversion = click("a", 40);
+
+      await expect(
+        contracts.attributionGateway.submitConversion(
+          conversion.campaignId,
+          conversion.publisher,
+          conversion.clickHash,
+          conversion.conversionHash,
+          conversion.nullifier,
+          conversion.proof
+        )
+      )
+        .to.emit(contracts.attributionGateway, "ConversionProcessed")
+        .withArgs(1, conversion.nullifier, (timestamp) => timestamp > 0n, 40);
+
+      expect((await sdk.treasury.getEarnings(publisher.address, 1)).pending).to.equal(fee * 40n);
+      expect(await sdk.gateway.getConversionCredit(1, conversionNullifierFor("a"))).to.deep.equal({
+        weight: 40n,
+        clicks: 1n
+      });
+      expect(await sdk.analytics.getMetrics(1)).to.include({
+        totalConversions: 1n,
+        totalSpent: fee * 40n,
+        totalWeight: 40n
+      });
+      expect(await sdk.analytics.getWeightedCost(1)).to.equal(fee);
+    });
+
+    it("Should reject weights of 0 or above the maximum", async function () {
+      for (const weight of [0, 101]) {
+        const result = await submit(click("a", weight));
+        expect(result).to.include({ accepted: false, code: ErrorCode.INVALID_WEIGHT });
+      }
+    });
+
+    it("Should pay one click per conversion under last-click", async function () {
+      expect(await submit(click("a", 100))).to.include({ accepted: true });
+
+      const result = await submit(click("a", 100, "again", other));
+
+      expect(result).to.include({
+        accepted: false,
+        reason: "Conversion already attributed",
+        code: ErrorCode.CONVERSION_ATTRIBUTED,
+        retryable: false
+      });
+      expect(await submit(click("b", 100, "again", other))).to.include({ accepted: true });
+    });
+
+    it("Should not bill a last-click conversion above the campaign's CPA rate", async function () {
+      const rate = ethers.parseEther("0.002");
+      await contracts.campaignRegistry
+        .connect(advertiser)
+        .updatePricing(1, { rate, dailyCap: 0, tiers: [] });
+      const whole = await contracts.billingModule.calculateFee(1, 100);
+
+      // Any weight but the whole one is refused, so the prover cannot pick the price
+      for (const weight of [1, 50, 99]) {
+        expect(await submit(click("a", weight))).to.include({
+          accepted: false,
+          code: ErrorCode.INVALID_WEIGHT
+        });
+      }
+      expect(await submit(click("a", 100))).to.include({ accepted: true });
+      expect(await submit(click("a", 100, "again", other))).to.include({
+        accepted: false,
+        code: ErrorCode.CONVERSION_ATTRIBUTED
+      });
+
+      expect(whole).to.equal(rate * 100n);
+      expect((await sdk.analytics.getMetrics(1)).totalSpent).to.equal(whole);
+      expect(await sdk.analytics.getWeightedCost(1)).to.equal(rate);
+    });
+
+    it("Should only pay the user's last click before the conversion under last-click", async function () {
+      // The user clicked again before converting, so this click is not the last
+      const result = await submit(click("a", 100, "earlier", publisher, { lastClick: 0 }));
+
+      expect(result).to.include({
+        accepted: false,
+        reason: "Not the last click",
+        code: ErrorCode.NOT_LAST_CLICK
+      });
+      expect(await submit(click("a", 100, "latest", other))).to.include({ accepted: true });
+    });
+
+    it("Should cap each click at its decayed weight under time decay", async function () {
+      await sdk.campaigns.setAttribution(1, { model: "TIME_DECAY", halfLife: hour });
+      const conversionTime = (await now()) - hour;
+      const clickTimes = [conversionTime - 2 * hour, conversionTime - 1.5 * hour, conversionTime];
+      const timing = (i) => ({
+        clickTime: clickTimes[i],
+        conversionTime,
+        lastClick: i === 2 ? 1 : 0
+      });
+
+      // Two half-lives before the conversion, a click is paid at most a quarter of the weight
+      expect(await submit(click("a", 26, "first", publisher, timing(0)))).to.include({
+        code: ErrorCode.INVALID_WEIGHT
+      });
+
+      const weights = computeAttributionWeights(
+        await sdk.campaigns.getAttribution(1),
+        clickTimes,
+        conversionTime
+      );
+      expect(weights).to.deep.equal([15, 23, 61]);
+
+      const { results } = await sdk.gateway.batchSubmitConversions(
+        weights.map((weight, i) => click("a", weight, `click-${i}`, publisher, timing(i)))
+      );
+      expect(results.map((result) => result.accepted)).to.deep.equal([true, true, true]);
+      expect(await sdk.gateway.getConversionCredit(1, conversionNullifierFor("a"))).to.deep.equal({
+        weight: 99n,
+        clicks: 3n
+      });
+    });
+
+    it("Should reject a conversion before its click or ahead of the chain", async function () {
+      const time = await now();
+
+      for (const timing of [
+        { clickTime: time - hour, conversionTime: time - 2 * hour },
+        { clickTime: time - hour, conversionTime: time + hour }
+      ]) {
+        expect(await submit(click("a", 100, "timed", publisher, timing))).to.include({
+          accepted: false,
+          reason: "Invalid conversion time",
+          code: ErrorCode.INVALID_CONVERSION_TIME
+        });
+      }
+    });
+
+    it("Should require equal weights under linear attribution", async function () {
+      await sdk.campaigns.setAttribution(1, { model: "LINEAR" });
+
+      expect(await submit(click("a", 25, "first"))).to.include({ accepted: true });
+      expect(await submit(click("a", 30, "second", other))).to.include({
+        code: ErrorCode.INVALID_WEIGHT
+      });
+      expect(await submit(click("a", 25, "second", other))).to.include({ accepted: true });
+
+      expect((await sdk.treasury.getEarnings(other.address, 1)).pending).to.equal(fee * 25n);
+      expect(await sdk.gateway.getConversionCredit(1, conversionNullifierFor("a"))).to.deep.equal({
+        weight: 50n,
+        clicks: 2n
+      });
+    });
+
+    it("Should cap the weight all clicks of a conversion share", async function () {
+      await sdk.campaigns.setAttribution(1, { model: "LINEAR" });
+
+      const { results } = await sdk.gateway.batchSubmitConversions([
+        click("a", 40),
+        click("a", 40, "second"),
+        click("a", 40, "third")
+      ]);
+
+      expect(results.map((result) => result.code)).to.deep.equal([
+        null,
+        null,
+        ErrorCode.CONVERSION_ATTRIBUTED
+      ]);
+      expect(
+        (await sdk.gateway.getConversionCredit(1, conversionNullifierFor("a"))).weight
+      ).to.equal(80n);
+      expect((await sdk.analytics.getMetrics(1)).totalSpent).to.equal(fee * 80n);
+    });
+
+    it("Should key the credit on the proven conversion nullifier", async function () {
+      expect(await submit(click("a", 100))).to.include({ accepted: true });
+
+      // A fresh conversionHash does not escape the cap when the proof names the same conversion
+      const relabelled = click("b", 100, "relabelled", other);
+      relabelled.proof.publicInputs[6] = conversionNullifierFor("a");
+
+      expect(await submit(relabelled)).to.include({
+        accepted: false,
+        code: ErrorCode.CONVERSION_ATTRIBUTED
+      });
+      expect(await sdk.gateway.getConversionCredit(1, conversionNullifierFor("b"))).to.deep.equal({
+        weight: 0n,
+        clicks: 0n
+      });
+    });
+
+    it("Should release the weight of conversions whose billing fails", async function () {
+      await sdk.campaigns.setAttribution(1, { model: "LINEAR" });
+      await sdk.campaigns.createCampaign({ budget, metadataCID: "QmUnfunded" });
+      await sdk.campaigns.setAttribution(2, { model: "LINEAR" });
+      await sdk.billing.registerPublisher(2, publisher.address);
+
+      const unfunded = { ...click("a", 70, "unfunded"), campaignId: 2 };
+      const { results } = await sdk.gateway.batchSubmitConversions([unfunded, click("a", 70)]);
+
+      expect(results.map((result) => result.code)).to.deep.equal([ErrorCode.BILLING_FAILED, null]);
+      expect(await sdk.gateway.getConversionCredit(2, conversionNullifierFor("a"))).to.deep.equal({
+        weight: 0n,
+        clicks: 0n
+      });
+      expect(await sdk.gateway.isNullifierProcessed(unfunded.nullifier)).to.be.false;
+    });
+  });
+
+  describe("computeAttributionWeights", function () {
+    const now = 10 * hour;
+    const clicks = [now - 3 * hour, now - hour, now - 2 * hour];
+
+    it("Should give the most recent click the whole weight under last-click", function () {
+      expect(computeAttributionWeights({ model: 0 }, clicks, now)).to.deep.equal([0, 100, 0]);
+      expect(() => computeAttributionWeights({ model: 0 }, clicks, now, 50)).to.throw(
+        "Last-click conversions carry a weight of 100"
+      );
+    });
+
+    it("Should split the weight evenly under linear attribution", function () {
+      expect(computeAttributionWeights({ model: 1 }, clicks, now)).to.deep.equal([33, 33, 33]);
+      expect(computeAttributionWeights({ model: 1 }, clicks, now, 30)).to.deep.equal([10, 10, 10]);
+    });
+
+    it("Should halve a click's weight every half-life under time decay", function () {
+      const attribution = { model: 2, halfLife: hour };
+
+      expect(computeAttributionWeights(attribution, clicks, now)).to.deep.equal([12, 50, 25]);
+      // Scaled down when the decayed weights exceed the total
+      expect(computeAttributionWeights(attribution, clicks, now, 50)).to.deep.equal([6, 28, 14]);
+      expect(computeAttributionWeights(attribution, [now - hour / 2], now)).to.deep.equal([75]);
+      expect(() => computeAttributionWeights({ model: 2 }, clicks, now)).to.throw(
+        "Time decay needs a half-life"
+      );
+    });
+
+    it("Should reject inputs the gateway would not accept", function () {
+      expect(() => computeAttributionWeights({ model: 1 }, [], now)).to.throw("at least one click");
+      expect(() => computeAttributionWeights({ model: 1 }, clicks, now, 101)).to.throw(
+        "between 1 and 100"
+      );
+      expect(() => computeAttributionWeights({ model: 3 }, clicks, now)).to.throw(
+        "Unknown attribution model"
+      );
+      expect(() => computeAttributionWeights({ model: 0 }, [now + 1], now)).to.throw(
+        "before the conversion"
+      );
+    });
+  });
+});
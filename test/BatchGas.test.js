@@ -0,0 +1,120 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { deployProtocol } = require("../scripts/lib/pipeline");
+const { toBytes32, toField } = require("../zk");
+
+/**
+ * Gas per conversion for batched against single submissions
+ * Proofs are checked by MockGroth16Verifier, so the numbers exclude pairing costs,
+ * which are the same per conversion on both paths.
+ */
+describe("Batch Submission Gas", function () {
+  const { ethers } = hre;
+  const BATCH_SIZES = [1, 10, 50];
+
+  const gasPerConversion = {};
+  let gateway;
+  let publisher;
+  let next = 0;
+
+  const conversions = (count) => {
+    const items = Array.from({ length: count }, () => {
+      const id = next++;
+      const conversionHash = toBytes32(toField(ethers.id(`gas-conversion-${id}`)));
+
+      return {
+        campaignId: 1,
+        publisher: publisher.address,
+        clickHash: ethers.ZeroHash,
+        conversionHash,
+        nullifier: toBytes32(toField(ethers.id(`gas-${id}`))),
+        proof: {
+          a: [1, 2],
+          b: [
+            [3, 4],
+            [5, 6]
+          ],
+          c: [7, 8],
+          publicInputs: [
+            0,
+            conversionHash,
+            0,
+            100,
+            toBytes32(toField(ethers.id(`gas-user-${id}`))),
+            publisher.address,
+            toBytes32(toField(ethers.id(`gas-conversion-nullifier-${id}`))),
+            0,
+            0,
+            1
+          ]
+        }
+      };
+    });
+
+    return [
+      items.map((item) => item.campaignId),
+      items.map((item) => item.publisher),
+      items.map((item) => item.clickHash),
+      items.map((item) => item.conversionHash),
+      items.map((item) => item.nullifier),
+      items.map((item) => item.proof)
+    ];
+  };
+
+  const submitSingle = async () => {
+    const [[campaignId], [publisherAddress], [clickHash], [conversionHash], [nullifier], [proof]] =
+      conversions(1);
+    const tx = await gateway.submitConversion(
+      campaignId,
+      publisherAddress,
+      clickHash,
+      conversionHash,
+      nullifier,
+      proof
+    );
+    return (await tx.wait()).gasUsed;
+  };
+
+  before(async function () {
+    const { contracts } = await deployProtocol(hre, { persist: false, log: () => {} });
+    gateway = contracts.attributionGateway;
+
+    const mockVerifier = await ethers.deployContract("MockGroth16Verifier");
+    await contracts.conversionVerifier.setProofVerifier(await mockVerifier.getAddress());
+    await contracts.campaignRegistry.createCampaign(ethers.parseEther("10"), 0, "QmGas");
+    await contracts.treasuryVault.deposit(1, { value: ethers.parseEther("10") });
+    [, publisher] = await ethers.getSigners();
+    await contracts.billingModule.registerPublisher(1, publisher.address, ethers.ZeroAddress);
+
+    // Warm the per-campaign counters so every measurement pays the same storage costs
+    await submitSingle();
+  });
+
+  after(function () {
+    console.log("\n      Gas per conversion");
+    for (const [label, gas] of Object.entries(gasPerConversion)) {
+      console.log(`        ${label.padEnd(10)} ${gas}`);
+    }
+  });
+
+  it("Should measure single submissions", async function () {
+    gasPerConversion.single = await submitSingle();
+  });
+
+  for (const size of BATCH_SIZES) {
+    it(`Should measure a batch of ${size}`, async function () {
+      const tx = await gateway.batchSubmitConversions(...conversions(size));
+      const receipt = await tx.wait();
+
+      expect(await gateway.getCampaignConversionCount(1)).to.be.greaterThan(size);
+      gasPerConversion[`batch ${size}`] = receipt.gasUsed / BigInt(size);
+    });
+  }
+
+  it("Should cost less per conversion in larger batches", async function () {
+    const single = gasPerConversion.single;
+
+    expect(gasPerConversion["batch 10"]).to.be.lessThan(single);
+    expect(gasPerConversion["batch 50"]).to.be.lessThan(gasPerConversion["batch 10"]);
+  });
+});
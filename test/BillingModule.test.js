@@ -7,9 +7,10 @@ describe("BillingModule", function () {
   let treasuryVault;
   let owner;
   let publisher;
+  let referrer;
 
   beforeEach(async function () {
-    [owner, publisher] = await ethers.getSigners();
+    [owner, publisher, referrer] = await ethers.getSigners();
     
     // Deploy CampaignRegistry
     const CampaignRegistry = await ethers.getContractFactory("CampaignRegistry");
@@ -31,6 +32,7 @@ describe("BillingModule", function () {
 
     // Authorize billing module
     await treasuryVault.authorizeSpender(await billingModule.getAddress());
+    await campaignRegistry.setBillingModule(await billingModule.getAddress());
   });
 
   describe("Initialization", function () {
@@ -72,21 +74,86 @@ describe("BillingModule", function () {
   });
 
   describe("Publisher Management", function () {
-    it("Should set publisher for campaign", async function () {
-      await billingModule.setPublisher(1, publisher.address);
-      expect(await billingModule.getPublisher(1)).to.equal(publisher.address);
+    beforeEach(async function () {
+      await campaignRegistry.createCampaign(ethers.parseEther("1.0"), 0, "QmTest");
+    });
+
+    it("Should register a publisher for a campaign", async function () {
+      await expect(billingModule.registerPublisher(1, publisher.address, referrer.address))
+        .to.emit(billingModule, "PublisherRegistered")
+        .withArgs(1, publisher.address, referrer.address);
+
+      expect(await billingModule.isPublisherRegistered(1, publisher.address)).to.be.true;
+      expect(await billingModule.isPublisherRegistered(2, publisher.address)).to.be.false;
+      const registration = await billingModule.getPublisher(1, publisher.address);
+      expect(registration.referrer).to.equal(referrer.address);
+    });
+
+    it("Should let the campaign owner register publishers", async function () {
+      await campaignRegistry.connect(referrer).createCampaign(ethers.parseEther("1.0"), 0, "QmTest");
+
+      await billingModule.connect(referrer).registerPublisher(2, publisher.address, ethers.ZeroAddress);
+      expect(await billingModule.isPublisherRegistered(2, publisher.address)).to.be.true;
     });
 
     it("Should reject zero address publisher", async function () {
       await expect(
-        billingModule.setPublisher(1, ethers.ZeroAddress)
+        billingModule.registerPublisher(1, ethers.ZeroAddress, ethers.ZeroAddress)
       ).to.be.revertedWith("Invalid publisher");
+      await expect(
+        billingModule.registerPublisher(1, publisher.address, publisher.address)
+      ).to.be.revertedWith("Invalid referrer");
+    });
+
+    it("Should only allow the owners to register publishers", async function () {
+      await expect(
+        billingModule.connect(publisher).registerPublisher(1, publisher.address, ethers.ZeroAddress)
+      ).to.be.revertedWith("Not campaign owner");
+    });
+
+    it("Should remove a publisher", async function () {
+      await billingModule.registerPublisher(1, publisher.address, ethers.ZeroAddress);
+
+      await expect(billingModule.removePublisher(1, publisher.address))
+        .to.emit(billingModule, "PublisherRemoved")
+        .withArgs(1, publisher.address);
+      expect(await billingModule.isPublisherRegistered(1, publisher.address)).to.be.false;
+      await expect(billingModule.removePublisher(1, publisher.address)).to.be.revertedWith(
+        "Publisher not registered"
+      );
     });
+  });
+
+  describe("Caller Authorization", function () {
+    it("Should authorize a caller", async function () {
+      await expect(billingModule.authorizeCaller(publisher.address))
+        .to.emit(billingModule, "CallerAuthorized")
+        .withArgs(publisher.address);
+
+      expect(await billingModule.isAuthorizedCaller(publisher.address)).to.be.true;
+    });
+
+    it("Should revoke a caller", async function () {
+      await billingModule.authorizeCaller(publisher.address);
+      await billingModule.revokeCaller(publisher.address);
+
+      expect(await billingModule.isAuthorizedCaller(publisher.address)).to.be.false;
+    });
+
+    it("Should reject zero address caller", async function () {
+      await expect(
+        billingModule.authorizeCaller(ethers.ZeroAddress)
+      ).to.be.revertedWith("Invalid caller");
+    });
+
+    it("Should reject conversions from unauthorized callers", async function () {
+      await campaignRegistry.createCampaign(ethers.parseEther("1.0"), 0, "QmTest");
 
-    it("Should only allow owner to set publisher", async function () {
       await expect(
-        billingModule.connect(publisher).setPublisher(1, publisher.address)
-      ).to.be.reverted;
+        billingModule
+          .connect(publisher)
+          .processConversion(1, publisher.address, ethers.ZeroHash, 1)
+      ).to.be.revertedWith("Not authorized");
     });
   });
 
@@ -116,6 +183,79 @@ describe("BillingModule", function () {
     });
   });
 
+  describe("Batch Billing", function () {
+    let campaignId;
+    const nullifiers = [
+      ethers.id("nullifier-1"),
+      ethers.id("nullifier-2"),
+      ethers.id("nullifier-3")
+    ];
+
+    beforeEach(async function () {
+      await campaignRegistry.createCampaign(ethers.parseEther("1.0"), 0, "QmTest");
+      campaignId = 1;
+      await treasuryVault.deposit(campaignId, { value: ethers.parseEther("1.0") });
+      await billingModule.registerPublisher(campaignId, publisher.address, ethers.ZeroAddress);
+    });
+
+    it("Should pay a batch with one treasury payment", async function () {
+      const tx = billingModule.processConversionBatch(
+        campaignId,
+        publisher.address,
+        nullifiers,
+        [1, 2, 3]
+      );
+
+      await expect(tx)
+        .to.emit(billingModule, "ConversionPaid")
+        .withArgs(campaignId, nullifiers[2], ethers.parseEther("0.003"), publisher.address);
+
+      const receipt = await (await tx).wait();
+      const payments = receipt.logs.filter(
+        (log) => log.address === treasuryVault.target &&
+          treasuryVault.interface.parseLog(log).name === "PaymentProcessed"
+      );
+      expect(payments).to.have.lengthOf(1);
+      expect((await treasuryVault.getEarnings(publisher.address, campaignId)).pending).to.equal(
+        ethers.parseEther("0.006")
+      );
+    });
+
+    it("Should return the total fee", async function () {
+      expect(
+        await billingModule.processConversionBatch.staticCall(
+          campaignId,
+          publisher.address,
+          nullifiers,
+          [1, 1, 1]
+        )
+      ).to.equal(ethers.parseEther("0.003"));
+    });
+
+    it("Should reject an invalid weight anywhere in the batch", async function () {
+      await expect(
+        billingModule.processConversionBatch(campaignId, publisher.address, nullifiers, [1, 101, 1])
+      ).to.be.revertedWith("Invalid weight");
+    });
+
+    it("Should reject empty and mismatched batches", async function () {
+      await expect(
+        billingModule.processConversionBatch(campaignId, publisher.address, [], [])
+      ).to.be.revertedWith("Empty batch");
+      await expect(
+        billingModule.processConversionBatch(campaignId, publisher.address, nullifiers, [1])
+      ).to.be.revertedWith("Length mismatch");
+    });
+
+    it("Should reject batches from unauthorized callers", async function () {
+      await expect(
+        billingModule
+          .connect(publisher)
+          .processConversionBatch(campaignId, publisher.address, nullifiers, [1, 1, 1])
+      ).to.be.revertedWith("Not authorized");
+    });
+  });
+
   describe("Budget Validation", function () {
     let campaignId;
 
@@ -133,5 +273,140 @@ describe("BillingModule", function () {
       expect(remaining).to.equal(ethers.parseEther("0.005"));
     });
   });
+
+  describe("Emergency Pause", function () {
+    beforeEach(async function () {
+      await campaignRegistry.createCampaign(ethers.parseEther("1.0"), 0, "QmTest");
+      await treasuryVault.deposit(1, { value: ethers.parseEther("1.0") });
+      await billingModule.registerPublisher(1, publisher.address, ethers.ZeroAddress);
+      await billingModule.setGuardian(publisher.address);
+      await billingModule.connect(publisher).pause();
+    });
+
+    it("Should not bill conversions while paused", async function () {
+      await expect(
+        billingModule.processConversion(1, publisher.address, ethers.id("nullifier-1"), 1)
+      ).to.be.revertedWithCustomError(billingModule, "EnforcedPause");
+      await expect(
+        billingModule.processConversionBatch(1, publisher.address, [ethers.id("nullifier-1")], [1])
+      ).to.be.revertedWithCustomError(billingModule, "EnforcedPause");
+    });
+
+    it("Should bill conversions again after unpausing", async function () {
+      await billingModule.unpause();
+
+      await expect(
+        billingModule.processConversion(1, publisher.address, ethers.id("nullifier-1"), 1)
+      ).to.emit(billingModule, "ConversionPaid");
+    });
+  });
+
+  describe("Spend Tracking", function () {
+    beforeEach(async function () {
+      await campaignRegistry.createCampaign(ethers.parseEther("0.0025"), 0, "QmTest");
+      // Linear attribution lets a conversion bill a single weight point
+      await campaignRegistry.setAttribution(1, { model: 1, halfLife: 0 });
+      await treasuryVault.deposit(1, { value: ethers.parseEther("1.0") });
+      await billingModule.registerPublisher(1, publisher.address, ethers.ZeroAddress);
+    });
+
+    it("Should record each payment in the registry", async function () {
+      await billingModule.processConversion(1, publisher.address, ethers.id("nullifier-1"), 1);
+      await billingModule.processConversionBatch(
+        1,
+        publisher.address,
+        [ethers.id("nullifier-2")],
+        [1]
+      );
+
+      expect(await campaignRegistry.getCampaignSpent(1)).to.equal(ethers.parseEther("0.002"));
+      expect(await billingModule.getRemainingBudget(1)).to.equal(ethers.parseEther("0.0005"));
+    });
+
+    it("Should enforce the budget rather than the deposit", async function () {
+      await expect(
+        billingModule.processConversion(1, publisher.address, ethers.id("nullifier-1"), 3)
+      ).to.be.revertedWith("Insufficient budget");
+      await expect(
+        billingModule.processConversionBatch(1, publisher.address, [ethers.id("nullifier-1")], [3])
+      ).to.be.revertedWith("Insufficient budget");
+    });
+
+    it("Should report exhaustion when no further conversion fits the budget", async function () {
+      await billingModule.processConversion(1, publisher.address, ethers.id("nullifier-1"), 1);
+
+      await expect(
+        billingModule.processConversion(1, publisher.address, ethers.id("nullifier-2"), 1)
+      )
+        .to.emit(billingModule, "CampaignExhausted")
+        .withArgs(1)
+        .and.to.emit(campaignRegistry, "CampaignClosed")
+        .withArgs(1);
+      expect(await campaignRegistry.isCampaignActive(1)).to.be.false;
+    });
+  });
+
+  describe("Revenue Splits", function () {
+    const fee = ethers.parseEther("0.001");
+    let feeRecipient;
+
+    const pending = async (account) => (await treasuryVault.getEarnings(account.address, 1)).pending;
+
+    beforeEach(async function () {
+      [, , , feeRecipient] = await ethers.getSigners();
+      await campaignRegistry.createCampaign(ethers.parseEther("1.0"), 0, "QmTest");
+      await treasuryVault.deposit(1, { value: ethers.parseEther("1.0") });
+      await billingModule.setRevenueSplit(1000, 500, feeRecipient.address);
+    });
+
+    it("Should split a fee between publisher, referrer and protocol", async function () {
+      await billingModule.registerPublisher(1, publisher.address, referrer.address);
+      const nullifier = ethers.id("nullifier-1");
+      const tx = billingModule.processConversion(1, publisher.address, nullifier, 1);
+
+      await expect(tx)
+        .to.emit(billingModule, "ConversionPaid")
+        .withArgs(1, nullifier, (fee * 5n) / 100n, referrer.address);
+      expect(await pending(publisher)).to.equal((fee * 85n) / 100n);
+      expect(await pending(referrer)).to.equal((fee * 5n) / 100n);
+      expect(await pending(feeRecipient)).to.equal(fee / 10n);
+      expect(await campaignRegistry.getCampaignSpent(1)).to.equal(fee);
+    });
+
+    it("Should give the referrer share to publishers without a referrer", async function () {
+      await billingModule.registerPublisher(1, publisher.address, ethers.ZeroAddress);
+
+      await billingModule.processConversionBatch(
+        1,
+        publisher.address,
+        [ethers.id("nullifier-1"), ethers.id("nullifier-2")],
+        [1, 1]
+      );
+
+      expect(await pending(publisher)).to.equal((fee * 18n) / 10n);
+      expect(await pending(feeRecipient)).to.equal(fee / 5n);
+    });
+
+    it("Should not pay unregistered publishers", async function () {
+      await expect(
+        billingModule.processConversion(1, publisher.address, ethers.id("nullifier-1"), 1)
+      ).to.be.revertedWith("Publisher not registered");
+      await expect(
+        billingModule.processConversionBatch(1, owner.address, [ethers.id("nullifier-1")], [1])
+      ).to.be.revertedWith("Publisher not registered");
+    });
+
+    it("Should cap the protocol and referrer shares", async function () {
+      await expect(
+        billingModule.setRevenueSplit(4000, 1001, feeRecipient.address)
+      ).to.be.revertedWith("Invalid split");
+      await expect(
+        billingModule.setRevenueSplit(100, 0, ethers.ZeroAddress)
+      ).to.be.revertedWith("Invalid address");
+      await expect(
+        billingModule.connect(publisher).setRevenueSplit(0, 0, ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(billingModule, "OwnableUnauthorizedAccount");
+    });
+  });
 });
 
@@ -0,0 +1,205 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { deployProtocol } = require("../scripts/lib/pipeline");
+const { GhostBeacon, ErrorCode, PricingModel, computeFee } = require("../sdk");
+
+describe("Campaign Pricing", function () {
+  const { ethers } = hre;
+  const budget = ethers.parseEther("1.0");
+  const rate = ethers.parseEther("0.002");
+  const tiers = [
+    { minWeight: 10n, rate: ethers.parseEther("0.0015") },
+    { minWeight: 50n, rate: ethers.parseEther("0.001") }
+  ];
+
+  let contracts;
+  let advertiser;
+  let publisher;
+  let sdk;
+
+  const nullifier = (label) => ethers.id(label);
+
+  beforeEach(async function () {
+    [, advertiser, publisher] = await ethers.getSigners();
+    let deployment;
+    ({ deployment, contracts } = await deployProtocol(hre, { persist: false, log: () => {} }));
+
+    const addresses = Object.fromEntries(
+      Object.entries(deployment.contracts).map(([key, entry]) => [key, entry.address])
+    );
+    sdk = new GhostBeacon(advertiser, addresses);
+  });
+
+  describe("Configuration", function () {
+    it("Should create a campaign with its own pricing", async function () {
+      await expect(
+        contracts.campaignRegistry
+          .connect(advertiser)
+          .createPricedCampaign(budget, 0, "QmPriced", ethers.ZeroAddress, {
+            rate,
+            dailyCap: 0,
+            tiers
+          })
+      )
+        .to.emit(contracts.campaignRegistry, "PricingUpdated")
+        .withArgs(1, rate, 0, 2);
+
+      expect(await sdk.campaigns.getPricing(1)).to.deep.equal({ rate, dailyCap: 0n, tiers });
+    });
+
+    it("Should leave campaigns without pricing on the base cost", async function () {
+      await sdk.campaigns.createCampaign({ budget, metadataCID: "QmDefault" });
+
+      expect(await sdk.campaigns.getPricing(1)).to.deep.equal({
+        rate: 0n,
+        dailyCap: 0n,
+        tiers: []
+      });
+      expect(await contracts.billingModule.calculateFee(1, 3)).to.equal(ethers.parseEther("0.003"));
+    });
+
+    it("Should reject tiers that are out of order, unpriced or too many", async function () {
+      const invalid = [
+        [tiers[1], tiers[0]],
+        [{ minWeight: 0n, rate }],
+        [{ minWeight: 5n, rate: 0n }],
+        Array.from({ length: 9 }, (_, i) => ({ minWeight: BigInt(i + 1), rate }))
+      ];
+
+      for (const pricingTiers of invalid) {
+        const error = await sdk.campaigns
+          .createCampaign({ budget, metadataCID: "QmBad", pricing: { rate, tiers: pricingTiers } })
+          .catch((caught) => caught);
+        expect(error).to.include({ code: ErrorCode.INVALID_PRICING, retryable: false });
+      }
+    });
+
+    it("Should only let the owner update pricing of an active campaign", async function () {
+      await sdk.campaigns.createCampaign({ budget, metadataCID: "QmPriced", pricing: { rate } });
+
+      await expect(
+        contracts.campaignRegistry
+          .connect(publisher)
+          .updatePricing(1, { rate: 1, dailyCap: 0, tiers: [] })
+      ).to.be.revertedWith("Not campaign owner");
+
+      await sdk.campaigns.updatePricing(1, { rate: rate * 2n, tiers: [tiers[0]] });
+      expect(await sdk.campaigns.getPricing(1)).to.deep.equal({
+        rate: rate * 2n,
+        dailyCap: 0n,
+        tiers: [tiers[0]]
+      });
+
+      await sdk.campaigns.closeCampaign(1);
+      const error = await sdk.campaigns.updatePricing(1, { rate }).catch((caught) => caught);
+      expect(error).to.include({ code: ErrorCode.CAMPAIGN_NOT_ACTIVE });
+    });
+  });
+
+  describe("Fee quotes", function () {
+    it("Should quote exactly what calculateFee and estimateBatchCost return", async function () {
+      const weights = [0n, 1n, 2n, 9n, 10n, 11n, 49n, 50n, 99n, 100n];
+      const pricings = [undefined, { rate }, { tiers }, { rate, tiers }, { rate: 7n, tiers }];
+      let campaignId = 0;
+
+      for (const pricingModel of Object.keys(PricingModel)) {
+        for (const pricing of pricings) {
+          await sdk.campaigns.createCampaign({ budget, pricingModel, metadataCID: "Qm", pricing });
+          campaignId++;
+
+          const quotes = await sdk.billing.quoteFee(campaignId, weights);
+          for (const [i, weight] of weights.entries()) {
+            expect(quotes[i]).to.equal(await sdk.billing.calculateFee(campaignId, weight));
+          }
+          expect(quotes.reduce((sum, fee) => sum + fee, 0n)).to.equal(
+            await sdk.billing.estimateBatchCost(campaignId, weights)
+          );
+        }
+      }
+    });
+
+    it("Should quote token campaigns priced only by their own rate", async function () {
+      const token = await ethers.deployContract("MockERC20", ["Dai", "DAI", 18]);
+      await contracts.campaignRegistry.setTokenAllowed(token.target, true);
+      await sdk.campaigns.createCampaign({
+        budget,
+        metadataCID: "QmDai",
+        token: token.target,
+        pricing: { rate: 500n }
+      });
+
+      expect(await sdk.billing.quoteFee(1, 4)).to.equal(2000n);
+      expect(await sdk.billing.calculateFee(1, 4)).to.equal(2000n);
+      expect(() => computeFee({ pricingModel: 0, pricing: { rate: 0n, tiers: [] } }, 1)).to.throw(
+        "no base cost"
+      );
+    });
+  });
+
+  describe("Billing", function () {
+    const pay = (label, weight = 1) =>
+      contracts.billingModule.processConversion(1, publisher.address, nullifier(label), weight);
+
+    beforeEach(async function () {
+      await contracts.billingModule.registerPublisher(1, publisher.address, ethers.ZeroAddress);
+    });
+
+    it("Should pay the publisher the tier rate", async function () {
+      await sdk.campaigns.createCampaign({
+        budget,
+        metadataCID: "QmTiers",
+        pricing: { rate, tiers }
+      });
+      await sdk.treasury.deposit(1, budget);
+
+      await expect(pay("a", 10))
+        .to.emit(contracts.billingModule, "ConversionPaid")
+        .withArgs(1, nullifier("a"), tiers[0].rate * 10n, publisher.address);
+      await pay("b", 60);
+      expect((await sdk.treasury.getEarnings(publisher.address, 1)).pending).to.equal(
+        tiers[0].rate * 10n + tiers[1].rate * 60n
+      );
+    });
+
+    it("Should stop billing at the daily cap until the next day", async function () {
+      await sdk.campaigns.createCampaign({
+        budget,
+        metadataCID: "QmCapped",
+        pricing: { rate, dailyCap: rate * 2n }
+      });
+      await sdk.treasury.deposit(1, budget);
+
+      await pay("a");
+      await pay("b");
+      await expect(pay("c")).to.be.revertedWith("Daily cap reached");
+      expect(await sdk.campaigns.getDailySpent(1)).to.equal(rate * 2n);
+
+      await ethers.provider.send("evm_increaseTime", [86400]);
+      await ethers.provider.send("evm_mine", []);
+      expect(await sdk.campaigns.getDailySpent(1)).to.equal(0);
+      await expect(pay("c")).to.not.be.reverted;
+    });
+
+    it("Should close the campaign when its budget cannot cover the cheapest conversion", async function () {
+      await sdk.campaigns.createCampaign({
+        budget: ethers.parseEther("0.005"),
+        metadataCID: "QmSmall",
+        pricing: { rate }
+      });
+      await sdk.campaigns.setAttribution(1, { model: "LINEAR" });
+      await sdk.treasury.deposit(1, ethers.parseEther("0.005"));
+
+      await pay("a");
+      await expect(pay("b")).to.emit(contracts.billingModule, "CampaignExhausted").withArgs(1);
+      expect(await sdk.campaigns.isCampaignActive(1)).to.be.false;
+    });
+
+    it("Should keep pricing when the budget is raised", async function () {
+      await sdk.campaigns.createCampaign({ budget, metadataCID: "QmRaise", pricing: { rate } });
+      await sdk.campaigns.updateBudget(1, budget * 2n);
+
+      expect((await sdk.campaigns.getPricing(1)).rate).to.equal(rate);
+      expect(await sdk.billing.quoteFee(1, 1)).to.equal(rate);
+    });
+  });
+});
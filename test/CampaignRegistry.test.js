@@ -100,5 +100,120 @@ describe("CampaignRegistry", function () {
       expect(await campaignRegistry.getTotalCampaigns()).to.equal(1);
     });
   });
+
+  describe("Spend Tracking", function () {
+    let billing;
+
+    beforeEach(async function () {
+      [, , billing] = await ethers.getSigners();
+      await campaignRegistry.connect(advertiser).createCampaign(
+        ethers.parseEther("0.0035"),
+        0,
+        "QmTest"
+      );
+      await campaignRegistry.setBillingModule(billing.address);
+    });
+
+    it("Should only let the owner set the billing module", async function () {
+      await expect(
+        campaignRegistry.connect(advertiser).setBillingModule(advertiser.address)
+      ).to.be.reverted;
+      await expect(
+        campaignRegistry.setBillingModule(ethers.ZeroAddress)
+      ).to.be.revertedWith("Invalid address");
+
+      await expect(campaignRegistry.setBillingModule(owner.address))
+        .to.emit(campaignRegistry, "BillingModuleUpdated")
+        .withArgs(owner.address);
+      expect(await campaignRegistry.billingModule()).to.equal(owner.address);
+    });
+
+    it("Should only accept spend from the billing module", async function () {
+      await expect(
+        campaignRegistry.recordSpend(1, ethers.parseEther("0.001"), ethers.parseEther("0.001"))
+      ).to.be.revertedWith("Not authorized");
+    });
+
+    it("Should record spend against the budget", async function () {
+      const fee = ethers.parseEther("0.001");
+
+      await expect(campaignRegistry.connect(billing).recordSpend(1, fee, fee))
+        .to.emit(campaignRegistry, "SpendRecorded")
+        .withArgs(1, fee, fee);
+
+      expect(await campaignRegistry.getCampaignSpent(1)).to.equal(fee);
+      expect(await campaignRegistry.getCampaignRemainingBudget(1)).to.equal(
+        ethers.parseEther("0.0025")
+      );
+      expect(await campaignRegistry.isCampaignActive(1)).to.be.true;
+    });
+
+    it("Should reject spend beyond the budget", async function () {
+      await expect(
+        campaignRegistry.connect(billing).recordSpend(1, ethers.parseEther("0.004"), 0)
+      ).to.be.revertedWith("Insufficient budget");
+    });
+
+    it("Should close the campaign once it cannot pay another conversion", async function () {
+      const fee = ethers.parseEther("0.001");
+      await campaignRegistry.connect(billing).recordSpend(1, fee * 2n, fee);
+
+      expect(await campaignRegistry.connect(billing).recordSpend.staticCall(1, fee, fee)).to.be
+        .true;
+      await expect(campaignRegistry.connect(billing).recordSpend(1, fee, fee))
+        .to.emit(campaignRegistry, "CampaignClosed")
+        .withArgs(1);
+
+      expect(await campaignRegistry.isCampaignActive(1)).to.be.false;
+      expect(await campaignRegistry.getCampaignRemainingBudget(1)).to.equal(
+        ethers.parseEther("0.0005")
+      );
+      await expect(
+        campaignRegistry.connect(billing).recordSpend(1, 1, 0)
+      ).to.be.revertedWith("Campaign not active");
+    });
+
+    it("Should not lower the budget below the amount spent", async function () {
+      await campaignRegistry.connect(billing).recordSpend(1, ethers.parseEther("0.002"), 0);
+
+      await expect(
+        campaignRegistry.connect(advertiser).updateBudget(1, ethers.parseEther("0.001"))
+      ).to.be.revertedWith("New budget must be >= spent amount");
+    });
+  });
+  describe("Token Budgets", function () {
+    const token = "0x000000000000000000000000000000000000dEaD";
+    const budget = 10_000_000n;
+
+    it("Should only create token campaigns for allowed tokens", async function () {
+      await expect(
+        campaignRegistry.connect(advertiser).createTokenCampaign(budget, 0, "QmUsdc", token)
+      ).to.be.revertedWith("Token not allowed");
+
+      await expect(campaignRegistry.setTokenAllowed(token, true))
+        .to.emit(campaignRegistry, "TokenAllowed").withArgs(token, true);
+      await expect(
+        campaignRegistry.connect(advertiser).createTokenCampaign(budget, 0, "QmUsdc", token)
+      ).to.emit(campaignRegistry, "CampaignCreated").withArgs(1, advertiser.address, budget, 0, token);
+
+      expect((await campaignRegistry.getCampaign(1)).token).to.equal(token);
+      expect(await campaignRegistry.getCampaignToken(1)).to.equal(token);
+    });
+
+    it("Should budget plain campaigns in ETH", async function () {
+      await campaignRegistry.connect(advertiser).createCampaign(budget, 0, "QmEther");
+
+      expect(await campaignRegistry.getCampaignToken(1)).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should only allow the owner to change the token allow-list", async function () {
+      await expect(
+        campaignRegistry.connect(advertiser).setTokenAllowed(token, true)
+      ).to.be.revertedWithCustomError(campaignRegistry, "OwnableUnauthorizedAccount");
+      await expect(
+        campaignRegistry.setTokenAllowed(ethers.ZeroAddress, true)
+      ).to.be.revertedWith("Invalid address");
+    });
+  });
 });
 
@@ -0,0 +1,367 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const snarkjs = require("snarkjs");
+const { poseidon1, poseidon2, poseidon4 } = require("poseidon-lite");
+const { buildPaths, ensureCircuitKeys, verifyCeremonyKey } = require("../tasks/zk");
+
+const LEVELS = 20;
+const FIELD_SIZE = 21888242871839275222246405745257275088548364400416034343698204186575808495617n;
+
+describe("Conversion Circuit", function () {
+  const { ethers } = hre;
+  const keysDir = path.join(__dirname, "..", "circuits", "keys");
+  const wasm = path.join(keysDir, "conversion.wasm");
+  const zkey = path.join(keysDir, "conversion_final.zkey");
+
+  const campaignId = 1;
+  const publisher = BigInt("0x70997970C51812dc3A010C7d01b50e0d17dc79C8");
+  const fieldHash = (label) => BigInt(ethers.keccak256(ethers.toUtf8Bytes(label))) % FIELD_SIZE;
+  const toBytes32 = (value) => ethers.toBeHex(value, 32);
+  const clickTime = 1700000000n;
+  const conversionTime = clickTime + 3600n;
+  // The user clicks again after converting, so the proven click is still their last
+  const nextClickTime = conversionTime + 60n;
+  const userSecret = fieldHash("user-secret");
+  const clickHash = fieldHash("click-1");
+  const other = poseidon4([
+    fieldHash("click-2"),
+    poseidon1([fieldHash("other-secret")]),
+    clickTime,
+    0n
+  ]);
+
+  // Two-leaf sorted-pair tree: our click, leading to the user's next click, next to someone else's
+  const clickTree = (next) => {
+    const leaf = poseidon4([clickHash, poseidon1([userSecret]), clickTime, next]);
+    const siblings = Array(LEVELS).fill(0n);
+    const siblingFirst = Array(LEVELS).fill(0n);
+    siblings[0] = other;
+    siblingFirst[0] = other < leaf ? 1n : 0n;
+
+    const root = leaf < other ? poseidon2([leaf, other]) : poseidon2([other, leaf]);
+    return { root, siblings, siblingFirst };
+  };
+
+  let groth16Verifier;
+  let conversionVerifier;
+  let witness;
+  let calldata;
+
+  this.timeout(120000);
+
+  // The wasm and proving key are build output; a fresh checkout rebuilds them once
+  before(async function () {
+    this.timeout(1200000);
+    await ensureCircuitKeys(hre);
+  });
+
+  before(async function () {
+    const conversionId = fieldHash("conversion-1");
+    const conversionHash = poseidon2([conversionId, conversionTime]);
+    const weight = 40n;
+    const { root, siblings, siblingFirst } = clickTree(nextClickTime);
+
+    const { proof, publicSignals } = await snarkjs.groth16.fullProve(
+      {
+        clickHash,
+        conversionHash,
+        root,
+        weight,
+        campaignId,
+        publisher,
+        clickTime,
+        conversionTime,
+        userSecret,
+        conversionId,
+        nextClickTime,
+        siblings,
+        siblingFirst
+      },
+      wasm,
+      zkey
+    );
+
+    witness = {
+      clickHash,
+      conversionId,
+      conversionHash,
+      root,
+      weight,
+      userSecret,
+      siblings,
+      siblingFirst,
+      nullifier: poseidon2([clickHash, userSecret]),
+      pseudonym: poseidon2([userSecret, BigInt(campaignId)]),
+      conversionNullifier: poseidon2([conversionHash, userSecret]),
+      publicSignals
+    };
+    calldata = {
+      a: [proof.pi_a[0], proof.pi_a[1]],
+      b: [
+        [proof.pi_b[0][1], proof.pi_b[0][0]],
+        [proof.pi_b[1][1], proof.pi_b[1][0]]
+      ],
+      c: [proof.pi_c[0], proof.pi_c[1]],
+      publicInputs: [
+        clickHash,
+        conversionHash,
+        root,
+        weight,
+        witness.pseudonym,
+        publisher,
+        witness.conversionNullifier,
+        clickTime,
+        conversionTime,
+        1n
+      ]
+    };
+  });
+
+  // The proof's public inputs with some of them replaced, by index
+  const withInputs = (changes) => ({
+    ...calldata,
+    publicInputs: calldata.publicInputs.map((input, i) => (i in changes ? changes[i] : input))
+  });
+
+  // Circuit inputs for the witness's click with some of them replaced
+  const circuitInputs = (changes = {}) => ({
+    clickHash: witness.clickHash,
+    conversionHash: witness.conversionHash,
+    root: witness.root,
+    weight: witness.weight,
+    campaignId,
+    publisher,
+    clickTime,
+    conversionTime,
+    userSecret: witness.userSecret,
+    conversionId: witness.conversionId,
+    nextClickTime,
+    siblings: witness.siblings,
+    siblingFirst: witness.siblingFirst,
+    ...changes
+  });
+
+  after(async function () {
+    // snarkjs keeps curve worker threads alive, which would stop mocha from exiting
+    if (globalThis.curve_bn128) {
+      await globalThis.curve_bn128.terminate();
+    }
+  });
+
+  beforeEach(async function () {
+    groth16Verifier = await ethers.deployContract("ConversionGroth16Verifier");
+    conversionVerifier = await ethers.deployContract("ConversionVerifier");
+
+    await conversionVerifier.setProofVerifier(await groth16Verifier.getAddress());
+    await conversionVerifier.updateCampaignRoot(campaignId, toBytes32(witness.root));
+  });
+
+  const verify = (overrides = {}) => {
+    const args = {
+      campaignId,
+      clickHash: witness.clickHash,
+      conversionHash: witness.conversionHash,
+      nullifier: witness.nullifier,
+      proof: calldata,
+      ...overrides
+    };
+
+    return conversionVerifier.verifyConversionProof(
+      args.campaignId,
+      toBytes32(args.clickHash),
+      toBytes32(args.conversionHash),
+      toBytes32(args.nullifier),
+      args.proof
+    );
+  };
+
+  it("Should expose the nullifiers, pseudonym and last-click flag as the first public signals", async function () {
+    expect(witness.publicSignals.map(BigInt)).to.deep.equal([
+      witness.nullifier,
+      witness.pseudonym,
+      witness.conversionNullifier,
+      1n,
+      witness.clickHash,
+      witness.conversionHash,
+      witness.root,
+      witness.weight,
+      BigInt(campaignId),
+      publisher,
+      clickTime,
+      conversionTime
+    ]);
+  });
+
+  it("Should verify a generated proof with the Groth16 verifier", async function () {
+    expect(
+      await groth16Verifier.verifyProof(calldata.a, calldata.b, calldata.c, witness.publicSignals)
+    ).to.be.true;
+  });
+
+  it("Should verify a generated proof through ConversionVerifier", async function () {
+    expect(await verify()).to.be.true;
+  });
+
+  it("Should reject a proof bound to a different nullifier", async function () {
+    expect(await verify({ nullifier: fieldHash("nullifier-forged") })).to.be.false;
+  });
+
+  it("Should reject a proof for a different conversion", async function () {
+    const conversionHash = fieldHash("conversion-2");
+
+    expect(
+      await verify({
+        conversionHash,
+        proof: withInputs({
+          1: conversionHash,
+          6: poseidon2([conversionHash, witness.userSecret])
+        })
+      })
+    ).to.be.false;
+  });
+
+  it("Should reject a proof against a different campaign root", async function () {
+    const root = fieldHash("root-2");
+    await conversionVerifier.updateCampaignRoot(campaignId, toBytes32(root));
+
+    expect(await verify({ proof: withInputs({ 2: root }) })).to.be.false;
+  });
+
+  it("Should reject a proof whose weight was inflated", async function () {
+    expect(await verify({ proof: withInputs({ 3: 100n }) })).to.be.false;
+  });
+
+  it("Should reject a proof under another user's pseudonym", async function () {
+    const pseudonym = poseidon2([fieldHash("other-secret"), BigInt(campaignId)]);
+
+    expect(await verify({ proof: withInputs({ 4: pseudonym }) })).to.be.false;
+  });
+
+  it("Should reject a proof for another publisher", async function () {
+    const other = BigInt("0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC");
+
+    expect(await verify({ proof: withInputs({ 5: other }) })).to.be.false;
+  });
+
+  it("Should reject a conversion nullifier under another user's secret", async function () {
+    // Claiming someone else's conversion would use up their share of its weight
+    const conversionNullifier = poseidon2([witness.conversionHash, fieldHash("other-secret")]);
+
+    expect(await verify({ proof: withInputs({ 6: conversionNullifier }) })).to.be.false;
+  });
+
+  it("Should reject a proof whose click or conversion time was changed", async function () {
+    // A later click or an earlier conversion would raise a time-decayed weight
+    expect(await verify({ proof: withInputs({ 7: conversionTime }) })).to.be.false;
+    expect(await verify({ proof: withInputs({ 8: clickTime }) })).to.be.false;
+  });
+
+  it("Should reject a proof whose last-click flag was changed", async function () {
+    expect(await verify({ proof: withInputs({ 9: 0n }) })).to.be.false;
+  });
+
+  it("Should prove a click followed by another before the conversion is not the last", async function () {
+    const { publicSignals } = await snarkjs.groth16.fullProve(
+      circuitInputs({ nextClickTime: conversionTime - 60n, ...clickTree(conversionTime - 60n) }),
+      wasm,
+      zkey
+    );
+
+    expect(BigInt(publicSignals[3])).to.equal(0n);
+  });
+
+  it("Should fail to prove a click after the conversion", async function () {
+    const conversionId = witness.conversionId;
+    const earlier = clickTime - 1n;
+
+    await expect(
+      snarkjs.groth16.fullProve(
+        circuitInputs({
+          conversionTime: earlier,
+          conversionHash: poseidon2([conversionId, earlier])
+        }),
+        wasm,
+        zkey
+      )
+    ).to.be.rejected;
+  });
+
+  it("Should fail to prove a conversion hash that does not commit to the conversion time", async function () {
+    await expect(
+      snarkjs.groth16.fullProve(circuitInputs({ conversionTime: conversionTime + 1n }), wasm, zkey)
+    ).to.be.rejected;
+  });
+
+  it("Should reject a proof submitted to another campaign", async function () {
+    // Same click tree, so only the pseudonym's campaign binding differs
+    await conversionVerifier.updateCampaignRoot(2, toBytes32(witness.root));
+
+    expect(await verify({ campaignId: 2 })).to.be.false;
+  });
+
+  it("Should fail to prove a weight outside 1 to 100", async function () {
+    for (const weight of [0n, 101n, 128n]) {
+      await expect(snarkjs.groth16.fullProve(circuitInputs({ weight }), wasm, zkey)).to.be.rejected;
+    }
+  });
+
+  it("Should fail to prove membership with the wrong secret", async function () {
+    const siblings = Array(LEVELS).fill(0n);
+    const siblingFirst = Array(LEVELS).fill(0n);
+
+    await expect(
+      snarkjs.groth16.fullProve(
+        circuitInputs({ userSecret: fieldHash("wrong-secret"), siblings, siblingFirst }),
+        wasm,
+        zkey
+      )
+    ).to.be.rejected;
+  });
+
+  describe("Ceremony keys", function () {
+    const paths = buildPaths(hre.config.paths.root);
+    let tmpDir;
+
+    before(async function () {
+      this.timeout(1200000);
+      // The checks need the compiled circuit and the development powers of tau
+      if (!fs.existsSync(paths.r1cs) || !fs.existsSync(paths.ptau)) {
+        await hre.run({ scope: "ghostbeacon", task: "zk-build" }, { reuseptau: true, quiet: true });
+      }
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "ghostbeacon-"));
+    });
+
+    after(function () {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it("Should refuse the development key as a ceremony key", async function () {
+      await expect(verifyCeremonyKey(snarkjs, paths, zkey, paths.ptau)).to.be.rejectedWith(
+        "has no contribution besides public beacons"
+      );
+    });
+
+    it("Should refuse a key set up from the development powers of tau", async function () {
+      const contributed = path.join(tmpDir, "contributed.zkey");
+      await snarkjs.zKey.contribute(zkey, contributed, "test", "test entropy");
+
+      await expect(verifyCeremonyKey(snarkjs, paths, contributed, paths.ptau)).to.be.rejectedWith(
+        `Powers of tau ${paths.ptau} has no contribution besides public beacons`
+      );
+    });
+
+    it("Should refuse a key that was not set up for the circuit", async function () {
+      const tampered = path.join(tmpDir, "tampered.zkey");
+      const bytes = fs.readFileSync(zkey);
+      bytes[bytes.length - 1] ^= 1;
+      fs.writeFileSync(tampered, bytes);
+
+      await expect(verifyCeremonyKey(snarkjs, paths, tampered, paths.ptau)).to.be.rejectedWith(
+        "was not set up for circuits/conversion.circom"
+      );
+    });
+  });
+});
@@ -1,8 +1,15 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 
+// BN254 scalar field; public inputs must be field elements
+const FIELD_SIZE = 21888242871839275222246405745257275088548364400416034343698204186575808495617n;
+
+const fieldHash = (label) =>
+  ethers.toBeHex(BigInt(ethers.keccak256(ethers.toUtf8Bytes(label))) % FIELD_SIZE, 32);
+
 describe("ConversionVerifier", function () {
   let conversionVerifier;
+  let mockVerifier;
   let owner;
   let user;
 
@@ -12,17 +19,45 @@ describe("ConversionVerifier", function () {
     const ConversionVerifier = await ethers.getContractFactory("ConversionVerifier");
     conversionVerifier = await ConversionVerifier.deploy();
     await conversionVerifier.waitForDeployment();
+
+    const MockGroth16Verifier = await ethers.getContractFactory("MockGroth16Verifier");
+    mockVerifier = await MockGroth16Verifier.deploy();
+    await mockVerifier.waitForDeployment();
+
+    await conversionVerifier.setProofVerifier(await mockVerifier.getAddress());
+  });
+
+  describe("Proof Verifier Configuration", function () {
+    it("Should set the Groth16 verifier", async function () {
+      await expect(conversionVerifier.setProofVerifier(user.address))
+        .to.emit(conversionVerifier, "ProofVerifierUpdated")
+        .withArgs(user.address);
+
+      expect(await conversionVerifier.proofVerifier()).to.equal(user.address);
+    });
+
+    it("Should reject zero address verifier", async function () {
+      await expect(
+        conversionVerifier.setProofVerifier(ethers.ZeroAddress)
+      ).to.be.revertedWith("Invalid address");
+    });
+
+    it("Should only allow owner to set the verifier", async function () {
+      await expect(
+        conversionVerifier.connect(user).setProofVerifier(user.address)
+      ).to.be.reverted;
+    });
   });
 
   describe("Proof Verification", function () {
     it("Should verify valid proof structure", async function () {
       const campaignId = 1;
-      const clickHash = ethers.keccak256(ethers.toUtf8Bytes("click123"));
-      const conversionHash = ethers.keccak256(ethers.toUtf8Bytes("conversion123"));
-      const nullifier = ethers.keccak256(ethers.toUtf8Bytes("nullifier123"));
+      const clickHash = fieldHash("click123");
+      const conversionHash = fieldHash("conversion123");
+      const nullifier = fieldHash("nullifier123");
 
       // Set campaign root
-      const root = ethers.keccak256(ethers.toUtf8Bytes("root123"));
+      const root = fieldHash("root123");
       await conversionVerifier.updateCampaignRoot(campaignId, root);
 
       const proof = {
@@ -32,7 +67,14 @@ describe("ConversionVerifier", function () {
         publicInputs: [
           BigInt(clickHash),
           BigInt(conversionHash),
-          BigInt(root)
+          BigInt(root),
+          1,
+          BigInt(fieldHash("user123")),
+          BigInt(user.address),
+          BigInt(fieldHash("conversion-nullifier123")),
+          0,
+          0,
+          1
         ]
       };
 
@@ -47,6 +89,81 @@ describe("ConversionVerifier", function () {
       expect(result).to.be.true;
     });
 
+    it("Should reject proofs the Groth16 verifier rejects", async function () {
+      const clickHash = fieldHash("click123");
+      const conversionHash = fieldHash("conversion123");
+      const root = fieldHash("root123");
+      await conversionVerifier.updateCampaignRoot(1, root);
+      await mockVerifier.setResult(false);
+
+      const proof = {
+        a: [1, 2],
+        b: [[3, 4], [5, 6]],
+        c: [7, 8],
+        publicInputs: [BigInt(clickHash), BigInt(conversionHash), BigInt(root), 1, BigInt(fieldHash("user123")), BigInt(user.address), BigInt(fieldHash("conversion-nullifier123")), 0, 0, 1]
+      };
+
+      const result = await conversionVerifier.verifyConversionProof(
+        1,
+        clickHash,
+        conversionHash,
+        fieldHash("nullifier123"),
+        proof
+      );
+
+      expect(result).to.be.false;
+    });
+
+    it("Should reject public inputs outside the scalar field", async function () {
+      const clickHash = ethers.toBeHex(FIELD_SIZE, 32);
+      const conversionHash = fieldHash("conversion123");
+      const root = fieldHash("root123");
+      await conversionVerifier.updateCampaignRoot(1, root);
+
+      const proof = {
+        a: [1, 2],
+        b: [[3, 4], [5, 6]],
+        c: [7, 8],
+        publicInputs: [BigInt(clickHash), BigInt(conversionHash), BigInt(root), 1, BigInt(fieldHash("user123")), BigInt(user.address), BigInt(fieldHash("conversion-nullifier123")), 0, 0, 1]
+      };
+
+      const result = await conversionVerifier.verifyConversionProof(
+        1,
+        clickHash,
+        conversionHash,
+        fieldHash("nullifier123"),
+        proof
+      );
+
+      expect(result).to.be.false;
+    });
+
+    it("Should fail closed without a Groth16 verifier", async function () {
+      const ConversionVerifier = await ethers.getContractFactory("ConversionVerifier");
+      const unconfigured = await ConversionVerifier.deploy();
+      const clickHash = fieldHash("click123");
+      const conversionHash = fieldHash("conversion123");
+      const root = fieldHash("root123");
+      await unconfigured.updateCampaignRoot(1, root);
+
+      const proof = {
+        a: [1, 2],
+        b: [[3, 4], [5, 6]],
+        c: [7, 8],
+        publicInputs: [BigInt(clickHash), BigInt(conversionHash), BigInt(root), 1, BigInt(fieldHash("user123")), BigInt(user.address), BigInt(fieldHash("conversion-nullifier123")), 0, 0, 1]
+      };
+
+      const result = await unconfigured.verifyConversionProof(
+        1,
+        clickHash,
+        conversionHash,
+        fieldHash("nullifier123"),
+        proof
+      );
+
+      expect(result).to.be.false;
+    });
+
     it("Should reject used nullifier", async function () {
       const nullifier = ethers.keccak256(ethers.toUtf8Bytes("nullifier123"));
       
@@ -65,7 +182,7 @@ describe("ConversionVerifier", function () {
         a: [0, 0], // Invalid: zeros
         b: [[0, 0], [0, 0]],
         c: [0, 0],
-        publicInputs: [1, 2, 3]
+        publicInputs: [1, 2, 3, 1, 4, 5, 6, 7, 8, 1]
       };
 
       const result = await conversionVerifier.verifyConversionProof(
@@ -106,20 +223,20 @@ describe("ConversionVerifier", function () {
     it("Should verify batch proofs", async function () {
       const campaignIds = [1, 2];
       const clickHashes = [
-        ethers.keccak256(ethers.toUtf8Bytes("click1")),
-        ethers.keccak256(ethers.toUtf8Bytes("click2"))
+        fieldHash("click1"),
+        fieldHash("click2")
       ];
       const conversionHashes = [
-        ethers.keccak256(ethers.toUtf8Bytes("conversion1")),
-        ethers.keccak256(ethers.toUtf8Bytes("conversion2"))
+        fieldHash("conversion1"),
+        fieldHash("conversion2")
       ];
       const nullifiers = [
-        ethers.keccak256(ethers.toUtf8Bytes("null1")),
-        ethers.keccak256(ethers.toUtf8Bytes("null2"))
+        fieldHash("null1"),
+        fieldHash("null2")
       ];
 
-      const root1 = ethers.keccak256(ethers.toUtf8Bytes("root1"));
-      const root2 = ethers.keccak256(ethers.toUtf8Bytes("root2"));
+      const root1 = fieldHash("root1");
+      const root2 = fieldHash("root2");
       
       await conversionVerifier.updateCampaignRoot(1, root1);
       await conversionVerifier.updateCampaignRoot(2, root2);
@@ -129,13 +246,13 @@ describe("ConversionVerifier", function () {
           a: [1, 2],
           b: [[3, 4], [5, 6]],
           c: [7, 8],
-          publicInputs: [BigInt(clickHashes[0]), BigInt(conversionHashes[0]), BigInt(root1)]
+          publicInputs: [BigInt(clickHashes[0]), BigInt(conversionHashes[0]), BigInt(root1), 1, BigInt(fieldHash("user0")), BigInt(user.address), BigInt(fieldHash("conversion-nullifier0")), 0, 0, 1]
         },
         {
           a: [1, 2],
           b: [[3, 4], [5, 6]],
           c: [7, 8],
-          publicInputs: [BigInt(clickHashes[1]), BigInt(conversionHashes[1]), BigInt(root2)]
+          publicInputs: [BigInt(clickHashes[1]), BigInt(conversionHashes[1]), BigInt(root2), 1, BigInt(fieldHash("user1")), BigInt(user.address), BigInt(fieldHash("conversion-nullifier1")), 0, 0, 1]
         }
       ];
 
@@ -147,7 +264,7 @@ describe("ConversionVerifier", function () {
         proofs
       );
 
-      expect(results.length).to.equal(2);
+      expect(results).to.deep.equal([true, true]);
     });
   });
 });
@@ -0,0 +1,197 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deployProtocol, CONTRACT_STEPS, WIRING_STEPS } = require("../scripts/lib/pipeline");
+const { readManifest, writeManifest } = require("../scripts/lib/manifest");
+
+describe("Deployment Pipeline", function () {
+  const { ethers } = hre;
+  let manifestPath;
+
+  const run = () => deployProtocol(hre, { manifestPath, persist: true, log: () => {} });
+
+  beforeEach(async function () {
+    manifestPath = path.join(
+      fs.mkdtempSync(path.join(os.tmpdir(), "ghostbeacon-")),
+      "deployments.json"
+    );
+  });
+
+  afterEach(async function () {
+    fs.rmSync(path.dirname(manifestPath), { recursive: true, force: true });
+  });
+
+  describe("First Run", function () {
+    it("Should deploy every contract and apply every wiring call", async function () {
+      const { deployed, wired } = await run();
+
+      expect(deployed).to.deep.equal(CONTRACT_STEPS.map((step) => step.key));
+      expect(wired).to.deep.equal(WIRING_STEPS.map((step) => step.name));
+    });
+
+    it("Should wire contracts together", async function () {
+      const { contracts } = await run();
+
+      expect(await contracts.attributionGateway.billingModule()).to.equal(
+        await contracts.billingModule.getAddress()
+      );
+      expect(await contracts.attributionGateway.analyticsAggregator()).to.equal(
+        await contracts.analyticsAggregator.getAddress()
+      );
+      expect(
+        await contracts.treasuryVault.isAuthorizedSpender(
+          await contracts.billingModule.getAddress()
+        )
+      ).to.be.true;
+    });
+
+    it("Should record the deployment in the manifest", async function () {
+      const { deployment } = await run();
+      const manifest = readManifest(manifestPath);
+      const entry = manifest.networks.hardhat;
+
+      expect(entry).to.deep.equal(deployment);
+      expect(entry.chainId).to.equal(1337);
+      expect(entry.contracts.billingModule.constructorArgs).to.deep.equal([
+        entry.contracts.campaignRegistry.address,
+        entry.contracts.treasuryVault.address
+      ]);
+      expect(entry.contracts.billingModule.txHash).to.match(/^0x[0-9a-f]{64}$/);
+      expect(entry.contracts.billingModule.blockNumber).to.be.greaterThan(0);
+    });
+  });
+
+  describe("Re-runs", function () {
+    it("Should do nothing when run twice", async function () {
+      const first = await run();
+      const blockBefore = await ethers.provider.getBlockNumber();
+
+      const second = await run();
+
+      expect(second.deployed).to.be.empty;
+      expect(second.wired).to.be.empty;
+      expect(second.deployment.contracts).to.deep.equal(first.deployment.contracts);
+      expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+    });
+
+    it("Should deploy only contracts missing from the manifest", async function () {
+      const first = await run();
+
+      const manifest = readManifest(manifestPath);
+      delete manifest.networks.hardhat.contracts.fraudDetector;
+      writeManifest(manifest, manifestPath);
+
+      const second = await run();
+
+      expect(second.deployed).to.deep.equal(["fraudDetector"]);
+      expect(second.wired).to.deep.equal([
+        "AttributionGateway.setFraudDetector",
+        "FraudDetector.authorizeCaller(AttributionGateway)"
+      ]);
+      expect(second.deployment.contracts.attributionGateway).to.deep.equal(
+        first.deployment.contracts.attributionGateway
+      );
+    });
+
+    it("Should re-apply only missing wiring calls", async function () {
+      const { contracts } = await run();
+      await contracts.treasuryVault.revokeSpender(await contracts.billingModule.getAddress());
+
+      const second = await run();
+
+      expect(second.deployed).to.be.empty;
+      expect(second.wired).to.deep.equal(["TreasuryVault.authorizeSpender(BillingModule)"]);
+    });
+
+    it("Should redeploy a recorded contract without code and its dependents", async function () {
+      await run();
+
+      const manifest = readManifest(manifestPath);
+      manifest.networks.hardhat.contracts.campaignRegistry.address =
+        ethers.Wallet.createRandom().address;
+      writeManifest(manifest, manifestPath);
+
+      const second = await run();
+
+      expect(second.deployed).to.deep.equal([
+        "campaignRegistry",
+        "billingModule",
+        "attributionGateway",
+        "fraudDetector"
+      ]);
+      expect(second.wired).to.include("AttributionGateway.setBillingModule");
+      expect(second.wired).to.include("AttributionGateway.setFraudDetector");
+      expect(second.wired).to.include("CampaignRegistry.setBillingModule");
+      expect(second.wired).to.include("TreasuryVault.authorizeSpender(BillingModule)");
+    });
+
+    it("Should redeploy a recorded contract whose code changed and rewire it", async function () {
+      await run();
+
+      // A verifier exported from an earlier proving key
+      const stale = await ethers.deployContract("MockGroth16Verifier");
+      const manifest = readManifest(manifestPath);
+      manifest.networks.hardhat.contracts.conversionGroth16Verifier.address =
+        await stale.getAddress();
+      writeManifest(manifest, manifestPath);
+
+      const second = await run();
+
+      expect(second.deployed).to.deep.equal(["conversionGroth16Verifier"]);
+      expect(second.wired).to.deep.equal(["ConversionVerifier.setProofVerifier"]);
+    });
+  });
+
+  describe("Verifier Setup", function () {
+    // The runtime environment with another network name, on the same in-process chain
+    const onNetwork = (name) =>
+      Object.create(hre, { network: { value: { ...hre.network, name } } });
+
+    const writeVerificationKey = (setup) => {
+      const file = path.join(path.dirname(manifestPath), "verification_key.json");
+      fs.writeFileSync(file, JSON.stringify({ protocol: "groth16", setup }));
+      return file;
+    };
+
+    it("Should refuse to deploy the development verifier to a live network", async function () {
+      const verificationKeyPath = writeVerificationKey("development");
+
+      await expect(
+        deployProtocol(onNetwork("polygonZkEVM"), {
+          manifestPath,
+          verificationKeyPath,
+          log: () => {}
+        })
+      ).to.be.rejectedWith(/Refusing to deploy the development verifier to polygonZkEVM/);
+      expect(fs.existsSync(manifestPath)).to.be.false;
+    });
+
+    it("Should deploy a ceremony verifier to a live network", async function () {
+      const verificationKeyPath = writeVerificationKey("ceremony");
+
+      const { deployed } = await deployProtocol(onNetwork("polygonZkEVM"), {
+        manifestPath,
+        verificationKeyPath,
+        persist: true,
+        log: () => {}
+      });
+
+      expect(deployed).to.deep.equal(CONTRACT_STEPS.map((step) => step.key));
+      expect(readManifest(manifestPath).networks.polygonZkEVM).to.exist;
+    });
+
+    it("Should deploy the development verifier locally", async function () {
+      const verificationKeyPath = writeVerificationKey("development");
+
+      const { deployed } = await deployProtocol(hre, {
+        manifestPath,
+        verificationKeyPath,
+        log: () => {}
+      });
+
+      expect(deployed).to.include("conversionGroth16Verifier");
+    });
+  });
+});
@@ -0,0 +1,228 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deployProtocol } = require("../scripts/lib/pipeline");
+const {
+  noiseScale,
+  drawNoise,
+  applyNoise,
+  verifyRelease,
+  readNoiseLog,
+  curateCampaign
+} = require("../scripts/lib/privacy");
+
+describe("Differential Privacy", function () {
+  const { ethers } = hre;
+
+  // Deterministic uniform floats in (0, 1)
+  const seeded = (seed) => () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return (((t ^ (t >>> 14)) >>> 0) + 0.5) / 2 ** 32;
+  };
+
+  describe("Mechanisms", function () {
+    it("Should calibrate noise to sensitivity and epsilon", function () {
+      // Each of the three metrics gets a third of the release's epsilon
+      expect(noiseScale({ epsilon: 0.3, mechanism: "laplace" }, 1)).to.be.closeTo(10, 1e-9);
+      expect(noiseScale({ epsilon: 0.3, mechanism: "laplace" }, 100)).to.be.closeTo(1000, 1e-9);
+      expect(noiseScale({ epsilon: 0.3, mechanism: "gaussian", delta: 1e-6 }, 1)).to.be.closeTo(
+        Math.sqrt(2 * Math.log(1.25e6)) / 0.1,
+        1e-9
+      );
+    });
+
+    it("Should reject parameters the mechanisms do not cover", function () {
+      expect(() => noiseScale({ epsilon: 3, mechanism: "gaussian", delta: 1e-6 }, 1)).to.throw(
+        /needs epsilon below 3/
+      );
+      expect(() => noiseScale({ epsilon: 0.3, mechanism: "gaussian", delta: 0 }, 1)).to.throw(
+        /Delta/
+      );
+      expect(() => noiseScale({ epsilon: 0.3, mechanism: "uniform" }, 1)).to.throw(
+        /Unknown mechanism/
+      );
+    });
+
+    it("Should draw zero-mean noise at the calibrated scale", function () {
+      const random = seeded(7);
+      const draws = Array.from({ length: 4000 }, () =>
+        Number(drawNoise({ epsilon: 0.3, mechanism: "laplace" }, 1n, random).conversions)
+      );
+      const mean = draws.reduce((sum, x) => sum + x, 0) / draws.length;
+      const meanAbs = draws.reduce((sum, x) => sum + Math.abs(x), 0) / draws.length;
+
+      // Laplace(10): mean 0, mean absolute deviation 10, standard error of the mean ~0.22
+      expect(mean).to.be.closeTo(0, 1);
+      expect(meanAbs).to.be.closeTo(10, 1);
+    });
+
+    it("Should release negative noisy totals as zero", function () {
+      expect(
+        applyNoise(
+          { conversions: 2n, spent: 50n, weight: 200n },
+          { conversions: -5n, spent: 10n, weight: -200n }
+        )
+      ).to.deep.equal({ conversions: 0n, spent: 60n, weight: 0n });
+    });
+  });
+
+  describe("Releases", function () {
+    const amount = ethers.parseEther("0.1");
+    const maxAmount = ethers.parseEther("1.0");
+    let tmpDir;
+    let manifestPath;
+    let noiseLog;
+    let aggregator;
+    let registry;
+    let outsider;
+
+    const nextEpoch = async () => {
+      await ethers.provider.send("evm_increaseTime", [86400]);
+      await ethers.provider.send("evm_mine", []);
+    };
+
+    const record = async (campaignId, count) => {
+      for (let i = 0; i < count; i++) {
+        await aggregator.recordConversion(campaignId, amount, 100);
+      }
+    };
+
+    beforeEach(async function () {
+      [, outsider] = await ethers.getSigners();
+
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "ghostbeacon-"));
+      manifestPath = path.join(tmpDir, "deployments.json");
+      noiseLog = path.join(tmpDir, "noise.json");
+      let contracts;
+      ({ contracts } = await deployProtocol(hre, { manifestPath, persist: true, log: () => {} }));
+      aggregator = contracts.analyticsAggregator;
+      registry = contracts.campaignRegistry;
+
+      // Start at the beginning of an epoch, so the setup does not straddle two
+      const { timestamp } = await ethers.provider.getBlock("latest");
+      await ethers.provider.send("evm_setNextBlockTimestamp", [
+        (Math.floor(timestamp / 86400) + 1) * 86400 + 60
+      ]);
+
+      await aggregator.setDifferentialPrivacy(1, true);
+      // Two releases of epsilon 0.3
+      await aggregator.setPrivacyBudget(1, 600000, maxAmount);
+      await record(1, 5);
+    });
+
+    afterEach(async function () {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it("Should not reveal raw totals to repeated queries", async function () {
+      const options = { random: () => 0.9 };
+      await curateCampaign(aggregator, 1, noiseLog, options);
+
+      // Nothing is published before the epoch ends
+      expect((await aggregator.getMetrics(1)).totalConversions).to.equal(0);
+
+      await nextEpoch();
+      const { released } = await curateCampaign(aggregator, 1, noiseLog, options);
+      expect(released).to.have.lengthOf(1);
+
+      // Every query, in any block, answers with the one committed release
+      const answers = [];
+      for (let i = 0; i < 10; i++) {
+        const metrics = await aggregator.getMetrics(1);
+        answers.push([metrics.totalConversions, metrics.totalSpent, metrics.totalWeight]);
+        await ethers.provider.send("evm_mine", []);
+      }
+      const distinct = new Set(answers.map((answer) => answer.join(",")));
+      expect(distinct.size).to.equal(1);
+
+      // Laplace(10) noise at u = 0.9 is +16: averaging the answers cannot get back to 5
+      const [conversions, spent, weight] = answers[0];
+      expect(conversions).to.equal(21);
+      expect(spent).to.not.equal(amount * 5n);
+      expect(weight).to.not.equal(500);
+
+      // The exact epoch totals are not part of the analytics query API (they are on-chain)
+      await expect(aggregator.connect(outsider).getEpochTotals(1, released[0].epoch)).to.be
+        .reverted;
+    });
+
+    it("Should charge each release to the budget and stop once it is exhausted", async function () {
+      await curateCampaign(aggregator, 1, noiseLog);
+      await nextEpoch();
+      await record(1, 3);
+      const second = await curateCampaign(aggregator, 1, noiseLog);
+
+      expect(second.released).to.have.lengthOf(1);
+      expect(second.committed).to.not.be.null;
+      expect(second.budget).to.deep.equal({ epsilon: 600000n, spent: 300000n });
+
+      await nextEpoch();
+      const third = await curateCampaign(aggregator, 1, noiseLog);
+
+      expect(third.released).to.have.lengthOf(1);
+      expect(third.committed).to.be.null;
+      expect(third.exhausted).to.be.true;
+      expect((await aggregator.getPrivacyBudget(1)).spent).to.equal(600000n);
+
+      // A release past the budget is refused on-chain too
+      const epoch = await aggregator.currentEpoch();
+      await aggregator.commitNoise(1, epoch, ethers.id("noise"));
+      await nextEpoch();
+      await expect(aggregator.releaseEpoch(1, epoch, 1, 0, 0, 1)).to.be.revertedWith(
+        "Privacy budget exhausted"
+      );
+    });
+
+    it("Should let auditors check a release against its committed noise", async function () {
+      await curateCampaign(aggregator, 1, noiseLog);
+      await nextEpoch();
+      const {
+        released: [{ epoch }]
+      } = await curateCampaign(aggregator, 1, noiseLog);
+
+      const entry = readNoiseLog(noiseLog).campaigns[1][epoch];
+      const release = await aggregator.getRelease(1, epoch);
+      const [conversions, spent, weight] = await aggregator.getEpochTotals(1, epoch);
+      const totals = { conversions, spent, weight };
+
+      expect(entry.released).to.be.true;
+      expect(release.noiseCommitment).to.equal(entry.commitment);
+      expect(verifyRelease(1, epoch, release, totals, entry)).to.be.true;
+
+      // Off by one from the drawn noise, which may itself be 0
+      const forged = (BigInt(entry.noise.conversions) + 1n).toString();
+      const tampered = { ...entry, noise: { ...entry.noise, conversions: forged } };
+      expect(verifyRelease(1, epoch, release, totals, tampered)).to.be.false;
+    });
+
+    it("Should refuse to curate campaigns without differential privacy", async function () {
+      const error = await curateCampaign(aggregator, 2, noiseLog).catch((caught) => caught);
+
+      expect(error.message).to.equal("Campaign 2 does not have differential privacy enabled");
+      expect(fs.existsSync(noiseLog)).to.be.false;
+    });
+
+    it("Should run as a Hardhat task", async function () {
+      // Campaign 1 has DP enabled, campaign 2 does not
+      await registry.createCampaign(maxAmount, 0, "QmPrivate");
+      await registry.createCampaign(maxAmount, 0, "QmPublic");
+      const args = { manifest: manifestPath, noiseLog };
+
+      const [committed] = await hre.run({ scope: "ghostbeacon", task: "release-analytics" }, args);
+      await nextEpoch();
+      const reports = await hre.run({ scope: "ghostbeacon", task: "release-analytics" }, args);
+
+      expect(committed.campaignId).to.equal(1);
+      expect(reports).to.have.lengthOf(1);
+      expect(reports[0].released).to.have.lengthOf(1);
+      expect((await aggregator.getMetrics(1)).totalConversions).to.equal(
+        reports[0].released[0].conversions
+      );
+      expect(fs.statSync(noiseLog).mode & 0o777).to.equal(0o600);
+    });
+  });
+});
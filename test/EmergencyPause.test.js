@@ -0,0 +1,98 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deployProtocol } = require("../scripts/lib/pipeline");
+
+describe("Emergency Pause Tasks", function () {
+  const { ethers } = hre;
+  const PAUSABLE = ["attributionGateway", "billingModule", "treasuryVault"];
+
+  let manifest;
+  let contracts;
+  let guardian;
+
+  const run = (task, args = {}) => hre.run({ scope: "ghostbeacon", task }, { manifest, ...args });
+  const pausedState = async () =>
+    Object.fromEntries(
+      await Promise.all(PAUSABLE.map(async (key) => [key, await contracts[key].paused()]))
+    );
+
+  beforeEach(async function () {
+    [, guardian] = await ethers.getSigners();
+    manifest = path.join(
+      fs.mkdtempSync(path.join(os.tmpdir(), "ghostbeacon-")),
+      "deployments.json"
+    );
+    ({ contracts } = await deployProtocol(hre, {
+      manifestPath: manifest,
+      persist: true,
+      log: () => {}
+    }));
+  });
+
+  afterEach(async function () {
+    fs.rmSync(path.dirname(manifest), { recursive: true, force: true });
+  });
+
+  it("Should pause every pausable contract in the manifest", async function () {
+    const results = await run("pause", { all: true });
+
+    expect(results.map((result) => result.key)).to.have.members(PAUSABLE);
+    expect(results.every((result) => result.paused && result.txHash)).to.be.true;
+    expect(await pausedState()).to.deep.equal({
+      attributionGateway: true,
+      billingModule: true,
+      treasuryVault: true
+    });
+  });
+
+  it("Should skip contracts that are already paused", async function () {
+    await contracts.billingModule.pause();
+
+    const results = await run("pause", { all: true });
+
+    const billing = results.find((result) => result.key === "billingModule");
+    expect(billing).to.include({ paused: true, txHash: null });
+  });
+
+  it("Should pause and unpause selected contracts", async function () {
+    await run("pause", { contracts: "billingModule, treasuryVault" });
+    expect(await pausedState()).to.deep.equal({
+      attributionGateway: false,
+      billingModule: true,
+      treasuryVault: true
+    });
+
+    await run("unpause", { all: true });
+    expect(Object.values(await pausedState())).to.deep.equal([false, false, false]);
+  });
+
+  it("Should reject an empty or unpausable selection", async function () {
+    await expect(run("pause")).to.be.rejectedWith("Pass either --all or --contracts");
+    await expect(run("pause", { contracts: "campaignRegistry" })).to.be.rejectedWith(
+      "CampaignRegistry (campaignRegistry) cannot be paused"
+    );
+  });
+
+  it("Should keep pausing when one contract fails", async function () {
+    await contracts.treasuryVault.transferOwnership(guardian.address);
+
+    await expect(run("pause", { all: true })).to.be.rejectedWith("Could not update TreasuryVault");
+
+    expect(await pausedState()).to.deep.equal({
+      attributionGateway: true,
+      billingModule: true,
+      treasuryVault: false
+    });
+  });
+
+  it("Should appoint a guardian that can pause", async function () {
+    const results = await run("set-guardian", { all: true, guardian: guardian.address });
+
+    expect(results.every((result) => result.guardian === guardian.address)).to.be.true;
+    await contracts.treasuryVault.connect(guardian).pause();
+    expect(await contracts.treasuryVault.paused()).to.be.true;
+  });
+});
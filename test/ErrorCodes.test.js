@@ -0,0 +1,255 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deployProtocol } = require("../scripts/lib/pipeline");
+const { buildClickTree, toBytes32, toField } = require("../zk");
+const {
+  GhostBeacon,
+  ErrorCode,
+  REVERT_REASONS,
+  CUSTOM_ERRORS,
+  REJECTION_REASONS,
+  describeCode,
+  decodeError,
+  formatError
+} = require("../sdk");
+
+/**
+ * Collects string literals used by require() and ConversionRejected in the contracts
+ */
+function scanContracts() {
+  const reasons = new Set();
+  const rejections = new Set();
+  const dir = path.join(__dirname, "..", "contracts");
+
+  const walk = (current) => {
+    for (const entry of fs.readdirSync(current, { withFileTypes: true })) {
+      const file = path.join(current, entry.name);
+      if (entry.isDirectory()) {
+        if (!["mocks", "verifiers"].includes(entry.name)) walk(file);
+        continue;
+      }
+
+      const source = fs.readFileSync(file, "utf8");
+      for (const [, args] of source.matchAll(/require\s*\(([\s\S]*?)\);/g)) {
+        const strings = [...args.matchAll(/"([^"]*)"/g)];
+        if (strings.length > 0) reasons.add(strings[strings.length - 1][1]);
+      }
+      for (const [, reason] of source.matchAll(/ConversionRejected\([^;]*?"([^"]*)"/g)) {
+        rejections.add(reason);
+      }
+    }
+  };
+  walk(dir);
+
+  return { reasons: [...reasons], rejections: [...rejections] };
+}
+
+describe("Error Codes", function () {
+  const { ethers } = hre;
+
+  describe("Catalogue", function () {
+    it("Should map every require() reason in the contracts", async function () {
+      const { reasons } = scanContracts();
+
+      expect(reasons.length).to.be.greaterThan(0);
+      expect(reasons.filter((reason) => !REVERT_REASONS[reason])).to.be.empty;
+    });
+
+    it("Should map every ConversionRejected reason", async function () {
+      const { rejections } = scanContracts();
+
+      expect(rejections.length).to.be.greaterThan(0);
+      expect(rejections.filter((reason) => !REJECTION_REASONS[reason])).to.be.empty;
+    });
+
+    it("Should map every custom error the SDK can decode", async function () {
+      const names = [];
+      for (const name of ["Errors", "CampaignRegistry", "TreasuryVault", "AttributionGateway"]) {
+        const { abi } = await hre.artifacts.readArtifact(name);
+        names.push(...abi.filter((item) => item.type === "error").map((item) => item.name));
+      }
+
+      expect(names.filter((name) => !CUSTOM_ERRORS[name])).to.be.empty;
+    });
+
+    it("Should describe every mapped code", async function () {
+      const codes = [
+        ...Object.values(REVERT_REASONS),
+        ...Object.values(CUSTOM_ERRORS),
+        ...Object.values(REJECTION_REASONS)
+      ];
+
+      for (const code of codes) {
+        expect(describeCode(code).code).to.equal(code);
+      }
+    });
+  });
+
+  describe("Decoding", function () {
+    it("Should give revert strings and custom errors the same code", async function () {
+      const errorsInterface = new ethers.Interface(
+        (await hre.artifacts.readArtifact("Errors")).abi
+      );
+      const custom = decodeError({ data: errorsInterface.encodeErrorResult("InvalidBudget") });
+      const revert = decodeError({
+        data: errorsInterface.encodeErrorResult("Error", ["Budget must be greater than 0"])
+      });
+
+      expect(custom.code).to.equal(ErrorCode.INVALID_BUDGET);
+      expect(revert.code).to.equal(ErrorCode.INVALID_BUDGET);
+      expect(revert.retryable).to.be.false;
+    });
+
+    it("Should flag retryable funding errors", async function () {
+      const error = decodeError({ reason: "Insufficient campaign balance" });
+
+      expect(error.code).to.equal(ErrorCode.INSUFFICIENT_BALANCE);
+      expect(error.retryable).to.be.true;
+    });
+
+    it("Should map ethers transport errors", async function () {
+      const error = decodeError({ code: "TIMEOUT", shortMessage: "request timeout" });
+
+      expect(error.code).to.equal(ErrorCode.NETWORK_ERROR);
+      expect(error.retryable).to.be.true;
+      expect(error.message).to.equal("request timeout");
+    });
+
+    it("Should fall back to UNKNOWN_REVERT for unmapped reasons", async function () {
+      const error = decodeError({ reason: "Something new" });
+
+      expect(error.code).to.equal(ErrorCode.UNKNOWN_REVERT);
+      expect(error.reason).to.equal("Something new");
+    });
+
+    it("Should format errors for CLI output", async function () {
+      expect(formatError({ reason: "Not campaign owner" })).to.equal(
+        "[NOT_CAMPAIGN_OWNER] Only the campaign owner can do this (Not campaign owner)"
+      );
+      expect(formatError({ code: "NETWORK_ERROR", shortMessage: "connection refused" })).to.equal(
+        "[NETWORK_ERROR] connection refused (retryable)"
+      );
+    });
+  });
+
+  describe("On-chain", function () {
+    let contracts;
+    let manifest;
+    let sdk;
+    let advertiser;
+    let publisher;
+    let other;
+
+    const conversion = (label) => {
+      const conversionHash = toBytes32(toField(ethers.id(`conversion-${label}`)));
+
+      return {
+        campaignId: 1,
+        publisher: publisher.address,
+        clickHash: ethers.ZeroHash,
+        conversionHash,
+        nullifier: toBytes32(toField(ethers.id(label))),
+        proof: {
+          a: [1, 2],
+          b: [
+            [3, 4],
+            [5, 6]
+          ],
+          c: [7, 8],
+          publicInputs: [
+            0,
+            conversionHash,
+            0,
+            100,
+            toBytes32(toField(ethers.id(`user-${label}`))),
+            publisher.address,
+            toBytes32(toField(ethers.id(`conversion-nullifier-${label}`))),
+            0,
+            0,
+            1
+          ]
+        }
+      };
+    };
+
+    beforeEach(async function () {
+      [, advertiser, publisher, other] = await ethers.getSigners();
+      manifest = path.join(
+        fs.mkdtempSync(path.join(os.tmpdir(), "ghostbeacon-")),
+        "deployments.json"
+      );
+      ({ contracts } = await deployProtocol(hre, {
+        manifestPath: manifest,
+        persist: true,
+        log: () => {}
+      }));
+
+      const mockVerifier = await ethers.deployContract("MockGroth16Verifier");
+      await contracts.conversionVerifier.setProofVerifier(await mockVerifier.getAddress());
+      await contracts.billingModule.registerPublisher(1, publisher.address, ethers.ZeroAddress);
+
+      sdk = await GhostBeacon.fromManifest(advertiser, { manifest });
+      await sdk.campaigns.createCampaign({ budget: ethers.parseEther("1"), metadataCID: "QmTest" });
+    });
+
+    afterEach(async function () {
+      fs.rmSync(path.dirname(manifest), { recursive: true, force: true });
+    });
+
+    it("Should attach codes to contract reverts", async function () {
+      const error = await sdk
+        .connect(other)
+        .campaigns.closeCampaign(1)
+        .catch((e) => e);
+
+      expect(error.code).to.equal(ErrorCode.NOT_CAMPAIGN_OWNER);
+      expect(error.retryable).to.be.false;
+    });
+
+    it("Should report a retryable billing rejection", async function () {
+      // Unfunded campaign: the vault cannot pay, so billing fails
+      const result = await sdk.gateway.submitConversion(conversion("unfunded"));
+
+      expect(result).to.include({
+        accepted: false,
+        reason: "Billing failed",
+        code: ErrorCode.BILLING_FAILED,
+        retryable: true
+      });
+    });
+
+    it("Should report a non-retryable replay rejection", async function () {
+      await sdk.treasury.deposit(1, ethers.parseEther("1"));
+      await sdk.gateway.submitConversion(conversion("replay"));
+
+      const result = await sdk.gateway.submitConversion(conversion("replay"));
+
+      expect(result).to.include({ code: ErrorCode.NULLIFIER_ALREADY_USED, retryable: false });
+    });
+
+    it("Should report a paused gateway as retryable", async function () {
+      await contracts.attributionGateway.pause();
+
+      const error = await sdk.gateway.submitConversion(conversion("paused")).catch((e) => e);
+
+      expect(error.code).to.equal(ErrorCode.PAUSED);
+      expect(error.retryable).to.be.true;
+    });
+
+    it("Should surface codes in CLI task failures", async function () {
+      const treeFile = path.join(path.dirname(manifest), "clicks.json");
+      buildClickTree([1n, 2n]).save(treeFile);
+      await contracts.conversionVerifier.transferOwnership(other.address);
+
+      await expect(
+        hre.run(
+          { scope: "ghostbeacon", task: "publish-root" },
+          { campaign: "1", tree: treeFile, manifest }
+        )
+      ).to.be.rejectedWith("[NOT_AUTHORIZED]");
+    });
+  });
+});
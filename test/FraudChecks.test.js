@@ -0,0 +1,264 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { deployProtocol } = require("../scripts/lib/pipeline");
+const { toBytes32, toField } = require("../zk");
+const { GhostBeacon, ErrorCode } = require("../sdk");
+
+describe("Fraud Checks", function () {
+  const { ethers } = hre;
+  const budget = ethers.parseEther("10.0");
+  // A last-click conversion is billed its whole weight of 100 at 0.001 per unit
+  const fee = ethers.parseEther("0.1");
+
+  let contracts;
+  let mockVerifier;
+  let advertiser;
+  let publisher;
+  let relayer;
+  let sdk;
+
+  // Campaign pseudonym a user's proofs carry in publicInputs[4]
+  const pseudonymOf = (user) => toBytes32(toField(ethers.id(`pseudonym-${user}`)));
+
+  const conversion = (label, user = "alice") => {
+    const conversionHash = toBytes32(toField(ethers.id(`conversion-${label}`)));
+
+    return {
+      campaignId: 1,
+      publisher: publisher.address,
+      clickHash: ethers.ZeroHash,
+      conversionHash,
+      nullifier: toBytes32(toField(ethers.id(label))),
+      proof: {
+        a: [1, 2],
+        b: [
+          [3, 4],
+          [5, 6]
+        ],
+        c: [7, 8],
+        publicInputs: [
+          0,
+          conversionHash,
+          0,
+          100,
+          pseudonymOf(user),
+          publisher.address,
+          toBytes32(toField(ethers.id(`conversion-nullifier-${label}-${user}`))),
+          0,
+          0,
+          1
+        ]
+      }
+    };
+  };
+
+  // Another click of conversion `label` by the same user
+  const anotherClick = (label, clickLabel) => ({
+    ...conversion(label),
+    nullifier: toBytes32(toField(ethers.id(clickLabel)))
+  });
+
+  // Device ID the gateway passes to the fraud module for a publisher's traffic
+  const deviceIdOf = (address) => ethers.zeroPadValue(address, 32);
+
+  const reputationOf = (user) => contracts.fraudDetector.getUserReputation(pseudonymOf(user));
+
+  const expectNothingSpent = async () => {
+    expect((await sdk.campaigns.getCampaign(1)).spent).to.equal(0);
+    expect(await sdk.treasury.getCampaignBalance(1)).to.equal(budget);
+    expect((await sdk.treasury.getEarnings(publisher.address, 1)).pending).to.equal(0);
+  };
+
+  beforeEach(async function () {
+    [, advertiser, publisher, relayer] = await ethers.getSigners();
+    let deployment;
+    ({ deployment, contracts } = await deployProtocol(hre, { persist: false, log: () => {} }));
+
+    mockVerifier = await ethers.deployContract("MockGroth16Verifier");
+    await contracts.conversionVerifier.setProofVerifier(await mockVerifier.getAddress());
+
+    const addresses = Object.fromEntries(
+      Object.entries(deployment.contracts).map(([key, entry]) => [key, entry.address])
+    );
+    sdk = new GhostBeacon(advertiser, addresses);
+
+    await sdk.campaigns.createCampaign({ budget, metadataCID: "QmFraud" });
+    await sdk.treasury.deposit(1, budget);
+    await sdk.billing.registerPublisher(1, publisher.address);
+    // Every conversion goes through one relayer
+    sdk = sdk.connect(relayer);
+  });
+
+  describe("Wiring", function () {
+    it("Should wire the fraud module into the gateway", async function () {
+      expect(await contracts.attributionGateway.fraudDetector()).to.equal(
+        contracts.fraudDetector.target
+      );
+      expect(await contracts.fraudDetector.isAuthorizedCaller(contracts.attributionGateway.target))
+        .to.be.true;
+    });
+
+    it("Should only let authorized callers record outcomes", async function () {
+      await expect(
+        contracts.fraudDetector
+          .connect(relayer)
+          .recordConversion(1, pseudonymOf("alice"), ethers.ZeroHash, true)
+      ).to.be.revertedWith("Not authorized");
+      await expect(
+        contracts.attributionGateway.connect(advertiser).setFraudDetector(relayer.address)
+      ).to.be.revertedWithCustomError(contracts.attributionGateway, "OwnableUnauthorizedAccount");
+      await expect(
+        contracts.attributionGateway.setFraudDetector(ethers.ZeroAddress)
+      ).to.be.revertedWith("Invalid address");
+    });
+  });
+
+  describe("Rejections", function () {
+    it("Should reject a blacklisted pseudonym without spending budget", async function () {
+      await contracts.fraudDetector.blacklistUser(pseudonymOf("alice"));
+
+      const result = await sdk.gateway.submitConversion(conversion("a"));
+
+      expect(result).to.include({
+        accepted: false,
+        reason: "Fraud check failed",
+        code: ErrorCode.FRAUD_CHECK_FAILED,
+        retryable: false
+      });
+      expect(await sdk.gateway.isNullifierProcessed(conversion("a").nullifier)).to.be.false;
+      await expectNothingSpent();
+      expect(await sdk.gateway.submitConversion(conversion("b", "bob"))).to.include({
+        accepted: true
+      });
+    });
+
+    it("Should rate limit a repeat converter, not the relayer", async function () {
+      const { results } = await sdk.gateway.batchSubmitConversions(
+        Array.from({ length: 10 }, (_, i) => conversion(`repeat-${i}`))
+      );
+      expect(results.every((result) => result.accepted)).to.be.true;
+
+      const limited = await sdk.gateway.submitConversion(conversion("repeat-10"));
+      expect(limited).to.include({ accepted: false, code: ErrorCode.FRAUD_CHECK_FAILED });
+      expect((await sdk.campaigns.getCampaign(1)).spent).to.equal(fee * 10n);
+
+      // Other users' conversions through the same relayer still go through
+      expect(await sdk.gateway.submitConversion(conversion("other", "bob"))).to.include({
+        accepted: true
+      });
+
+      await ethers.provider.send("evm_increaseTime", [3600]);
+      expect(await sdk.gateway.submitConversion(conversion("repeat-10"))).to.include({
+        accepted: true
+      });
+    });
+
+    it("Should count a pseudonym's earlier conversions in a batch against its rate limit", async function () {
+      await sdk.gateway.batchSubmitConversions([conversion("early-0"), conversion("early-1")]);
+      expect(await sdk.fraud.getRemainingConversions(1, pseudonymOf("alice"))).to.equal(8n);
+
+      const { results } = await sdk.gateway.batchSubmitConversions([
+        ...Array.from({ length: 10 }, (_, i) => conversion(`repeat-${i}`)),
+        conversion("other", "bob")
+      ]);
+
+      expect(results.map((result) => result.code)).to.deep.equal([
+        ...Array(8).fill(null),
+        ErrorCode.FRAUD_CHECK_FAILED,
+        ErrorCode.FRAUD_CHECK_FAILED,
+        null
+      ]);
+      expect((await sdk.campaigns.getCampaign(1)).spent).to.equal(fee * 11n);
+      expect(await sdk.fraud.getRemainingConversions(1, pseudonymOf("alice"))).to.equal(0n);
+      // Staying within the limit is not suspicious
+      expect((await reputationOf("alice")).score).to.equal(60n);
+    });
+
+    it("Should reject traffic from a low-scored publisher", async function () {
+      await contracts.fraudDetector.setDeviceScore(deviceIdOf(publisher.address), 10);
+
+      const result = await sdk.gateway.submitConversion(conversion("a"));
+
+      expect(result).to.include({ accepted: false, code: ErrorCode.FRAUD_CHECK_FAILED });
+      await expectNothingSpent();
+    });
+  });
+
+  describe("Fraud policies", function () {
+    it("Should judge a campaign's conversions by the policy its owner sets", async function () {
+      const advertiserSdk = sdk.connect(advertiser);
+      await advertiserSdk.fraud.setFraudPolicy(1, { maxConversionsPerWindow: 1 });
+
+      expect(await sdk.fraud.getFraudPolicy(1)).to.deep.equal({
+        ...(await sdk.fraud.getDefaultPolicy()),
+        maxConversionsPerWindow: 1n
+      });
+      expect(await sdk.gateway.submitConversion(conversion("a"))).to.include({ accepted: true });
+      expect(await sdk.gateway.submitConversion(conversion("b"))).to.include({
+        accepted: false,
+        code: ErrorCode.FRAUD_CHECK_FAILED
+      });
+
+      await advertiserSdk.fraud.clearFraudPolicy(1);
+      expect(await sdk.fraud.hasFraudPolicy(1)).to.be.false;
+      expect(await sdk.gateway.submitConversion(conversion("b"))).to.include({ accepted: true });
+    });
+
+    it("Should only take policies from the campaign owner, within bounds", async function () {
+      const notOwner = await sdk.fraud
+        .setFraudPolicy(1, { maxConversionsPerWindow: 1 })
+        .catch((caught) => caught);
+      const outOfBounds = await sdk
+        .connect(advertiser)
+        .fraud.setFraudPolicy(1, { penaltyStep: 0 })
+        .catch((caught) => caught);
+
+      expect(notOwner).to.include({ code: ErrorCode.NOT_CAMPAIGN_OWNER });
+      expect(outOfBounds).to.include({ code: ErrorCode.INVALID_FRAUD_POLICY, retryable: false });
+    });
+  });
+
+  describe("Outcome feedback", function () {
+    it("Should raise the reputation of pseudonyms whose conversions are billed", async function () {
+      await sdk.gateway.submitConversion(conversion("a"));
+
+      const reputation = await reputationOf("alice");
+      expect(reputation.score).to.equal(51);
+      expect(reputation.conversions).to.equal(1);
+      expect(await contracts.fraudDetector.getDeviceScore(deviceIdOf(publisher.address))).to.equal(
+        50
+      );
+    });
+
+    it("Should lower the reputation of pseudonyms that over-claim attribution", async function () {
+      await sdk.gateway.submitConversion(conversion("a"));
+
+      // Last-click attribution pays one click per conversion
+      const result = await sdk.gateway.submitConversion(anotherClick("a", "again"));
+
+      expect(result).to.include({ accepted: false, code: ErrorCode.CONVERSION_ATTRIBUTED });
+      expect((await reputationOf("alice")).score).to.equal(50);
+    });
+
+    it("Should block a pseudonym once its reputation sinks below the threshold", async function () {
+      await contracts.fraudDetector.setUserScore(pseudonymOf("alice"), 20);
+      await sdk.gateway.submitConversion(conversion("a"));
+      await sdk.gateway.submitConversion(anotherClick("a", "again"));
+      await sdk.gateway.submitConversion(anotherClick("a", "once more"));
+
+      const result = await sdk.gateway.submitConversion(conversion("b"));
+
+      expect((await reputationOf("alice")).score).to.equal(19);
+      expect(result).to.include({ accepted: false, code: ErrorCode.FRAUD_CHECK_FAILED });
+    });
+
+    it("Should not score the pseudonym of an unproven conversion", async function () {
+      await mockVerifier.setResult(false);
+
+      const result = await sdk.gateway.submitConversion(conversion("a"));
+
+      expect(result).to.include({ accepted: false, code: ErrorCode.INVALID_PROOF });
+      expect((await reputationOf("alice")).score).to.equal(0);
+    });
+  });
+});
@@ -3,15 +3,25 @@ const { ethers } = require("hardhat");
 
 describe("FraudDetector", function () {
   let fraudDetector;
+  let campaignRegistry;
   let owner;
   let user1;
-  let user2;
+
+  // Users are known by their campaign pseudonym, never by address
+  const pseudonym1 = ethers.keccak256(ethers.toUtf8Bytes("pseudonym1"));
+  const pseudonym2 = ethers.keccak256(ethers.toUtf8Bytes("pseudonym2"));
+  const campaignId = 1;
 
   beforeEach(async function () {
-    [owner, user1, user2] = await ethers.getSigners();
+    [owner, user1] = await ethers.getSigners();
+    
+    const CampaignRegistry = await ethers.getContractFactory("CampaignRegistry");
+    campaignRegistry = await CampaignRegistry.deploy();
+    await campaignRegistry.waitForDeployment();
+    await campaignRegistry.connect(user1).createCampaign(ethers.parseEther("1.0"), 0, "QmTest");
     
     const FraudDetector = await ethers.getContractFactory("FraudDetector");
-    fraudDetector = await FraudDetector.deploy();
+    fraudDetector = await FraudDetector.deploy(await campaignRegistry.getAddress());
     await fraudDetector.waitForDeployment();
   });
 
@@ -20,26 +30,32 @@ describe("FraudDetector", function () {
       const deviceId = ethers.keccak256(ethers.toUtf8Bytes("device1"));
       
       // Record successful conversion to build reputation
-      await fraudDetector.recordConversion(user1.address, deviceId, true);
+      await fraudDetector.recordConversion(campaignId, pseudonym1, deviceId, true);
       
-      expect(await fraudDetector.checkFraud(user1.address, deviceId)).to.be.true;
+      expect(await fraudDetector.checkFraud(campaignId, pseudonym1, deviceId)).to.be.true;
     });
 
     it("Should detect blacklisted user", async function () {
       const deviceId = ethers.keccak256(ethers.toUtf8Bytes("device1"));
       
-      await fraudDetector.blacklistUser(user1.address);
+      await fraudDetector.blacklistUser(pseudonym1);
       
-      expect(await fraudDetector.checkFraud(user1.address, deviceId)).to.be.false;
+      expect(await fraudDetector.checkFraud(campaignId, pseudonym1, deviceId)).to.be.false;
+    });
+
+    it("Should allow a user and device without a score yet", async function () {
+      const deviceId = ethers.keccak256(ethers.toUtf8Bytes("device1"));
+      
+      expect(await fraudDetector.checkFraud(campaignId, pseudonym1, deviceId)).to.be.true;
     });
 
     it("Should detect low reputation user", async function () {
       const deviceId = ethers.keccak256(ethers.toUtf8Bytes("device1"));
       
       // Set low reputation score
-      await fraudDetector.setUserScore(user1.address, 10);
+      await fraudDetector.setUserScore(pseudonym1, 10);
       
-      expect(await fraudDetector.checkFraud(user1.address, deviceId)).to.be.false;
+      expect(await fraudDetector.checkFraud(campaignId, pseudonym1, deviceId)).to.be.false;
     });
   });
 
@@ -47,64 +63,99 @@ describe("FraudDetector", function () {
     it("Should initialize user with default reputation", async function () {
       const deviceId = ethers.keccak256(ethers.toUtf8Bytes("device1"));
       
-      await fraudDetector.recordConversion(user1.address, deviceId, true);
+      await fraudDetector.recordConversion(campaignId, pseudonym1, deviceId, true);
       
-      const reputation = await fraudDetector.getUserReputation(user1.address);
+      const reputation = await fraudDetector.getUserReputation(pseudonym1);
       expect(reputation.score).to.equal(51); // INITIAL_REPUTATION + 1
     });
 
     it("Should increase reputation on successful conversion", async function () {
       const deviceId = ethers.keccak256(ethers.toUtf8Bytes("device1"));
       
-      await fraudDetector.setUserScore(user1.address, 50);
-      await fraudDetector.recordConversion(user1.address, deviceId, true);
+      await fraudDetector.setUserScore(pseudonym1, 50);
+      await fraudDetector.recordConversion(campaignId, pseudonym1, deviceId, true);
       
-      const reputation = await fraudDetector.getUserReputation(user1.address);
+      const reputation = await fraudDetector.getUserReputation(pseudonym1);
       expect(reputation.score).to.equal(51);
     });
 
     it("Should decrease reputation on failed conversion", async function () {
       const deviceId = ethers.keccak256(ethers.toUtf8Bytes("device1"));
       
-      await fraudDetector.setUserScore(user1.address, 50);
-      await fraudDetector.recordConversion(user1.address, deviceId, false);
+      await fraudDetector.setUserScore(pseudonym1, 50);
+      await fraudDetector.recordConversion(campaignId, pseudonym1, deviceId, false);
       
-      const reputation = await fraudDetector.getUserReputation(user1.address);
+      const reputation = await fraudDetector.getUserReputation(pseudonym1);
       expect(reputation.score).to.equal(49);
     });
 
+    it("Should emit an event for each recorded conversion", async function () {
+      const deviceId = ethers.keccak256(ethers.toUtf8Bytes("device1"));
+      
+      const tx = await fraudDetector.recordConversion(campaignId, pseudonym1, deviceId, false);
+      const { timestamp } = await ethers.provider.getBlock((await tx.wait()).blockNumber);
+      
+      await expect(tx)
+        .to.emit(fraudDetector, "ConversionRecorded")
+        .withArgs(campaignId, pseudonym1, deviceId, false, timestamp);
+    });
+
     it("Should emit event on reputation update", async function () {
       const deviceId = ethers.keccak256(ethers.toUtf8Bytes("device1"));
       
       await expect(
-        fraudDetector.setUserScore(user1.address, 75)
-      ).to.emit(fraudDetector, "UserScoreUpdated").withArgs(user1.address, 75);
+        fraudDetector.setUserScore(pseudonym1, 75)
+      ).to.emit(fraudDetector, "UserScoreUpdated").withArgs(pseudonym1, 75);
     });
   });
 
   describe("Blacklist Management", function () {
     it("Should blacklist user", async function () {
       await expect(
-        fraudDetector.blacklistUser(user1.address)
+        fraudDetector.blacklistUser(pseudonym1)
       ).to.emit(fraudDetector, "UserBlacklisted");
       
-      expect(await fraudDetector.isBlacklisted(user1.address)).to.be.true;
+      expect(await fraudDetector.isBlacklisted(pseudonym1)).to.be.true;
     });
 
     it("Should whitelist user", async function () {
-      await fraudDetector.blacklistUser(user1.address);
-      await fraudDetector.whitelistUser(user1.address);
+      await fraudDetector.blacklistUser(pseudonym1);
+      await fraudDetector.whitelistUser(pseudonym1);
       
-      expect(await fraudDetector.isBlacklisted(user1.address)).to.be.false;
+      expect(await fraudDetector.isBlacklisted(pseudonym1)).to.be.false;
     });
 
     it("Should only allow owner to blacklist", async function () {
       await expect(
-        fraudDetector.connect(user1).blacklistUser(user2.address)
+        fraudDetector.connect(user1).blacklistUser(pseudonym2)
       ).to.be.reverted;
     });
   });
 
+  describe("Authorized Callers", function () {
+    it("Should only let authorized callers record conversions", async function () {
+      const deviceId = ethers.keccak256(ethers.toUtf8Bytes("device1"));
+      
+      await expect(
+        fraudDetector.connect(user1).recordConversion(campaignId, pseudonym1, deviceId, true)
+      ).to.be.revertedWith("Not authorized");
+      
+      await expect(fraudDetector.authorizeCaller(user1.address))
+        .to.emit(fraudDetector, "CallerAuthorized").withArgs(user1.address);
+      await fraudDetector.connect(user1).recordConversion(campaignId, pseudonym1, deviceId, true);
+      expect((await fraudDetector.getUserReputation(pseudonym1)).conversions).to.equal(1);
+      
+      await fraudDetector.revokeCaller(user1.address);
+      expect(await fraudDetector.isAuthorizedCaller(user1.address)).to.be.false;
+    });
+
+    it("Should reject zero address caller", async function () {
+      await expect(
+        fraudDetector.authorizeCaller(ethers.ZeroAddress)
+      ).to.be.revertedWith("Invalid caller");
+    });
+  });
+
   describe("Device Scoring", function () {
     it("Should track device scores", async function () {
       const deviceId = ethers.keccak256(ethers.toUtf8Bytes("device1"));
@@ -120,44 +171,257 @@ describe("FraudDetector", function () {
         fraudDetector.setDeviceScore(deviceId, 101)
       ).to.be.revertedWith("Score too high");
     });
+
+    it("Should reject a zero score, which would read as unscored", async function () {
+      const deviceId = ethers.keccak256(ethers.toUtf8Bytes("device1"));
+      
+      await expect(
+        fraudDetector.setUserScore(pseudonym1, 0)
+      ).to.be.revertedWith("Score too low");
+      await expect(
+        fraudDetector.setDeviceScore(deviceId, 0)
+      ).to.be.revertedWith("Score too low");
+    });
   });
 
   describe("Batch Operations", function () {
     it("Should get batch reputations", async function () {
       const deviceId = ethers.keccak256(ethers.toUtf8Bytes("device1"));
       
-      await fraudDetector.setUserScore(user1.address, 70);
-      await fraudDetector.setUserScore(user2.address, 80);
+      await fraudDetector.setUserScore(pseudonym1, 70);
+      await fraudDetector.setUserScore(pseudonym2, 80);
       
       const reputations = await fraudDetector.getBatchReputations([
-        user1.address,
-        user2.address
+        pseudonym1,
+        pseudonym2
       ]);
       
       expect(reputations[0].score).to.equal(70);
       expect(reputations[1].score).to.equal(80);
     });
+
+    it("Should set user and device scores in one transaction", async function () {
+      const deviceId = ethers.keccak256(ethers.toUtf8Bytes("device1"));
+      
+      await expect(
+        fraudDetector.batchSetScores([pseudonym1, pseudonym2], [30, 60], [deviceId], [40])
+      ).to.emit(fraudDetector, "UserScoreUpdated").withArgs(pseudonym2, 60)
+        .and.to.emit(fraudDetector, "DeviceScoreUpdated").withArgs(deviceId, 40);
+      
+      const reputations = await fraudDetector.getBatchReputations([pseudonym1, pseudonym2]);
+      expect(reputations[0].score).to.equal(30);
+      expect(reputations[1].score).to.equal(60);
+      expect(await fraudDetector.getDeviceScore(deviceId)).to.equal(40);
+    });
+
+    it("Should reject mismatched and out-of-range batches", async function () {
+      await expect(
+        fraudDetector.batchSetScores([pseudonym1, pseudonym2], [30], [], [])
+      ).to.be.revertedWith("Length mismatch");
+      await expect(
+        fraudDetector.batchSetScores([pseudonym1], [101], [], [])
+      ).to.be.revertedWith("Score too high");
+      await expect(
+        fraudDetector.batchSetScores([pseudonym1], [30], [ethers.ZeroHash], [0])
+      ).to.be.revertedWith("Score too low");
+    });
+  });
+
+  describe("Scorer", function () {
+    it("Should let the appointed scorer set scores", async function () {
+      const deviceId = ethers.keccak256(ethers.toUtf8Bytes("device1"));
+      
+      await expect(
+        fraudDetector.connect(user1).batchSetScores([pseudonym1], [30], [], [])
+      ).to.be.revertedWith("Not scorer");
+      
+      await expect(fraudDetector.setScorer(user1.address))
+        .to.emit(fraudDetector, "ScorerUpdated").withArgs(user1.address);
+      expect(await fraudDetector.scorer()).to.equal(user1.address);
+      
+      await fraudDetector.connect(user1).batchSetScores([pseudonym1], [30], [deviceId], [40]);
+      await fraudDetector.connect(user1).setUserScore(pseudonym2, 70);
+      expect((await fraudDetector.getUserReputation(pseudonym1)).score).to.equal(30);
+      expect((await fraudDetector.getUserReputation(pseudonym2)).score).to.equal(70);
+      
+      await fraudDetector.setScorer(ethers.ZeroAddress);
+      await expect(
+        fraudDetector.connect(user1).setDeviceScore(deviceId, 50)
+      ).to.be.revertedWith("Not scorer");
+    });
+
+    it("Should only let the owner appoint a scorer", async function () {
+      await expect(
+        fraudDetector.connect(user1).setScorer(user1.address)
+      ).to.be.revertedWithCustomError(fraudDetector, "OwnableUnauthorizedAccount");
+    });
   });
 
   describe("Rate Limiting", function () {
     it("Should track conversion timestamps", async function () {
       const deviceId = ethers.keccak256(ethers.toUtf8Bytes("device1"));
       
-      await fraudDetector.recordConversion(user1.address, deviceId, true);
+      await fraudDetector.recordConversion(campaignId, pseudonym1, deviceId, true);
       
-      const reputation = await fraudDetector.getUserReputation(user1.address);
+      const reputation = await fraudDetector.getUserReputation(pseudonym1);
       expect(reputation.lastConversionTime).to.be.gt(0);
     });
 
+    it("Should rate limit a user within the time window", async function () {
+      const deviceId = ethers.keccak256(ethers.toUtf8Bytes("device1"));
+      
+      for (let i = 0; i < 10; i++) {
+        await fraudDetector.recordConversion(campaignId, pseudonym1, deviceId, true);
+      }
+      
+      expect(await fraudDetector.checkFraud(campaignId, pseudonym1, deviceId)).to.be.false;
+      expect(await fraudDetector.checkFraud(campaignId, pseudonym2, deviceId)).to.be.true;
+    });
+
     it("Should track conversion count", async function () {
       const deviceId = ethers.keccak256(ethers.toUtf8Bytes("device1"));
       
-      await fraudDetector.recordConversion(user1.address, deviceId, true);
-      await fraudDetector.recordConversion(user1.address, deviceId, true);
+      await fraudDetector.recordConversion(campaignId, pseudonym1, deviceId, true);
+      await fraudDetector.recordConversion(campaignId, pseudonym1, deviceId, true);
       
-      const reputation = await fraudDetector.getUserReputation(user1.address);
+      const reputation = await fraudDetector.getUserReputation(pseudonym1);
       expect(reputation.conversions).to.equal(2);
     });
   });
+
+  describe("Fraud Policies", function () {
+    const deviceId = ethers.keccak256(ethers.toUtf8Bytes("device1"));
+    // A strict policy, as for a high-value purchase
+    const strict = {
+      threshold: 40,
+      initialScore: 45,
+      timeWindow: 600,
+      maxConversionsPerWindow: 2,
+      rewardStep: 1,
+      penaltyStep: 10
+    };
+
+    it("Should start campaigns on the default policy", async function () {
+      const policy = await fraudDetector.getFraudPolicy(campaignId);
+      
+      expect(policy.threshold).to.equal(20);
+      expect(policy.initialScore).to.equal(50);
+      expect(policy.timeWindow).to.equal(3600);
+      expect(policy.maxConversionsPerWindow).to.equal(10);
+      expect(policy.rewardStep).to.equal(1);
+      expect(policy.penaltyStep).to.equal(1);
+      expect(await fraudDetector.hasFraudPolicy(campaignId)).to.be.false;
+    });
+
+    it("Should let the campaign owner set a policy", async function () {
+      await expect(
+        fraudDetector.connect(user1).setFraudPolicy(campaignId, strict)
+      ).to.emit(fraudDetector, "FraudPolicyUpdated").withArgs(campaignId, 40, 45, 600, 2, 1, 10);
+      
+      expect(await fraudDetector.hasFraudPolicy(campaignId)).to.be.true;
+      expect((await fraudDetector.getFraudPolicy(campaignId)).threshold).to.equal(40);
+      
+      await expect(
+        fraudDetector.setFraudPolicy(campaignId, strict)
+      ).to.be.revertedWith("Not campaign owner");
+      await expect(
+        fraudDetector.connect(user1).setFraudPolicy(2, strict)
+      ).to.be.revertedWith("Campaign does not exist");
+    });
+
+    it("Should reject policies outside the protocol bounds", async function () {
+      const invalid = [
+        { threshold: 0 },
+        { threshold: 46 },
+        { initialScore: 101, threshold: 101 },
+        { timeWindow: 59 },
+        { timeWindow: 30 * 86400 + 1 },
+        { maxConversionsPerWindow: 0 },
+        { maxConversionsPerWindow: 1001 },
+        { rewardStep: 11 },
+        { penaltyStep: 0 },
+        { penaltyStep: 11 }
+      ];
+      
+      for (const change of invalid) {
+        await expect(
+          fraudDetector.connect(user1).setFraudPolicy(campaignId, { ...strict, ...change })
+        ).to.be.revertedWith("Invalid fraud policy");
+      }
+    });
+
+    it("Should judge conversions by the campaign policy", async function () {
+      await fraudDetector.connect(user1).setFraudPolicy(campaignId, strict);
+      
+      await fraudDetector.recordConversion(campaignId, pseudonym1, deviceId, false);
+      await fraudDetector.recordConversion(2, pseudonym2, deviceId, false);
+      
+      expect((await fraudDetector.getUserReputation(pseudonym1)).score).to.equal(35);
+      expect((await fraudDetector.getUserReputation(pseudonym2)).score).to.equal(49);
+      expect(await fraudDetector.checkFraud(campaignId, pseudonym1, deviceId)).to.be.false;
+      expect(await fraudDetector.checkFraud(2, pseudonym2, deviceId)).to.be.true;
+    });
+
+    it("Should rate limit by the campaign window", async function () {
+      await fraudDetector.connect(user1).setFraudPolicy(campaignId, strict);
+      
+      await fraudDetector.recordConversion(campaignId, pseudonym1, deviceId, true);
+      await fraudDetector.recordConversion(campaignId, pseudonym1, deviceId, true);
+      expect(await fraudDetector.checkFraud(campaignId, pseudonym1, deviceId)).to.be.false;
+      
+      await ethers.provider.send("evm_increaseTime", [600]);
+      await ethers.provider.send("evm_mine", []);
+      expect(await fraudDetector.checkFraud(campaignId, pseudonym1, deviceId)).to.be.true;
+    });
+
+    it("Should reject devices scoring below the campaign threshold", async function () {
+      await fraudDetector.setDeviceScore(deviceId, 30);
+      expect(await fraudDetector.checkFraud(campaignId, pseudonym1, deviceId)).to.be.true;
+      
+      await fraudDetector.connect(user1).setFraudPolicy(campaignId, strict);
+      expect(await fraudDetector.checkFraud(campaignId, pseudonym1, deviceId)).to.be.false;
+    });
+
+    it("Should not set a threshold new publishers cannot pass", async function () {
+      // Devices start at the default initial score (50) whatever the campaign's initial score
+      await expect(
+        fraudDetector.connect(user1).setFraudPolicy(campaignId, { ...strict, threshold: 60, initialScore: 70 })
+      ).to.be.revertedWith("Invalid fraud policy");
+      
+      await fraudDetector.connect(user1).setFraudPolicy(campaignId, { ...strict, threshold: 50, initialScore: 70 });
+      expect(await fraudDetector.checkFraud(campaignId, pseudonym1, deviceId)).to.be.true;
+      
+      await fraudDetector.recordConversion(campaignId, pseudonym1, deviceId, true);
+      expect(await fraudDetector.getDeviceScore(deviceId)).to.equal(50);
+      expect(await fraudDetector.checkFraud(campaignId, pseudonym2, deviceId)).to.be.true;
+    });
+
+    it("Should fall back to the default policy", async function () {
+      await fraudDetector.connect(user1).setFraudPolicy(campaignId, strict);
+      await expect(
+        fraudDetector.connect(user1).clearFraudPolicy(campaignId)
+      ).to.emit(fraudDetector, "FraudPolicyCleared").withArgs(campaignId);
+      
+      await expect(
+        fraudDetector.setDefaultPolicy({ ...strict, threshold: 30 })
+      ).to.emit(fraudDetector, "DefaultFraudPolicyUpdated").withArgs(30, 45, 600, 2, 1, 10);
+      expect(await fraudDetector.hasFraudPolicy(campaignId)).to.be.false;
+      expect((await fraudDetector.getFraudPolicy(campaignId)).threshold).to.equal(30);
+      
+      await expect(
+        fraudDetector.connect(user1).setDefaultPolicy(strict)
+      ).to.be.revertedWithCustomError(fraudDetector, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should not let a penalty reset a score to unscored", async function () {
+      await fraudDetector.connect(user1).setFraudPolicy(campaignId, strict);
+      await fraudDetector.setUserScore(pseudonym1, 5);
+      
+      await fraudDetector.recordConversion(campaignId, pseudonym1, deviceId, false);
+      
+      expect((await fraudDetector.getUserReputation(pseudonym1)).score).to.equal(1);
+      expect(await fraudDetector.checkFraud(campaignId, pseudonym1, deviceId)).to.be.false;
+    });
+  });
 });
 
@@ -0,0 +1,344 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deployProtocol } = require("../scripts/lib/pipeline");
+const { toBytes32, toField } = require("../zk");
+const { GhostBeacon } = require("../sdk");
+const {
+  Scorer,
+  ScoreStore,
+  Kind,
+  BatchStatus,
+  resolveRules,
+  userFeatures,
+  deviceFeatures,
+  assessUser,
+  assessDevice
+} = require("../services/scorer");
+
+describe("Fraud Scorer", function () {
+  const { ethers } = hre;
+  const budget = ethers.parseEther("1.0");
+  const rules = resolveRules();
+
+  describe("Features", function () {
+    it("Should measure velocity, bursts and time to convert", function () {
+      const features = userFeatures([100, 110, 120, 1000, 2000, 3000], [50, 900], rules);
+
+      expect(features).to.deep.equal({
+        conversions: 6,
+        velocity: 6,
+        burst: 3,
+        // Delays 50, 60, 70, 100, 1100, 2100
+        timeToConvert: 85
+      });
+      expect(assessUser(features, rules)).to.deep.equal({
+        penalty: 25,
+        reasons: ["velocity: 6 conversions within 3600s (max 5)", "burst: 3 conversions within 60s"]
+      });
+    });
+
+    it("Should only judge time to convert from enough conversions", function () {
+      const quick = userFeatures([10, 20, 200], [0], rules);
+      const few = userFeatures([10, 20], [0], rules);
+      const rootless = userFeatures([10, 20, 200], [], rules);
+
+      expect(assessUser(quick, rules).penalty).to.equal(10);
+      expect(assessUser(few, rules).penalty).to.equal(0);
+      expect(rootless.timeToConvert).to.be.null;
+      expect(assessUser(rootless, rules).penalty).to.equal(0);
+    });
+
+    it("Should flag devices whose conversions arrive in clusters of users", function () {
+      const cluster = ["a", "b", "c", "d", "e"].map((pseudonym, i) => ({
+        time: 100 + i,
+        pseudonym
+      }));
+      const spread = ["a", "b", "c", "d", "e"].map((pseudonym, i) => ({
+        time: 100 + i * 10,
+        pseudonym
+      }));
+      const oneUser = Array.from({ length: 5 }, (_, i) => ({ time: 100 + i, pseudonym: "a" }));
+
+      expect(deviceFeatures(cluster, rules)).to.deep.equal({
+        conversions: 5,
+        clustered: 5,
+        clusterShare: 1
+      });
+      expect(assessDevice(deviceFeatures(cluster, rules), rules).penalty).to.equal(20);
+      expect(assessDevice(deviceFeatures(spread, rules), rules).penalty).to.equal(0);
+      expect(assessDevice(deviceFeatures(oneUser, rules), rules).penalty).to.equal(0);
+    });
+
+    it("Should merge rule overrides into the defaults", function () {
+      const merged = resolveRules({ burstSize: 5, penalties: { burst: 30 } });
+
+      expect(merged).to.include({ burstSize: 5, burstWindow: 60 });
+      expect(merged.penalties).to.deep.equal({ ...rules.penalties, burst: 30 });
+    });
+  });
+
+  describe("Scoring", function () {
+    let tmpDir;
+    let manifestPath;
+    let deployment;
+    let contracts;
+    let owner;
+    let publisher;
+    let relayer;
+    let sdk;
+    let scorer;
+
+    // Campaign pseudonym a user's proofs carry in publicInputs[4]
+    const pseudonymOf = (user) => toBytes32(toField(ethers.id(`pseudonym-${user}`)));
+    const deviceId = () => ethers.zeroPadValue(publisher.address, 32).toLowerCase();
+
+    const conversion = (label, user = "alice", root = 0) => {
+      const conversionHash = toBytes32(toField(ethers.id(`conversion-${label}`)));
+
+      return {
+        campaignId: 1,
+        publisher: publisher.address,
+        clickHash: ethers.ZeroHash,
+        conversionHash,
+        nullifier: toBytes32(toField(ethers.id(label))),
+        proof: {
+          a: [1, 2],
+          b: [
+            [3, 4],
+            [5, 6]
+          ],
+          c: [7, 8],
+          publicInputs: [
+            0,
+            conversionHash,
+            root,
+            100,
+            pseudonymOf(user),
+            publisher.address,
+            toBytes32(toField(ethers.id(`conversion-nullifier-${label}-${user}`))),
+            0,
+            0,
+            1
+          ]
+        }
+      };
+    };
+
+    const userScore = async (user) =>
+      (await contracts.fraudDetector.getUserReputation(pseudonymOf(user))).score;
+
+    const later = async (seconds) => {
+      await ethers.provider.send("evm_increaseTime", [seconds]);
+      await ethers.provider.send("evm_mine", []);
+    };
+
+    beforeEach(async function () {
+      let advertiser;
+      [owner, advertiser, publisher, relayer] = await ethers.getSigners();
+
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "ghostbeacon-"));
+      manifestPath = path.join(tmpDir, "deployments.json");
+      ({ deployment, contracts } = await deployProtocol(hre, {
+        manifestPath,
+        persist: true,
+        log: () => {}
+      }));
+
+      const mockVerifier = await ethers.deployContract("MockGroth16Verifier");
+      await contracts.conversionVerifier.setProofVerifier(await mockVerifier.getAddress());
+
+      sdk = await GhostBeacon.fromManifest(advertiser, { manifest: manifestPath });
+      await sdk.campaigns.createCampaign({ budget, metadataCID: "QmScorer" });
+      await sdk.treasury.deposit(1, budget);
+      await sdk.billing.registerPublisher(1, publisher.address);
+      sdk = sdk.connect(relayer);
+
+      scorer = Scorer.fromDeployment(owner, deployment);
+    });
+
+    afterEach(async function () {
+      scorer.close();
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it("Should start from the deployment block", async function () {
+      const { fraudDetector, conversionVerifier } = deployment.contracts;
+
+      expect(scorer.cursor).to.equal(
+        Math.min(fraudDetector.blockNumber, conversionVerifier.blockNumber) - 1
+      );
+    });
+
+    it("Should penalize a bursting user and log why", async function () {
+      for (const label of ["a", "b", "c"]) {
+        await sdk.gateway.submitConversion(conversion(label));
+      }
+      expect(await userScore("alice")).to.equal(53);
+
+      const result = await scorer.run();
+
+      expect(result).to.include({ batches: 1, applied: 1, failed: 0 });
+      expect(result.synced.conversions).to.equal(3);
+      expect(await userScore("alice")).to.equal(38);
+
+      const [change] = scorer.store.history({ kind: Kind.USER });
+      expect(change).to.include({
+        subject: pseudonymOf("alice"),
+        campaign_id: 1,
+        old_score: 53,
+        new_score: 38,
+        penalty: 15,
+        previous_penalty: 0,
+        status: BatchStatus.APPLIED
+      });
+      expect(change.reasons).to.deep.equal(["burst: 3 conversions within 60s"]);
+      expect(change.features).to.include({ conversions: 3, burst: 3 });
+      expect(change.tx_hash).to.match(/^0x[0-9a-f]{64}$/);
+    });
+
+    it("Should not push a penalty twice", async function () {
+      for (const label of ["a", "b", "c"]) {
+        await sdk.gateway.submitConversion(conversion(label));
+      }
+      await scorer.run();
+
+      const again = await scorer.run();
+
+      expect(again).to.include({ batches: 0, applied: 0 });
+      expect(again.changes).to.be.empty;
+      expect(await userScore("alice")).to.equal(38);
+    });
+
+    it("Should lift a penalty once anomalies leave the lookback window", async function () {
+      for (const label of ["a", "b", "c"]) {
+        await sdk.gateway.submitConversion(conversion(label));
+      }
+      await scorer.run();
+      // An honest conversion is billed in the meantime
+      await later(3600);
+      await sdk.gateway.submitConversion(conversion("d"));
+      expect(await userScore("alice")).to.equal(39);
+
+      await later(25 * 3600);
+      const result = await scorer.run();
+
+      expect(result.applied).to.equal(1);
+      expect(await userScore("alice")).to.equal(54);
+      const [lift] = scorer.store.history({ subject: pseudonymOf("alice") });
+      expect(lift).to.include({ old_score: 39, new_score: 54, penalty: 0, previous_penalty: 15 });
+      expect(lift.reasons[0]).to.match(/^cleared/);
+    });
+
+    it("Should give back no more than a penalty took off the minimum score", async function () {
+      for (const label of ["a", "b", "c"]) {
+        await sdk.gateway.submitConversion(conversion(label));
+      }
+      await contracts.fraudDetector.setUserScore(pseudonymOf("alice"), 10);
+
+      await scorer.run();
+      expect(await userScore("alice")).to.equal(1);
+      const [penalty] = scorer.store.history({ subject: pseudonymOf("alice") });
+      expect(penalty).to.include({ base_score: 10, new_score: 1, penalty: 15, applied: 9 });
+
+      await later(25 * 3600);
+      await scorer.run();
+
+      expect(await userScore("alice")).to.equal(10);
+      const [lift] = scorer.store.history({ subject: pseudonymOf("alice") });
+      expect(lift).to.include({ old_score: 1, base_score: 10, new_score: 10, applied: 0 });
+    });
+
+    it("Should penalize a device whose users convert in clusters", async function () {
+      await sdk.gateway.batchSubmitConversions(
+        ["u1", "u2", "u3", "u4", "u5"].map((user) => conversion(`cluster-${user}`, user))
+      );
+
+      await scorer.run();
+
+      expect(await contracts.fraudDetector.getDeviceScore(deviceId())).to.equal(30);
+      const [change] = scorer.store.history({ kind: Kind.DEVICE });
+      expect(change).to.include({ subject: deviceId(), old_score: 50, new_score: 30 });
+      expect(change.reasons[0]).to.match(/^clustering: 5 of 5 conversions/);
+      expect(scorer.store.history({ kind: Kind.USER })).to.be.empty;
+    });
+
+    it("Should flag users converting right after a click root is published", async function () {
+      scorer.close();
+      scorer = Scorer.fromDeployment(owner, deployment, { rules: { minTimeToConvert: 3600 } });
+      const root = toBytes32(toField(ethers.id("click-root")));
+      await contracts.conversionVerifier.updateCampaignRoot(1, root);
+
+      for (const label of ["a", "b", "c"]) {
+        await sdk.gateway.submitConversion(conversion(label, "bob", root));
+        await later(61);
+      }
+      const {
+        changes: [assessment]
+      } = await scorer.run({ dryRun: true });
+
+      expect(assessment.features.timeToConvert).to.be.below(3600);
+      expect(assessment.reasons).to.have.lengthOf(1);
+      expect(assessment.reasons[0]).to.match(/^timeToConvert/);
+      expect(assessment).to.include({ penalty: 10, oldScore: 53, newScore: 43 });
+    });
+
+    it("Should change nothing on a dry run", async function () {
+      for (const label of ["a", "b", "c"]) {
+        await sdk.gateway.submitConversion(conversion(label));
+      }
+
+      const result = await scorer.run({ dryRun: true });
+
+      expect(result.changes).to.have.lengthOf(1);
+      expect(result.batches).to.equal(0);
+      expect(await userScore("alice")).to.equal(53);
+      expect(scorer.store.history()).to.be.empty;
+    });
+
+    it("Should log failed batches and retry them once the scorer is appointed", async function () {
+      scorer.close();
+      const store = new ScoreStore();
+      scorer = Scorer.fromDeployment(relayer, deployment, { database: store });
+      for (const label of ["a", "b", "c"]) {
+        await sdk.gateway.submitConversion(conversion(label));
+      }
+
+      const failed = await scorer.run();
+
+      expect(failed).to.include({ applied: 0, failed: 1 });
+      const [change] = store.history();
+      expect(change.status).to.equal(BatchStatus.FAILED);
+      expect(change.error).to.include("Not scorer");
+      expect(await userScore("alice")).to.equal(53);
+
+      await contracts.fraudDetector.setScorer(relayer.address);
+      const retried = await scorer.run();
+
+      expect(retried).to.include({ applied: 1, failed: 0 });
+      expect(await userScore("alice")).to.equal(38);
+    });
+
+    it("Should run as a Hardhat task", async function () {
+      const file = path.join(tmpDir, "task.db");
+      const rulesFile = path.join(tmpDir, "rules.json");
+      fs.writeFileSync(rulesFile, JSON.stringify({ penalties: { burst: 5 } }));
+      for (const label of ["a", "b", "c"]) {
+        await sdk.gateway.submitConversion(conversion(label));
+      }
+
+      const result = await hre.run(
+        { scope: "ghostbeacon", task: "score" },
+        { db: file, manifest: manifestPath, rules: rulesFile }
+      );
+
+      expect(result.applied).to.equal(1);
+      expect(await userScore("alice")).to.equal(48);
+      const store = new ScoreStore(file);
+      expect(store.history()).to.have.lengthOf(1);
+      store.close();
+    });
+  });
+});
@@ -0,0 +1,111 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { generateConversionStream, simulateFraudPolicy } = require("../scripts/lib/fraudSimulation");
+
+describe("Fraud Simulation", function () {
+  const { ethers } = hre;
+  // Small enough to replay quickly: about 10 honest and 50 fraudulent conversions
+  const small = { hours: 2, honestUsers: 5, fraudUsers: 2 };
+
+  const run = (args = {}) =>
+    hre.run({ scope: "ghostbeacon", task: "simulate-fraud" }, { ...small, ...args });
+
+  describe("Streams", function () {
+    it("Should regenerate the same stream from a seed", function () {
+      const stream = generateConversionStream(small);
+
+      expect(generateConversionStream(small)).to.deep.equal(stream);
+      expect(generateConversionStream({ ...small, seed: 2 })).to.not.deep.equal(stream);
+    });
+
+    it("Should label conversions in time order", function () {
+      const stream = generateConversionStream(small);
+      const fraudulent = stream.filter((conversion) => conversion.fraudulent);
+
+      expect(stream.every((conversion, i) => i === 0 || stream[i - 1].time <= conversion.time)).to
+        .be.true;
+      expect(stream.every((conversion) => conversion.time < 2 * 3600)).to.be.true;
+      expect(fraudulent.length).to.be.greaterThan(stream.length - fraudulent.length);
+      expect(new Set(fraudulent.map((conversion) => conversion.user))).to.deep.equal(
+        new Set(["fraud-0", "fraud-1"])
+      );
+    });
+  });
+
+  describe("Replay", function () {
+    it("Should not block honest users under the default policy", async function () {
+      const stream = generateConversionStream({ ...small, fraudUsers: 0 });
+
+      const report = await simulateFraudPolicy(hre, {}, stream);
+
+      expect(report.honest).to.deep.equal({ total: stream.length, rejected: 0 });
+      expect(report.falsePositiveRate).to.equal(0);
+      expect(report.policy).to.include({ threshold: 20n, maxConversionsPerWindow: 10n });
+    });
+
+    it("Should let less fraud through under a stricter rate limit", async function () {
+      const stream = generateConversionStream(small);
+
+      const lenient = await simulateFraudPolicy(hre, {}, stream);
+      const strict = await simulateFraudPolicy(hre, { maxConversionsPerWindow: 3 }, stream);
+
+      expect(strict.falseNegativeRate).to.be.lessThan(lenient.falseNegativeRate);
+      expect(strict.fraudulent.total).to.equal(lenient.fraudulent.total);
+      expect(strict.falseNegativeRate).to.equal(
+        strict.fraudulent.accepted / strict.fraudulent.total
+      );
+    });
+
+    it("Should leave the chain as it found it", async function () {
+      const block = await ethers.provider.getBlock("latest");
+
+      await simulateFraudPolicy(hre, {}, generateConversionStream({ ...small, hours: 1 }));
+
+      expect(await ethers.provider.getBlock("latest")).to.include({
+        number: block.number,
+        hash: block.hash
+      });
+    });
+
+    it("Should reject policies outside the protocol bounds", async function () {
+      await expect(
+        simulateFraudPolicy(hre, { threshold: 0 }, generateConversionStream(small))
+      ).to.be.rejectedWith("Invalid fraud policy");
+    });
+  });
+
+  describe("Task", function () {
+    let dir;
+
+    beforeEach(function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "ghostbeacon-"));
+    });
+
+    afterEach(function () {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("Should report the error rates of a policy file", async function () {
+      const policy = path.join(dir, "policy.json");
+      fs.writeFileSync(policy, JSON.stringify({ maxConversionsPerWindow: 3, penaltyStep: 5 }));
+
+      const report = await run({ policy });
+
+      expect(report.policy).to.include({ maxConversionsPerWindow: 3n, penaltyStep: 5n });
+      expect(report.conversions).to.equal(generateConversionStream(small).length);
+      expect(report.falseNegativeRate).to.be.within(0, 1);
+    });
+
+    it("Should report unreadable and invalid policies", async function () {
+      const policy = path.join(dir, "policy.json");
+
+      await expect(run({ policy })).to.be.rejectedWith("Cannot read policy");
+
+      fs.writeFileSync(policy, JSON.stringify({ timeWindow: 1 }));
+      await expect(run({ policy })).to.be.rejectedWith("INVALID_FRAUD_POLICY");
+    });
+  });
+});
@@ -0,0 +1,297 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deployProtocol } = require("../scripts/lib/pipeline");
+const { toBytes32, toField } = require("../zk");
+const { GhostBeacon, ErrorCode } = require("../sdk");
+const { Indexer, openDatabase } = require("../services/indexer");
+
+describe("Indexer", function () {
+  const { ethers } = hre;
+  const budget = ethers.parseEther("1.0");
+
+  let tmpDir;
+  let manifestPath;
+  let deployment;
+  let contracts;
+  let publisher;
+  let sdk;
+  let indexer;
+
+  const conversion = (label, campaignId = 1) => {
+    const conversionHash = toBytes32(toField(ethers.id(`conversion-${label}`)));
+
+    return {
+      campaignId,
+      publisher: publisher.address,
+      clickHash: ethers.ZeroHash,
+      conversionHash,
+      nullifier: toBytes32(toField(ethers.id(label))),
+      proof: {
+        a: [1, 2],
+        b: [
+          [3, 4],
+          [5, 6]
+        ],
+        c: [7, 8],
+        publicInputs: [
+          0,
+          conversionHash,
+          0,
+          100,
+          toBytes32(toField(ethers.id(`user-${label}`))),
+          publisher.address,
+          toBytes32(toField(ethers.id(`conversion-nullifier-${label}`))),
+          0,
+          0,
+          1
+        ]
+      }
+    };
+  };
+
+  const rows = (sql, ...params) => indexer.db.prepare(sql).all(...params);
+
+  beforeEach(async function () {
+    let advertiser;
+    [, advertiser, publisher] = await ethers.getSigners();
+
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "ghostbeacon-"));
+    manifestPath = path.join(tmpDir, "deployments.json");
+    ({ deployment, contracts } = await deployProtocol(hre, {
+      manifestPath,
+      persist: true,
+      log: () => {}
+    }));
+
+    const mockVerifier = await ethers.deployContract("MockGroth16Verifier");
+    await contracts.conversionVerifier.setProofVerifier(await mockVerifier.getAddress());
+    await contracts.billingModule.registerPublisher(1, publisher.address, ethers.ZeroAddress);
+
+    sdk = await GhostBeacon.fromManifest(advertiser, { manifest: manifestPath });
+    indexer = Indexer.fromDeployment(ethers.provider, deployment);
+  });
+
+  afterEach(async function () {
+    indexer.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe("Backfill", function () {
+    it("Should start from the deployment block", async function () {
+      const blocks = Object.values(deployment.contracts).map((entry) => entry.blockNumber);
+
+      expect(indexer.cursor).to.equal(Math.min(...blocks) - 1);
+    });
+
+    it("Should index campaigns, budget changes and closures", async function () {
+      await sdk.campaigns.createCampaign({ budget, metadataCID: "QmOne" });
+      await sdk.campaigns.createCampaign({ budget, pricingModel: "CPL", metadataCID: "QmTwo" });
+      await sdk.campaigns.updateBudget(1, ethers.parseEther("2"));
+      await sdk.campaigns.closeCampaign(2);
+
+      await indexer.sync();
+
+      expect(
+        rows("SELECT id, pricing_model, token, budget, initial_budget, active FROM campaigns")
+      ).to.deep.equal([
+        {
+          id: 1,
+          pricing_model: 0,
+          token: ethers.ZeroAddress,
+          budget: ethers.parseEther("2").toString(),
+          initial_budget: budget.toString(),
+          active: 1
+        },
+        {
+          id: 2,
+          pricing_model: 1,
+          token: ethers.ZeroAddress,
+          budget: budget.toString(),
+          initial_budget: budget.toString(),
+          active: 0
+        }
+      ]);
+      expect(rows("SELECT campaign_id, old_budget, new_budget FROM budget_changes")).to.deep.equal([
+        {
+          campaign_id: 1,
+          old_budget: budget.toString(),
+          new_budget: ethers.parseEther("2").toString()
+        }
+      ]);
+    });
+
+    it("Should index deposits, conversions, payouts and rejections", async function () {
+      await sdk.campaigns.createCampaign({ budget, metadataCID: "QmOne" });
+      await sdk.treasury.deposit(1, budget);
+      const { nullifier } = await sdk.gateway.submitConversion(conversion("accepted"));
+      await sdk.gateway.submitConversion(conversion("accepted"));
+
+      await indexer.sync();
+      const fee = await contracts.billingModule.calculateFee(1, 100);
+
+      expect(rows("SELECT campaign_id, amount FROM deposits")).to.deep.equal([
+        { campaign_id: 1, amount: budget.toString() }
+      ]);
+      expect(rows("SELECT nullifier, campaign_id, weight FROM conversions")).to.deep.equal([
+        { nullifier, campaign_id: 1, weight: "100" }
+      ]);
+      expect(rows("SELECT nullifier, recipient, amount FROM payouts")).to.deep.equal([
+        { nullifier, recipient: publisher.address, amount: fee.toString() }
+      ]);
+      expect(rows("SELECT nullifier, reason, code FROM rejections")).to.deep.equal([
+        { nullifier, reason: "Nullifier already used", code: ErrorCode.NULLIFIER_ALREADY_USED }
+      ]);
+    });
+
+    it("Should resume from the last indexed block", async function () {
+      await sdk.campaigns.createCampaign({ budget, metadataCID: "QmOne" });
+      const first = await indexer.sync();
+
+      await sdk.campaigns.createCampaign({ budget, metadataCID: "QmTwo" });
+      const second = await indexer.sync();
+
+      expect(second.fromBlock).to.equal(first.toBlock + 1);
+      expect(second.events).to.equal(1);
+      expect(rows("SELECT id FROM campaigns")).to.have.lengthOf(2);
+    });
+
+    it("Should fetch logs in batches", async function () {
+      const batched = Indexer.fromDeployment(ethers.provider, deployment, { batchSize: 2 });
+      await sdk.campaigns.createCampaign({ budget, metadataCID: "QmOne" });
+      await sdk.campaigns.createCampaign({ budget, metadataCID: "QmTwo" });
+      await sdk.campaigns.createCampaign({ budget, metadataCID: "QmThree" });
+
+      const summary = await batched.sync();
+
+      expect(summary.events).to.equal(3);
+      expect(batched.db.prepare("SELECT COUNT(*) AS count FROM campaigns").get().count).to.equal(3);
+      batched.close();
+    });
+
+    it("Should stay behind the head by the confirmation depth", async function () {
+      const confirmed = Indexer.fromDeployment(ethers.provider, deployment, { confirmations: 1 });
+      await sdk.campaigns.createCampaign({ budget, metadataCID: "QmOne" });
+
+      const summary = await confirmed.sync();
+
+      expect(summary.toBlock).to.equal((await ethers.provider.getBlockNumber()) - 1);
+      expect(confirmed.db.prepare("SELECT COUNT(*) AS count FROM campaigns").get().count).to.equal(
+        0
+      );
+      confirmed.close();
+    });
+  });
+
+  describe("Reorgs", function () {
+    it("Should drop events from replaced blocks", async function () {
+      await sdk.campaigns.createCampaign({ budget, metadataCID: "QmOne" });
+      await indexer.sync();
+      const fork = await ethers.provider.getBlockNumber();
+      const snapshot = await ethers.provider.send("evm_snapshot", []);
+
+      await sdk.treasury.deposit(1, budget);
+      await sdk.campaigns.updateBudget(1, ethers.parseEther("2"));
+      await sdk.campaigns.closeCampaign(1);
+      await indexer.sync();
+      expect(rows("SELECT id FROM deposits, campaigns WHERE active = 0")).to.have.lengthOf(1);
+
+      // Replace the last three blocks with a different history
+      await ethers.provider.send("evm_revert", [snapshot]);
+      await sdk.treasury.deposit(1, ethers.parseEther("0.5"));
+      await ethers.provider.send("hardhat_mine", ["0x2"]);
+
+      const summary = await indexer.sync();
+
+      expect(summary.reorg).to.equal(fork + 1);
+      expect(rows("SELECT amount FROM deposits")).to.deep.equal([
+        { amount: ethers.parseEther("0.5").toString() }
+      ]);
+      expect(rows("SELECT budget, active, closed_block FROM campaigns")).to.deep.equal([
+        { budget: budget.toString(), active: 1, closed_block: null }
+      ]);
+      expect(rows("SELECT * FROM budget_changes")).to.be.empty;
+    });
+
+    it("Should drop campaigns created in replaced blocks", async function () {
+      await indexer.sync();
+      const snapshot = await ethers.provider.send("evm_snapshot", []);
+
+      await sdk.campaigns.createCampaign({ budget, metadataCID: "QmOne" });
+      await indexer.sync();
+
+      // The replacement chain is shorter than the indexed one
+      await ethers.provider.send("evm_revert", [snapshot]);
+      const summary = await indexer.sync();
+
+      expect(summary.reorg).to.not.be.null;
+      expect(rows("SELECT id FROM campaigns")).to.be.empty;
+      expect(indexer.cursor).to.equal(await ethers.provider.getBlockNumber());
+    });
+
+    it("Should keep a bounded window of block hashes", async function () {
+      const windowed = Indexer.fromDeployment(ethers.provider, deployment, { reorgDepth: 2 });
+      await ethers.provider.send("hardhat_mine", ["0x5"]);
+      await windowed.sync();
+
+      const head = await ethers.provider.getBlockNumber();
+      const numbers = windowed.db.prepare("SELECT number FROM blocks").all();
+
+      expect(numbers.every(({ number }) => number >= head - 2)).to.be.true;
+      windowed.close();
+    });
+  });
+
+  describe("Following", function () {
+    it("Should index new blocks until stopped", async function () {
+      const following = indexer.follow({ interval: 20 });
+
+      await sdk.campaigns.createCampaign({ budget, metadataCID: "QmOne" });
+      const head = await ethers.provider.getBlockNumber();
+      while (indexer.cursor < head) {
+        await new Promise((resolve) => setTimeout(resolve, 20));
+      }
+      indexer.stop();
+      await following;
+
+      expect(rows("SELECT id FROM campaigns")).to.deep.equal([{ id: 1 }]);
+    });
+  });
+
+  describe("Database", function () {
+    it("Should persist to a file and refuse another chain", async function () {
+      const file = path.join(tmpDir, "indexer.db");
+      const persisted = Indexer.fromDeployment(ethers.provider, deployment, { database: file });
+      await sdk.campaigns.createCampaign({ budget, metadataCID: "QmOne" });
+      await persisted.sync();
+      persisted.close();
+
+      const db = openDatabase(file);
+      expect(db.prepare("SELECT id FROM campaigns").all()).to.deep.equal([{ id: 1 }]);
+      db.prepare("UPDATE meta SET value = '10' WHERE key = 'chainId'").run();
+
+      const reopened = Indexer.fromDeployment(ethers.provider, deployment, { database: db });
+      await expect(reopened.sync()).to.be.rejectedWith(
+        "Database was indexed from chain 10, provider is on 1337"
+      );
+      reopened.close();
+    });
+
+    it("Should run as a Hardhat task", async function () {
+      const file = path.join(tmpDir, "task.db");
+      await sdk.campaigns.createCampaign({ budget, metadataCID: "QmOne" });
+
+      const summary = await hre.run(
+        { scope: "ghostbeacon", task: "index" },
+        { db: file, manifest: manifestPath }
+      );
+
+      expect(summary.events).to.equal(1);
+      const db = openDatabase(file);
+      expect(db.prepare("SELECT id FROM campaigns").all()).to.deep.equal([{ id: 1 }]);
+      db.close();
+    });
+  });
+});
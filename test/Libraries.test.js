@@ -47,7 +47,7 @@ describe("Library Tests", function () {
         a: [0, 0],
         b: [[0, 0], [0, 0]],
         c: [0, 0],
-        publicInputs: [1, 2, 3]
+        publicInputs: [1, 2, 3, 1, 4, 5, 6, 7, 8, 1]
       };
 
       const result = await verifier.verifyConversionProof(
@@ -0,0 +1,157 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deployProtocol } = require("../scripts/lib/pipeline");
+const { MerkleTree, buildClickTree, isFieldElement, toField } = require("../zk");
+
+describe("Merkle Tree", function () {
+  const { ethers } = hre;
+  const leavesOf = (count) => Array.from({ length: count }, (_, i) => ethers.id(`leaf-${i}`));
+
+  let harness;
+  let tmpDir;
+
+  beforeEach(async function () {
+    harness = await ethers.deployContract("MerkleProofHarness");
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "ghostbeacon-"));
+  });
+
+  afterEach(async function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe("Proofs", function () {
+    it("Should produce proofs accepted by MerkleProof.verify", async function () {
+      for (const count of [1, 2, 5, 8]) {
+        const tree = new MerkleTree(leavesOf(count));
+
+        for (let i = 0; i < count; i++) {
+          const proof = tree.getProof(i);
+          expect(MerkleTree.verify(tree.root, tree.leaf(i), proof)).to.be.true;
+          expect(await harness.verify(proof, tree.root, tree.leaf(i))).to.be.true;
+        }
+      }
+    });
+
+    it("Should look up proofs by leaf hash", async function () {
+      const leaves = leavesOf(4);
+      const tree = new MerkleTree(leaves);
+
+      expect(tree.getProof(leaves[2])).to.deep.equal(tree.getProof(2));
+      expect(() => tree.getProof(ethers.id("missing"))).to.throw("is not in the tree");
+    });
+
+    it("Should reject a proof for the wrong leaf on-chain", async function () {
+      const tree = new MerkleTree(leavesOf(4));
+
+      expect(await harness.verify(tree.getProof(0), tree.root, tree.leaf(1))).to.be.false;
+    });
+  });
+
+  describe("Multiproofs", function () {
+    it("Should produce multiproofs accepted by MerkleProof.multiProofVerify", async function () {
+      const tree = new MerkleTree(leavesOf(7));
+
+      for (const indices of [
+        [0, 1],
+        [1, 4, 6],
+        [6, 2],
+        [0, 1, 2, 3, 4, 5, 6]
+      ]) {
+        const { leaves, proof, proofFlags } = tree.getMultiProof(indices);
+
+        expect(leaves).to.have.lengthOf(indices.length);
+        expect(await harness.multiProofVerify(proof, proofFlags, tree.root, leaves)).to.be.true;
+      }
+    });
+
+    it("Should reject duplicate multiproof leaves", async function () {
+      const tree = new MerkleTree(leavesOf(4));
+
+      expect(() => tree.getMultiProof([1, 1])).to.throw("must be unique");
+    });
+  });
+
+  describe("Serialization", function () {
+    it("Should round-trip a tree through disk", async function () {
+      const file = path.join(tmpDir, "tree.json");
+      const tree = new MerkleTree(leavesOf(5));
+      tree.save(file);
+
+      const loaded = MerkleTree.load(file);
+
+      expect(loaded.root).to.equal(tree.root);
+      expect(loaded.hash).to.equal("keccak256");
+      expect(loaded.leaves).to.deep.equal(tree.leaves);
+      expect(loaded.getProof(3)).to.deep.equal(tree.getProof(3));
+    });
+
+    it("Should reject a tampered tree file", async function () {
+      const data = new MerkleTree(leavesOf(4)).toJSON();
+      data.tree[0] = ethers.id("forged-root");
+
+      expect(() => MerkleTree.fromJSON(data)).to.throw("internal nodes do not match");
+    });
+
+    it("Should build poseidon trees", async function () {
+      const leaves = [1, 2, 3].map((i) => toField(ethers.id(`click-${i}`)));
+      const tree = buildClickTree(leaves);
+
+      expect(tree.hash).to.equal("poseidon");
+      expect(MerkleTree.verify(tree.root, tree.leaf(2), tree.getProof(2), "poseidon")).to.be.true;
+      expect(MerkleTree.fromJSON(tree.toJSON()).root).to.equal(tree.root);
+    });
+  });
+
+  describe("ghostbeacon publish-root task", function () {
+    let manifest;
+    let contracts;
+    let treeFile;
+    let tree;
+
+    const runTask = (args = {}) =>
+      hre.run(
+        { scope: "ghostbeacon", task: "publish-root" },
+        { campaign: "1", tree: treeFile, manifest, ...args }
+      );
+
+    beforeEach(async function () {
+      manifest = path.join(tmpDir, "deployments.json");
+      ({ contracts } = await deployProtocol(hre, {
+        manifestPath: manifest,
+        persist: true,
+        log: () => {}
+      }));
+
+      tree = buildClickTree([1, 2, 3].map((i) => toField(ethers.id(`click-${i}`))));
+      treeFile = path.join(tmpDir, "clicks.json");
+      tree.save(treeFile);
+    });
+
+    it("Should publish and verify the campaign root", async function () {
+      const result = await runTask();
+
+      expect(result.root).to.equal(tree.root);
+      expect(result.txHash).to.not.be.null;
+      expect(await contracts.conversionVerifier.getCampaignRoot(1)).to.equal(tree.root);
+    });
+
+    it("Should skip the transaction when the root is already published", async function () {
+      await runTask();
+
+      expect((await runTask()).txHash).to.be.null;
+    });
+
+    it("Should refuse roots outside the scalar field", async function () {
+      let keccakTree;
+      for (let count = 1; !keccakTree || isFieldElement(keccakTree.root); count++) {
+        keccakTree = new MerkleTree(leavesOf(count));
+      }
+      keccakTree.save(treeFile);
+
+      await expect(runTask()).to.be.rejectedWith("is not a BN254 field element");
+    });
+  });
+});
@@ -0,0 +1,211 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deployProtocol } = require("../scripts/lib/pipeline");
+const { toBytes32, toField } = require("../zk");
+const { GhostBeacon, ErrorCode } = require("../sdk");
+
+describe("Publisher Earnings", function () {
+  const { ethers } = hre;
+  const budget = ethers.parseEther("1.0");
+  // A last-click conversion is billed its whole weight of 100 at 0.001 per unit
+  const fee = ethers.parseEther("0.1");
+
+  let manifest;
+  let contracts;
+  let owner;
+  let advertiser;
+  let publisher;
+  let sdk;
+
+  const run = (task, args = {}) => hre.run({ scope: "ghostbeacon", task }, { manifest, ...args });
+
+  const conversion = (label, campaignId = 1, attributedTo = publisher.address) => {
+    const conversionHash = toBytes32(toField(ethers.id(`conversion-${label}`)));
+
+    return {
+      campaignId,
+      publisher: attributedTo,
+      clickHash: ethers.ZeroHash,
+      conversionHash,
+      nullifier: toBytes32(toField(ethers.id(label))),
+      proof: {
+        a: [1, 2],
+        b: [
+          [3, 4],
+          [5, 6]
+        ],
+        c: [7, 8],
+        publicInputs: [
+          0,
+          conversionHash,
+          0,
+          100,
+          toBytes32(toField(ethers.id(`user-${label}`))),
+          attributedTo,
+          toBytes32(toField(ethers.id(`conversion-nullifier-${label}`))),
+          0,
+          0,
+          1
+        ]
+      }
+    };
+  };
+
+  beforeEach(async function () {
+    [owner, advertiser, publisher] = await ethers.getSigners();
+    manifest = path.join(
+      fs.mkdtempSync(path.join(os.tmpdir(), "ghostbeacon-")),
+      "deployments.json"
+    );
+    let deployment;
+    ({ deployment, contracts } = await deployProtocol(hre, {
+      manifestPath: manifest,
+      persist: true,
+      log: () => {}
+    }));
+
+    const mockVerifier = await ethers.deployContract("MockGroth16Verifier");
+    await contracts.conversionVerifier.setProofVerifier(await mockVerifier.getAddress());
+
+    const addresses = Object.fromEntries(
+      Object.entries(deployment.contracts).map(([key, entry]) => [key, entry.address])
+    );
+    sdk = new GhostBeacon(advertiser, addresses);
+
+    for (const metadataCID of ["QmOne", "QmTwo"]) {
+      const { campaignId } = await sdk.campaigns.createCampaign({ budget, metadataCID });
+      await sdk.treasury.deposit(campaignId, budget);
+      await sdk.billing.registerPublisher(campaignId, publisher.address);
+    }
+  });
+
+  afterEach(async function () {
+    fs.rmSync(path.dirname(manifest), { recursive: true, force: true });
+  });
+
+  describe("Ledger", function () {
+    it("Should credit conversions without transferring to the publisher", async function () {
+      const before = await ethers.provider.getBalance(publisher.address);
+      await sdk.gateway.batchSubmitConversions([
+        conversion("a"),
+        conversion("b", 2),
+        conversion("c")
+      ]);
+
+      expect(await ethers.provider.getBalance(publisher.address)).to.equal(before);
+      expect(await sdk.treasury.getEarningsReport(publisher.address)).to.deep.equal([
+        { campaignId: 1n, token: ethers.ZeroAddress, pending: fee * 2n, claimed: 0n },
+        { campaignId: 2n, token: ethers.ZeroAddress, pending: fee, claimed: 0n }
+      ]);
+      expect(await contracts.treasuryVault.totalAllocated(ethers.ZeroAddress)).to.equal(
+        budget * 2n
+      );
+    });
+
+    it("Should bill conversions for a publisher that cannot receive ETH", async function () {
+      // A contract without a receive function, which would fail a push payment
+      const rejecting = await ethers.deployContract("MockGroth16Verifier");
+      await sdk.billing.registerPublisher(1, rejecting.target);
+
+      const result = await sdk.gateway.submitConversion(conversion("a", 1, rejecting.target));
+
+      expect(result).to.include({ accepted: true });
+      expect(await sdk.treasury.getEarnings(rejecting.target, 1)).to.deep.equal({
+        pending: fee,
+        claimed: 0n
+      });
+    });
+  });
+
+  describe("Claims", function () {
+    beforeEach(async function () {
+      await sdk.gateway.batchSubmitConversions([
+        conversion("a"),
+        conversion("b", 2),
+        conversion("c")
+      ]);
+    });
+
+    it("Should pay every campaign with unclaimed earnings by default", async function () {
+      const publisherSdk = sdk.connect(publisher);
+      const before = await ethers.provider.getBalance(publisher.address);
+
+      const { claims, receipt } = await publisherSdk.treasury.claimEarnings();
+
+      expect(claims).to.deep.equal([
+        { campaignId: 1n, amount: fee * 2n },
+        { campaignId: 2n, amount: fee }
+      ]);
+      const gas = receipt.gasUsed * receipt.gasPrice;
+      expect(await ethers.provider.getBalance(publisher.address)).to.equal(before + fee * 3n - gas);
+      expect(await sdk.treasury.getEarnings(publisher.address, 1)).to.deep.equal({
+        pending: 0n,
+        claimed: fee * 2n
+      });
+      expect(await contracts.treasuryVault.totalAllocated(ethers.ZeroAddress)).to.equal(
+        budget * 2n - fee * 3n
+      );
+
+      const error = await publisherSdk.treasury.claimEarnings([1, 2]).catch((caught) => caught);
+      expect(error).to.include({ code: ErrorCode.NOTHING_TO_CLAIM, retryable: false });
+    });
+
+    it("Should only claim the caller's earnings from the given campaigns", async function () {
+      await expect(contracts.treasuryVault.connect(publisher).claimEarnings([2]))
+        .to.emit(contracts.treasuryVault, "EarningsClaimed")
+        .withArgs(2, publisher.address, fee);
+      await expect(
+        contracts.treasuryVault.connect(advertiser).claimEarnings([1])
+      ).to.be.revertedWith("Nothing to claim");
+
+      expect((await sdk.treasury.getEarnings(publisher.address, 1)).pending).to.equal(fee * 2n);
+    });
+
+    it("Should hold claims while the vault is paused", async function () {
+      await contracts.treasuryVault.pause();
+
+      await expect(
+        contracts.treasuryVault.connect(publisher).claimEarnings([1])
+      ).to.be.revertedWithCustomError(contracts.treasuryVault, "EnforcedPause");
+    });
+  });
+
+  describe("Tasks", function () {
+    beforeEach(async function () {
+      // The deployer earns the protocol share, so the tasks have something to claim
+      await contracts.billingModule.setRevenueSplit(1000, 0, owner.address);
+      await sdk.gateway.batchSubmitConversions([conversion("a"), conversion("b", 2)]);
+    });
+
+    it("Should report earnings per campaign", async function () {
+      const report = await run("earnings", { account: publisher.address });
+
+      expect(report.map((entry) => [entry.campaignId, entry.pending, entry.claimed])).to.deep.equal(
+        [
+          [1n, (fee * 9n) / 10n, 0n],
+          [2n, (fee * 9n) / 10n, 0n]
+        ]
+      );
+    });
+
+    it("Should claim the first account's earnings", async function () {
+      const { claims, txHash } = await run("claim", { campaigns: "2" });
+
+      expect(txHash).to.match(/^0x[0-9a-f]{64}$/);
+      expect(claims).to.deep.equal([{ campaignId: 2n, amount: fee / 10n }]);
+      expect((await run("earnings")).map((entry) => entry.pending)).to.deep.equal([fee / 10n, 0n]);
+    });
+
+    it("Should reject malformed campaign lists and report failed claims", async function () {
+      await expect(run("claim", { campaigns: "1,x" })).to.be.rejectedWith(
+        "--campaigns must be campaign IDs"
+      );
+
+      await run("claim");
+      await expect(run("claim")).to.be.rejectedWith("NOTHING_TO_CLAIM");
+    });
+  });
+});
@@ -0,0 +1,423 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deployProtocol } = require("../scripts/lib/pipeline");
+const { toBytes32, toField } = require("../zk");
+const { ErrorCode } = require("../sdk");
+const { Relayer, SubmissionStore, Status, createServer } = require("../services/relayer");
+
+describe("Relayer", function () {
+  const { ethers } = hre;
+
+  let tmpDir;
+  let deployment;
+  let contracts;
+  let relayerSigner;
+  let publisher;
+  let relayer;
+
+  const conversion = (label, campaignId = 1) => {
+    const conversionHash = toBytes32(toField(ethers.id(`conversion-${label}`)));
+
+    return {
+      campaignId,
+      publisher: publisher.address,
+      clickHash: ethers.ZeroHash,
+      conversionHash,
+      nullifier: toBytes32(toField(ethers.id(label))),
+      proof: {
+        a: [1, 2],
+        b: [
+          [3, 4],
+          [5, 6]
+        ],
+        c: [7, 8],
+        publicInputs: [
+          0,
+          conversionHash,
+          0,
+          100,
+          toBytes32(toField(ethers.id(`user-${label}`))),
+          publisher.address,
+          toBytes32(toField(ethers.id(`conversion-nullifier-${label}`))),
+          0,
+          0,
+          1
+        ]
+      }
+    };
+  };
+
+  const createRelayer = (options = {}) =>
+    Relayer.fromDeployment(relayerSigner, deployment, {
+      batchInterval: 60000,
+      bumpAfter: 60000,
+      ...options
+    });
+
+  // Replaces the default relayer with one using different settings
+  const useRelayer = async (options) => {
+    await relayer.close();
+    relayer = createRelayer(options);
+  };
+
+  beforeEach(async function () {
+    [, publisher, relayerSigner] = await ethers.getSigners();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "ghostbeacon-"));
+
+    ({ deployment, contracts } = await deployProtocol(hre, {
+      manifestPath: path.join(tmpDir, "deployments.json"),
+      persist: true,
+      log: () => {}
+    }));
+
+    const mockVerifier = await ethers.deployContract("MockGroth16Verifier");
+    await contracts.conversionVerifier.setProofVerifier(await mockVerifier.getAddress());
+    await contracts.campaignRegistry.createCampaign(ethers.parseEther("1"), 0, "QmRelay");
+    await contracts.treasuryVault.deposit(1, { value: ethers.parseEther("1") });
+    await contracts.billingModule.registerPublisher(1, publisher.address, ethers.ZeroAddress);
+
+    relayer = createRelayer();
+  });
+
+  afterEach(async function () {
+    await ethers.provider.send("evm_setAutomine", [true]);
+    await relayer.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe("Submission", function () {
+    it("Should queue a conversion that passes the eth_call checks", async function () {
+      const outcome = await relayer.submit(conversion("a"));
+
+      expect(outcome.status).to.equal(Status.QUEUED);
+      expect(relayer.status(conversion("a").nullifier)).to.include({
+        status: Status.QUEUED,
+        attempts: 0
+      });
+    });
+
+    it("Should reject a conversion whose proof does not verify", async function () {
+      const outcome = await relayer.submit({
+        ...conversion("a"),
+        proof: {
+          ...conversion("a").proof,
+          publicInputs: [1, 0, 0, 100, 0, publisher.address, 0, 0, 0, 1]
+        }
+      });
+
+      expect(outcome).to.deep.equal({
+        status: Status.REJECTED,
+        reason: "Proof verification failed",
+        code: ErrorCode.INVALID_PROOF,
+        retryable: false
+      });
+      expect(relayer.status(conversion("a").nullifier)).to.be.null;
+    });
+
+    it("Should reject a conversion attributed to an unregistered publisher", async function () {
+      const outcome = await relayer.submit({
+        ...conversion("a"),
+        publisher: relayerSigner.address
+      });
+
+      expect(outcome).to.deep.equal({
+        status: Status.REJECTED,
+        reason: "Publisher not registered",
+        code: ErrorCode.PUBLISHER_NOT_REGISTERED,
+        retryable: false
+      });
+    });
+
+    it("Should reject a nullifier the gateway already processed", async function () {
+      await relayer.submit(conversion("a"));
+      await relayer.tick({ flush: true });
+      await relayer.tick();
+
+      const fresh = createRelayer({ database: path.join(tmpDir, "other.db") });
+      const outcome = await fresh.submit(conversion("a"));
+      await fresh.close();
+
+      expect(outcome).to.include({
+        status: Status.REJECTED,
+        code: ErrorCode.NULLIFIER_ALREADY_USED
+      });
+    });
+
+    it("Should report a duplicate of a queued nullifier", async function () {
+      await relayer.submit(conversion("a"));
+
+      const outcome = await relayer.submit(conversion("a"));
+
+      expect(outcome.status).to.equal("duplicate");
+      expect(outcome.submission.status).to.equal(Status.QUEUED);
+    });
+  });
+
+  describe("Batching", function () {
+    it("Should wait for a full batch or the batch interval", async function () {
+      await useRelayer({ maxBatchSize: 3 });
+      await relayer.submit(conversion("a"));
+      await relayer.submit(conversion("b"));
+
+      await relayer.tick();
+      expect(relayer.store.counts().queued).to.equal(2);
+
+      await relayer.submit(conversion("c"));
+      await relayer.tick();
+      expect(relayer.store.counts().sent).to.equal(3);
+    });
+
+    it("Should submit queued conversions from the relayer account", async function () {
+      for (const label of ["a", "b", "c"]) {
+        await relayer.submit(conversion(label));
+      }
+
+      const before = await ethers.provider.getBalance(relayerSigner.address);
+      await relayer.tick({ flush: true });
+      await relayer.tick();
+
+      for (const label of ["a", "b", "c"]) {
+        expect(relayer.status(conversion(label).nullifier).status).to.equal(Status.ACCEPTED);
+      }
+      expect(await contracts.attributionGateway.getCampaignConversionCount(1)).to.equal(3);
+      expect(await ethers.provider.getBalance(relayerSigner.address)).to.be.lessThan(before);
+      expect(relayer.store.batch(1).txHashes).to.have.lengthOf(1);
+    });
+
+    it("Should record per-conversion rejections from the batch", async function () {
+      await contracts.campaignRegistry.createCampaign(ethers.parseEther("1"), 0, "QmUnfunded");
+      await contracts.billingModule.registerPublisher(2, publisher.address, ethers.ZeroAddress);
+      await relayer.submit(conversion("a"));
+      await relayer.submit(conversion("b", 2));
+
+      await relayer.tick({ flush: true });
+      await relayer.tick();
+
+      expect(relayer.status(conversion("a").nullifier).status).to.equal(Status.ACCEPTED);
+      expect(relayer.status(conversion("b").nullifier)).to.include({
+        status: Status.REJECTED,
+        reason: "Billing failed",
+        code: ErrorCode.BILLING_FAILED,
+        retryable: true
+      });
+    });
+
+    it("Should allow a retryable rejection to be resubmitted", async function () {
+      await contracts.campaignRegistry.createCampaign(ethers.parseEther("1"), 0, "QmUnfunded");
+      await contracts.billingModule.registerPublisher(2, publisher.address, ethers.ZeroAddress);
+      await relayer.submit(conversion("b", 2));
+      await relayer.tick({ flush: true });
+      await relayer.tick();
+
+      await contracts.treasuryVault.deposit(2, { value: ethers.parseEther("1") });
+      const rejected = relayer.status(conversion("b").nullifier);
+      expect((await relayer.submit(conversion("b", 2))).status).to.equal(Status.QUEUED);
+
+      // It starts over as a new submission
+      const requeued = relayer.status(conversion("b").nullifier);
+      expect(requeued.attempts).to.equal(0);
+      expect(requeued.createdAt).to.be.at.least(rejected.updatedAt);
+      expect(requeued.createdAt).to.equal(requeued.updatedAt);
+      await relayer.tick({ flush: true });
+      await relayer.tick();
+
+      expect(relayer.status(conversion("b").nullifier).status).to.equal(Status.ACCEPTED);
+    });
+  });
+
+  describe("Transactions", function () {
+    it("Should assign consecutive nonces to batches in flight", async function () {
+      await useRelayer({ maxBatchSize: 1 });
+      await ethers.provider.send("evm_setAutomine", [false]);
+      const nonce = await relayerSigner.getNonce();
+
+      await relayer.submit(conversion("a"));
+      await relayer.submit(conversion("b"));
+      await relayer.tick();
+
+      expect(relayer.store.pendingBatches().map((batch) => batch.nonce)).to.deep.equal([
+        nonce,
+        nonce + 1
+      ]);
+
+      await ethers.provider.send("evm_mine", []);
+      await relayer.tick();
+      expect(relayer.store.counts().accepted).to.equal(2);
+    });
+
+    it("Should replace a stuck batch with higher fees", async function () {
+      await useRelayer({ bumpAfter: 0 });
+      await ethers.provider.send("evm_setAutomine", [false]);
+
+      await relayer.submit(conversion("a"));
+      await relayer.tick({ flush: true });
+      const original = relayer.store.batch(1).request;
+      await relayer.tick();
+
+      const batch = relayer.store.batch(1);
+      expect(batch.txHashes).to.have.lengthOf(2);
+      // The mempool only keeps the replacement
+      const replacement = await ethers.provider.getTransaction(batch.txHashes[1]);
+      expect(replacement.nonce).to.equal(original.nonce);
+      expect(replacement.maxFeePerGas).to.be.greaterThan(BigInt(original.maxFeePerGas));
+      expect(replacement.maxPriorityFeePerGas).to.be.greaterThan(
+        BigInt(original.maxPriorityFeePerGas)
+      );
+
+      await ethers.provider.send("evm_mine", []);
+      await relayer.tick();
+
+      expect(relayer.store.batch(1)).to.include({ status: "mined", txHash: replacement.hash });
+      expect(relayer.status(conversion("a").nullifier).status).to.equal(Status.ACCEPTED);
+    });
+
+    it("Should re-queue the conversions of a dropped batch", async function () {
+      await ethers.provider.send("evm_setAutomine", [false]);
+      await relayer.submit(conversion("a"));
+      await relayer.tick({ flush: true });
+
+      // Another transaction takes the batch's nonce
+      const [{ hash }] = relayer.store.pendingBatches().map((batch) => ({
+        hash: batch.txHashes[0]
+      }));
+      await ethers.provider.send("hardhat_dropTransaction", [hash]);
+      await relayerSigner.sendTransaction({ to: publisher.address, value: 1 });
+      await ethers.provider.send("evm_mine", []);
+      await ethers.provider.send("evm_setAutomine", [true]);
+
+      await relayer.tick();
+      expect(relayer.store.batch(1).status).to.equal("dropped");
+      expect(relayer.status(conversion("a").nullifier)).to.include({
+        status: Status.QUEUED,
+        attempts: 1
+      });
+
+      await relayer.tick({ flush: true });
+      await relayer.tick();
+      expect(relayer.status(conversion("a").nullifier).status).to.equal(Status.ACCEPTED);
+    });
+
+    it("Should not re-send a batch mined under a transaction it has no receipt for", async function () {
+      await ethers.provider.send("evm_setAutomine", [false]);
+      await relayer.submit(conversion("a"));
+      await relayer.tick({ flush: true });
+
+      // As if the relayer crashed after sending a replacement, before recording its hash
+      relayer.store.db
+        .prepare("UPDATE batches SET tx_hashes = ? WHERE id = 1")
+        .run(JSON.stringify([ethers.id("unrecorded")]));
+      await ethers.provider.send("evm_mine", []);
+      await ethers.provider.send("evm_setAutomine", [true]);
+
+      await relayer.tick({ flush: true });
+      expect(relayer.store.batch(1).status).to.equal("mined");
+      expect(relayer.status(conversion("a").nullifier)).to.include({
+        status: Status.ACCEPTED,
+        attempts: 1
+      });
+      expect(relayer.store.pendingBatches()).to.be.empty;
+    });
+
+    it("Should resume queued and in-flight work after a restart", async function () {
+      const file = path.join(tmpDir, "relayer.db");
+      await useRelayer({ database: file, maxBatchSize: 1, maxPendingBatches: 1 });
+      await ethers.provider.send("evm_setAutomine", [false]);
+
+      await relayer.submit(conversion("a"));
+      await relayer.submit(conversion("b"));
+      await relayer.tick();
+      await relayer.close();
+
+      await ethers.provider.send("evm_mine", []);
+      await ethers.provider.send("evm_setAutomine", [true]);
+      relayer = createRelayer({ database: new SubmissionStore(file), maxBatchSize: 1 });
+
+      await relayer.tick();
+      await relayer.tick();
+
+      expect(relayer.store.counts()).to.include({ accepted: 2, queued: 0, sent: 0 });
+    });
+  });
+
+  describe("HTTP API", function () {
+    let server;
+    let url;
+
+    const post = (body) =>
+      fetch(`${url}/conversions`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: typeof body === "string" ? body : JSON.stringify(body)
+      });
+
+    beforeEach(async function () {
+      server = createServer(relayer);
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      url = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(async function () {
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    it("Should accept, relay and report a conversion end-to-end", async function () {
+      const { nullifier } = conversion("a");
+
+      const response = await post(conversion("a"));
+      expect(response.status).to.equal(202);
+      expect((await response.json()).submission).to.include({ nullifier, status: "queued" });
+
+      await relayer.tick({ flush: true });
+      await relayer.tick();
+
+      const status = await fetch(`${url}/conversions/${nullifier}`);
+      expect(status.status).to.equal(200);
+      expect(await status.json()).to.include({ status: "accepted", reason: null });
+    });
+
+    it("Should answer 422 for conversions that fail the checks", async function () {
+      const response = await post({
+        ...conversion("a"),
+        proof: {
+          ...conversion("a").proof,
+          publicInputs: [1, 0, 0, 100, 0, publisher.address, 0, 0, 0, 1]
+        }
+      });
+
+      expect(response.status).to.equal(422);
+      expect(await response.json()).to.include({ code: ErrorCode.INVALID_PROOF });
+    });
+
+    it("Should answer 409 for duplicates", async function () {
+      await post(conversion("a"));
+
+      expect((await post(conversion("a"))).status).to.equal(409);
+    });
+
+    it("Should answer 400 for malformed bodies", async function () {
+      expect((await post("not json")).status).to.equal(400);
+
+      const response = await post({ ...conversion("a"), nullifier: "0x1234" });
+      expect(response.status).to.equal(400);
+      expect(await response.json()).to.deep.equal({
+        error: "nullifier must be a 32-byte hex string"
+      });
+
+      const missing = await post({ ...conversion("a"), publisher: undefined });
+      expect(await missing.json()).to.deep.equal({ error: "publisher must be an address" });
+    });
+
+    it("Should answer 404 for unknown nullifiers and report health", async function () {
+      const unknown = await fetch(`${url}/conversions/${conversion("z").nullifier}`);
+      expect(unknown.status).to.equal(404);
+
+      await post(conversion("a"));
+      const health = await (await fetch(`${url}/health`)).json();
+      expect(health).to.deep.include({ address: relayerSigner.address, pendingBatches: 0 });
+      expect(health.submissions.queued).to.equal(1);
+    });
+  });
+});
@@ -0,0 +1,299 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deployProtocol } = require("../scripts/lib/pipeline");
+const { SDK_CONTRACTS } = require("../tasks/sdk");
+const { toBytes32, toField } = require("../zk");
+const {
+  GhostBeacon,
+  GhostBeaconError,
+  RevertError,
+  CustomContractError,
+  customErrors,
+  ErrorCode,
+  decodeError
+} = require("../sdk");
+
+describe("SDK", function () {
+  const { ethers } = hre;
+  const budget = ethers.parseEther("1.0");
+
+  let deployment;
+  let contracts;
+  let owner;
+  let advertiser;
+  let publisher;
+  let sdk;
+  let manifestPath;
+
+  beforeEach(async function () {
+    [owner, advertiser, publisher] = await ethers.getSigners();
+    manifestPath = path.join(
+      fs.mkdtempSync(path.join(os.tmpdir(), "ghostbeacon-")),
+      "deployments.json"
+    );
+    ({ deployment, contracts } = await deployProtocol(hre, {
+      manifestPath,
+      persist: true,
+      log: () => {}
+    }));
+
+    sdk = await GhostBeacon.fromManifest(advertiser, { manifest: manifestPath });
+  });
+
+  afterEach(async function () {
+    fs.rmSync(path.dirname(manifestPath), { recursive: true, force: true });
+  });
+
+  describe("Setup", function () {
+    it("Should load addresses from the manifest by chain ID", async function () {
+      expect(sdk.addresses.campaignRegistry).to.equal(
+        deployment.contracts.campaignRegistry.address
+      );
+      expect(sdk.gateway.address).to.equal(deployment.contracts.attributionGateway.address);
+    });
+
+    it("Should load addresses by network name", async function () {
+      const byName = await GhostBeacon.fromManifest(advertiser, {
+        manifest: manifestPath,
+        network: "hardhat"
+      });
+
+      expect(byName.addresses).to.deep.equal(sdk.addresses);
+    });
+
+    it("Should fail for a network without a deployment", async function () {
+      await expect(
+        GhostBeacon.fromManifest(advertiser, { manifest: manifestPath, network: "zkSync" })
+      ).to.be.rejectedWith(
+        GhostBeaconError,
+        'No GhostBeacon deployment recorded for network "zkSync"'
+      );
+    });
+
+    it("Should ship ABIs matching the compiled contracts", async function () {
+      for (const name of SDK_CONTRACTS) {
+        const { abi } = await hre.artifacts.readArtifact(name);
+        const shipped = JSON.parse(
+          fs.readFileSync(path.join(__dirname, "..", "sdk", "abi", `${name}.json`), "utf8")
+        );
+
+        expect(shipped, `${name} ABI is stale; run ghostbeacon export-abi`).to.deep.equal(abi);
+      }
+    });
+  });
+
+  describe("Campaigns and treasury", function () {
+    it("Should create, fund, update and close a campaign", async function () {
+      const { campaignId } = await sdk.campaigns.createCampaign({
+        budget,
+        pricingModel: "CPL",
+        metadataCID: "QmTest"
+      });
+
+      expect(campaignId).to.equal(1n);
+
+      await sdk.treasury.deposit(campaignId, budget);
+      expect(await sdk.treasury.getCampaignBalance(campaignId)).to.equal(budget);
+
+      await sdk.campaigns.updateBudget(campaignId, budget * 2n);
+      await sdk.campaigns.closeCampaign(campaignId);
+
+      const campaign = await sdk.campaigns.getCampaign(campaignId);
+      expect(campaign).to.include({
+        id: 1n,
+        owner: advertiser.address,
+        budget: budget * 2n,
+        pricingModel: 1,
+        metadataCID: "QmTest",
+        active: false
+      });
+      expect(await sdk.campaigns.getCampaignsByOwner(advertiser.address)).to.deep.equal([1n]);
+    });
+
+    it("Should request and claim a refund for a closed campaign", async function () {
+      const { campaignId } = await sdk.campaigns.createCampaign({ budget, metadataCID: "QmTest" });
+      await sdk.treasury.deposit(campaignId, budget);
+      await sdk.campaigns.closeCampaign(campaignId);
+
+      const { amount, unlockTime } = await sdk.treasury.requestRefund(campaignId);
+      expect(amount).to.equal(budget);
+      expect(await sdk.treasury.getRefund(campaignId)).to.deep.equal({
+        recipient: advertiser.address,
+        token: ethers.ZeroAddress,
+        amount: budget,
+        unlockTime
+      });
+
+      const early = await sdk.treasury.claimRefund(campaignId).catch((error) => error);
+      expect(early).to.include({ code: ErrorCode.TIMELOCK_NOT_EXPIRED, retryable: true });
+
+      await ethers.provider.send("evm_increaseTime", [86400]);
+      await sdk.treasury.claimRefund(campaignId);
+      expect(await sdk.treasury.getRefund(campaignId)).to.be.null;
+    });
+
+    it("Should batch deposit with the summed value", async function () {
+      await sdk.campaigns.createCampaign({ budget, metadataCID: "QmOne" });
+      await sdk.campaigns.createCampaign({ budget, metadataCID: "QmTwo" });
+
+      await sdk.treasury.batchDeposit([
+        { campaignId: 1, amount: budget },
+        { campaignId: 2, amount: budget / 2n }
+      ]);
+
+      expect(await sdk.treasury.getCampaignBalance(1)).to.equal(budget);
+      expect(await sdk.treasury.getCampaignBalance(2)).to.equal(budget / 2n);
+    });
+
+    it("Should throw typed errors for reverts", async function () {
+      await sdk.campaigns.createCampaign({ budget, metadataCID: "QmTest" });
+      const stranger = sdk.connect(publisher);
+
+      const error = await stranger.campaigns.closeCampaign(1).catch((e) => e);
+
+      expect(error).to.be.instanceOf(RevertError);
+      expect(error.reason).to.equal("Not campaign owner");
+    });
+  });
+
+  describe("Conversions and analytics", function () {
+    const conversion = (label) => {
+      const conversionHash = toBytes32(toField(ethers.id(`conversion-${label}`)));
+
+      return {
+        campaignId: 1,
+        publisher: publisher.address,
+        clickHash: ethers.ZeroHash,
+        conversionHash,
+        nullifier: toBytes32(toField(ethers.id(`nullifier-${label}`))),
+        proof: {
+          a: [1, 2],
+          b: [
+            [3, 4],
+            [5, 6]
+          ],
+          c: [7, 8],
+          publicInputs: [
+            0,
+            conversionHash,
+            0,
+            100,
+            toBytes32(toField(ethers.id(`user-${label}`))),
+            publisher.address,
+            toBytes32(toField(ethers.id(`conversion-nullifier-${label}`))),
+            0,
+            0,
+            1
+          ]
+        }
+      };
+    };
+
+    beforeEach(async function () {
+      const mockVerifier = await ethers.deployContract("MockGroth16Verifier");
+      await contracts.conversionVerifier.setProofVerifier(await mockVerifier.getAddress());
+
+      await sdk.campaigns.createCampaign({ budget, metadataCID: "QmTest" });
+      await sdk.billing.registerPublisher(1, publisher.address);
+      await sdk.treasury.deposit(1, budget);
+    });
+
+    it("Should register publishers and reject conversions for others", async function () {
+      expect(await sdk.billing.getPublisher(1, publisher.address)).to.deep.equal({
+        registered: true,
+        referrer: ethers.ZeroAddress
+      });
+
+      const rejected = await sdk.gateway.submitConversion({
+        ...conversion("1"),
+        publisher: advertiser.address
+      });
+      expect(rejected).to.include({
+        accepted: false,
+        reason: "Publisher not registered",
+        code: ErrorCode.PUBLISHER_NOT_REGISTERED
+      });
+
+      await sdk.billing.removePublisher(1, publisher.address);
+      expect(await sdk.billing.isPublisherRegistered(1, publisher.address)).to.be.false;
+    });
+
+    it("Should report accepted and rejected submissions", async function () {
+      const accepted = await sdk.gateway.submitConversion(conversion("1"));
+      const replayed = await sdk.gateway.submitConversion(conversion("1"));
+
+      expect(accepted).to.include({ accepted: true, reason: null });
+      expect(replayed).to.include({ accepted: false, reason: "Nullifier already used" });
+      expect(await sdk.gateway.isNullifierProcessed(conversion("1").nullifier)).to.be.true;
+      expect(await sdk.gateway.getCampaignConversionCount(1)).to.equal(1n);
+    });
+
+    it("Should report per-item batch results", async function () {
+      await sdk.gateway.submitConversion(conversion("1"));
+
+      const { results } = await sdk.gateway.batchSubmitConversions([
+        conversion("2"),
+        conversion("1"),
+        conversion("2"),
+        conversion("3")
+      ]);
+
+      expect(results.map((result) => [result.accepted, result.reason])).to.deep.equal([
+        [true, null],
+        [false, "Nullifier already used"],
+        [false, "Nullifier already used"],
+        [true, null]
+      ]);
+      expect(await sdk.gateway.getCampaignConversionCount(1)).to.equal(3n);
+    });
+
+    it("Should read analytics", async function () {
+      const fee = await contracts.billingModule.calculateFee(1, 100);
+      await sdk.gateway.submitConversion(conversion("1"));
+
+      const metrics = await sdk.analytics.getMetrics(1);
+      expect(metrics).to.include({ totalConversions: 1n, totalSpent: fee, dpEnabled: false });
+      expect(await sdk.analytics.getBatchMetrics([1])).to.deep.equal([metrics]);
+      expect(await sdk.analytics.getTotalConversions(1)).to.equal(1n);
+      expect(await sdk.analytics.getTotalSpent(1)).to.equal(fee);
+      expect(await sdk.analytics.getAverageCost(1)).to.equal(fee);
+      expect(await sdk.analytics.isDPEnabled(1)).to.be.false;
+      expect(await sdk.campaigns.getRemainingBudget(1)).to.equal(budget - fee);
+    });
+  });
+
+  describe("decodeError", function () {
+    it("Should decode Errors.sol custom errors", async function () {
+      const errorsInterface = new ethers.Interface(
+        (await hre.artifacts.readArtifact("Errors")).abi
+      );
+      const error = decodeError({ data: errorsInterface.encodeErrorResult("InvalidBudget") });
+
+      expect(error).to.be.instanceOf(customErrors.InvalidBudget);
+      expect(error).to.be.instanceOf(CustomContractError);
+      expect(error.name).to.equal("InvalidBudget");
+    });
+
+    it("Should decode inherited custom errors with arguments", async function () {
+      const registry = contracts.campaignRegistry.connect(publisher);
+      const thrown = await registry.transferOwnership(publisher.address).catch((e) => e);
+
+      const error = decodeError(thrown);
+
+      expect(error).to.be.instanceOf(customErrors.OwnableUnauthorizedAccount);
+      expect(error.args[0]).to.equal(publisher.address);
+      expect(error.cause).to.equal(thrown);
+    });
+
+    it("Should wrap errors without revert data", async function () {
+      const error = decodeError(new Error("network down"));
+
+      expect(error).to.be.instanceOf(GhostBeaconError);
+      expect(error.message).to.equal("network down");
+      expect(decodeError(error)).to.equal(error);
+    });
+  });
+});
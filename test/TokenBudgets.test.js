@@ -0,0 +1,230 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deployProtocol } = require("../scripts/lib/pipeline");
+const { toBytes32, toField } = require("../zk");
+const { GhostBeacon, ErrorCode } = require("../sdk");
+
+describe("Token Budgets", function () {
+  const { ethers } = hre;
+  // 6-decimal stablecoin: 0.001 USDC per weight unit, so 0.1 USDC per last-click conversion
+  // (weight 100), and 10 USDC budgets
+  const baseCost = 1000n;
+  const fee = baseCost * 100n;
+  const budget = 10_000_000n;
+
+  let manifest;
+  let deployment;
+  let contracts;
+  let advertiser;
+  let publisher;
+  let usdc;
+  let sdk;
+
+  const run = (task, args = {}) => hre.run({ scope: "ghostbeacon", task }, { manifest, ...args });
+
+  const conversion = (label, campaignId = 1) => {
+    const conversionHash = toBytes32(toField(ethers.id(`conversion-${label}`)));
+
+    return {
+      campaignId,
+      publisher: publisher.address,
+      clickHash: ethers.ZeroHash,
+      conversionHash,
+      nullifier: toBytes32(toField(ethers.id(label))),
+      proof: {
+        a: [1, 2],
+        b: [
+          [3, 4],
+          [5, 6]
+        ],
+        c: [7, 8],
+        publicInputs: [
+          0,
+          conversionHash,
+          0,
+          100,
+          toBytes32(toField(ethers.id(`user-${label}`))),
+          publisher.address,
+          toBytes32(toField(ethers.id(`conversion-nullifier-${label}`))),
+          0,
+          0,
+          1
+        ]
+      }
+    };
+  };
+
+  const createTokenCampaign = (metadataCID = "QmUsdc") =>
+    sdk.campaigns.createCampaign({ budget, metadataCID, token: usdc.target });
+
+  beforeEach(async function () {
+    [, advertiser, publisher] = await ethers.getSigners();
+    manifest = path.join(
+      fs.mkdtempSync(path.join(os.tmpdir(), "ghostbeacon-")),
+      "deployments.json"
+    );
+    ({ deployment, contracts } = await deployProtocol(hre, {
+      manifestPath: manifest,
+      persist: true,
+      log: () => {}
+    }));
+
+    const mockVerifier = await ethers.deployContract("MockGroth16Verifier");
+    await contracts.conversionVerifier.setProofVerifier(await mockVerifier.getAddress());
+
+    usdc = await ethers.deployContract("MockERC20", ["USD Coin", "USDC", 6]);
+    await usdc.mint(advertiser.address, budget * 10n);
+
+    const addresses = Object.fromEntries(
+      Object.entries(deployment.contracts).map(([key, entry]) => [key, entry.address])
+    );
+    sdk = new GhostBeacon(advertiser, addresses);
+  });
+
+  afterEach(async function () {
+    fs.rmSync(path.dirname(manifest), { recursive: true, force: true });
+  });
+
+  describe("Allow-listing", function () {
+    it("Should price and allow a token with allow-token", async function () {
+      const first = await run("allow-token", { token: usdc.target, baseCost: "1000" });
+      const second = await run("allow-token", { token: usdc.target, baseCost: "1000" });
+
+      expect(first.txHashes).to.have.lengthOf(2);
+      expect(second.txHashes).to.be.empty;
+      expect(await sdk.campaigns.isTokenAllowed(usdc.target)).to.be.true;
+      expect(await contracts.billingModule.getBaseCost(usdc.target)).to.equal(baseCost);
+    });
+
+    it("Should reject campaigns in tokens that are not allowed", async function () {
+      const error = await createTokenCampaign().catch((caught) => caught);
+
+      expect(error).to.include({ code: ErrorCode.TOKEN_NOT_ALLOWED, retryable: false });
+    });
+  });
+
+  describe("Campaign lifecycle", function () {
+    beforeEach(async function () {
+      await run("allow-token", { token: usdc.target, baseCost: baseCost.toString() });
+      await createTokenCampaign();
+      await contracts.billingModule.registerPublisher(1, publisher.address, ethers.ZeroAddress);
+    });
+
+    it("Should pay the publisher in the campaign token", async function () {
+      await sdk.treasury.depositToken(1, usdc.target, budget);
+      expect(await sdk.treasury.getCampaignBalance(1)).to.equal(budget);
+
+      const vaultEther = await ethers.provider.getBalance(contracts.treasuryVault.target);
+      await sdk.gateway.submitConversion(conversion("a"));
+
+      expect(await sdk.treasury.getEarnings(publisher.address, 1)).to.include({
+        pending: fee,
+        claimed: 0n
+      });
+      await sdk.connect(publisher).treasury.claimEarnings([1]);
+
+      expect(await usdc.balanceOf(publisher.address)).to.equal(fee);
+      expect(await usdc.balanceOf(contracts.treasuryVault.target)).to.equal(budget - fee);
+      expect(await ethers.provider.getBalance(contracts.treasuryVault.target)).to.equal(vaultEther);
+      expect(await sdk.campaigns.getCampaign(1)).to.include({
+        token: usdc.target,
+        spent: fee
+      });
+      expect(await contracts.treasuryVault.totalAllocated(usdc.target)).to.equal(budget - fee);
+      expect(await contracts.treasuryVault.totalAllocated(ethers.ZeroAddress)).to.equal(0);
+      // The ETH-only totals leave token deposits out
+      expect(await contracts.treasuryVault.totalDepositedToken(usdc.target)).to.equal(budget);
+      expect(await contracts.treasuryVault.totalDeposited()).to.equal(0);
+    });
+
+    it("Should batch deposit and bill a conversion batch per campaign", async function () {
+      await createTokenCampaign("QmUsdcTwo");
+      await contracts.billingModule.registerPublisher(2, publisher.address, ethers.ZeroAddress);
+
+      await sdk.treasury.batchDepositToken(usdc.target, [
+        { campaignId: 1, amount: budget },
+        { campaignId: 2, amount: budget / 2n }
+      ]);
+      const { results } = await sdk.gateway.batchSubmitConversions([
+        conversion("a"),
+        conversion("b", 2),
+        conversion("c")
+      ]);
+
+      expect(results.every((result) => result.accepted)).to.be.true;
+      await sdk.connect(publisher).treasury.claimEarnings([1, 2]);
+      expect(await usdc.balanceOf(publisher.address)).to.equal(fee * 3n);
+      expect(await sdk.treasury.getCampaignBalance(1)).to.equal(budget - fee * 2n);
+      expect(await sdk.treasury.getCampaignBalance(2)).to.equal(budget / 2n - fee);
+    });
+
+    it("Should only accept deposits in the campaign token", async function () {
+      await sdk.campaigns.createCampaign({ budget, metadataCID: "QmEther" });
+
+      const ether = await sdk.treasury.deposit(1, budget).catch((caught) => caught);
+      const token = await sdk.treasury.depositToken(2, usdc.target, 1n).catch((caught) => caught);
+      const batch = await sdk.treasury
+        .batchDepositToken(usdc.target, [
+          { campaignId: 1, amount: 1n },
+          { campaignId: 2, amount: 1n }
+        ])
+        .catch((caught) => caught);
+
+      for (const error of [ether, token, batch]) {
+        expect(error).to.include({ code: ErrorCode.WRONG_TOKEN });
+      }
+    });
+
+    it("Should refund the unspent token balance after close", async function () {
+      await sdk.treasury.depositToken(1, usdc.target, budget);
+      await sdk.gateway.submitConversion(conversion("a"));
+      await sdk.campaigns.closeCampaign(1);
+
+      const { amount } = await sdk.treasury.requestRefund(1);
+      expect(await sdk.treasury.getRefund(1)).to.include({
+        token: usdc.target,
+        amount: budget - fee
+      });
+
+      await ethers.provider.send("evm_increaseTime", [86400]);
+      const before = await usdc.balanceOf(advertiser.address);
+      await sdk.treasury.claimRefund(1);
+
+      expect(await usdc.balanceOf(advertiser.address)).to.equal(before + amount);
+      expect(await contracts.treasuryVault.totalWithdrawnToken(usdc.target)).to.equal(amount);
+    });
+
+    it("Should only let the owner withdraw unallocated tokens", async function () {
+      const [owner] = await ethers.getSigners();
+      await sdk.treasury.depositToken(1, usdc.target, budget);
+      await usdc.connect(advertiser).transfer(contracts.treasuryVault.target, 500n);
+
+      expect(await contracts.treasuryVault.getUnallocatedBalance(usdc.target)).to.equal(500n);
+      await expect(
+        contracts.treasuryVault.withdrawToken(usdc.target, owner.address, 501n)
+      ).to.be.revertedWith("Insufficient unallocated balance");
+      await expect(contracts.treasuryVault.withdrawToken(usdc.target, owner.address, 500n))
+        .to.emit(contracts.treasuryVault, "TokenWithdrawn")
+        .withArgs(usdc.target, owner.address, 500n);
+    });
+
+    it("Should reject conversions for a token without a base cost", async function () {
+      const dai = await ethers.deployContract("MockERC20", ["Dai", "DAI", 18]);
+      await contracts.campaignRegistry.setTokenAllowed(dai.target, true);
+      await sdk.campaigns.createCampaign({ budget, metadataCID: "QmDai", token: dai.target });
+      await dai.mint(advertiser.address, budget);
+      await sdk.treasury.depositToken(2, dai.target, budget);
+      await contracts.billingModule.registerPublisher(2, publisher.address, ethers.ZeroAddress);
+
+      const result = await sdk.gateway.submitConversion(conversion("a", 2));
+
+      expect(result).to.include({ accepted: false, code: ErrorCode.BILLING_FAILED });
+      await expect(contracts.billingModule.calculateFee(2, 1)).to.be.revertedWith(
+        "Token not priced"
+      );
+    });
+  });
+});
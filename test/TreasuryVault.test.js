@@ -84,6 +84,25 @@ describe("TreasuryVault", function () {
       expect(remainingBalance).to.equal(ethers.parseEther("1.5"));
     });
 
+    it("Should credit payments to the recipient's earnings", async function () {
+      const paymentAmount = ethers.parseEther("0.5");
+
+      await expect(
+        treasuryVault.connect(spender).processPayment(1, recipient.address, paymentAmount)
+      ).to.changeEtherBalance(recipient, 0);
+      await treasuryVault.connect(spender).processPayment(1, recipient.address, paymentAmount);
+
+      const earnings = await treasuryVault.getEarnings(recipient.address, 1);
+      expect(earnings.pending).to.equal(ethers.parseEther("1.0"));
+      expect(earnings.claimed).to.equal(0);
+      expect(await treasuryVault.getEarningCampaigns(recipient.address)).to.deep.equal([1n]);
+      expect(await treasuryVault.getUnallocatedBalance(ethers.ZeroAddress)).to.equal(0);
+
+      await expect(
+        treasuryVault.connect(recipient).claimEarnings([1])
+      ).to.changeEtherBalance(recipient, ethers.parseEther("1.0"));
+    });
+
     it("Should reject payment from unauthorized address", async function () {
       const campaignId = 1;
       const paymentAmount = ethers.parseEther("0.5");
@@ -106,6 +125,10 @@ describe("TreasuryVault", function () {
   describe("Withdrawals", function () {
     beforeEach(async function () {
       await treasuryVault.deposit(1, { value: ethers.parseEther("1.0") });
+      await owner.sendTransaction({
+        to: await treasuryVault.getAddress(),
+        value: ethers.parseEther("0.5")
+      });
     });
 
     it("Should allow owner to withdraw", async function () {
@@ -114,6 +137,17 @@ describe("TreasuryVault", function () {
       await expect(
         treasuryVault.withdraw(recipient.address, amount)
       ).to.emit(treasuryVault, "Withdrawn");
+      expect(await treasuryVault.totalWithdrawn()).to.equal(amount);
+    });
+
+    it("Should only allow withdrawing unallocated funds", async function () {
+      expect(await treasuryVault.totalAllocated(ethers.ZeroAddress)).to.equal(ethers.parseEther("1.0"));
+      expect(await treasuryVault.getUnallocatedBalance(ethers.ZeroAddress)).to.equal(ethers.parseEther("0.5"));
+
+      await expect(
+        treasuryVault.withdraw(recipient.address, ethers.parseEther("0.6"))
+      ).to.be.revertedWith("Insufficient unallocated balance");
+      expect(await treasuryVault.getCampaignBalance(1)).to.equal(ethers.parseEther("1.0"));
     });
 
     it("Should reject withdrawal from non-owner", async function () {
@@ -131,5 +165,174 @@ describe("TreasuryVault", function () {
       expect(await treasuryVault.isTimelockExpired(transferId)).to.be.false;
     });
   });
+
+  describe("Emergency Pause", function () {
+    let guardian;
+
+    beforeEach(async function () {
+      [, , , guardian] = await ethers.getSigners();
+      await treasuryVault.deposit(1, { value: ethers.parseEther("1.0") });
+      await owner.sendTransaction({
+        to: await treasuryVault.getAddress(),
+        value: ethers.parseEther("0.1")
+      });
+      await treasuryVault.authorizeSpender(spender.address);
+      await treasuryVault.setGuardian(guardian.address);
+    });
+
+    it("Should record the guardian", async function () {
+      expect(await treasuryVault.guardian()).to.equal(guardian.address);
+      expect(await treasuryVault.paused()).to.be.false;
+    });
+
+    it("Should block payments but not deposits or withdrawals while paused", async function () {
+      await treasuryVault.connect(guardian).pause();
+
+      await expect(
+        treasuryVault.connect(spender).processPayment(1, recipient.address, ethers.parseEther("0.1"))
+      ).to.be.revertedWithCustomError(treasuryVault, "EnforcedPause");
+      await expect(
+        treasuryVault.deposit(1, { value: ethers.parseEther("0.1") })
+      ).to.emit(treasuryVault, "Deposited");
+      await expect(
+        treasuryVault.withdraw(recipient.address, ethers.parseEther("0.1"))
+      ).to.emit(treasuryVault, "Withdrawn");
+    });
+
+    it("Should resume payments after the owner unpauses", async function () {
+      await treasuryVault.connect(guardian).pause();
+      await expect(
+        treasuryVault.connect(guardian).pause()
+      ).to.be.revertedWithCustomError(treasuryVault, "EnforcedPause");
+
+      await treasuryVault.unpause();
+
+      await expect(
+        treasuryVault.unpause()
+      ).to.be.revertedWithCustomError(treasuryVault, "ExpectedPause");
+      await expect(
+        treasuryVault.connect(spender).processPayment(1, recipient.address, ethers.parseEther("0.1"))
+      ).to.emit(treasuryVault, "PaymentProcessed");
+    });
+  });
+  describe("Refunds", function () {
+    let campaignRegistry;
+    let advertiser;
+    const deposited = ethers.parseEther("1.0");
+
+    beforeEach(async function () {
+      [, , , , advertiser] = await ethers.getSigners();
+      campaignRegistry = await ethers.deployContract("CampaignRegistry");
+      await treasuryVault.setCampaignRegistry(await campaignRegistry.getAddress());
+      await treasuryVault.authorizeSpender(spender.address);
+
+      await campaignRegistry.connect(advertiser).createCampaign(deposited, 0, "QmRefund");
+      await treasuryVault.deposit(1, { value: deposited });
+    });
+
+    it("Should only refund closed campaigns to their owner", async function () {
+      await expect(
+        treasuryVault.connect(advertiser).requestRefund(1)
+      ).to.be.revertedWith("Campaign still active");
+
+      await campaignRegistry.connect(advertiser).closeCampaign(1);
+
+      await expect(
+        treasuryVault.connect(recipient).requestRefund(1)
+      ).to.be.revertedWith("Not campaign owner");
+    });
+
+    it("Should hold the remaining balance until the timelock expires", async function () {
+      await treasuryVault.connect(spender).processPayment(1, recipient.address, ethers.parseEther("0.25"));
+      await campaignRegistry.connect(advertiser).closeCampaign(1);
+      const remaining = ethers.parseEther("0.75");
+
+      const tx = await treasuryVault.connect(advertiser).requestRefund(1);
+      const unlockTime = (await ethers.provider.getBlock(tx.blockNumber)).timestamp + 86400;
+      await expect(tx)
+        .to.emit(treasuryVault, "RefundRequested")
+        .withArgs(1, advertiser.address, remaining, unlockTime);
+
+      expect(await treasuryVault.getCampaignBalance(1)).to.equal(0);
+      const [refund, refundUnlock] = await treasuryVault.getRefund(1);
+      expect(refund.amount).to.equal(remaining);
+      expect(refundUnlock).to.equal(unlockTime);
+      expect(await treasuryVault.isTimelockExpired(await treasuryVault.refundTransferId(1))).to.be.false;
+
+      await expect(
+        treasuryVault.claimRefund(1)
+      ).to.be.revertedWith("Timelock not expired");
+      await expect(
+        treasuryVault.connect(spender).processPayment(1, recipient.address, 1)
+      ).to.be.revertedWith("Insufficient campaign balance");
+      await expect(
+        treasuryVault.connect(advertiser).requestRefund(1)
+      ).to.be.revertedWith("Refund already requested");
+    });
+
+    it("Should pay the owner once the timelock expires", async function () {
+      await campaignRegistry.connect(advertiser).closeCampaign(1);
+      await treasuryVault.connect(advertiser).requestRefund(1);
+      await ethers.provider.send("evm_increaseTime", [86400]);
+
+      await expect(
+        treasuryVault.connect(recipient).claimRefund(1)
+      ).to.changeEtherBalance(advertiser, deposited);
+
+      expect(await treasuryVault.totalWithdrawn()).to.equal(deposited);
+      expect(await treasuryVault.totalAllocated(ethers.ZeroAddress)).to.equal(0);
+      expect((await treasuryVault.getRefund(1))[0].amount).to.equal(0);
+      await expect(
+        treasuryVault.claimRefund(1)
+      ).to.be.revertedWith("No refund requested");
+      await expect(
+        treasuryVault.connect(advertiser).requestRefund(1)
+      ).to.be.revertedWith("Nothing to refund");
+    });
+
+    it("Should keep pending refunds out of owner withdrawals", async function () {
+      await campaignRegistry.connect(advertiser).closeCampaign(1);
+      await treasuryVault.connect(advertiser).requestRefund(1);
+
+      expect(await treasuryVault.getUnallocatedBalance(ethers.ZeroAddress)).to.equal(0);
+      await expect(
+        treasuryVault.withdraw(owner.address, 1)
+      ).to.be.revertedWith("Insufficient unallocated balance");
+    });
+
+    it("Should reject deposits for campaigns that do not exist", async function () {
+      await expect(
+        treasuryVault.deposit(2, { value: deposited })
+      ).to.be.revertedWith("Campaign does not exist");
+      await expect(
+        treasuryVault.batchDeposit([1, 2], [deposited, deposited], { value: deposited * 2n })
+      ).to.be.revertedWith("Campaign does not exist");
+
+      expect(await treasuryVault.getCampaignBalance(2)).to.equal(0);
+    });
+
+    it("Should not let the owner restart a refund timelock", async function () {
+      await campaignRegistry.connect(advertiser).closeCampaign(1);
+      await treasuryVault.connect(advertiser).requestRefund(1);
+      const [, unlockTime] = await treasuryVault.getRefund(1);
+      await ethers.provider.send("evm_increaseTime", [3600]);
+
+      await expect(
+        treasuryVault.initializeTimelock(await treasuryVault.refundTransferId(1))
+      ).to.be.revertedWith("Refund timelock");
+      expect((await treasuryVault.getRefund(1))[1]).to.equal(unlockTime);
+    });
+
+    it("Should hold refunds back while paused", async function () {
+      await campaignRegistry.connect(advertiser).closeCampaign(1);
+      await treasuryVault.connect(advertiser).requestRefund(1);
+      await ethers.provider.send("evm_increaseTime", [86400]);
+      await treasuryVault.pause();
+
+      await expect(
+        treasuryVault.claimRefund(1)
+      ).to.be.revertedWithCustomError(treasuryVault, "EnforcedPause");
+    });
+  });
 });
 
@@ -0,0 +1,130 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deployProtocol } = require("../scripts/lib/pipeline");
+const { validateWiring, formatReport } = require("../scripts/lib/wiring");
+
+describe("Wiring Validator", function () {
+  const { ethers } = hre;
+  let manifestPath;
+  let deployment;
+  let contracts;
+  let other;
+
+  const failedChecks = (results) => results.filter((r) => !r.ok).map((r) => r.name);
+
+  beforeEach(async function () {
+    [, other] = await ethers.getSigners();
+    manifestPath = path.join(
+      fs.mkdtempSync(path.join(os.tmpdir(), "ghostbeacon-")),
+      "deployments.json"
+    );
+    ({ deployment, contracts } = await deployProtocol(hre, {
+      manifestPath,
+      persist: true,
+      log: () => {}
+    }));
+  });
+
+  afterEach(async function () {
+    fs.rmSync(path.dirname(manifestPath), { recursive: true, force: true });
+  });
+
+  describe("validateWiring", function () {
+    it("Should pass every check for a fresh deployment", async function () {
+      const results = await validateWiring(hre, deployment);
+
+      expect(results.length).to.be.greaterThan(0);
+      expect(failedChecks(results)).to.be.empty;
+    });
+
+    it("Should flag a revoked billing spender", async function () {
+      await contracts.treasuryVault.revokeSpender(await contracts.billingModule.getAddress());
+
+      const results = await validateWiring(hre, deployment);
+
+      expect(failedChecks(results)).to.deep.equal([
+        "TreasuryVault.isAuthorizedSpender(BillingModule)"
+      ]);
+    });
+
+    it("Should flag a gateway pointing at the wrong billing module", async function () {
+      await contracts.attributionGateway.setBillingModule(other.address);
+
+      const results = await validateWiring(hre, deployment);
+
+      expect(failedChecks(results)).to.deep.equal(["AttributionGateway.billingModule"]);
+    });
+
+    it("Should flag an unexpected analytics owner", async function () {
+      await contracts.analyticsAggregator.transferOwnership(other.address);
+
+      const results = await validateWiring(hre, deployment);
+
+      expect(failedChecks(results)).to.deep.equal(["AnalyticsAggregator.owner"]);
+    });
+
+    it("Should flag manifest contracts without code", async function () {
+      const broken = JSON.parse(JSON.stringify(deployment));
+      broken.contracts.fraudDetector.address = ethers.Wallet.createRandom().address;
+
+      const results = await validateWiring(hre, broken);
+
+      expect(failedChecks(results)).to.deep.equal([
+        "FraudDetector has code",
+        "AttributionGateway.fraudDetector",
+        "FraudDetector.isAuthorizedCaller(AttributionGateway)"
+      ]);
+    });
+
+    it("Should report every check when a wired contract has no code", async function () {
+      const broken = JSON.parse(JSON.stringify(deployment));
+      broken.contracts.billingModule.address = ethers.Wallet.createRandom().address;
+
+      const results = await validateWiring(hre, broken);
+
+      expect(results).to.have.lengthOf(Object.keys(deployment.contracts).length + 15);
+      expect(failedChecks(results)).to.deep.equal([
+        "BillingModule has code",
+        "AttributionGateway.billingModule",
+        "CampaignRegistry.billingModule",
+        "TreasuryVault.isAuthorizedSpender(BillingModule)",
+        "BillingModule.campaignRegistry",
+        "BillingModule.treasuryVault",
+        "BillingModule.isAuthorizedCaller(AttributionGateway)"
+      ]);
+      expect(formatReport(results)).to.contain("✗ BillingModule.treasuryVault");
+    });
+  });
+
+  describe("formatReport", function () {
+    it("Should summarize passes and failures", async function () {
+      const report = formatReport([
+        { name: "a", expected: 1, actual: 1, ok: true },
+        { name: "b", expected: 1, actual: 2, ok: false }
+      ]);
+
+      expect(report).to.contain("✓ a");
+      expect(report).to.contain("✗ b (expected 1, got 2)");
+      expect(report).to.contain("1 passed, 1 failed");
+    });
+  });
+
+  describe("ghostbeacon validate task", function () {
+    const runTask = () =>
+      hre.run({ scope: "ghostbeacon", task: "validate" }, { manifest: manifestPath });
+
+    it("Should succeed for a correctly wired deployment", async function () {
+      const results = await runTask();
+      expect(failedChecks(results)).to.be.empty;
+    });
+
+    it("Should fail on any mismatch", async function () {
+      await contracts.treasuryVault.revokeSpender(await contracts.billingModule.getAddress());
+
+      await expect(runTask()).to.be.rejectedWith("Wiring validation failed: 1 check(s)");
+    });
+  });
+});
@@ -0,0 +1,352 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { deployProtocol } = require("../scripts/lib/pipeline");
+const { ensureCircuitKeys } = require("../tasks/zk");
+const zk = require("../zk");
+
+describe("ZK Prover", function () {
+  const { ethers } = hre;
+  const campaignId = 1;
+  const field = (label) => zk.toField(ethers.id(label));
+  // ConversionVerifier takes the gateway arguments without the publisher
+  const verifierArgs = (params, result) => {
+    const [id, , ...rest] = zk.toConversionArgs(campaignId, params.publisher, params, result);
+    return [id, ...rest];
+  };
+
+  const hour = 3600;
+  const start = 1700000000;
+  const conversionTime = start + 6 * hour;
+
+  // Five clicks by five users, so leaves sit at different depths
+  const secrets = [1, 2, 3, 4, 5].map((i) => field(`secret-${i}`));
+  const clickHashes = [1, 2, 3, 4, 5].map((i) => field(`click-${i}`));
+  const clickTimes = [1, 2, 3, 4, 5].map((i) => start + i * hour);
+  const clickLeaves = zk
+    .computeClickLeaves(
+      secrets.map((secret, i) => ({
+        clickHash: clickHashes[i],
+        commitment: zk.computeCommitment(secret),
+        clickTime: clickTimes[i]
+      }))
+    )
+    .map(({ leaf }) => leaf);
+  const root = zk.computeClickRoot(clickLeaves);
+
+  let publisher;
+
+  const paramsFor = (index, label = "conversion") => ({
+    campaignId,
+    publisher: publisher.address,
+    clickHash: clickHashes[index],
+    clickTime: clickTimes[index],
+    conversionId: field(`${label}-${index}`),
+    conversionTime,
+    userSecret: secrets[index],
+    clickLeaves
+  });
+
+  let conversionVerifier;
+  let first;
+  let last;
+
+  this.timeout(120000);
+
+  // The wasm and proving key are build output; a fresh checkout rebuilds them once
+  before(async function () {
+    this.timeout(1200000);
+    await ensureCircuitKeys(hre);
+  });
+
+  before(async function () {
+    [, , publisher] = await ethers.getSigners();
+    first = await zk.generateConversionProof(paramsFor(0));
+    last = await zk.generateConversionProof(paramsFor(4));
+  });
+
+  after(async function () {
+    await zk.terminate();
+  });
+
+  beforeEach(async function () {
+    const groth16Verifier = await ethers.deployContract("ConversionGroth16Verifier");
+    conversionVerifier = await ethers.deployContract("ConversionVerifier");
+    await conversionVerifier.setProofVerifier(await groth16Verifier.getAddress());
+    await conversionVerifier.updateCampaignRoot(campaignId, zk.toBytes32(root));
+  });
+
+  describe("Hashing", function () {
+    it("Should match ProofVerification nullifiers, pseudonyms and click leaves", async function () {
+      const conversionHash = zk.computeConversionHash(field("conversion-0"), conversionTime);
+      const poseidonT3 = await ethers.deployContract("PoseidonT3");
+      const poseidonT5 = await ethers.deployContract("PoseidonT5");
+      const harness = await ethers.deployContract("ProofVerificationHarness", {
+        libraries: {
+          PoseidonT3: await poseidonT3.getAddress(),
+          PoseidonT5: await poseidonT5.getAddress()
+        }
+      });
+      const commitment = zk.computeCommitment(secrets[0]);
+
+      expect(
+        await harness.computeNullifier(zk.toBytes32(clickHashes[0]), zk.toBytes32(secrets[0]))
+      ).to.equal(zk.toBytes32(zk.computeNullifier(clickHashes[0], secrets[0])));
+      expect(await harness.computePseudonym(zk.toBytes32(secrets[0]), campaignId)).to.equal(
+        zk.toBytes32(zk.computePseudonym(secrets[0], campaignId))
+      );
+      expect(
+        await harness.computeConversionNullifier(
+          zk.toBytes32(conversionHash),
+          zk.toBytes32(secrets[0])
+        )
+      ).to.equal(zk.toBytes32(zk.computeConversionNullifier(conversionHash, secrets[0])));
+      expect(
+        await harness.computeClickLeaf(
+          zk.toBytes32(clickHashes[0]),
+          zk.toBytes32(commitment),
+          clickTimes[0],
+          0
+        )
+      ).to.equal(zk.toBytes32(clickLeaves[0]));
+      expect(
+        await harness.computeClickLeaf(
+          zk.toBytes32(clickHashes[0]),
+          zk.toBytes32(commitment),
+          clickTimes[0],
+          clickTimes[1]
+        )
+      ).to.equal(zk.toBytes32(zk.computeClickLeaf(clickHashes[0], commitment, ...clickTimes)));
+      expect(
+        await harness.computeConversionHash(zk.toBytes32(field("conversion-0")), conversionTime)
+      ).to.equal(zk.toBytes32(conversionHash));
+    });
+
+    it("Should link each click leaf to the same user's next click", function () {
+      const commitment = zk.computeCommitment(secrets[0]);
+      const other = zk.computeCommitment(secrets[1]);
+      const clicks = [
+        { clickHash: clickHashes[0], commitment, clickTime: clickTimes[2] },
+        { clickHash: clickHashes[1], commitment: other, clickTime: clickTimes[1] },
+        { clickHash: clickHashes[2], commitment, clickTime: clickTimes[0] }
+      ];
+
+      expect(zk.computeClickLeaves(clicks)).to.deep.equal([
+        {
+          leaf: zk.computeClickLeaf(clickHashes[0], commitment, clickTimes[2], 0),
+          nextClickTime: 0n
+        },
+        { leaf: zk.computeClickLeaf(clickHashes[1], other, clickTimes[1], 0), nextClickTime: 0n },
+        {
+          leaf: zk.computeClickLeaf(clickHashes[2], commitment, clickTimes[0], clickTimes[2]),
+          nextClickTime: BigInt(clickTimes[2])
+        }
+      ]);
+    });
+
+    it("Should give a user one pseudonym per campaign", async function () {
+      const pseudonym = zk.computePseudonym(secrets[0], campaignId);
+
+      expect(zk.computePseudonym(secrets[0], campaignId)).to.equal(pseudonym);
+      expect(zk.computePseudonym(secrets[0], campaignId + 1)).to.not.equal(pseudonym);
+      expect(zk.computePseudonym(secrets[1], campaignId)).to.not.equal(pseudonym);
+    });
+
+    it("Should pad click paths to the circuit depth", async function () {
+      const { siblings, siblingFirst } = zk.getClickPath(clickLeaves, 4);
+
+      expect(siblings).to.have.lengthOf(zk.TREE_LEVELS);
+      expect(siblingFirst).to.have.lengthOf(zk.TREE_LEVELS);
+      // Leaf 4 of 5 sits two levels below the root
+      expect(siblings.slice(0, 2).every((sibling) => sibling !== 0n)).to.be.true;
+      expect(siblings.slice(2).every((sibling) => sibling === 0n)).to.be.true;
+    });
+  });
+
+  describe("generateConversionProof", function () {
+    it("Should produce ProofData in the IConversionVerifier layout", async function () {
+      const { proof } = first;
+      const params = paramsFor(0);
+
+      expect(proof.a).to.have.lengthOf(2);
+      expect(proof.b).to.have.lengthOf(2);
+      expect(proof.b[0]).to.have.lengthOf(2);
+      expect(proof.b[1]).to.have.lengthOf(2);
+      expect(proof.c).to.have.lengthOf(2);
+      const pseudonym = zk.computePseudonym(params.userSecret, campaignId);
+      const conversionHash = zk.computeConversionHash(params.conversionId, conversionTime);
+      const conversionNullifier = zk.computeConversionNullifier(conversionHash, params.userSecret);
+      expect(proof.publicInputs).to.deep.equal([
+        params.clickHash,
+        conversionHash,
+        root,
+        BigInt(zk.MAX_WEIGHT),
+        pseudonym,
+        BigInt(publisher.address),
+        conversionNullifier,
+        BigInt(clickTimes[0]),
+        BigInt(conversionTime),
+        1n
+      ]);
+      expect(first.pseudonym).to.equal(zk.toBytes32(pseudonym));
+      expect(first.conversionHash).to.equal(zk.toBytes32(conversionHash));
+      expect(first.conversionNullifier).to.equal(zk.toBytes32(conversionNullifier));
+      expect(first.lastClick).to.be.true;
+      expect(first.root).to.equal(zk.toBytes32(root));
+      expect(first.nullifier).to.equal(
+        zk.toBytes32(zk.computeNullifier(params.clickHash, params.userSecret))
+      );
+    });
+
+    it("Should round-trip through ConversionVerifier.verifyConversionProof", async function () {
+      for (const [index, result] of [
+        [0, first],
+        [4, last]
+      ]) {
+        const args = verifierArgs(paramsFor(index), result);
+        expect(await conversionVerifier.verifyConversionProof(...args)).to.be.true;
+      }
+    });
+
+    it("Should not verify under another user's nullifier", async function () {
+      const args = verifierArgs(paramsFor(0), first);
+      args[3] = last.nullifier;
+
+      expect(await conversionVerifier.verifyConversionProof(...args)).to.be.false;
+    });
+
+    describe("AttributionGateway", function () {
+      let contracts;
+      let relayer;
+      let other;
+
+      beforeEach(async function () {
+        let advertiser;
+        [, advertiser, , relayer, other] = await ethers.getSigners();
+        const budget = ethers.parseEther("1.0");
+        ({ contracts } = await deployProtocol(hre, { persist: false, log: () => {} }));
+
+        await contracts.campaignRegistry.connect(advertiser).createCampaign(budget, 0, "QmTest");
+        await contracts.treasuryVault.connect(advertiser).deposit(campaignId, { value: budget });
+        await contracts.conversionVerifier.updateCampaignRoot(campaignId, zk.toBytes32(root));
+        for (const account of [publisher, other]) {
+          await contracts.billingModule.registerPublisher(
+            campaignId,
+            account.address,
+            ethers.ZeroAddress
+          );
+        }
+      });
+
+      it("Should accept the proof", async function () {
+        await expect(
+          contracts.attributionGateway
+            .connect(relayer)
+            .submitConversion(
+              ...zk.toConversionArgs(campaignId, publisher.address, paramsFor(0), first)
+            )
+        )
+          .to.emit(contracts.attributionGateway, "ConversionSubmitted")
+          .and.to.emit(contracts.billingModule, "ConversionPaid");
+
+        expect(await contracts.attributionGateway.isNullifierProcessed(first.nullifier)).to.be.true;
+      });
+
+      it("Should not pay a publisher the proof was not made for", async function () {
+        const args = zk.toConversionArgs(campaignId, publisher.address, paramsFor(0), first);
+        args[1] = other.address;
+
+        await expect(contracts.attributionGateway.connect(relayer).submitConversion(...args))
+          .to.emit(contracts.attributionGateway, "ConversionRejected")
+          .withArgs(campaignId, first.nullifier, "Publisher not proven");
+        expect(await contracts.attributionGateway.isNullifierProcessed(first.nullifier)).to.be
+          .false;
+        expect(() => zk.toConversionArgs(campaignId, other.address, paramsFor(0), first)).to.throw(
+          "another publisher"
+        );
+      });
+
+      it("Should not bill a click the user followed with another before converting", async function () {
+        // The user clicked twice; the proof shows the first click was not the last
+        const commitment = zk.computeCommitment(secrets[0]);
+        const leaves = zk.computeClickLeaves([
+          { clickHash: clickHashes[0], commitment, clickTime: clickTimes[0] },
+          { clickHash: clickHashes[1], commitment, clickTime: clickTimes[1] }
+        ]);
+        const params = {
+          ...paramsFor(0),
+          nextClickTime: leaves[0].nextClickTime,
+          clickLeaves: leaves.map(({ leaf }) => leaf)
+        };
+        const result = await zk.generateConversionProof(params);
+        await contracts.conversionVerifier.updateCampaignRoot(campaignId, result.root);
+
+        expect(result.lastClick).to.be.false;
+        expect(result.proof.publicInputs[9]).to.equal(0n);
+        await expect(
+          contracts.attributionGateway
+            .connect(relayer)
+            .submitConversion(...zk.toConversionArgs(campaignId, publisher.address, params, result))
+        )
+          .to.emit(contracts.attributionGateway, "ConversionRejected")
+          .withArgs(campaignId, result.nullifier, "Not the last click");
+      });
+    });
+
+    it("Should reject clicks outside the click set", async function () {
+      await expect(
+        zk.generateConversionProof({ ...paramsFor(0), userSecret: field("stranger") })
+      ).to.be.rejectedWith("Click is not in the campaign's click set");
+    });
+
+    it("Should reject a click set that does not match the campaign root", async function () {
+      await expect(
+        zk.generateConversionProof({ ...paramsFor(0), campaignRoot: field("other-root") })
+      ).to.be.rejectedWith("does not match campaign root");
+    });
+
+    it("Should reject weights outside 1 to 100 before proving", async function () {
+      for (const weight of [0, 101]) {
+        await expect(zk.generateConversionProof({ ...paramsFor(0), weight })).to.be.rejectedWith(
+          "Weight must be between 1 and 100"
+        );
+      }
+    });
+
+    it("Should reject a click after the conversion before proving", async function () {
+      await expect(
+        zk.generateConversionProof({ ...paramsFor(0), conversionTime: clickTimes[0] - 1 })
+      ).to.be.rejectedWith("The click must happen before the conversion");
+    });
+
+    it("Should require the publisher to be paid", async function () {
+      await expect(
+        zk.generateConversionProof({ ...paramsFor(0), publisher: undefined })
+      ).to.be.rejectedWith("publisher must be an address");
+    });
+
+    it("Should require the campaign the pseudonym is derived for", async function () {
+      await expect(
+        zk.generateConversionProof({ ...paramsFor(0), campaignId: undefined })
+      ).to.be.rejectedWith("campaignId is required");
+    });
+
+    it("Should reject values outside the scalar field", async function () {
+      await expect(
+        zk.generateConversionProof({ ...paramsFor(0), conversionId: zk.FIELD_SIZE })
+      ).to.be.rejectedWith("conversionId is not a BN254 field element");
+    });
+  });
+
+  describe("verifyConversionProof", function () {
+    it("Should accept a generated proof", async function () {
+      expect(await zk.verifyConversionProof(first)).to.be.true;
+    });
+
+    it("Should reject tampered public signals", async function () {
+      const tampered = { ...first, publicSignals: [...first.publicSignals] };
+      tampered.publicSignals[2] = field("tampered").toString();
+
+      expect(await zk.verifyConversionProof(tampered)).to.be.false;
+    });
+  });
+});
@@ -0,0 +1,12 @@
+/**
+ * @ghostbeacon/zk
+ * Client-side conversion proof generation for GhostBeacon
+ */
+
+module.exports = {
+  ...require("./src/field"),
+  ...require("./src/merkle"),
+  ...require("./src/clickTree"),
+  ...require("./src/attribution"),
+  ...require("./src/prover")
+};
@@ -0,0 +1,87 @@
+/**
+ * Multi-touch attribution weights
+ * Splits a conversion's weight between the clicks that led to it, the way a campaign's
+ * attribution model (CampaignRegistry.setAttribution) lets AttributionGateway accept them.
+ */
+
+// Mirrors ICampaignRegistry.AttributionModel
+const AttributionModel = {
+  LAST_CLICK: 0,
+  LINEAR: 1,
+  TIME_DECAY: 2
+};
+
+// Mirrors AttributionGateway.MAX_WEIGHT: the weight all clicks of one conversion share
+const MAX_WEIGHT = 100;
+
+/**
+ * Most weight a time-decay campaign pays a click, matching AttributionGateway._decayedWeight
+ * MAX_WEIGHT halves for every full half-life between click and conversion, falling linearly
+ * towards the next halving in between.
+ * @param {bigint} age Seconds from the click to the conversion
+ * @param {bigint} halfLife Campaign half-life, in seconds
+ * @returns {number} Weight bound
+ */
+function decayedWeight(age, halfLife) {
+  const halvings = age / halfLife;
+  const start = halvings < 8n ? BigInt(MAX_WEIGHT) >> halvings : 0n;
+  return Number(start - (start * (age % halfLife)) / halfLife / 2n);
+}
+
+/**
+ * Computes the weight to prove for each click of a conversion
+ * Weights are whole numbers, so the split rounds down. A click whose weight rounds to 0
+ * gets no credit and should not be submitted (the gateway rejects a weight of 0).
+ * @param {object} attribution Campaign attribution (see CampaignRegistryClient.getAttribution)
+ * @param {number|bigint} attribution.model Attribution model (see AttributionModel)
+ * @param {number|bigint} [attribution.halfLife] Seconds for a click's credit to halve (TIME_DECAY)
+ * @param {Array<number|bigint>} clickTimes Timestamps of the clicks, in seconds
+ * @param {number|bigint} conversionTime Timestamp of the conversion, in seconds
+ * @param {number} [total=MAX_WEIGHT] Weight shared by the clicks; last-click pays MAX_WEIGHT
+ * @returns {number[]} Weight of each click, in the order given
+ */
+function computeAttributionWeights(attribution, clickTimes, conversionTime, total = MAX_WEIGHT) {
+  if (clickTimes.length === 0) {
+    throw new Error("A conversion needs at least one click");
+  }
+  if (!Number.isInteger(total) || total < 1 || total > MAX_WEIGHT) {
+    throw new Error(`Total weight must be between 1 and ${MAX_WEIGHT}`);
+  }
+
+  const times = clickTimes.map(BigInt);
+  const convertedAt = BigInt(conversionTime);
+  if (times.some((time) => time > convertedAt)) {
+    throw new Error("Clicks must happen before the conversion");
+  }
+
+  switch (Number(attribution.model)) {
+    case AttributionModel.LAST_CLICK: {
+      // The gateway only bills the last click, at the whole weight
+      if (total !== MAX_WEIGHT) {
+        throw new Error(`Last-click conversions carry a weight of ${MAX_WEIGHT}`);
+      }
+      const latest = times.reduce((max, time) => (time > max ? time : max));
+      const last = times.lastIndexOf(latest);
+      return times.map((_, i) => (i === last ? MAX_WEIGHT : 0));
+    }
+    case AttributionModel.LINEAR: {
+      // Equal weights, as the gateway requires
+      return times.map(() => Math.floor(total / times.length));
+    }
+    case AttributionModel.TIME_DECAY: {
+      const halfLife = BigInt(attribution.halfLife ?? 0);
+      if (halfLife <= 0n) {
+        throw new Error("Time decay needs a half-life");
+      }
+
+      // Each click may be paid up to its decayed weight; scale down if they exceed the total
+      const bounds = times.map((time) => decayedWeight(convertedAt - time, halfLife));
+      const sum = bounds.reduce((acc, bound) => acc + bound, 0);
+      return sum <= total ? bounds : bounds.map((bound) => Math.floor((bound * total) / sum));
+    }
+    default:
+      throw new Error(`Unknown attribution model ${attribution.model}`);
+  }
+}
+
+module.exports = { AttributionModel, MAX_WEIGHT, computeAttributionWeights };
@@ -0,0 +1,219 @@
+const { poseidon1, poseidon2, poseidon4 } = require("poseidon-lite");
+const { requireFieldElement, toBytes32 } = require("./field");
+const { MerkleTree } = require("./merkle");
+
+/**
+ * Campaign click tree
+ * Poseidon MerkleTree over click leaves, as constrained by
+ * circuits/conversion.circom. Leaves and hashing mirror ProofVerification.sol.
+ */
+
+const TREE_LEVELS = 20;
+
+/**
+ * Asserts that a value is a timestamp the circuit accepts
+ * @param {string} name Value name used in the error message
+ * @param {number|bigint|string} value Timestamp, in seconds
+ * @returns {bigint} Timestamp as a bigint
+ */
+function requireTimestamp(name, value) {
+  if (value === undefined || value === null) {
+    throw new Error(`${name} is required`);
+  }
+  const time = BigInt(value);
+  if (time < 0n || time >= 2n ** 64n) {
+    throw new Error(`${name} must be a 64-bit timestamp in seconds`);
+  }
+  return time;
+}
+
+/**
+ * Computes a user's secret commitment
+ * @param {bigint|string} userSecret User secret
+ * @returns {bigint} Poseidon(userSecret)
+ */
+function computeCommitment(userSecret) {
+  return poseidon1([requireFieldElement("userSecret", userSecret)]);
+}
+
+/**
+ * Computes the click leaf, matching ProofVerification.computeClickLeaf
+ * The leaf carries the time of the same user's next click in the campaign, so a proof can
+ * show that no later click came before the conversion (see computeClickLeaves).
+ * @param {bigint|string} clickHash Hash of click data
+ * @param {bigint|string} commitment User's secret commitment
+ * @param {number|bigint} clickTime Timestamp of the click, in seconds
+ * @param {number|bigint} [nextClickTime=0] Timestamp of the user's next click, 0 if none
+ * @returns {bigint} Poseidon(clickHash, commitment, clickTime, nextClickTime)
+ */
+function computeClickLeaf(clickHash, commitment, clickTime, nextClickTime = 0) {
+  return poseidon4([
+    requireFieldElement("clickHash", clickHash),
+    requireFieldElement("commitment", commitment),
+    requireTimestamp("clickTime", clickTime),
+    requireTimestamp("nextClickTime", nextClickTime)
+  ]);
+}
+
+/**
+ * Computes the leaves of a campaign's clicks, linking each to the same user's next click
+ * @param {Array<object>} clicks Clicks, in tree order
+ * @param {bigint|string} clicks[].clickHash Hash of click data
+ * @param {bigint|string} clicks[].commitment User's secret commitment
+ * @param {number|bigint} clicks[].clickTime Timestamp of the click, in seconds
+ * @returns {object[]} { leaf, nextClickTime } per click, in the order given
+ */
+function computeClickLeaves(clicks) {
+  const nextClickTimes = clicks.map(() => 0n);
+  const byUser = new Map();
+
+  clicks.forEach((click, i) => {
+    const user = requireFieldElement(`clicks[${i}].commitment`, click.commitment);
+    const time = requireTimestamp(`clicks[${i}].clickTime`, click.clickTime);
+    if (!byUser.has(user)) {
+      byUser.set(user, []);
+    }
+    byUser.get(user).push({ i, time });
+  });
+
+  // Clicks at the same time are ordered as given
+  for (const userClicks of byUser.values()) {
+    userClicks.sort((a, b) => (a.time === b.time ? a.i - b.i : a.time < b.time ? -1 : 1));
+    for (let j = 0; j + 1 < userClicks.length; j++) {
+      nextClickTimes[userClicks[j].i] = userClicks[j + 1].time;
+    }
+  }
+
+  return clicks.map((click, i) => ({
+    leaf: computeClickLeaf(click.clickHash, click.commitment, click.clickTime, nextClickTimes[i]),
+    nextClickTime: nextClickTimes[i]
+  }));
+}
+
+/**
+ * Computes a conversion's hash, matching ProofVerification.computeConversionHash
+ * The proof binds the conversion time through it, so every click of one conversion is
+ * attributed against the same time.
+ * @param {bigint|string} conversionId Identifier of the conversion (field element)
+ * @param {number|bigint} conversionTime Timestamp of the conversion, in seconds
+ * @returns {bigint} Poseidon(conversionId, conversionTime)
+ */
+function computeConversionHash(conversionId, conversionTime) {
+  return poseidon2([
+    requireFieldElement("conversionId", conversionId),
+    requireTimestamp("conversionTime", conversionTime)
+  ]);
+}
+
+/**
+ * Computes the nullifier, matching ProofVerification.computeNullifier
+ * @param {bigint|string} clickHash Hash of click data
+ * @param {bigint|string} userSecret User secret
+ * @returns {bigint} Poseidon(clickHash, userSecret)
+ */
+function computeNullifier(clickHash, userSecret) {
+  return poseidon2([
+    requireFieldElement("clickHash", clickHash),
+    requireFieldElement("userSecret", userSecret)
+  ]);
+}
+
+/**
+ * Computes a user's pseudonym in one campaign, matching ProofVerification.computePseudonym
+ * Fraud checks key reputation and rate limits by it. It is the same for all of the user's
+ * conversions in the campaign and cannot be linked across campaigns without the secret.
+ * @param {bigint|string} userSecret User secret
+ * @param {number|bigint|string} campaignId Campaign ID
+ * @returns {bigint} Poseidon(userSecret, campaignId)
+ */
+function computePseudonym(userSecret, campaignId) {
+  return poseidon2([
+    requireFieldElement("userSecret", userSecret),
+    requireFieldElement("campaignId", campaignId)
+  ]);
+}
+
+/**
+ * Computes a conversion's nullifier, matching ProofVerification.computeConversionNullifier
+ * AttributionGateway caps the weight all clicks of one conversion share under it.
+ * @param {bigint|string} conversionHash Hash of conversion data
+ * @param {bigint|string} userSecret User secret
+ * @returns {bigint} Poseidon(conversionHash, userSecret)
+ */
+function computeConversionNullifier(conversionHash, userSecret) {
+  return poseidon2([
+    requireFieldElement("conversionHash", conversionHash),
+    requireFieldElement("userSecret", userSecret)
+  ]);
+}
+
+/**
+ * Builds a Poseidon click tree over click leaves
+ * @param {Array<bigint|string>} leaves Click leaves, in order
+ * @returns {MerkleTree} Click tree
+ */
+function buildClickTree(leaves) {
+  if (leaves.length > 2 ** TREE_LEVELS) {
+    throw new Error(`Click tree supports at most 2^${TREE_LEVELS} leaves`);
+  }
+
+  return new MerkleTree(
+    leaves.map((leaf, i) => toBytes32(requireFieldElement(`leaves[${i}]`, leaf))),
+    { hash: "poseidon" }
+  );
+}
+
+/**
+ * Computes the root of a click tree
+ * @param {Array<bigint|string>} leaves Click leaves
+ * @returns {bigint} Tree root
+ */
+function computeClickRoot(leaves) {
+  return BigInt(buildClickTree(leaves).root);
+}
+
+/**
+ * Builds the circuit's Merkle path for one leaf
+ * The path is padded with zero siblings up to TREE_LEVELS.
+ * @param {Array<bigint|string>|MerkleTree} leaves Click leaves, or a Poseidon click tree
+ * @param {number} index Index of the leaf to prove
+ * @returns {object} { root, siblings, siblingFirst }
+ */
+function getClickPath(leaves, index) {
+  const tree = leaves instanceof MerkleTree ? leaves : buildClickTree(leaves);
+  if (tree.hash !== "poseidon") {
+    throw new Error(`Click trees must use poseidon, not ${tree.hash}`);
+  }
+
+  const proof = tree.getProof(index);
+  const siblings = [];
+  const siblingFirst = [];
+  let node = tree.leaf(index);
+
+  for (const sibling of proof) {
+    siblings.push(BigInt(sibling));
+    siblingFirst.push(sibling < node ? 1n : 0n);
+    node = MerkleTree.processProof(node, [sibling], "poseidon");
+  }
+
+  while (siblings.length < TREE_LEVELS) {
+    siblings.push(0n);
+    siblingFirst.push(0n);
+  }
+
+  return { root: BigInt(tree.root), siblings, siblingFirst };
+}
+
+module.exports = {
+  TREE_LEVELS,
+  computeCommitment,
+  computeClickLeaf,
+  computeClickLeaves,
+  computeConversionHash,
+  computeNullifier,
+  computePseudonym,
+  computeConversionNullifier,
+  buildClickTree,
+  computeClickRoot,
+  getClickPath
+};
@@ -0,0 +1,65 @@
+/**
+ * BN254 scalar field helpers
+ * Every public signal of the conversion circuit must be an element of this field
+ */
+
+const FIELD_SIZE = 21888242871839275222246405745257275088548364400416034343698204186575808495617n;
+
+/**
+ * Converts a bytes32 hex string, bigint or number to a bigint
+ * @param {string|bigint|number} value Value to convert
+ * @returns {bigint} Value as a bigint
+ */
+function toBigInt(value) {
+  return typeof value === "bigint" ? value : BigInt(value);
+}
+
+/**
+ * Checks that a value is a canonical field element
+ * @param {string|bigint|number} value Value to check
+ * @returns {boolean} True if 0 <= value < FIELD_SIZE
+ */
+function isFieldElement(value) {
+  const n = toBigInt(value);
+  return n >= 0n && n < FIELD_SIZE;
+}
+
+/**
+ * Reduces an arbitrary 256-bit value (e.g. a keccak256 hash) into the field
+ * @param {string|bigint|number} value Value to reduce
+ * @returns {bigint} Field element
+ */
+function toField(value) {
+  return toBigInt(value) % FIELD_SIZE;
+}
+
+/**
+ * Asserts that a value is a canonical field element
+ * @param {string} name Value name used in the error message
+ * @param {string|bigint|number} value Value to check
+ * @returns {bigint} Value as a bigint
+ */
+function requireFieldElement(name, value) {
+  if (!isFieldElement(value)) {
+    throw new Error(`${name} is not a BN254 field element; reduce it with toField()`);
+  }
+  return toBigInt(value);
+}
+
+/**
+ * Formats a field element as a 0x-prefixed bytes32 hex string
+ * @param {string|bigint|number} value Value to format
+ * @returns {string} bytes32 hex string
+ */
+function toBytes32(value) {
+  return "0x" + toBigInt(value).toString(16).padStart(64, "0");
+}
+
+module.exports = {
+  FIELD_SIZE,
+  toBigInt,
+  isFieldElement,
+  toField,
+  requireFieldElement,
+  toBytes32
+};
@@ -0,0 +1,276 @@
+const fs = require("fs");
+const { keccak256, concat } = require("ethers");
+const { poseidon2 } = require("poseidon-lite");
+const { toBytes32 } = require("./field");
+
+/**
+ * Sorted-pair Merkle trees
+ * Trees are stored as a complete binary tree in array form (root at 0, children
+ * of i at 2i+1 and 2i+2, leaves at the end in reverse order), so every node but
+ * the root has a sibling. Proofs and multiproofs verify with
+ * contracts/libraries/MerkleProof.sol when built with keccak256.
+ */
+
+const TREE_FORMAT = "ghostbeacon-merkle-v1";
+
+const HASHES = {
+  keccak256: (a, b) => keccak256(concat([a, b])),
+  poseidon: (a, b) => toBytes32(poseidon2([BigInt(a), BigInt(b)]))
+};
+
+const parentIndex = (i) => Math.floor((i - 1) / 2);
+const siblingIndex = (i) => i - (-1) ** (i % 2);
+const leftChildIndex = (i) => 2 * i + 1;
+
+/**
+ * Normalizes a node to a lowercase 0x-prefixed bytes32 hex string
+ * @param {string|bigint|number} value Node value
+ * @returns {string} bytes32 hex string
+ */
+function toNode(value) {
+  const node = typeof value === "string" ? value.toLowerCase() : toBytes32(value);
+
+  if (!/^0x[0-9a-f]{64}$/.test(node)) {
+    throw new Error(`Invalid Merkle node ${value}`);
+  }
+  return node;
+}
+
+/**
+ * Resolves a hash function name
+ * @param {string} name Hash name
+ * @returns {Function} Pair hash (a, b) => node
+ */
+function getHash(name) {
+  const hash = HASHES[name];
+  if (!hash) {
+    throw new Error(`Unknown Merkle hash "${name}" (expected ${Object.keys(HASHES).join(", ")})`);
+  }
+  return hash;
+}
+
+class MerkleTree {
+  /**
+   * Builds a tree over pre-hashed leaves
+   * @param {Array<string|bigint>} leaves Leaf hashes, in order
+   * @param {object} [options] Tree options
+   * @param {string} [options.hash="keccak256"] Pair hash: "keccak256" or "poseidon"
+   */
+  constructor(leaves, options = {}) {
+    if (leaves.length === 0) {
+      throw new Error("Merkle tree needs at least one leaf");
+    }
+
+    this.hash = options.hash || "keccak256";
+    this._hashPair = getHash(this.hash);
+    this.tree = MerkleTree._build(leaves.map(toNode), this._hashPair);
+  }
+
+  static _build(leaves, hashPair) {
+    const tree = new Array(2 * leaves.length - 1);
+
+    leaves.forEach((leaf, i) => {
+      tree[tree.length - 1 - i] = leaf;
+    });
+    for (let i = tree.length - 1 - leaves.length; i >= 0; i--) {
+      tree[i] = MerkleTree._sortedHash(
+        hashPair,
+        tree[leftChildIndex(i)],
+        tree[leftChildIndex(i) + 1]
+      );
+    }
+
+    return tree;
+  }
+
+  static _sortedHash(hashPair, a, b) {
+    return a < b ? hashPair(a, b) : hashPair(b, a);
+  }
+
+  /**
+   * @returns {string} Tree root
+   */
+  get root() {
+    return this.tree[0];
+  }
+
+  /**
+   * @returns {number} Number of leaves
+   */
+  get leafCount() {
+    return (this.tree.length + 1) / 2;
+  }
+
+  /**
+   * @returns {string[]} Leaves, in insertion order
+   */
+  get leaves() {
+    return Array.from({ length: this.leafCount }, (_, i) => this.leaf(i));
+  }
+
+  /**
+   * Gets a leaf by index
+   * @param {number} index Leaf index
+   * @returns {string} Leaf hash
+   */
+  leaf(index) {
+    return this.tree[this._treeIndex(index)];
+  }
+
+  /**
+   * Finds the index of a leaf
+   * @param {string|bigint} leaf Leaf hash
+   * @returns {number} Leaf index, or -1 if absent
+   */
+  indexOf(leaf) {
+    const node = toNode(leaf);
+    return this.leaves.indexOf(node);
+  }
+
+  /**
+   * Builds a proof for MerkleProof.verify / processProof
+   * @param {number|string|bigint} leafOrIndex Leaf index or leaf hash
+   * @returns {string[]} Sibling hashes, from the leaf upwards
+   */
+  getProof(leafOrIndex) {
+    const proof = [];
+
+    for (let i = this._treeIndex(this._resolveIndex(leafOrIndex)); i > 0; i = parentIndex(i)) {
+      proof.push(this.tree[siblingIndex(i)]);
+    }
+
+    return proof;
+  }
+
+  /**
+   * Builds a multiproof for MerkleProof.multiProofVerify / processMultiProof
+   * @param {Array<number|string|bigint>} leavesOrIndices Leaf indices or leaf hashes
+   * @returns {object} { leaves, proof, proofFlags } with leaves in the order the contract expects
+   */
+  getMultiProof(leavesOrIndices) {
+    const indices = leavesOrIndices
+      .map((value) => this._treeIndex(this._resolveIndex(value)))
+      .sort((a, b) => b - a);
+
+    if (indices.some((index, i) => i > 0 && index === indices[i - 1])) {
+      throw new Error("Multiproof leaves must be unique");
+    }
+
+    const stack = [...indices];
+    const proof = [];
+    const proofFlags = [];
+
+    while (stack.length > 0 && stack[0] > 0) {
+      const index = stack.shift();
+      const sibling = siblingIndex(index);
+
+      if (sibling === stack[0]) {
+        proofFlags.push(true);
+        stack.shift();
+      } else {
+        proofFlags.push(false);
+        proof.push(this.tree[sibling]);
+      }
+      stack.push(parentIndex(index));
+    }
+
+    if (indices.length === 0) {
+      proof.push(this.root);
+    }
+
+    return { leaves: indices.map((index) => this.tree[index]), proof, proofFlags };
+  }
+
+  /**
+   * Recomputes a root from a leaf and proof, like MerkleProof.processProof
+   * @param {string|bigint} leaf Leaf hash
+   * @param {Array<string|bigint>} proof Sibling hashes
+   * @param {string} [hash="keccak256"] Pair hash name
+   * @returns {string} Computed root
+   */
+  static processProof(leaf, proof, hash = "keccak256") {
+    const hashPair = getHash(hash);
+    return proof.reduce(
+      (node, sibling) => MerkleTree._sortedHash(hashPair, node, toNode(sibling)),
+      toNode(leaf)
+    );
+  }
+
+  /**
+   * Verifies a proof against a root, like MerkleProof.verify
+   * @param {string|bigint} root Expected root
+   * @param {string|bigint} leaf Leaf hash
+   * @param {Array<string|bigint>} proof Sibling hashes
+   * @param {string} [hash="keccak256"] Pair hash name
+   * @returns {boolean} True if the proof is valid
+   */
+  static verify(root, leaf, proof, hash = "keccak256") {
+    return MerkleTree.processProof(leaf, proof, hash) === toNode(root);
+  }
+
+  /**
+   * Serializes the tree
+   * @returns {object} JSON-safe tree
+   */
+  toJSON() {
+    return { format: TREE_FORMAT, hash: this.hash, tree: this.tree };
+  }
+
+  /**
+   * Restores a serialized tree, checking every internal node
+   * @param {object} data Output of toJSON
+   * @returns {MerkleTree} Tree
+   */
+  static fromJSON(data) {
+    if (!data || data.format !== TREE_FORMAT) {
+      throw new Error(`Unsupported Merkle tree format ${data && data.format}`);
+    }
+    if (!Array.isArray(data.tree) || data.tree.length % 2 === 0) {
+      throw new Error("Invalid Merkle tree: expected an odd number of nodes");
+    }
+
+    const leafCount = (data.tree.length + 1) / 2;
+    const leaves = Array.from({ length: leafCount }, (_, i) => data.tree[data.tree.length - 1 - i]);
+    const tree = new MerkleTree(leaves, { hash: data.hash });
+
+    if (tree.tree.some((node, i) => node !== toNode(data.tree[i]))) {
+      throw new Error("Invalid Merkle tree: internal nodes do not match the leaves");
+    }
+    return tree;
+  }
+
+  /**
+   * Writes the tree to disk as JSON
+   * @param {string} file Output path
+   */
+  save(file) {
+    fs.writeFileSync(file, JSON.stringify(this.toJSON(), null, 2) + "\n");
+  }
+
+  /**
+   * Reads a tree written by save()
+   * @param {string} file Input path
+   * @returns {MerkleTree} Tree
+   */
+  static load(file) {
+    return MerkleTree.fromJSON(JSON.parse(fs.readFileSync(file, "utf8")));
+  }
+
+  _resolveIndex(leafOrIndex) {
+    const index = typeof leafOrIndex === "number" ? leafOrIndex : this.indexOf(leafOrIndex);
+
+    if (!Number.isInteger(index) || index < 0 || index >= this.leafCount) {
+      throw new Error(`Leaf ${leafOrIndex} is not in the tree`);
+    }
+    return index;
+  }
+
+  _treeIndex(index) {
+    return this.tree.length - 1 - index;
+  }
+}
+
+module.exports = {
+  TREE_FORMAT,
+  MerkleTree
+};
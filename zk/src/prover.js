@@ -0,0 +1,264 @@
+const fs = require("fs");
+const path = require("path");
+const snarkjs = require("snarkjs");
+const { isAddress } = require("ethers");
+const { requireFieldElement, toBigInt, toBytes32 } = require("./field");
+const {
+  computeCommitment,
+  computeClickLeaf,
+  computeConversionHash,
+  computeNullifier,
+  computePseudonym,
+  computeConversionNullifier,
+  buildClickTree,
+  getClickPath
+} = require("./clickTree");
+const { MAX_WEIGHT } = require("./attribution");
+
+/**
+ * Conversion proof generation
+ * Produces Groth16 proofs for circuits/conversion.circom in the ProofData layout
+ * expected by IConversionVerifier.
+ */
+
+const KEYS_DIR = path.resolve(__dirname, "..", "..", "circuits", "keys");
+
+const DEFAULT_KEYS = {
+  wasmPath: path.join(KEYS_DIR, "conversion.wasm"),
+  zkeyPath: path.join(KEYS_DIR, "conversion_final.zkey"),
+  verificationKeyPath: path.join(KEYS_DIR, "verification_key.json")
+};
+
+/**
+ * Converts a snarkjs proof into the IConversionVerifier ProofData struct
+ * The G2 point coordinates are swapped to match the precompile's encoding.
+ * @param {object} proof snarkjs Groth16 proof
+ * @param {bigint[]} publicInputs [clickHash, conversionHash, root, weight, pseudonym, publisher,
+ *   conversionNullifier, clickTime, conversionTime, lastClick]
+ * @returns {object} { a, b, c, publicInputs }
+ */
+function toProofData(proof, publicInputs) {
+  return {
+    a: [BigInt(proof.pi_a[0]), BigInt(proof.pi_a[1])],
+    b: [
+      [BigInt(proof.pi_b[0][1]), BigInt(proof.pi_b[0][0])],
+      [BigInt(proof.pi_b[1][1]), BigInt(proof.pi_b[1][0])]
+    ],
+    c: [BigInt(proof.pi_c[0]), BigInt(proof.pi_c[1])],
+    publicInputs
+  };
+}
+
+/**
+ * Loads a verification key from disk
+ * @param {string} [file] Verification key path
+ * @returns {object} Verification key
+ */
+function loadVerificationKey(file = DEFAULT_KEYS.verificationKeyPath) {
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * Verifies a generated conversion proof off-chain
+ * @param {object} result Result of generateConversionProof
+ * @param {object} [options] Verification options
+ * @param {object} [options.verificationKey] Verification key (loaded from disk if omitted)
+ * @param {string} [options.verificationKeyPath] Verification key path
+ * @returns {Promise<boolean>} True if the proof verifies
+ */
+async function verifyConversionProof(result, options = {}) {
+  const verificationKey =
+    options.verificationKey || loadVerificationKey(options.verificationKeyPath);
+
+  return snarkjs.groth16.verify(verificationKey, result.publicSignals, result.rawProof);
+}
+
+/**
+ * Generates a conversion proof
+ * The proof carries the user's pseudonym in the campaign (see computePseudonym), which
+ * the gateway's fraud checks use in place of an identity, and the publisher to be paid,
+ * so the conversion cannot be submitted for anyone else. Its conversion nullifier ties the
+ * conversion to the user: prove every click of one conversion with the same conversionId
+ * and conversionTime, so the gateway caps their weights together. The click and conversion
+ * times are public, and the proof shows whether the click was the user's last before the
+ * conversion, for the campaign's attribution model to check the weight against.
+ * @param {object} params Proof parameters
+ * @param {number|bigint} params.campaignId Campaign the conversion is submitted to
+ * @param {string} params.publisher Publisher the conversion is attributed to
+ * @param {bigint|string} params.clickHash Hash of click data (field element)
+ * @param {number|bigint} params.clickTime Timestamp of the click, as in its click leaf
+ * @param {number|bigint} [params.nextClickTime=0] Timestamp of the user's next click in the
+ *   campaign, as in the click leaf; 0 if none (see computeClickLeaves)
+ * @param {bigint|string} params.conversionId Identifier of the conversion (field element)
+ * @param {number|bigint} params.conversionTime Timestamp of the conversion, in seconds
+ * @param {bigint|string} params.userSecret User secret (field element)
+ * @param {Array<bigint|string>} [params.clickLeaves] The campaign's click leaves, in tree order
+ * @param {MerkleTree} [params.clickTree] The campaign's click tree, instead of clickLeaves
+ * @param {bigint|string} [params.campaignRoot] Expected on-chain root; checked when given
+ * @param {number|bigint} [params.weight=MAX_WEIGHT] Attribution weight of the click, 1 to 100
+ *   (see computeAttributionWeights); last-click campaigns only accept MAX_WEIGHT
+ * @param {object} [options] Prover options
+ * @param {string} [options.wasmPath] Circuit wasm path
+ * @param {string} [options.zkeyPath] Proving key path
+ * @param {string} [options.verificationKeyPath] Verification key path
+ * @param {boolean} [options.verify=true] Verify the proof locally before returning
+ * @returns {Promise<object>} { nullifier, pseudonym, conversionNullifier, conversionHash, root,
+ *   lastClick, proof, publicSignals, rawProof }
+ */
+async function generateConversionProof(params, options = {}) {
+  const keys = { ...DEFAULT_KEYS, ...options };
+  if (params.campaignId === undefined) {
+    throw new Error("campaignId is required; the proof binds the user's campaign pseudonym");
+  }
+  if (!isAddress(params.publisher)) {
+    throw new Error("publisher must be an address; the proof binds the publisher to be paid");
+  }
+  const campaignId = requireFieldElement("campaignId", params.campaignId);
+  const publisher = BigInt(params.publisher);
+  const clickHash = requireFieldElement("clickHash", params.clickHash);
+  const conversionId = requireFieldElement("conversionId", params.conversionId);
+  const conversionHash = computeConversionHash(conversionId, params.conversionTime);
+  const userSecret = requireFieldElement("userSecret", params.userSecret);
+  const weight = BigInt(params.weight ?? MAX_WEIGHT);
+
+  if (weight < 1n || weight > BigInt(MAX_WEIGHT)) {
+    throw new Error(`Weight must be between 1 and ${MAX_WEIGHT}`);
+  }
+
+  const leaf = computeClickLeaf(
+    clickHash,
+    computeCommitment(userSecret),
+    params.clickTime,
+    params.nextClickTime ?? 0
+  );
+  const clickTime = BigInt(params.clickTime);
+  const nextClickTime = BigInt(params.nextClickTime ?? 0);
+  const conversionTime = BigInt(params.conversionTime);
+
+  if (clickTime > conversionTime) {
+    throw new Error("The click must happen before the conversion");
+  }
+  const tree = params.clickTree || buildClickTree(params.clickLeaves || []);
+  const index = tree.indexOf(leaf);
+
+  if (index === -1) {
+    throw new Error("Click is not in the campaign's click set");
+  }
+
+  const { root, siblings, siblingFirst } = getClickPath(tree, index);
+
+  if (params.campaignRoot !== undefined && toBigInt(params.campaignRoot) !== root) {
+    throw new Error(
+      `Click set root ${toBytes32(root)} does not match campaign root ${toBytes32(
+        params.campaignRoot
+      )}`
+    );
+  }
+
+  // The wasm and proving key are build output, not committed
+  for (const file of [keys.wasmPath, keys.zkeyPath]) {
+    if (!fs.existsSync(file)) {
+      throw new Error(`${file} not found; build the circuit with \`npm run zk:build\``);
+    }
+  }
+
+  const { proof, publicSignals } = await snarkjs.groth16.fullProve(
+    {
+      clickHash,
+      conversionHash,
+      root,
+      weight,
+      campaignId,
+      publisher,
+      clickTime,
+      conversionTime,
+      userSecret,
+      conversionId,
+      nextClickTime,
+      siblings,
+      siblingFirst
+    },
+    keys.wasmPath,
+    keys.zkeyPath
+  );
+
+  const pseudonym = computePseudonym(userSecret, campaignId);
+  const conversionNullifier = computeConversionNullifier(conversionHash, userSecret);
+  const lastClick = nextClickTime === 0n || nextClickTime > conversionTime;
+  const result = {
+    nullifier: toBytes32(computeNullifier(clickHash, userSecret)),
+    pseudonym: toBytes32(pseudonym),
+    conversionNullifier: toBytes32(conversionNullifier),
+    conversionHash: toBytes32(conversionHash),
+    root: toBytes32(root),
+    lastClick,
+    proof: toProofData(proof, [
+      clickHash,
+      conversionHash,
+      root,
+      weight,
+      pseudonym,
+      publisher,
+      conversionNullifier,
+      clickTime,
+      conversionTime,
+      lastClick ? 1n : 0n
+    ]),
+    publicSignals,
+    rawProof: proof
+  };
+
+  if (options.verify !== false) {
+    const valid = await verifyConversionProof(result, {
+      verificationKeyPath: keys.verificationKeyPath
+    });
+    if (!valid) {
+      throw new Error("Generated proof failed local verification");
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Builds the argument list for AttributionGateway.submitConversion
+ * @param {number|bigint} campaignId Campaign ID
+ * @param {string} publisher Publisher the conversion is attributed to; must be the proven one
+ * @param {object} params Parameters passed to generateConversionProof
+ * @param {object} result Result of generateConversionProof
+ * @returns {Array} [campaignId, publisher, clickHash, conversionHash, nullifier, proof]
+ */
+function toConversionArgs(campaignId, publisher, params, result) {
+  if (BigInt(publisher) !== result.proof.publicInputs[5]) {
+    throw new Error(`The proof attributes the conversion to another publisher than ${publisher}`);
+  }
+  return [
+    campaignId,
+    publisher,
+    toBytes32(params.clickHash),
+    result.conversionHash,
+    result.nullifier,
+    result.proof
+  ];
+}
+
+/**
+ * Stops the worker threads snarkjs keeps for the BN254 curve
+ * Call once proving is finished so the Node process can exit.
+ * @returns {Promise<void>}
+ */
+async function terminate() {
+  if (globalThis.curve_bn128) {
+    await globalThis.curve_bn128.terminate();
+    delete globalThis.curve_bn128;
+  }
+}
+
+module.exports = {
+  DEFAULT_KEYS,
+  generateConversionProof,
+  verifyConversionProof,
+  toConversionArgs,
+  toProofData,
+  terminate
+};